@@ -0,0 +1,40 @@
+-- CreateEnum
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_type WHERE typname = 'HolidayType') THEN
+        CREATE TYPE "HolidayType" AS ENUM ('national', 'state', 'city', 'company');
+    END IF;
+END $$;
+
+-- AlterEnum
+ALTER TYPE "AuditAction" ADD VALUE IF NOT EXISTS 'employee_location_changed';
+ALTER TYPE "AuditAction" ADD VALUE IF NOT EXISTS 'holiday_created';
+ALTER TYPE "AuditAction" ADD VALUE IF NOT EXISTS 'holiday_updated';
+ALTER TYPE "AuditAction" ADD VALUE IF NOT EXISTS 'holiday_deleted';
+
+-- AlterTable
+-- Localização do funcionário, usada para aplicar feriados estaduais e municipais
+ALTER TABLE "users" ADD COLUMN IF NOT EXISTS "state" TEXT;
+ALTER TABLE "users" ADD COLUMN IF NOT EXISTS "city" TEXT;
+
+-- CreateTable
+CREATE TABLE IF NOT EXISTS "holidays" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "date" TEXT NOT NULL,
+    "type" "HolidayType" NOT NULL DEFAULT 'national',
+    "state" TEXT,
+    "city" TEXT,
+    "isHalfDay" BOOLEAN NOT NULL DEFAULT false,
+    "recurring" BOOLEAN NOT NULL DEFAULT false,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "holidays_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX IF NOT EXISTS "holidays_date_idx" ON "holidays"("date");
+
+-- CreateIndex
+CREATE INDEX IF NOT EXISTS "holidays_type_idx" ON "holidays"("type");
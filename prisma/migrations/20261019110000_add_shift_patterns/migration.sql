@@ -0,0 +1,39 @@
+-- AlterEnum
+ALTER TYPE "AuditAction" ADD VALUE IF NOT EXISTS 'shift_pattern_created';
+ALTER TYPE "AuditAction" ADD VALUE IF NOT EXISTS 'shift_pattern_updated';
+ALTER TYPE "AuditAction" ADD VALUE IF NOT EXISTS 'shift_pattern_deleted';
+ALTER TYPE "AuditAction" ADD VALUE IF NOT EXISTS 'employee_shift_pattern_changed';
+
+-- CreateTable
+-- Escalas de revezamento (12x36, 6x1, 5x2...) definidas como ciclo de N dias
+CREATE TABLE IF NOT EXISTS "shift_patterns" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "description" TEXT,
+    "cycleDays" INTEGER NOT NULL,
+    "days" JSONB NOT NULL,
+    "anchorDate" TEXT NOT NULL,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "shift_patterns_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX IF NOT EXISTS "shift_patterns_name_key" ON "shift_patterns"("name");
+
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN IF NOT EXISTS "shiftPatternId" TEXT;
+ALTER TABLE "users" ADD COLUMN IF NOT EXISTS "shiftPatternAnchorDate" TEXT;
+
+-- CreateIndex
+CREATE INDEX IF NOT EXISTS "users_shiftPatternId_idx" ON "users"("shiftPatternId");
+
+-- AddForeignKey
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'users_shiftPatternId_fkey') THEN
+        ALTER TABLE "users" ADD CONSTRAINT "users_shiftPatternId_fkey" FOREIGN KEY ("shiftPatternId") REFERENCES "shift_patterns"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+    END IF;
+END $$;
@@ -0,0 +1,25 @@
+-- AlterTable
+-- Versões da jornada com vigência: alterações criam uma nova versão em vez de sobrescrever a atual
+ALTER TABLE "work_schedules" ADD COLUMN IF NOT EXISTS "validFrom" TEXT;
+ALTER TABLE "work_schedules" ADD COLUMN IF NOT EXISTS "validTo" TEXT;
+
+-- Jornadas existentes passam a ser uma única versão atual por funcionário, vigente desde o dia
+-- mais antigo da jornada (dias incluídos depois não fragmentam a versão)
+UPDATE "work_schedules" AS ws
+SET "validFrom" = first_schedule."validFrom"
+FROM (
+  SELECT "employeeId", to_char(MIN("createdAt"), 'YYYY-MM-DD') AS "validFrom"
+  FROM "work_schedules"
+  GROUP BY "employeeId"
+) AS first_schedule
+WHERE ws."employeeId" = first_schedule."employeeId" AND ws."validFrom" IS NULL;
+ALTER TABLE "work_schedules" ALTER COLUMN "validFrom" SET NOT NULL;
+
+-- DropIndex
+DROP INDEX IF EXISTS "work_schedules_employeeId_dayOfWeek_key";
+
+-- CreateIndex
+CREATE UNIQUE INDEX IF NOT EXISTS "work_schedules_employeeId_dayOfWeek_validFrom_key" ON "work_schedules"("employeeId", "dayOfWeek", "validFrom");
+
+-- CreateIndex
+CREATE INDEX IF NOT EXISTS "work_schedules_employeeId_validFrom_idx" ON "work_schedules"("employeeId", "validFrom");
@@ -0,0 +1,4 @@
+-- AlterTable
+-- Fuso horário da empresa (datas de ponto e job diário) e fuso opcional por funcionário (trabalho remoto)
+ALTER TABLE "company_settings" ADD COLUMN IF NOT EXISTS "timezone" TEXT NOT NULL DEFAULT 'America/Sao_Paulo';
+ALTER TABLE "users" ADD COLUMN IF NOT EXISTS "timezone" TEXT;
@@ -0,0 +1,26 @@
+-- CreateEnum
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_type WHERE typname = 'HourBankExpirationAction') THEN
+        CREATE TYPE "HourBankExpirationAction" AS ENUM ('expire', 'payout');
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_type WHERE typname = 'HourBankExpirationStatus') THEN
+        CREATE TYPE "HourBankExpirationStatus" AS ENUM ('compensated', 'expired', 'payout_pending');
+    END IF;
+END $$;
+
+-- AlterTable
+-- Política de expiração dos créditos do banco de horas (prazo de compensação)
+ALTER TABLE "company_settings" ADD COLUMN IF NOT EXISTS "hourBankExpirationMonths" INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE "company_settings" ADD COLUMN IF NOT EXISTS "hourBankExpirationAction" "HourBankExpirationAction" NOT NULL DEFAULT 'expire';
+ALTER TABLE "company_settings" ADD COLUMN IF NOT EXISTS "hourBankExpirationWarningDays" INTEGER NOT NULL DEFAULT 30;
+
+-- AlterTable
+-- Data de expiração por crédito e resultado do processamento pelo job de expiração
+ALTER TABLE "hour_bank_records" ADD COLUMN IF NOT EXISTS "expiresAt" TEXT;
+ALTER TABLE "hour_bank_records" ADD COLUMN IF NOT EXISTS "expirationStatus" "HourBankExpirationStatus";
+ALTER TABLE "hour_bank_records" ADD COLUMN IF NOT EXISTS "expiredHours" DOUBLE PRECISION;
+ALTER TABLE "hour_bank_records" ADD COLUMN IF NOT EXISTS "expiredAt" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX IF NOT EXISTS "hour_bank_records_expiresAt_idx" ON "hour_bank_records"("expiresAt");
@@ -0,0 +1,16 @@
+-- AlterEnum
+-- Pagamento de horas do banco como hora extra
+ALTER TYPE "HourBankType" ADD VALUE IF NOT EXISTS 'payout';
+ALTER TYPE "AuditAction" ADD VALUE IF NOT EXISTS 'hourbank_payout_created';
+
+-- CreateEnum
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_type WHERE typname = 'HourBankPayoutSource') THEN
+        CREATE TYPE "HourBankPayoutSource" AS ENUM ('balance', 'expired');
+    END IF;
+END $$;
+
+-- AlterTable
+ALTER TABLE "hour_bank_records" ADD COLUMN IF NOT EXISTS "payoutRate" INTEGER;
+ALTER TABLE "hour_bank_records" ADD COLUMN IF NOT EXISTS "payoutSource" "HourBankPayoutSource";
@@ -0,0 +1,13 @@
+-- AlterTable
+-- Regras de adicional de horas extras (50%, 100% em domingos/feriados, adicional noturno)
+ALTER TABLE "company_settings" ADD COLUMN IF NOT EXISTS "overtimeWeekdayRate" INTEGER NOT NULL DEFAULT 50;
+ALTER TABLE "company_settings" ADD COLUMN IF NOT EXISTS "overtimeSundayHolidayRate" INTEGER NOT NULL DEFAULT 100;
+ALTER TABLE "company_settings" ADD COLUMN IF NOT EXISTS "nightShiftRate" INTEGER NOT NULL DEFAULT 20;
+ALTER TABLE "company_settings" ADD COLUMN IF NOT EXISTS "nightShiftStart" TEXT NOT NULL DEFAULT '22:00';
+ALTER TABLE "company_settings" ADD COLUMN IF NOT EXISTS "nightShiftEnd" TEXT NOT NULL DEFAULT '05:00';
+ALTER TABLE "company_settings" ADD COLUMN IF NOT EXISTS "reducedNightHour" BOOLEAN NOT NULL DEFAULT true;
+
+-- AlterTable
+-- Horas extras separadas por adicional
+ALTER TABLE "overtimes" ADD COLUMN IF NOT EXISTS "rateBreakdown" JSONB;
+ALTER TABLE "time_clocks" ADD COLUMN IF NOT EXISTS "overtimeRateBreakdown" JSONB;
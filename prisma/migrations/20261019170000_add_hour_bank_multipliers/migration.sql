@@ -0,0 +1,26 @@
+-- AlterEnum
+ALTER TYPE "AuditAction" ADD VALUE IF NOT EXISTS 'hourbank_multipliers_updated';
+
+-- AlterTable
+-- Multiplicadores de crédito de hora extra no banco de horas (ex: domingo 2x, dias úteis 1,5x)
+ALTER TABLE "company_settings" ADD COLUMN IF NOT EXISTS "hourBankMultiplierRules" JSONB NOT NULL DEFAULT '[]';
+
+-- AlterTable
+-- Horas trabalhadas e multiplicadores aplicados em cada crédito (auditoria)
+ALTER TABLE "hour_bank_records" ADD COLUMN IF NOT EXISTS "rawHours" DOUBLE PRECISION;
+ALTER TABLE "hour_bank_records" ADD COLUMN IF NOT EXISTS "appliedMultipliers" JSONB;
+
+-- CreateTable
+-- Regras de multiplicador por departamento
+CREATE TABLE IF NOT EXISTS "department_hour_bank_rules" (
+    "id" TEXT NOT NULL,
+    "department" TEXT NOT NULL,
+    "rules" JSONB NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "department_hour_bank_rules_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX IF NOT EXISTS "department_hour_bank_rules_department_key" ON "department_hour_bank_rules"("department");
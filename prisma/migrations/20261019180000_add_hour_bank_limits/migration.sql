@@ -0,0 +1,27 @@
+-- AlterEnum
+ALTER TYPE "AuditAction" ADD VALUE IF NOT EXISTS 'employee_hourbank_limit_changed';
+ALTER TYPE "AuditAction" ADD VALUE IF NOT EXISTS 'employee_hourbank_exception_added';
+ALTER TYPE "AuditAction" ADD VALUE IF NOT EXISTS 'employee_hourbank_exception_removed';
+ALTER TYPE "AuditAction" ADD VALUE IF NOT EXISTS 'department_hourbank_limit_changed';
+
+-- AlterTable
+-- Limites do banco de horas por funcionário e exceções mensais
+ALTER TABLE "users" ADD COLUMN IF NOT EXISTS "hourBankAccumulationLimit" DOUBLE PRECISION;
+ALTER TABLE "users" ADD COLUMN IF NOT EXISTS "hourBankUsageLimit" DOUBLE PRECISION;
+ALTER TABLE "users" ADD COLUMN IF NOT EXISTS "hourBankExceptions" JSONB;
+
+-- CreateTable
+-- Limites do banco de horas por departamento
+CREATE TABLE IF NOT EXISTS "department_hour_bank_limits" (
+    "id" TEXT NOT NULL,
+    "department" TEXT NOT NULL,
+    "accumulationLimit" DOUBLE PRECISION,
+    "usageLimit" DOUBLE PRECISION,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "department_hour_bank_limits_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX IF NOT EXISTS "department_hour_bank_limits_department_key" ON "department_hour_bank_limits"("department");
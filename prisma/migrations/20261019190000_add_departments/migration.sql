@@ -0,0 +1,83 @@
+-- AlterEnum
+ALTER TYPE "AuditAction" ADD VALUE IF NOT EXISTS 'department_created';
+ALTER TYPE "AuditAction" ADD VALUE IF NOT EXISTS 'department_updated';
+ALTER TYPE "AuditAction" ADD VALUE IF NOT EXISTS 'department_deleted';
+ALTER TYPE "AuditAction" ADD VALUE IF NOT EXISTS 'department_manager_added';
+ALTER TYPE "AuditAction" ADD VALUE IF NOT EXISTS 'department_manager_removed';
+ALTER TYPE "AuditAction" ADD VALUE IF NOT EXISTS 'employee_department_changed';
+ALTER TYPE "EntityType" ADD VALUE IF NOT EXISTS 'department';
+
+-- CreateTable
+-- Departamentos com hierarquia e centro de custo
+CREATE TABLE IF NOT EXISTS "departments" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "costCenter" TEXT,
+    "externalId" TEXT,
+    "parentId" TEXT,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "departments_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+-- Gestores por departamento (muitos para muitos)
+CREATE TABLE IF NOT EXISTS "department_managers" (
+    "departmentId" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "department_managers_pkey" PRIMARY KEY ("departmentId", "userId")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX IF NOT EXISTS "departments_name_key" ON "departments"("name");
+CREATE UNIQUE INDEX IF NOT EXISTS "departments_costCenter_key" ON "departments"("costCenter");
+CREATE UNIQUE INDEX IF NOT EXISTS "departments_externalId_key" ON "departments"("externalId");
+CREATE INDEX IF NOT EXISTS "departments_parentId_idx" ON "departments"("parentId");
+CREATE INDEX IF NOT EXISTS "department_managers_userId_idx" ON "department_managers"("userId");
+
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN IF NOT EXISTS "departmentId" TEXT;
+
+-- CreateIndex
+CREATE INDEX IF NOT EXISTS "users_departmentId_idx" ON "users"("departmentId");
+
+-- AddForeignKey
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'departments_parentId_fkey') THEN
+        ALTER TABLE "departments" ADD CONSTRAINT "departments_parentId_fkey" FOREIGN KEY ("parentId") REFERENCES "departments"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'department_managers_departmentId_fkey') THEN
+        ALTER TABLE "department_managers" ADD CONSTRAINT "department_managers_departmentId_fkey" FOREIGN KEY ("departmentId") REFERENCES "departments"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'department_managers_userId_fkey') THEN
+        ALTER TABLE "department_managers" ADD CONSTRAINT "department_managers_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'users_departmentId_fkey') THEN
+        ALTER TABLE "users" ADD CONSTRAINT "users_departmentId_fkey" FOREIGN KEY ("departmentId") REFERENCES "departments"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+    END IF;
+END $$;
+
+-- Converter os nomes de departamento em texto livre para registros de Department
+-- (espaços extras são removidos; nomes iguais após o ajuste viram um único departamento)
+UPDATE "users" SET "department" = btrim("department") WHERE "department" <> btrim("department");
+
+INSERT INTO "departments" ("id", "name", "createdAt", "updatedAt")
+SELECT md5(random()::text || clock_timestamp()::text || u."department")::uuid::text, u."department", CURRENT_TIMESTAMP, CURRENT_TIMESTAMP
+FROM (SELECT DISTINCT "department" FROM "users" WHERE "department" <> '') u
+WHERE NOT EXISTS (SELECT 1 FROM "departments" d WHERE d."name" = u."department");
+
+UPDATE "users" u SET "departmentId" = d."id"
+FROM "departments" d
+WHERE u."departmentId" IS NULL AND d."name" = u."department";
+
+-- Gestores existentes passam a ser gestores atribuídos do próprio departamento
+INSERT INTO "department_managers" ("departmentId", "userId", "createdAt")
+SELECT u."departmentId", u."id", CURRENT_TIMESTAMP
+FROM "users" u
+WHERE u."role" = 'manager' AND u."departmentId" IS NOT NULL
+ON CONFLICT DO NOTHING;
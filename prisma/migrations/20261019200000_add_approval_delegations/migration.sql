@@ -0,0 +1,41 @@
+-- AlterEnum
+ALTER TYPE "AuditAction" ADD VALUE IF NOT EXISTS 'delegation_created';
+ALTER TYPE "AuditAction" ADD VALUE IF NOT EXISTS 'delegation_revoked';
+ALTER TYPE "EntityType" ADD VALUE IF NOT EXISTS 'delegation';
+
+-- CreateTable
+-- Delegações temporárias de aprovação (substituição de gestores em ausências)
+CREATE TABLE IF NOT EXISTS "approval_delegations" (
+    "id" TEXT NOT NULL,
+    "delegatorId" TEXT NOT NULL,
+    "delegateId" TEXT NOT NULL,
+    "departmentId" TEXT NOT NULL,
+    "startDate" TEXT NOT NULL,
+    "endDate" TEXT NOT NULL,
+    "reason" TEXT,
+    "createdBy" TEXT NOT NULL,
+    "revokedBy" TEXT,
+    "revokedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "approval_delegations_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX IF NOT EXISTS "approval_delegations_delegateId_startDate_endDate_idx" ON "approval_delegations"("delegateId", "startDate", "endDate");
+CREATE INDEX IF NOT EXISTS "approval_delegations_delegatorId_idx" ON "approval_delegations"("delegatorId");
+
+-- AddForeignKey
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'approval_delegations_delegatorId_fkey') THEN
+        ALTER TABLE "approval_delegations" ADD CONSTRAINT "approval_delegations_delegatorId_fkey" FOREIGN KEY ("delegatorId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'approval_delegations_delegateId_fkey') THEN
+        ALTER TABLE "approval_delegations" ADD CONSTRAINT "approval_delegations_delegateId_fkey" FOREIGN KEY ("delegateId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'approval_delegations_departmentId_fkey') THEN
+        ALTER TABLE "approval_delegations" ADD CONSTRAINT "approval_delegations_departmentId_fkey" FOREIGN KEY ("departmentId") REFERENCES "departments"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+    END IF;
+END $$;
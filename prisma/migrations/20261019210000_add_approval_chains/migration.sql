@@ -0,0 +1,55 @@
+-- CreateEnum
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_type WHERE typname = 'ApprovalStepStatus') THEN
+        CREATE TYPE "ApprovalStepStatus" AS ENUM ('pending', 'approved', 'rejected', 'skipped');
+    END IF;
+END $$;
+
+-- AlterEnum
+ALTER TYPE "AuditAction" ADD VALUE IF NOT EXISTS 'approval_step_approved';
+ALTER TYPE "AuditAction" ADD VALUE IF NOT EXISTS 'approval_chain_updated';
+
+-- AlterTable
+-- Cadeias de aprovação configuráveis (etapas ordenadas com condições e papéis)
+ALTER TABLE "company_settings" ADD COLUMN IF NOT EXISTS "overtimeApprovalChain" JSONB NOT NULL DEFAULT '[]';
+ALTER TABLE "company_settings" ADD COLUMN IF NOT EXISTS "hourBankApprovalChain" JSONB NOT NULL DEFAULT '[]';
+
+-- CreateTable
+-- Etapas de aprovação de cada registro (registros sem etapas seguem a aprovação única do gestor)
+CREATE TABLE IF NOT EXISTS "approval_steps" (
+    "id" TEXT NOT NULL,
+    "overtimeId" TEXT,
+    "hourBankRecordId" TEXT,
+    "stepOrder" INTEGER NOT NULL,
+    "name" TEXT NOT NULL,
+    "role" "UserRole" NOT NULL,
+    "approverIds" JSONB NOT NULL DEFAULT '[]',
+    "status" "ApprovalStepStatus" NOT NULL DEFAULT 'pending',
+    "decidedBy" TEXT,
+    "decidedAt" TIMESTAMP(3),
+    "delegationId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "approval_steps_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX IF NOT EXISTS "approval_steps_overtimeId_stepOrder_key" ON "approval_steps"("overtimeId", "stepOrder");
+CREATE UNIQUE INDEX IF NOT EXISTS "approval_steps_hourBankRecordId_stepOrder_key" ON "approval_steps"("hourBankRecordId", "stepOrder");
+CREATE INDEX IF NOT EXISTS "approval_steps_status_idx" ON "approval_steps"("status");
+
+-- AddForeignKey
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'approval_steps_overtimeId_fkey') THEN
+        ALTER TABLE "approval_steps" ADD CONSTRAINT "approval_steps_overtimeId_fkey" FOREIGN KEY ("overtimeId") REFERENCES "overtimes"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'approval_steps_hourBankRecordId_fkey') THEN
+        ALTER TABLE "approval_steps" ADD CONSTRAINT "approval_steps_hourBankRecordId_fkey" FOREIGN KEY ("hourBankRecordId") REFERENCES "hour_bank_records"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'approval_steps_decidedBy_fkey') THEN
+        ALTER TABLE "approval_steps" ADD CONSTRAINT "approval_steps_decidedBy_fkey" FOREIGN KEY ("decidedBy") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+    END IF;
+END $$;
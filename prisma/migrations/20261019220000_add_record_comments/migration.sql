@@ -0,0 +1,53 @@
+-- CreateEnum
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_type WHERE typname = 'RecordCommentType') THEN
+        CREATE TYPE "RecordCommentType" AS ENUM ('comment', 'approval', 'rejection');
+    END IF;
+END $$;
+
+-- AlterEnum
+ALTER TYPE "AuditAction" ADD VALUE IF NOT EXISTS 'record_comment_added';
+
+-- AlterTable
+-- Motivo da rejeição de horas extras e registros do banco de horas
+ALTER TABLE "overtimes" ADD COLUMN IF NOT EXISTS "rejectionReason" TEXT;
+ALTER TABLE "hour_bank_records" ADD COLUMN IF NOT EXISTS "rejectionReason" TEXT;
+
+-- CreateTable
+-- Comentários em horas extras, registros do banco de horas e registros de ponto
+CREATE TABLE IF NOT EXISTS "record_comments" (
+    "id" TEXT NOT NULL,
+    "entityType" "EntityType" NOT NULL,
+    "overtimeId" TEXT,
+    "hourBankRecordId" TEXT,
+    "timeClockId" TEXT,
+    "authorId" TEXT NOT NULL,
+    "type" "RecordCommentType" NOT NULL DEFAULT 'comment',
+    "message" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "record_comments_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX IF NOT EXISTS "record_comments_overtimeId_idx" ON "record_comments"("overtimeId");
+CREATE INDEX IF NOT EXISTS "record_comments_hourBankRecordId_idx" ON "record_comments"("hourBankRecordId");
+CREATE INDEX IF NOT EXISTS "record_comments_timeClockId_idx" ON "record_comments"("timeClockId");
+
+-- AddForeignKey
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'record_comments_overtimeId_fkey') THEN
+        ALTER TABLE "record_comments" ADD CONSTRAINT "record_comments_overtimeId_fkey" FOREIGN KEY ("overtimeId") REFERENCES "overtimes"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'record_comments_hourBankRecordId_fkey') THEN
+        ALTER TABLE "record_comments" ADD CONSTRAINT "record_comments_hourBankRecordId_fkey" FOREIGN KEY ("hourBankRecordId") REFERENCES "hour_bank_records"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'record_comments_timeClockId_fkey') THEN
+        ALTER TABLE "record_comments" ADD CONSTRAINT "record_comments_timeClockId_fkey" FOREIGN KEY ("timeClockId") REFERENCES "time_clocks"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'record_comments_authorId_fkey') THEN
+        ALTER TABLE "record_comments" ADD CONSTRAINT "record_comments_authorId_fkey" FOREIGN KEY ("authorId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+    END IF;
+END $$;
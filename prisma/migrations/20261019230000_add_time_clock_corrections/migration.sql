@@ -0,0 +1,58 @@
+-- CreateEnum
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_type WHERE typname = 'TimeClockCorrectionStatus') THEN
+        CREATE TYPE "TimeClockCorrectionStatus" AS ENUM ('pending', 'approved', 'rejected', 'cancelled');
+    END IF;
+END $$;
+
+-- AlterEnum
+ALTER TYPE "AuditAction" ADD VALUE IF NOT EXISTS 'timeclock_correction_requested';
+ALTER TYPE "AuditAction" ADD VALUE IF NOT EXISTS 'timeclock_correction_approved';
+ALTER TYPE "AuditAction" ADD VALUE IF NOT EXISTS 'timeclock_correction_rejected';
+ALTER TYPE "AuditAction" ADD VALUE IF NOT EXISTS 'timeclock_correction_cancelled';
+
+-- CreateTable
+-- Solicitações de correção de batidas feitas pelos funcionários
+CREATE TABLE IF NOT EXISTS "time_clock_corrections" (
+    "id" TEXT NOT NULL,
+    "timeClockId" TEXT NOT NULL,
+    "employeeId" TEXT NOT NULL,
+    "requestedEntryTime" TIMESTAMP(3),
+    "requestedLunchExitTime" TIMESTAMP(3),
+    "requestedLunchReturnTime" TIMESTAMP(3),
+    "requestedExitTime" TIMESTAMP(3),
+    "originalEntryTime" TIMESTAMP(3),
+    "originalLunchExitTime" TIMESTAMP(3),
+    "originalLunchReturnTime" TIMESTAMP(3),
+    "originalExitTime" TIMESTAMP(3),
+    "reason" TEXT NOT NULL,
+    "status" "TimeClockCorrectionStatus" NOT NULL DEFAULT 'pending',
+    "reviewedBy" TEXT,
+    "reviewedAt" TIMESTAMP(3),
+    "reviewComment" TEXT,
+    "delegationId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "time_clock_corrections_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX IF NOT EXISTS "time_clock_corrections_timeClockId_idx" ON "time_clock_corrections"("timeClockId");
+CREATE INDEX IF NOT EXISTS "time_clock_corrections_employeeId_idx" ON "time_clock_corrections"("employeeId");
+CREATE INDEX IF NOT EXISTS "time_clock_corrections_status_idx" ON "time_clock_corrections"("status");
+
+-- AddForeignKey
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'time_clock_corrections_timeClockId_fkey') THEN
+        ALTER TABLE "time_clock_corrections" ADD CONSTRAINT "time_clock_corrections_timeClockId_fkey" FOREIGN KEY ("timeClockId") REFERENCES "time_clocks"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'time_clock_corrections_employeeId_fkey') THEN
+        ALTER TABLE "time_clock_corrections" ADD CONSTRAINT "time_clock_corrections_employeeId_fkey" FOREIGN KEY ("employeeId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'time_clock_corrections_reviewedBy_fkey') THEN
+        ALTER TABLE "time_clock_corrections" ADD CONSTRAINT "time_clock_corrections_reviewedBy_fkey" FOREIGN KEY ("reviewedBy") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+    END IF;
+END $$;
@@ -0,0 +1,88 @@
+-- CreateEnum
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_type WHERE typname = 'TimeClockPunchType') THEN
+        CREATE TYPE "TimeClockPunchType" AS ENUM ('entry', 'lunch_exit', 'lunch_return', 'exit');
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_type WHERE typname = 'TimeClockPunchKind') THEN
+        CREATE TYPE "TimeClockPunchKind" AS ENUM ('original', 'adjustment');
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_type WHERE typname = 'TimeClockPunchSource') THEN
+        CREATE TYPE "TimeClockPunchSource" AS ENUM ('clock', 'clock_with_justification', 'manual_edit', 'correction', 'legacy');
+    END IF;
+END $$;
+
+-- CreateTable
+-- Log imutável de batidas (Portaria 671)
+CREATE TABLE IF NOT EXISTS "time_clock_punches" (
+    "id" TEXT NOT NULL,
+    "nsr" SERIAL NOT NULL,
+    "timeClockId" TEXT NOT NULL,
+    "employeeId" TEXT NOT NULL,
+    "date" TEXT NOT NULL,
+    "type" "TimeClockPunchType" NOT NULL,
+    "kind" "TimeClockPunchKind" NOT NULL DEFAULT 'original',
+    "punchTime" TIMESTAMP(3),
+    "source" "TimeClockPunchSource" NOT NULL,
+    "adjustsId" TEXT,
+    "reason" TEXT,
+    "correctionId" TEXT,
+    "recordedBy" TEXT,
+    "ipAddress" TEXT,
+    "recordedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "time_clock_punches_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX IF NOT EXISTS "time_clock_punches_nsr_key" ON "time_clock_punches"("nsr");
+CREATE INDEX IF NOT EXISTS "time_clock_punches_timeClockId_idx" ON "time_clock_punches"("timeClockId");
+CREATE INDEX IF NOT EXISTS "time_clock_punches_employeeId_date_idx" ON "time_clock_punches"("employeeId", "date");
+
+-- AddForeignKey
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'time_clock_punches_timeClockId_fkey') THEN
+        ALTER TABLE "time_clock_punches" ADD CONSTRAINT "time_clock_punches_timeClockId_fkey" FOREIGN KEY ("timeClockId") REFERENCES "time_clocks"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'time_clock_punches_employeeId_fkey') THEN
+        ALTER TABLE "time_clock_punches" ADD CONSTRAINT "time_clock_punches_employeeId_fkey" FOREIGN KEY ("employeeId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'time_clock_punches_recordedBy_fkey') THEN
+        ALTER TABLE "time_clock_punches" ADD CONSTRAINT "time_clock_punches_recordedBy_fkey" FOREIGN KEY ("recordedBy") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'time_clock_punches_adjustsId_fkey') THEN
+        ALTER TABLE "time_clock_punches" ADD CONSTRAINT "time_clock_punches_adjustsId_fkey" FOREIGN KEY ("adjustsId") REFERENCES "time_clock_punches"("id") ON DELETE NO ACTION ON UPDATE CASCADE;
+    END IF;
+END $$;
+
+-- Batidas não podem ser alteradas; a única atualização aceita é a remoção do usuário que registrou
+-- (ON DELETE SET NULL ao excluir o usuário)
+CREATE OR REPLACE FUNCTION "time_clock_punches_immutable"() RETURNS trigger AS $$
+BEGIN
+    IF NEW."recordedBy" IS NULL AND (to_jsonb(NEW) - 'recordedBy') = (to_jsonb(OLD) - 'recordedBy') THEN
+        RETURN NEW;
+    END IF;
+    RAISE EXCEPTION 'Batidas de ponto são imutáveis; registre um ajuste';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS "time_clock_punches_no_update" ON "time_clock_punches";
+CREATE TRIGGER "time_clock_punches_no_update"
+    BEFORE UPDATE ON "time_clock_punches"
+    FOR EACH ROW EXECUTE FUNCTION "time_clock_punches_immutable"();
+
+-- Backfill: batidas já gravadas nos registros de ponto entram no log como originais legadas
+INSERT INTO "time_clock_punches" ("id", "timeClockId", "employeeId", "date", "type", "kind", "punchTime", "source", "recordedAt")
+SELECT md5(random()::text || clock_timestamp()::text || t."id" || p."type")::uuid::text,
+       t."id", t."employeeId", t."date", p."type"::"TimeClockPunchType", 'original', p."punchTime", 'legacy', t."updatedAt"
+FROM "time_clocks" t
+CROSS JOIN LATERAL (VALUES
+    ('entry', t."entryTime", 1),
+    ('lunch_exit', t."lunchExitTime", 2),
+    ('lunch_return', t."lunchReturnTime", 3),
+    ('exit', t."exitTime", 4)
+) AS p("type", "punchTime", "position")
+WHERE p."punchTime" IS NOT NULL
+  AND NOT EXISTS (SELECT 1 FROM "time_clock_punches" e WHERE e."timeClockId" = t."id")
+ORDER BY t."date", t."employeeId", p."position";
@@ -0,0 +1,20 @@
+-- AlterEnum
+ALTER TYPE "AuditAction" ADD VALUE IF NOT EXISTS 'employee_documents_changed';
+ALTER TYPE "AuditAction" ADD VALUE IF NOT EXISTS 'portaria_file_exported';
+ALTER TYPE "EntityType" ADD VALUE IF NOT EXISTS 'report';
+
+-- AlterTable
+-- Documentos do funcionário usados nos arquivos AFD/AEJ (Portaria 671)
+ALTER TABLE "users" ADD COLUMN IF NOT EXISTS "cpf" TEXT;
+ALTER TABLE "users" ADD COLUMN IF NOT EXISTS "pis" TEXT;
+
+-- Identificação do empregador e do programa de registro de ponto
+ALTER TABLE "company_settings" ADD COLUMN IF NOT EXISTS "employerDocument" TEXT;
+ALTER TABLE "company_settings" ADD COLUMN IF NOT EXISTS "legalName" TEXT;
+ALTER TABLE "company_settings" ADD COLUMN IF NOT EXISTS "repInpiNumber" TEXT;
+ALTER TABLE "company_settings" ADD COLUMN IF NOT EXISTS "repDeveloperDocument" TEXT;
+ALTER TABLE "company_settings" ADD COLUMN IF NOT EXISTS "repDeveloperName" TEXT;
+ALTER TABLE "company_settings" ADD COLUMN IF NOT EXISTS "repDeveloperEmail" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX IF NOT EXISTS "users_cpf_key" ON "users"("cpf");
@@ -0,0 +1,68 @@
+-- CreateEnum
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_type WHERE typname = 'TimesheetClosingStatus') THEN
+        CREATE TYPE "TimesheetClosingStatus" AS ENUM ('open', 'closed', 'acknowledged', 'disputed');
+    END IF;
+END $$;
+
+-- AlterEnum
+ALTER TYPE "AuditAction" ADD VALUE IF NOT EXISTS 'timesheet_closed';
+ALTER TYPE "AuditAction" ADD VALUE IF NOT EXISTS 'timesheet_acknowledged';
+ALTER TYPE "AuditAction" ADD VALUE IF NOT EXISTS 'timesheet_disputed';
+ALTER TYPE "AuditAction" ADD VALUE IF NOT EXISTS 'timesheet_reopened';
+ALTER TYPE "EntityType" ADD VALUE IF NOT EXISTS 'timesheet';
+ALTER TYPE "RecordCommentType" ADD VALUE IF NOT EXISTS 'dispute';
+
+-- CreateTable
+-- Fechamento mensal do espelho de ponto e ciência do funcionário
+CREATE TABLE IF NOT EXISTS "timesheet_closings" (
+    "id" TEXT NOT NULL,
+    "employeeId" TEXT NOT NULL,
+    "year" INTEGER NOT NULL,
+    "month" INTEGER NOT NULL,
+    "status" "TimesheetClosingStatus" NOT NULL DEFAULT 'open',
+    "closedBy" TEXT,
+    "closedAt" TIMESTAMP(3),
+    "contentHash" TEXT,
+    "acknowledgedAt" TIMESTAMP(3),
+    "acknowledgedHash" TEXT,
+    "ipAddress" TEXT,
+    "userAgent" TEXT,
+    "disputeReason" TEXT,
+    "disputedAt" TIMESTAMP(3),
+    "reopenedBy" TEXT,
+    "reopenedAt" TIMESTAMP(3),
+    "reopenReason" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "timesheet_closings_pkey" PRIMARY KEY ("id")
+);
+
+-- AlterTable
+-- Conversa da contestação do espelho de ponto
+ALTER TABLE "record_comments" ADD COLUMN IF NOT EXISTS "timesheetClosingId" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX IF NOT EXISTS "timesheet_closings_employeeId_year_month_key" ON "timesheet_closings"("employeeId", "year", "month");
+CREATE INDEX IF NOT EXISTS "timesheet_closings_status_idx" ON "timesheet_closings"("status");
+CREATE INDEX IF NOT EXISTS "timesheet_closings_year_month_idx" ON "timesheet_closings"("year", "month");
+CREATE INDEX IF NOT EXISTS "record_comments_timesheetClosingId_idx" ON "record_comments"("timesheetClosingId");
+
+-- AddForeignKey
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'timesheet_closings_employeeId_fkey') THEN
+        ALTER TABLE "timesheet_closings" ADD CONSTRAINT "timesheet_closings_employeeId_fkey" FOREIGN KEY ("employeeId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'timesheet_closings_closedBy_fkey') THEN
+        ALTER TABLE "timesheet_closings" ADD CONSTRAINT "timesheet_closings_closedBy_fkey" FOREIGN KEY ("closedBy") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'timesheet_closings_reopenedBy_fkey') THEN
+        ALTER TABLE "timesheet_closings" ADD CONSTRAINT "timesheet_closings_reopenedBy_fkey" FOREIGN KEY ("reopenedBy") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'record_comments_timesheetClosingId_fkey') THEN
+        ALTER TABLE "record_comments" ADD CONSTRAINT "record_comments_timesheetClosingId_fkey" FOREIGN KEY ("timesheetClosingId") REFERENCES "timesheet_closings"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+    END IF;
+END $$;
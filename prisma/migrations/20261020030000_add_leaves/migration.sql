@@ -0,0 +1,58 @@
+-- CreateEnum
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_type WHERE typname = 'LeaveType') THEN
+        CREATE TYPE "LeaveType" AS ENUM ('vacation', 'medical', 'maternity', 'bereavement', 'unpaid');
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_type WHERE typname = 'LeaveStatus') THEN
+        CREATE TYPE "LeaveStatus" AS ENUM ('pending', 'approved', 'rejected', 'cancelled');
+    END IF;
+END $$;
+
+-- AlterEnum
+ALTER TYPE "AuditAction" ADD VALUE IF NOT EXISTS 'leave_requested';
+ALTER TYPE "AuditAction" ADD VALUE IF NOT EXISTS 'leave_approved';
+ALTER TYPE "AuditAction" ADD VALUE IF NOT EXISTS 'leave_rejected';
+ALTER TYPE "AuditAction" ADD VALUE IF NOT EXISTS 'leave_cancelled';
+ALTER TYPE "EntityType" ADD VALUE IF NOT EXISTS 'leave';
+
+-- CreateTable
+-- Afastamentos (férias, licenças) solicitados pelos funcionários ou registrados pelos gestores
+CREATE TABLE IF NOT EXISTS "leaves" (
+    "id" TEXT NOT NULL,
+    "employeeId" TEXT NOT NULL,
+    "type" "LeaveType" NOT NULL,
+    "startDate" TEXT NOT NULL,
+    "endDate" TEXT NOT NULL,
+    "days" INTEGER NOT NULL,
+    "reason" TEXT,
+    "status" "LeaveStatus" NOT NULL DEFAULT 'pending',
+    "createdBy" TEXT NOT NULL,
+    "reviewedBy" TEXT,
+    "reviewedAt" TIMESTAMP(3),
+    "reviewComment" TEXT,
+    "delegationId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "leaves_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX IF NOT EXISTS "leaves_employeeId_idx" ON "leaves"("employeeId");
+CREATE INDEX IF NOT EXISTS "leaves_status_idx" ON "leaves"("status");
+CREATE INDEX IF NOT EXISTS "leaves_employeeId_startDate_endDate_idx" ON "leaves"("employeeId", "startDate", "endDate");
+
+-- AddForeignKey
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'leaves_employeeId_fkey') THEN
+        ALTER TABLE "leaves" ADD CONSTRAINT "leaves_employeeId_fkey" FOREIGN KEY ("employeeId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'leaves_createdBy_fkey') THEN
+        ALTER TABLE "leaves" ADD CONSTRAINT "leaves_createdBy_fkey" FOREIGN KEY ("createdBy") REFERENCES "users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'leaves_reviewedBy_fkey') THEN
+        ALTER TABLE "leaves" ADD CONSTRAINT "leaves_reviewedBy_fkey" FOREIGN KEY ("reviewedBy") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+    END IF;
+END $$;
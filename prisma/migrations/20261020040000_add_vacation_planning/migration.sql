@@ -0,0 +1,13 @@
+-- AlterEnum
+ALTER TYPE "AuditAction" ADD VALUE IF NOT EXISTS 'employee_admission_date_changed';
+
+-- AlterTable
+-- Data de admissão: início dos períodos aquisitivos de férias (CLT)
+ALTER TABLE "users" ADD COLUMN IF NOT EXISTS "admissionDate" TEXT;
+
+-- Férias vinculadas ao período aquisitivo e abono pecuniário
+ALTER TABLE "leaves" ADD COLUMN IF NOT EXISTS "acquisitionPeriodStart" TEXT;
+ALTER TABLE "leaves" ADD COLUMN IF NOT EXISTS "soldDays" INTEGER NOT NULL DEFAULT 0;
+
+-- CreateIndex
+CREATE INDEX IF NOT EXISTS "leaves_employeeId_acquisitionPeriodStart_idx" ON "leaves"("employeeId", "acquisitionPeriodStart");
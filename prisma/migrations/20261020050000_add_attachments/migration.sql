@@ -0,0 +1,65 @@
+-- CreateEnum
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_type WHERE typname = 'AttachmentStorage') THEN
+        CREATE TYPE "AttachmentStorage" AS ENUM ('database', 'disk', 's3');
+    END IF;
+END $$;
+
+-- AlterEnum
+ALTER TYPE "AuditAction" ADD VALUE IF NOT EXISTS 'attachment_uploaded';
+ALTER TYPE "AuditAction" ADD VALUE IF NOT EXISTS 'attachment_deleted';
+
+-- AlterTable
+-- Prazo de guarda do conteúdo dos anexos (0 = sem remoção)
+ALTER TABLE "company_settings" ADD COLUMN IF NOT EXISTS "attachmentRetentionMonths" INTEGER NOT NULL DEFAULT 60;
+
+-- CreateTable
+-- Documentos (atestados, declarações) anexados a registros de ponto, afastamentos e horas extras
+CREATE TABLE IF NOT EXISTS "attachments" (
+    "id" TEXT NOT NULL,
+    "entityType" "EntityType" NOT NULL,
+    "timeClockId" TEXT,
+    "leaveId" TEXT,
+    "overtimeId" TEXT,
+    "employeeId" TEXT NOT NULL,
+    "fileName" TEXT NOT NULL,
+    "contentType" TEXT NOT NULL,
+    "size" INTEGER NOT NULL,
+    "sha256" TEXT NOT NULL,
+    "storage" "AttachmentStorage" NOT NULL,
+    "storageKey" TEXT,
+    "data" BYTEA,
+    "uploadedBy" TEXT NOT NULL,
+    "purgedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "attachments_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX IF NOT EXISTS "attachments_timeClockId_idx" ON "attachments"("timeClockId");
+CREATE INDEX IF NOT EXISTS "attachments_leaveId_idx" ON "attachments"("leaveId");
+CREATE INDEX IF NOT EXISTS "attachments_overtimeId_idx" ON "attachments"("overtimeId");
+CREATE INDEX IF NOT EXISTS "attachments_employeeId_idx" ON "attachments"("employeeId");
+CREATE INDEX IF NOT EXISTS "attachments_purgedAt_createdAt_idx" ON "attachments"("purgedAt", "createdAt");
+
+-- AddForeignKey
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'attachments_timeClockId_fkey') THEN
+        ALTER TABLE "attachments" ADD CONSTRAINT "attachments_timeClockId_fkey" FOREIGN KEY ("timeClockId") REFERENCES "time_clocks"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'attachments_leaveId_fkey') THEN
+        ALTER TABLE "attachments" ADD CONSTRAINT "attachments_leaveId_fkey" FOREIGN KEY ("leaveId") REFERENCES "leaves"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'attachments_overtimeId_fkey') THEN
+        ALTER TABLE "attachments" ADD CONSTRAINT "attachments_overtimeId_fkey" FOREIGN KEY ("overtimeId") REFERENCES "overtimes"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'attachments_employeeId_fkey') THEN
+        ALTER TABLE "attachments" ADD CONSTRAINT "attachments_employeeId_fkey" FOREIGN KEY ("employeeId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'attachments_uploadedBy_fkey') THEN
+        ALTER TABLE "attachments" ADD CONSTRAINT "attachments_uploadedBy_fkey" FOREIGN KEY ("uploadedBy") REFERENCES "users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+    END IF;
+END $$;
@@ -0,0 +1,25 @@
+-- CreateEnum
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_type WHERE typname = 'JustificationCategory') THEN
+        CREATE TYPE "JustificationCategory" AS ENUM ('medical', 'legal', 'union', 'personal', 'other');
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_type WHERE typname = 'JustificationEffect') THEN
+        CREATE TYPE "JustificationEffect" AS ENUM ('waive', 'partial_waive', 'debit');
+    END IF;
+END $$;
+
+-- AlterEnum
+ALTER TYPE "AuditAction" ADD VALUE IF NOT EXISTS 'timeclock_hours_waived';
+
+-- AlterTable
+-- Categoria, efeito sobre as horas não trabalhadas e disponibilidade por departamento
+ALTER TABLE "time_clock_justifications" ADD COLUMN IF NOT EXISTS "category" "JustificationCategory" NOT NULL DEFAULT 'other';
+ALTER TABLE "time_clock_justifications" ADD COLUMN IF NOT EXISTS "effect" "JustificationEffect" NOT NULL DEFAULT 'debit';
+ALTER TABLE "time_clock_justifications" ADD COLUMN IF NOT EXISTS "maxWaivedHours" DOUBLE PRECISION;
+ALTER TABLE "time_clock_justifications" ADD COLUMN IF NOT EXISTS "requiresApproval" BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE "time_clock_justifications" ADD COLUMN IF NOT EXISTS "requiresAttachment" BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE "time_clock_justifications" ADD COLUMN IF NOT EXISTS "departmentIds" JSONB NOT NULL DEFAULT '[]';
+
+-- Horas abonadas pela justificativa no registro de ponto
+ALTER TABLE "time_clocks" ADD COLUMN IF NOT EXISTS "waivedHours" DOUBLE PRECISION;
@@ -0,0 +1,31 @@
+-- CreateEnum
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_type WHERE typname = 'JustificationReviewStatus') THEN
+        CREATE TYPE "JustificationReviewStatus" AS ENUM ('pending', 'approved', 'rejected');
+    END IF;
+END $$;
+
+-- AlterEnum
+ALTER TYPE "AuditAction" ADD VALUE IF NOT EXISTS 'justification_approved';
+ALTER TYPE "AuditAction" ADD VALUE IF NOT EXISTS 'justification_rejected';
+
+-- AlterTable
+-- Análise pelo gestor das justificativas enviadas pelos funcionários
+ALTER TABLE "time_clocks" ADD COLUMN IF NOT EXISTS "justificationStatus" "JustificationReviewStatus";
+ALTER TABLE "time_clocks" ADD COLUMN IF NOT EXISTS "justificationSubmittedAt" TIMESTAMP(3);
+ALTER TABLE "time_clocks" ADD COLUMN IF NOT EXISTS "justificationReviewedBy" TEXT;
+ALTER TABLE "time_clocks" ADD COLUMN IF NOT EXISTS "justificationReviewedAt" TIMESTAMP(3);
+ALTER TABLE "time_clocks" ADD COLUMN IF NOT EXISTS "justificationReviewComment" TEXT;
+ALTER TABLE "time_clocks" ADD COLUMN IF NOT EXISTS "justificationDelegationId" TEXT;
+
+-- CreateIndex
+CREATE INDEX IF NOT EXISTS "time_clocks_justificationStatus_idx" ON "time_clocks"("justificationStatus");
+
+-- AddForeignKey
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'time_clocks_justificationReviewedBy_fkey') THEN
+        ALTER TABLE "time_clocks" ADD CONSTRAINT "time_clocks_justificationReviewedBy_fkey" FOREIGN KEY ("justificationReviewedBy") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+    END IF;
+END $$;
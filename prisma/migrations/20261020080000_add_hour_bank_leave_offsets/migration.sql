@@ -0,0 +1,14 @@
+-- AlterTable
+-- Créditos de estorno de débitos já aprovados em dias cobertos por afastamento (desfeitos no cancelamento)
+ALTER TABLE "hour_bank_records" ADD COLUMN IF NOT EXISTS "leaveId" TEXT;
+
+-- CreateIndex
+CREATE INDEX IF NOT EXISTS "hour_bank_records_leaveId_idx" ON "hour_bank_records"("leaveId");
+
+-- AddForeignKey
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'hour_bank_records_leaveId_fkey') THEN
+        ALTER TABLE "hour_bank_records" ADD CONSTRAINT "hour_bank_records_leaveId_fkey" FOREIGN KEY ("leaveId") REFERENCES "leaves"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+    END IF;
+END $$;
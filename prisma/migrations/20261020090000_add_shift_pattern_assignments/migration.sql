@@ -0,0 +1,49 @@
+-- CreateTable
+-- Vigência das escalas de revezamento atribuídas aos funcionários (antes a escala atual valia para todas as datas)
+CREATE TABLE IF NOT EXISTS "shift_pattern_assignments" (
+    "id" TEXT NOT NULL,
+    "employeeId" TEXT NOT NULL,
+    "shiftPatternId" TEXT NOT NULL,
+    "anchorDate" TEXT,
+    "validFrom" TEXT NOT NULL,
+    "validTo" TEXT,
+    "createdBy" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "shift_pattern_assignments_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX IF NOT EXISTS "shift_pattern_assignments_employeeId_validFrom_key" ON "shift_pattern_assignments"("employeeId", "validFrom");
+CREATE INDEX IF NOT EXISTS "shift_pattern_assignments_employeeId_idx" ON "shift_pattern_assignments"("employeeId");
+CREATE INDEX IF NOT EXISTS "shift_pattern_assignments_shiftPatternId_idx" ON "shift_pattern_assignments"("shiftPatternId");
+
+-- AddForeignKey
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'shift_pattern_assignments_employeeId_fkey') THEN
+        ALTER TABLE "shift_pattern_assignments" ADD CONSTRAINT "shift_pattern_assignments_employeeId_fkey" FOREIGN KEY ("employeeId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'shift_pattern_assignments_shiftPatternId_fkey') THEN
+        ALTER TABLE "shift_pattern_assignments" ADD CONSTRAINT "shift_pattern_assignments_shiftPatternId_fkey" FOREIGN KEY ("shiftPatternId") REFERENCES "shift_patterns"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'shift_pattern_assignments_createdBy_fkey') THEN
+        ALTER TABLE "shift_pattern_assignments" ADD CONSTRAINT "shift_pattern_assignments_createdBy_fkey" FOREIGN KEY ("createdBy") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+    END IF;
+END $$;
+
+-- Backfill: uma atribuição aberta para cada funcionário com escala, vigente desde a última troca de escala
+-- registrada na auditoria (ou desde o cadastro do funcionário, quando não há registro)
+INSERT INTO "shift_pattern_assignments" ("id", "employeeId", "shiftPatternId", "anchorDate", "validFrom", "validTo", "createdAt", "updatedAt")
+SELECT md5(random()::text || clock_timestamp()::text || u."id")::uuid::text,
+       u."id", u."shiftPatternId", u."shiftPatternAnchorDate",
+       to_char(COALESCE(
+         (SELECT MAX(a."createdAt") FROM "audit_logs" a
+          WHERE a."action" = 'employee_shift_pattern_changed' AND a."entityId" = u."id"),
+         u."createdAt"
+       ), 'YYYY-MM-DD'),
+       NULL, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP
+FROM "users" u
+WHERE u."shiftPatternId" IS NOT NULL
+  AND NOT EXISTS (SELECT 1 FROM "shift_pattern_assignments" s WHERE s."employeeId" = u."id");
@@ -0,0 +1,157 @@
+-- Unificar departamentos que diferem apenas em maiúsculas/minúsculas ou espaços (ex: "TI" e "ti")
+-- O departamento mantido é o com mais funcionários (no empate, o mais antigo)
+CREATE TEMP TABLE "department_merges" AS
+SELECT d."id" AS "duplicateId", c."id" AS "canonicalId"
+FROM "departments" d
+JOIN LATERAL (
+    SELECT c."id"
+    FROM "departments" c
+    WHERE lower(btrim(c."name")) = lower(btrim(d."name"))
+    ORDER BY (SELECT COUNT(*) FROM "users" u WHERE u."departmentId" = c."id") DESC, c."createdAt" ASC, c."id" ASC
+    LIMIT 1
+) c ON TRUE
+WHERE c."id" <> d."id";
+
+UPDATE "users" u SET "departmentId" = m."canonicalId"
+FROM "department_merges" m
+WHERE u."departmentId" = m."duplicateId";
+
+INSERT INTO "department_managers" ("departmentId", "userId", "createdAt")
+SELECT m."canonicalId", dm."userId", dm."createdAt"
+FROM "department_managers" dm
+JOIN "department_merges" m ON m."duplicateId" = dm."departmentId"
+ON CONFLICT DO NOTHING;
+
+UPDATE "approval_delegations" a SET "departmentId" = m."canonicalId"
+FROM "department_merges" m
+WHERE a."departmentId" = m."duplicateId";
+
+UPDATE "departments" d SET "parentId" = m."canonicalId"
+FROM "department_merges" m
+WHERE d."parentId" = m."duplicateId";
+
+DO $$
+DECLARE
+    merge RECORD;
+BEGIN
+    FOR merge IN SELECT "duplicateId", "canonicalId" FROM "department_merges" LOOP
+        UPDATE "time_clock_justifications"
+        SET "departmentIds" = replace("departmentIds"::text, merge."duplicateId", merge."canonicalId")::jsonb
+        WHERE "departmentIds" ? merge."duplicateId";
+    END LOOP;
+END $$;
+
+-- Um departamento que ficaria pai de si mesmo passa a ser raiz
+UPDATE "departments" SET "parentId" = NULL WHERE "parentId" = "id";
+
+-- Centro de custo e ID externo dos duplicados passam para o departamento mantido (se ele não tiver)
+CREATE TEMP TABLE "department_merge_codes" AS
+SELECT m."canonicalId", MAX(d."costCenter") AS "costCenter", MAX(d."externalId") AS "externalId"
+FROM "department_merges" m
+JOIN "departments" d ON d."id" = m."duplicateId"
+GROUP BY m."canonicalId";
+
+DELETE FROM "departments" d
+USING "department_merges" m
+WHERE d."id" = m."duplicateId";
+
+UPDATE "departments" d SET
+    "costCenter" = COALESCE(d."costCenter", c."costCenter"),
+    "externalId" = COALESCE(d."externalId", c."externalId")
+FROM "department_merge_codes" c
+WHERE d."id" = c."canonicalId";
+
+DROP TABLE "department_merge_codes";
+DROP TABLE "department_merges";
+
+-- Funcionários com texto livre ainda sem vínculo e nomes fora de sincronia com o departamento
+UPDATE "users" u SET "departmentId" = d."id"
+FROM "departments" d
+WHERE u."departmentId" IS NULL AND u."department" <> '' AND lower(btrim(d."name")) = lower(btrim(u."department"));
+
+UPDATE "users" u SET "department" = d."name"
+FROM "departments" d
+WHERE u."departmentId" = d."id" AND u."department" <> d."name";
+
+-- AlterTable
+-- Regras de multiplicador e limites do banco de horas passam a referenciar o departamento pelo ID
+ALTER TABLE "department_hour_bank_rules" ADD COLUMN IF NOT EXISTS "departmentId" TEXT;
+ALTER TABLE "department_hour_bank_limits" ADD COLUMN IF NOT EXISTS "departmentId" TEXT;
+
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'department_hour_bank_rules' AND column_name = 'department') THEN
+        -- Nomes sem departamento cadastrado viram departamentos (as regras não se perdem)
+        INSERT INTO "departments" ("id", "name", "createdAt", "updatedAt")
+        SELECT md5(random()::text || clock_timestamp()::text || r."name")::uuid::text, r."name", CURRENT_TIMESTAMP, CURRENT_TIMESTAMP
+        FROM (
+            SELECT DISTINCT ON (lower(btrim("department"))) btrim("department") AS "name"
+            FROM "department_hour_bank_rules"
+            WHERE btrim("department") <> ''
+            ORDER BY lower(btrim("department")), "updatedAt" DESC
+        ) r
+        WHERE NOT EXISTS (SELECT 1 FROM "departments" d WHERE lower(btrim(d."name")) = lower(r."name"));
+
+        UPDATE "department_hour_bank_rules" r SET "departmentId" = d."id"
+        FROM "departments" d
+        WHERE r."departmentId" IS NULL AND lower(btrim(d."name")) = lower(btrim(r."department"));
+
+        ALTER TABLE "department_hour_bank_rules" DROP COLUMN "department";
+    END IF;
+
+    IF EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'department_hour_bank_limits' AND column_name = 'department') THEN
+        INSERT INTO "departments" ("id", "name", "createdAt", "updatedAt")
+        SELECT md5(random()::text || clock_timestamp()::text || l."name")::uuid::text, l."name", CURRENT_TIMESTAMP, CURRENT_TIMESTAMP
+        FROM (
+            SELECT DISTINCT ON (lower(btrim("department"))) btrim("department") AS "name"
+            FROM "department_hour_bank_limits"
+            WHERE btrim("department") <> ''
+            ORDER BY lower(btrim("department")), "updatedAt" DESC
+        ) l
+        WHERE NOT EXISTS (SELECT 1 FROM "departments" d WHERE lower(btrim(d."name")) = lower(l."name"));
+
+        UPDATE "department_hour_bank_limits" l SET "departmentId" = d."id"
+        FROM "departments" d
+        WHERE l."departmentId" IS NULL AND lower(btrim(d."name")) = lower(btrim(l."department"));
+
+        ALTER TABLE "department_hour_bank_limits" DROP COLUMN "department";
+    END IF;
+END $$;
+
+-- Variantes do mesmo departamento: mantém a configuração alterada por último
+DELETE FROM "department_hour_bank_rules" r
+WHERE r."departmentId" IS NULL
+   OR EXISTS (
+       SELECT 1 FROM "department_hour_bank_rules" o
+       WHERE o."departmentId" = r."departmentId"
+         AND (o."updatedAt" > r."updatedAt" OR (o."updatedAt" = r."updatedAt" AND o."id" > r."id"))
+   );
+
+DELETE FROM "department_hour_bank_limits" l
+WHERE l."departmentId" IS NULL
+   OR EXISTS (
+       SELECT 1 FROM "department_hour_bank_limits" o
+       WHERE o."departmentId" = l."departmentId"
+         AND (o."updatedAt" > l."updatedAt" OR (o."updatedAt" = l."updatedAt" AND o."id" > l."id"))
+   );
+
+ALTER TABLE "department_hour_bank_rules" ALTER COLUMN "departmentId" SET NOT NULL;
+ALTER TABLE "department_hour_bank_limits" ALTER COLUMN "departmentId" SET NOT NULL;
+
+-- CreateIndex
+DROP INDEX IF EXISTS "department_hour_bank_rules_department_key";
+DROP INDEX IF EXISTS "department_hour_bank_limits_department_key";
+CREATE UNIQUE INDEX IF NOT EXISTS "department_hour_bank_rules_departmentId_key" ON "department_hour_bank_rules"("departmentId");
+CREATE UNIQUE INDEX IF NOT EXISTS "department_hour_bank_limits_departmentId_key" ON "department_hour_bank_limits"("departmentId");
+
+-- AddForeignKey
+-- Excluir o departamento remove as suas regras e limites
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'department_hour_bank_rules_departmentId_fkey') THEN
+        ALTER TABLE "department_hour_bank_rules" ADD CONSTRAINT "department_hour_bank_rules_departmentId_fkey" FOREIGN KEY ("departmentId") REFERENCES "departments"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'department_hour_bank_limits_departmentId_fkey') THEN
+        ALTER TABLE "department_hour_bank_limits" ADD CONSTRAINT "department_hour_bank_limits_departmentId_fkey" FOREIGN KEY ("departmentId") REFERENCES "departments"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+    END IF;
+END $$;
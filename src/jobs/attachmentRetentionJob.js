@@ -0,0 +1,82 @@
+import prisma from '../config/database.js';
+import logger from '../utils/logger.js';
+import { getOrCreateSettings } from '../models/companySettings.model.js';
+import { removeAttachmentContent } from '../services/attachmentStorage.js';
+import { getAttachmentRetentionCutoff } from '../utils/attachmentUtils.js';
+
+// Anexos processados por lote
+const BATCH_SIZE = 100;
+
+/**
+ * Job diário da política de retenção dos anexos
+ *
+ * Anexos enviados há mais tempo que o prazo configurado em CompanySettings (attachmentRetentionMonths)
+ * têm o conteúdo removido do banco, disco ou bucket. Os metadados (nome, tamanho, hash, quem enviou)
+ * permanecem no registro, marcado com purgedAt.
+ */
+export async function purgeExpiredAttachments() {
+  try {
+    const settings = await getOrCreateSettings();
+    const cutoff = getAttachmentRetentionCutoff(settings.attachmentRetentionMonths);
+    if (!cutoff) {
+      logger.info('Retenção de anexos desativada (attachmentRetentionMonths = 0)');
+      return { success: true, purged: 0, failed: 0 };
+    }
+
+    logger.info('Iniciando job de retenção de anexos', { cutoff: cutoff.toISOString(), retentionMonths: settings.attachmentRetentionMonths });
+
+    let purgedCount = 0;
+    const failedIds = [];
+
+    for (;;) {
+      const attachments = await prisma.attachment.findMany({
+        where: {
+          purgedAt: null,
+          createdAt: { lt: cutoff },
+          ...(failedIds.length > 0 ? { id: { notIn: failedIds } } : {})
+        },
+        select: { id: true, storage: true, storageKey: true },
+        orderBy: { createdAt: 'asc' },
+        take: BATCH_SIZE
+      });
+      if (attachments.length === 0) {
+        break;
+      }
+
+      for (const attachment of attachments) {
+        try {
+          await removeAttachmentContent(attachment);
+          await prisma.attachment.update({
+            where: { id: attachment.id },
+            data: { data: null, purgedAt: new Date() }
+          });
+          purgedCount++;
+        } catch (error) {
+          failedIds.push(attachment.id);
+          logger.logError(error, {
+            context: 'Erro ao remover conteúdo de anexo expirado',
+            attachmentId: attachment.id
+          });
+        }
+      }
+    }
+
+    const summary = {
+      success: true,
+      cutoff: cutoff.toISOString(),
+      purged: purgedCount,
+      failed: failedIds.length
+    };
+
+    logger.info('Job de retenção de anexos concluído', summary);
+
+    return summary;
+  } catch (error) {
+    logger.logError(error, { context: 'Erro no job de retenção de anexos' });
+    throw error;
+  }
+}
+
+export default {
+  purgeExpiredAttachments
+};
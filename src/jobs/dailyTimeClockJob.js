@@ -1,6 +1,12 @@
 import prisma from '../config/database.js';
 import logger from '../utils/logger.js';
-import { getScheduledHoursForDay } from '../utils/timeClockUtils.js';
+import { getScheduledHoursForDay, addDaysToDateString } from '../utils/timeClockUtils.js';
+import { getHolidaysForDate } from '../models/holiday.model.js';
+import { findHolidayForEmployee } from '../utils/holidayUtils.js';
+import { getCompanyTimezone } from '../models/companySettings.model.js';
+import { findLockingClosing } from '../models/timesheetClosing.model.js';
+import { findApprovedLeaveForDate } from '../models/leave.model.js';
+import { resolveTimezone, getTodayInTimezone } from '../utils/timezoneUtils.js';
 
 /**
  * Job diário para criar registros automáticos de ponto com horas negativas
@@ -11,10 +17,26 @@ import { getScheduledHoursForDay } from '../utils/timeClockUtils.js';
 export async function createDailyTimeClockRecords() {
   try {
     // Processar o dia anterior (ontem) para garantir que a jornada já terminou
-    const yesterday = new Date();
-    yesterday.setDate(yesterday.getDate() - 1);
-    const targetDate = yesterday.toISOString().split('T')[0];
-    logger.info('Iniciando job diário de criação de registros de ponto automáticos', { date: targetDate });
+    // "Ontem" é calculado no fuso da empresa (ou do funcionário), nunca em UTC
+    const companyTimezone = await getCompanyTimezone();
+    const targetDate = addDaysToDateString(getTodayInTimezone(companyTimezone), -1);
+    logger.info('Iniciando job diário de criação de registros de ponto automáticos', { date: targetDate, timezone: companyTimezone });
+    
+    // Feriados são buscados uma única vez por data (aplicabilidade é verificada por funcionário)
+    const holidaysByDate = new Map();
+    const getHolidays = async (dateString) => {
+      if (!holidaysByDate.has(dateString)) {
+        const holidays = await getHolidaysForDate(dateString);
+        if (holidays.length > 0) {
+          logger.info('Feriados encontrados para o dia alvo', {
+            date: dateString,
+            holidays: holidays.map(h => ({ name: h.name, type: h.type, isHalfDay: h.isHalfDay }))
+          });
+        }
+        holidaysByDate.set(dateString, holidays);
+      }
+      return holidaysByDate.get(dateString);
+    };
     
     // Buscar todos os funcionários (independente da role)
     const employees = await prisma.user.findMany({
@@ -30,14 +52,48 @@ export async function createDailyTimeClockRecords() {
             dayOfWeek: true,
             startTime: true,
             endTime: true,
-            isActive: true
+            isActive: true,
+            validFrom: true,
+            validTo: true
           },
           orderBy: {
             dayOfWeek: 'asc'
           }
         },
         lunchBreakHours: true,
-        requiresTimeClock: true
+        requiresTimeClock: true,
+        state: true,
+        city: true,
+        timezone: true,
+        shiftPatternId: true,
+        shiftPatternAnchorDate: true,
+        shiftPattern: {
+          select: {
+            id: true,
+            name: true,
+            cycleDays: true,
+            days: true,
+            anchorDate: true,
+            isActive: true
+          }
+        },
+        shiftPatternAssignments: { // Vigência das escalas (resolvida pela data do registro)
+          select: {
+            anchorDate: true,
+            validFrom: true,
+            validTo: true,
+            shiftPattern: {
+              select: {
+                id: true,
+                name: true,
+                cycleDays: true,
+                days: true,
+                anchorDate: true,
+                isActive: true
+              }
+            }
+          }
+        }
       }
     });
     
@@ -55,11 +111,23 @@ export async function createDailyTimeClockRecords() {
           continue;
         }
         
+        // Funcionários com fuso próprio (trabalho remoto) usam o "ontem" do seu fuso
+        const employeeTimezone = resolveTimezone(employee, companyTimezone);
+        const employeeTargetDate = employeeTimezone === companyTimezone
+          ? targetDate
+          : addDaysToDateString(getTodayInTimezone(employeeTimezone), -1);
+        
+        // Mês já fechado (espelho de ponto) é somente leitura
+        if (await findLockingClosing(employee.id, employeeTargetDate)) {
+          skippedCount++;
+          continue;
+        }
+        
         // Verificar se já existe registro para o dia alvo (ontem)
         const existingRecord = await prisma.timeClock.findFirst({
           where: {
             employeeId: employee.id,
-            date: targetDate
+            date: employeeTargetDate
           }
         });
         
@@ -70,10 +138,14 @@ export async function createDailyTimeClockRecords() {
         }
         
         // Calcular horas agendadas para o dia alvo (ontem) usando função utilitária
-        const targetDateObj = new Date(targetDate);
-        const scheduledHours = getScheduledHoursForDay(employee, targetDateObj);
+        // Feriados aplicáveis ao funcionário zeram (ou reduzem pela metade) as horas agendadas;
+        // afastamentos aprovados (férias, licenças) justificam o dia inteiro
+        const holidays = await getHolidays(employeeTargetDate);
+        const holiday = findHolidayForEmployee(holidays, employee, employeeTargetDate);
+        const leave = await findApprovedLeaveForDate(employee.id, employeeTargetDate);
+        const scheduledHours = getScheduledHoursForDay(employee, employeeTargetDate, holiday, leave);
         
-        // Se não há horário agendado para o dia (ex: fim de semana ou dia não configurado na escala), pular
+        // Se não há horário agendado para o dia (ex: fim de semana, feriado, afastamento ou dia não configurado na escala), pular
         if (scheduledHours === 0) {
           skippedCount++;
           continue;
@@ -100,7 +172,7 @@ export async function createDailyTimeClockRecords() {
           await prisma.timeClock.create({
             data: {
               employeeId: employee.id,
-              date: targetDate,
+              date: employeeTargetDate,
               scheduledHours,
               negativeHours: scheduledHours // Horas negativas = horas agendadas (não trabalhou)
             }
@@ -0,0 +1,111 @@
+import prisma from '../config/database.js';
+import logger from '../utils/logger.js';
+import { getOrCreateSettings, getCompanyTimezone } from '../models/companySettings.model.js';
+import { getCreditAllocations } from '../models/hourBankRecord.model.js';
+import { getTodayInTimezone } from '../utils/timezoneUtils.js';
+import { isCreditExpiredOn } from '../utils/hourBankUtils.js';
+
+/**
+ * Job diário para processar créditos do banco de horas cujo prazo de compensação venceu
+ *
+ * O saldo não compensado de cada crédito (consumo FIFO) é expirado ou marcado para pagamento,
+ * conforme a política configurada em CompanySettings (hourBankExpirationAction).
+ * Créditos totalmente compensados no prazo são marcados como "compensated".
+ */
+export async function expireHourBankCredits() {
+  try {
+    const settings = await getOrCreateSettings();
+    const today = getTodayInTimezone(await getCompanyTimezone());
+    const expirationStatus = settings.hourBankExpirationAction === 'payout' ? 'payout_pending' : 'expired';
+    logger.info('Iniciando job de expiração do banco de horas', { date: today, action: settings.hourBankExpirationAction });
+
+    // Funcionários com créditos vencidos ainda não processados
+    const dueCredits = await prisma.hourBankRecord.findMany({
+      where: {
+        type: 'credit',
+        status: 'approved',
+        expirationStatus: null,
+        expiresAt: { lt: today }
+      },
+      select: { employeeId: true },
+      distinct: ['employeeId']
+    });
+
+    let expiredCount = 0;
+    let payoutCount = 0;
+    let compensatedCount = 0;
+    let totalExpiredHours = 0;
+
+    for (const { employeeId } of dueCredits) {
+      try {
+        const { credits } = await getCreditAllocations(employeeId);
+
+        for (const credit of credits) {
+          if (credit.expirationStatus || !isCreditExpiredOn(credit, today)) {
+            continue;
+          }
+
+          if (credit.remainingHours > 0) {
+            await prisma.hourBankRecord.update({
+              where: { id: credit.id },
+              data: {
+                expirationStatus,
+                expiredHours: credit.remainingHours,
+                expiredAt: new Date()
+              }
+            });
+            totalExpiredHours += credit.remainingHours;
+            if (expirationStatus === 'payout_pending') {
+              payoutCount++;
+            } else {
+              expiredCount++;
+            }
+            logger.debug('Crédito do banco de horas vencido', {
+              employeeId,
+              recordId: credit.id,
+              expiresAt: credit.expiresAt,
+              expiredHours: credit.remainingHours,
+              expirationStatus
+            });
+          } else {
+            await prisma.hourBankRecord.update({
+              where: { id: credit.id },
+              data: {
+                expirationStatus: 'compensated',
+                expiredHours: 0,
+                expiredAt: new Date()
+              }
+            });
+            compensatedCount++;
+          }
+        }
+      } catch (error) {
+        logger.logError(error, {
+          context: 'Erro ao processar expiração do banco de horas do funcionário',
+          employeeId
+        });
+      }
+    }
+
+    const summary = {
+      success: true,
+      date: today,
+      employees: dueCredits.length,
+      expired: expiredCount,
+      payoutPending: payoutCount,
+      compensated: compensatedCount,
+      totalExpiredHours: Number(totalExpiredHours.toFixed(2))
+    };
+
+    logger.info('Job de expiração do banco de horas concluído', summary);
+
+    return summary;
+  } catch (error) {
+    logger.logError(error, { context: 'Erro no job de expiração do banco de horas' });
+    throw error;
+  }
+}
+
+export default {
+  expireHourBankCredits
+};
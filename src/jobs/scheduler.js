@@ -0,0 +1,82 @@
+import cron from 'node-cron';
+import logger from '../utils/logger.js';
+import { createDailyTimeClockRecords } from './dailyTimeClockJob.js';
+import { expireHourBankCredits } from './hourBankExpirationJob.js';
+import { purgeExpiredAttachments } from './attachmentRetentionJob.js';
+import { getCompanyTimezone } from '../models/companySettings.model.js';
+import { DEFAULT_TIMEZONE } from '../utils/timezoneUtils.js';
+
+/**
+ * Agendamento dos jobs diários no fuso da empresa
+ *
+ * As tarefas são recriadas quando o fuso muda nas configurações, para que o horário de execução
+ * acompanhe o fuso usado pelos próprios jobs ao calcular o dia anterior.
+ */
+
+// Jobs diários: horário (cron) e descrição para os logs
+const DAILY_JOBS = [
+  {
+    expression: '5 0 * * *',
+    time: '00:05',
+    name: 'criação de registros de ponto automáticos',
+    // Início do dia seguinte: todas as jornadas do dia anterior já terminaram
+    run: createDailyTimeClockRecords
+  },
+  {
+    expression: '15 0 * * *',
+    time: '00:15',
+    name: 'expiração do banco de horas',
+    // Créditos com prazo de compensação vencido são expirados ou marcados para pagamento
+    run: expireHourBankCredits
+  },
+  {
+    expression: '30 0 * * *',
+    time: '00:30',
+    name: 'retenção de anexos',
+    // Conteúdo de documentos mais antigos que o prazo configurado é removido
+    run: purgeExpiredAttachments
+  }
+];
+
+let scheduledTasks = [];
+
+/**
+ * Schedule (or reschedule) the daily jobs in the company timezone
+ * Tarefas agendadas anteriormente são interrompidas antes de criar as novas.
+ * @param {string|null} [timezone] - IANA timezone (null = busca nas configurações da empresa)
+ * @returns {Promise<string>} Timezone used
+ */
+export async function scheduleDailyJobs(timezone = null) {
+  let resolvedTimezone = timezone || DEFAULT_TIMEZONE;
+  if (!timezone) {
+    try {
+      resolvedTimezone = await getCompanyTimezone();
+    } catch (error) {
+      logger.logError(error, { context: 'Buscar fuso horário da empresa para os jobs diários' });
+    }
+  }
+
+  scheduledTasks.forEach(task => task.stop());
+  scheduledTasks = DAILY_JOBS.map(job => cron.schedule(job.expression, async () => {
+    try {
+      logger.info(`Executando job diário de ${job.name}`);
+      await job.run();
+      logger.info(`Job diário de ${job.name} concluído`);
+    } catch (error) {
+      logger.logError(error, { context: `Erro ao executar job diário de ${job.name}` });
+    }
+  }, {
+    scheduled: true,
+    timezone: resolvedTimezone
+  }));
+
+  DAILY_JOBS.forEach(job => {
+    logger.info(`Job diário de ${job.name} configurado para executar às ${job.time} (${resolvedTimezone})`);
+  });
+
+  return resolvedTimezone;
+}
+
+export default {
+  scheduleDailyJobs
+};
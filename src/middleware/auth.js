@@ -1,5 +1,6 @@
 import jwt from 'jsonwebtoken';
 import { findUserById } from '../models/user.model.js';
+import { getManagedDepartmentRecords } from '../models/department.model.js';
 import logger from '../utils/logger.js';
 
 export const protect = async (req, res, next) => {
@@ -23,6 +24,19 @@ export const protect = async (req, res, next) => {
         return res.status(401).json({ message: 'Usuário não encontrado' });
       }
 
+      // Managers acessam os departamentos atribuídos e seus subdepartamentos
+      if (user.role === 'manager') {
+        try {
+          const managedDepartments = await getManagedDepartmentRecords(user);
+          user.managedDepartmentIds = managedDepartments.map(department => department.id);
+          user.managedDepartments = managedDepartments.map(department => department.name);
+        } catch (error) {
+          logger.logError(error, { context: 'Carregar departamentos gerenciados', userId: user.id });
+          user.managedDepartmentIds = user.departmentId ? [user.departmentId] : [];
+          user.managedDepartments = user.department ? [user.department] : [];
+        }
+      }
+
       logger.debug('Usuário autenticado', { 
         userId: user.id, 
         userName: user.name,
@@ -1,9 +1,104 @@
 import { findUserById } from '../models/user.model.js';
+import { findApprovalDelegation } from '../models/approvalDelegation.model.js';
+import { getCompanyTimezone } from '../models/companySettings.model.js';
+import { getTodayInTimezone } from '../utils/timezoneUtils.js';
 import logger from '../utils/logger.js';
 
+/**
+ * Departamentos acessíveis por um manager
+ * Preenchido pelo middleware protect (próprio departamento, atribuídos e subdepartamentos)
+ * @param {Object} user - Usuário autenticado
+ * @returns {Array<string>} Nomes dos departamentos (para exibição; o acesso é verificado pelos IDs)
+ */
+export const getManagedDepartments = (user) => {
+  if (Array.isArray(user?.managedDepartments)) {
+    return user.managedDepartments;
+  }
+  return user?.department ? [user.department] : [];
+};
+
+/**
+ * IDs dos departamentos acessíveis por um manager
+ * Preenchido pelo middleware protect (próprio departamento, atribuídos e subdepartamentos)
+ * @param {Object} user - Usuário autenticado
+ * @returns {Array<string>} IDs dos departamentos
+ */
+export const getManagedDepartmentIds = (user) => {
+  if (Array.isArray(user?.managedDepartmentIds)) {
+    return user.managedDepartmentIds;
+  }
+  return user?.departmentId ? [user.departmentId] : [];
+};
+
+/**
+ * Verifica se o usuário pode acessar um departamento
+ * @param {Object} user - Usuário autenticado
+ * @param {string} departmentId - ID do departamento
+ * @returns {boolean} True se admin ou se o departamento está na subárvore do manager
+ */
+export const canAccessDepartment = (user, departmentId) => {
+  if (user?.role === 'admin') {
+    return true;
+  }
+  if (user?.role === 'manager') {
+    return Boolean(departmentId) && getManagedDepartmentIds(user).includes(departmentId);
+  }
+  return false;
+};
+
+/**
+ * Verifica se o usuário pode aprovar registros de um departamento
+ * Admin e managers do departamento aprovam diretamente; demais usuários precisam de
+ * uma delegação ativa hoje (fuso da empresa) cobrindo o departamento.
+ * @param {Object} user - Usuário autenticado
+ * @param {string} departmentId - ID do departamento do funcionário do registro
+ * @returns {Promise<Object>} { allowed: boolean, delegation: Object|null }
+ */
+export const getApprovalAuthority = async (user, departmentId) => {
+  if (canAccessDepartment(user, departmentId)) {
+    return { allowed: true, delegation: null };
+  }
+
+  const today = getTodayInTimezone(await getCompanyTimezone());
+  const delegation = await findApprovalDelegation(user.id, departmentId, today);
+
+  return { allowed: Boolean(delegation), delegation };
+};
+
+/**
+ * Verifica se o usuário pode decidir uma etapa da cadeia de aprovação
+ * Aprovadores designados (approverIds) decidem a etapa diretamente; etapas de admin exigem admin e
+ * etapas de manager seguem getApprovalAuthority. Quem aprovou uma etapa anterior não aprova a seguinte.
+ * Como na delegação, quem chama rejeita a decisão de registros do próprio aprovador designado (designated).
+ * @param {Object} user - Usuário autenticado
+ * @param {Object} step - Etapa ({ role, approverIds })
+ * @param {string} departmentId - ID do departamento do funcionário do registro
+ * @param {Array} steps - Todas as etapas do registro
+ * @returns {Promise<Object>} { allowed: boolean, delegation: Object|null, alreadyApproved: boolean, designated: boolean }
+ */
+export const getStepApprovalAuthority = async (user, step, departmentId, steps = []) => {
+  const alreadyApproved = steps.some(item =>
+    item.stepOrder < step.stepOrder && item.status === 'approved' && item.decidedBy === user.id
+  );
+  if (alreadyApproved) {
+    return { allowed: false, delegation: null, alreadyApproved: true, designated: false };
+  }
+
+  if (Array.isArray(step.approverIds) && step.approverIds.includes(user.id)) {
+    return { allowed: true, delegation: null, alreadyApproved: false, designated: true };
+  }
+
+  if (step.role === 'admin') {
+    return { allowed: user.role === 'admin', delegation: null, alreadyApproved: false, designated: false };
+  }
+
+  const { allowed, delegation } = await getApprovalAuthority(user, departmentId);
+  return { allowed, delegation, alreadyApproved: false, designated: false };
+};
+
 /**
  * Middleware para verificar acesso por departamento
- * Manager só pode acessar recursos do seu próprio departamento
+ * Manager só pode acessar recursos dos departamentos que gerencia (e subdepartamentos)
  * Admin pode acessar tudo
  */
 export const checkDepartmentAccess = async (req, res, next) => {
@@ -24,17 +119,18 @@ export const checkDepartmentAccess = async (req, res, next) => {
     if (user.role === 'manager') {
       const departmentParam = req.query.department || req.body.department || req.params.department;
       
-      // Se há parâmetro de departamento, verificar se corresponde ao do manager
-      if (departmentParam && departmentParam !== user.department) {
+      // Se há parâmetro de departamento (nome), verificar se está entre os gerenciados
+      if (departmentParam && !getManagedDepartments(user).includes(departmentParam)) {
         logger.warn('Acesso negado: manager tentando acessar outro departamento', {
           userId: user.id,
           userName: user.name,
           userDepartment: user.department,
+          managedDepartments: getManagedDepartments(user),
           requestedDepartment: departmentParam,
           url: req.originalUrl || req.url
         });
         return res.status(403).json({ 
-          message: 'Acesso negado. Você só pode acessar recursos do seu departamento.' 
+          message: 'Acesso negado. Você só pode acessar recursos dos departamentos que gerencia.' 
         });
       }
     }
@@ -47,10 +143,10 @@ export const checkDepartmentAccess = async (req, res, next) => {
 };
 
 /**
- * Verifica se um funcionário pertence ao departamento do manager
+ * Verifica se um funcionário pertence a um departamento gerenciado pelo manager
  * @param {string} employeeId - ID do funcionário
- * @param {Object} manager - Objeto do manager (com department)
- * @returns {Promise<boolean>} True se pertence ao departamento
+ * @param {Object} manager - Objeto do manager (com department e managedDepartments)
+ * @returns {Promise<boolean>} True se pertence a um departamento gerenciado
  */
 export const checkEmployeeDepartment = async (employeeId, manager) => {
   try {
@@ -63,7 +159,7 @@ export const checkEmployeeDepartment = async (employeeId, manager) => {
       if (!employee) {
         return false;
       }
-      return employee.department === manager.department;
+      return canAccessDepartment(manager, employee.departmentId);
     }
 
     return false;
@@ -74,6 +170,11 @@ export const checkEmployeeDepartment = async (employeeId, manager) => {
 };
 
 export default {
+  getManagedDepartments,
+  getManagedDepartmentIds,
+  canAccessDepartment,
+  getApprovalAuthority,
+  getStepApprovalAuthority,
   checkDepartmentAccess,
   checkEmployeeDepartment
 };
@@ -0,0 +1,89 @@
+import prisma from '../config/database.js';
+import { getDepartmentSubtreeIds, getManagedDepartmentIds } from './department.model.js';
+
+/**
+ * ApprovalDelegation model helper functions using Prisma
+ */
+
+/**
+ * Find delegations received by a user that are active on a date (não revogadas e dentro do período)
+ * @param {string} delegateId - Delegate user ID
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {Promise<Array>} Active delegations with delegator and department
+ */
+export async function findActiveDelegationsForDelegate(delegateId, date) {
+  return prisma.approvalDelegation.findMany({
+    where: {
+      delegateId,
+      revokedAt: null,
+      startDate: { lte: date },
+      endDate: { gte: date }
+    },
+    include: {
+      delegator: { select: { id: true, name: true, role: true, department: true, departmentId: true } },
+      department: { select: { id: true, name: true } }
+    },
+    orderBy: { createdAt: 'asc' }
+  });
+}
+
+/**
+ * Find the active delegation that lets a user approve records of a department
+ * A delegação cobre o departamento delegado e seus subdepartamentos, e só vale enquanto
+ * o gestor que delegou ainda gerencia o departamento.
+ * @param {string} delegateId - Delegate user ID
+ * @param {string} departmentId - Department ID of the record's employee
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {Promise<Object|null>} Delegation (with delegator) or null
+ */
+export async function findApprovalDelegation(delegateId, departmentId, date) {
+  if (!departmentId) {
+    return null;
+  }
+
+  const delegations = await findActiveDelegationsForDelegate(delegateId, date);
+  if (delegations.length === 0) {
+    return null;
+  }
+
+  const departments = await prisma.department.findMany({
+    select: { id: true, parentId: true }
+  });
+
+  for (const delegation of delegations) {
+    const subtreeIds = await getDepartmentSubtreeIds([delegation.departmentId], departments);
+    if (!subtreeIds.includes(departmentId)) {
+      continue;
+    }
+
+    if (delegation.delegator.role === 'admin') {
+      return delegation;
+    }
+
+    const delegatorDepartmentIds = await getManagedDepartmentIds(delegation.delegator);
+    if (delegation.delegator.role === 'manager' && delegatorDepartmentIds.includes(departmentId)) {
+      return delegation;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Build audit metadata for an action performed under a delegation
+ * @param {Object|null} delegation - Delegation (with delegator) or null
+ * @returns {Object} { delegationId, onBehalfOfId, onBehalfOfName } or empty object
+ */
+export function buildDelegationAuditMetadata(delegation) {
+  if (!delegation) {
+    return {};
+  }
+
+  return {
+    delegationId: delegation.id,
+    onBehalfOfId: delegation.delegator.id,
+    onBehalfOfName: delegation.delegator.name
+  };
+}
+
+export default prisma.approvalDelegation;
@@ -0,0 +1,191 @@
+import prisma from '../config/database.js';
+import { getOrCreateSettings } from './companySettings.model.js';
+import { normalizeApprovalChain, buildApprovalSteps, getCurrentApprovalStep } from '../utils/approvalChainUtils.js';
+
+/**
+ * ApprovalStep model helper functions using Prisma
+ */
+
+const deciderSelect = { select: { id: true, name: true } };
+
+// Campo que vincula a etapa ao registro
+const getRecordKey = (entityType, recordId) => (
+  entityType === 'overtime' ? { overtimeId: recordId } : { hourBankRecordId: recordId }
+);
+
+/**
+ * Get the configured approval chain of a record type
+ * @param {string} entityType - 'overtime' | 'hourbank'
+ * @returns {Promise<Array>} Normalized steps (vazio = aprovação única do gestor)
+ */
+export async function getApprovalChain(entityType) {
+  const settings = await getOrCreateSettings();
+  const chain = entityType === 'overtime' ? settings.overtimeApprovalChain : settings.hourBankApprovalChain;
+  return normalizeApprovalChain(Array.isArray(chain) ? chain : []);
+}
+
+/**
+ * Check whether an overtime record takes the employee beyond the monthly overtime limit
+ * Usa o limite do funcionário (ou o padrão da empresa), sem a exceção do mês, que é justamente
+ * o que libera horas além do limite.
+ * @param {Object} overtime - Overtime record ({ id, employeeId, date, hours })
+ * @returns {Promise<boolean>} True if the month total (approved + pending) exceeds the limit
+ */
+export async function isOvertimeBeyondLimit(overtime) {
+  const employee = await prisma.user.findUnique({
+    where: { id: overtime.employeeId },
+    select: { overtimeLimit: true }
+  });
+  const settings = await getOrCreateSettings();
+  const limit = employee?.overtimeLimit || settings?.defaultOvertimeLimit || 40;
+
+  const [year, month] = overtime.date.split('-');
+  const monthRecords = await prisma.overtime.findMany({
+    where: {
+      employeeId: overtime.employeeId,
+      date: { gte: `${year}-${month}-01`, lte: `${year}-${month}-31` },
+      status: { in: ['approved', 'pending'] },
+      id: { not: overtime.id }
+    },
+    select: { hours: true }
+  });
+
+  const monthHours = monthRecords.reduce((sum, record) => sum + record.hours, 0) + overtime.hours;
+  return monthHours > limit;
+}
+
+/**
+ * Get the approval steps of a record
+ * Retorna as etapas gravadas ou, se o registro ainda não teve decisão, as etapas previstas pela cadeia atual.
+ * @param {string} entityType - 'overtime' | 'hourbank'
+ * @param {Object} record - Overtime or HourBankRecord
+ * @param {Array|null} [chain] - Normalized chain (carregada se não informada)
+ * @returns {Promise<Array>} Steps ordered by stepOrder (previstas não têm id)
+ */
+export async function getApprovalSteps(entityType, record, chain = null) {
+  const persisted = record.approvalSteps || await prisma.approvalStep.findMany({
+    where: getRecordKey(entityType, record.id),
+    include: { decider: deciderSelect },
+    orderBy: { stepOrder: 'asc' }
+  });
+  if (persisted.length > 0) {
+    return persisted;
+  }
+
+  const approvalChain = chain || await getApprovalChain(entityType);
+  const context = entityType === 'overtime'
+    ? {
+      hours: record.hours,
+      exceedsOvertimeLimit: approvalChain.some(step => step.exceedsOvertimeLimit)
+        ? await isOvertimeBeyondLimit(record)
+        : false
+    }
+    : { hours: record.hours, recordType: record.type };
+
+  return buildApprovalSteps(approvalChain, context).map(step => ({
+    ...step,
+    status: 'pending',
+    decidedBy: null,
+    decidedAt: null,
+    delegationId: null
+  }));
+}
+
+/**
+ * Get the approval steps of a record, recording them on the first decision
+ * A cadeia vigente na primeira decisão vale até o fim; mudanças posteriores não afetam o registro.
+ * @param {string} entityType - 'overtime' | 'hourbank'
+ * @param {Object} record - Overtime or HourBankRecord
+ * @returns {Promise<Array>} Persisted steps ordered by stepOrder
+ */
+export async function ensureApprovalSteps(entityType, record) {
+  const steps = await getApprovalSteps(entityType, { ...record, approvalSteps: undefined });
+  if (steps[0]?.id) {
+    return steps;
+  }
+
+  await prisma.approvalStep.createMany({
+    data: steps.map(step => ({
+      ...getRecordKey(entityType, record.id),
+      stepOrder: step.stepOrder,
+      name: step.name,
+      role: step.role,
+      approverIds: step.approverIds
+    })),
+    skipDuplicates: true
+  });
+
+  return prisma.approvalStep.findMany({
+    where: getRecordKey(entityType, record.id),
+    include: { decider: deciderSelect },
+    orderBy: { stepOrder: 'asc' }
+  });
+}
+
+/**
+ * Record a decision on the current approval step
+ * Rejeição encerra a cadeia (etapas seguintes ficam como skipped).
+ * @param {string} entityType - 'overtime' | 'hourbank'
+ * @param {string} recordId - Record ID
+ * @param {Object} step - Current (persisted) step
+ * @param {Object} params - { decision: 'approved' | 'rejected', userId, delegationId? }
+ * @returns {Promise<Object>} { steps, completed } (completed = cadeia aprovada por completo)
+ */
+export async function decideApprovalStep(entityType, recordId, step, { decision, userId, delegationId = null }) {
+  const operations = [
+    prisma.approvalStep.update({
+      where: { id: step.id },
+      data: {
+        status: decision,
+        decidedBy: userId,
+        decidedAt: new Date(),
+        delegationId
+      }
+    })
+  ];
+
+  if (decision === 'rejected') {
+    operations.push(prisma.approvalStep.updateMany({
+      where: {
+        ...getRecordKey(entityType, recordId),
+        status: 'pending',
+        stepOrder: { gt: step.stepOrder }
+      },
+      data: { status: 'skipped' }
+    }));
+  }
+
+  await prisma.$transaction(operations);
+
+  const steps = await prisma.approvalStep.findMany({
+    where: getRecordKey(entityType, recordId),
+    include: { decider: deciderSelect },
+    orderBy: { stepOrder: 'asc' }
+  });
+
+  return {
+    steps,
+    completed: decision === 'approved' && !getCurrentApprovalStep(steps)
+  };
+}
+
+/**
+ * Format approval steps for API responses
+ * @param {Array} steps - Persisted or planned steps
+ * @returns {Array} [{ stepOrder, name, role, approverIds, status, decidedBy, decidedByName, decidedAt }]
+ */
+export function formatApprovalSteps(steps) {
+  return (steps || []).map(step => ({
+    stepOrder: step.stepOrder,
+    name: step.name,
+    role: step.role,
+    approverIds: step.approverIds || [],
+    status: step.status,
+    decidedBy: step.decidedBy || null,
+    decidedByName: step.decider?.name || null,
+    decidedAt: step.decidedAt || null,
+    delegationId: step.delegationId || null
+  }));
+}
+
+export default prisma.approvalStep;
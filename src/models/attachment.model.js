@@ -0,0 +1,120 @@
+import prisma from '../config/database.js';
+import { getLeaveTypeLabel } from '../utils/leaveUtils.js';
+import { formatDateForDisplay } from '../utils/dateFormatter.js';
+
+/**
+ * Attachment model helper functions using Prisma
+ */
+
+const employeeSelect = { select: { id: true, name: true, email: true, department: true, departmentId: true } };
+
+// Metadados do anexo (sem o conteúdo)
+export const attachmentSelect = {
+  id: true,
+  entityType: true,
+  timeClockId: true,
+  leaveId: true,
+  overtimeId: true,
+  employeeId: true,
+  fileName: true,
+  contentType: true,
+  size: true,
+  sha256: true,
+  storage: true,
+  storageKey: true,
+  uploadedBy: true,
+  purgedAt: true,
+  createdAt: true,
+  uploader: { select: { id: true, name: true } },
+  employee: employeeSelect
+};
+
+// Campo que vincula o anexo ao registro
+export const getAttachmentRecordKey = (entityType, recordId) => {
+  if (entityType === 'leave') return { leaveId: recordId };
+  if (entityType === 'overtime') return { overtimeId: recordId };
+  return { timeClockId: recordId };
+};
+
+/**
+ * Find a record that accepts attachments, with its employee
+ * @param {string} entityType - 'timeclock' | 'leave' | 'overtime'
+ * @param {string} id - Record ID
+ * @returns {Promise<Object|null>} Record (with employee) or null
+ */
+export async function findAttachableRecord(entityType, id) {
+  const query = { where: { id }, include: { employee: employeeSelect } };
+
+  if (entityType === 'timeclock') return prisma.timeClock.findUnique(query);
+  if (entityType === 'leave') return prisma.leave.findUnique(query);
+  if (entityType === 'overtime') return prisma.overtime.findUnique(query);
+  return null;
+}
+
+/**
+ * Find an attachment by ID (sem o conteúdo)
+ * @param {string} id - Attachment ID
+ * @returns {Promise<Object|null>} Attachment (with employee and uploader) or null
+ */
+export async function findAttachmentById(id) {
+  return prisma.attachment.findUnique({
+    where: { id },
+    select: attachmentSelect
+  });
+}
+
+/**
+ * List the attachments of a record (mais antigos primeiro)
+ * @param {string} entityType - 'timeclock' | 'leave' | 'overtime'
+ * @param {string} recordId - Record ID
+ * @returns {Promise<Array>} Attachments (sem o conteúdo)
+ */
+export async function findRecordAttachments(entityType, recordId) {
+  return prisma.attachment.findMany({
+    where: getAttachmentRecordKey(entityType, recordId),
+    select: attachmentSelect,
+    orderBy: { createdAt: 'asc' }
+  });
+}
+
+/**
+ * Describe a record for audit logs
+ * @param {string} entityType - 'timeclock' | 'leave' | 'overtime'
+ * @param {Object} record - Record
+ * @returns {string} Record summary
+ */
+export function describeAttachmentRecord(entityType, record) {
+  if (entityType === 'leave') {
+    return `${getLeaveTypeLabel(record.type)} de ${formatDateForDisplay(record.startDate)} a ${formatDateForDisplay(record.endDate)}`;
+  }
+  if (entityType === 'overtime') {
+    return `Hora extra de ${record.hours}h em ${formatDateForDisplay(record.date)}`;
+  }
+  return `Registro de ponto de ${formatDateForDisplay(record.date)}`;
+}
+
+/**
+ * Format an attachment for API responses
+ * @param {Object} attachment - Attachment with uploader
+ * @returns {Object} Formatted attachment
+ */
+export function formatAttachment(attachment) {
+  return {
+    id: attachment.id,
+    entityType: attachment.entityType,
+    recordId: attachment.timeClockId || attachment.leaveId || attachment.overtimeId || null,
+    employeeId: attachment.employeeId,
+    fileName: attachment.fileName,
+    contentType: attachment.contentType,
+    size: attachment.size,
+    sha256: attachment.sha256,
+    storage: attachment.storage,
+    uploadedBy: attachment.uploadedBy,
+    uploadedByName: attachment.uploader?.name || null,
+    purged: !!attachment.purgedAt,
+    purgedAt: attachment.purgedAt || null,
+    createdAt: attachment.createdAt
+  };
+}
+
+export default prisma.attachment;
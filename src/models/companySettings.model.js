@@ -1,4 +1,5 @@
 import prisma from '../config/database.js';
+import { resolveTimezone } from '../utils/timezoneUtils.js';
 
 /**
  * CompanySettings model helper functions using Prisma
@@ -30,5 +31,30 @@ export async function getOrCreateSettings() {
   return settings;
 }
 
+/**
+ * Get the company timezone
+ * @returns {Promise<string>} IANA timezone (default: America/Sao_Paulo)
+ */
+export async function getCompanyTimezone() {
+  const settings = await prisma.companySettings.findFirst({
+    select: { timezone: true }
+  });
+  
+  return resolveTimezone(null, settings?.timezone);
+}
+
+/**
+ * Get the timezone to use for an employee (employee timezone or company timezone)
+ * @param {Object|null} employee - Employee with optional timezone
+ * @returns {Promise<string>} IANA timezone
+ */
+export async function getEmployeeTimezone(employee) {
+  if (employee?.timezone) {
+    return resolveTimezone(employee, null);
+  }
+  
+  return getCompanyTimezone();
+}
+
 export default prisma.companySettings;
 
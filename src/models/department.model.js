@@ -0,0 +1,228 @@
+import prisma from '../config/database.js';
+
+/**
+ * Department model helper functions using Prisma
+ */
+
+/**
+ * Find a department by ID
+ * @param {string} id - Department ID
+ * @returns {Promise<Object|null>} Department record or null
+ */
+export async function findDepartmentById(id) {
+  return prisma.department.findUnique({
+    where: { id },
+    include: {
+      parent: { select: { id: true, name: true } },
+      managers: {
+        include: {
+          user: { select: { id: true, name: true, email: true, role: true } }
+        }
+      },
+      _count: { select: { employees: true, children: true } }
+    }
+  });
+}
+
+/**
+ * Find a department by name (sem diferenciar maiúsculas/minúsculas e ignorando espaços nas pontas)
+ * @param {string} name - Department name
+ * @returns {Promise<Object|null>} Department record or null
+ */
+export async function findDepartmentByName(name) {
+  if (!name || !String(name).trim()) {
+    return null;
+  }
+
+  return prisma.department.findFirst({
+    where: {
+      name: { equals: String(name).trim(), mode: 'insensitive' }
+    }
+  });
+}
+
+/**
+ * List departments with managers and counts
+ * @param {boolean} activeOnly - Return only active departments
+ * @returns {Promise<Array>} Array of Department records
+ */
+export async function findDepartments(activeOnly = false) {
+  return prisma.department.findMany({
+    where: activeOnly ? { isActive: true } : {},
+    include: {
+      parent: { select: { id: true, name: true } },
+      managers: {
+        include: {
+          user: { select: { id: true, name: true, email: true } }
+        }
+      },
+      _count: { select: { employees: true, children: true } }
+    },
+    orderBy: { name: 'asc' }
+  });
+}
+
+/**
+ * Resolve the department of a request body (departmentId tem prioridade sobre o nome)
+ * O nome precisa corresponder a um departamento cadastrado, evitando equipes divididas por erro de digitação.
+ * @param {Object} params
+ * @param {string} [params.departmentId] - Department ID
+ * @param {string} [params.department] - Department name
+ * @returns {Promise<Object|null>} Department record or null if not found
+ */
+export async function resolveDepartment({ departmentId, department }) {
+  if (departmentId) {
+    return prisma.department.findUnique({ where: { id: departmentId } });
+  }
+
+  return findDepartmentByName(department);
+}
+
+/**
+ * Find or create a department by name (usado no login externo e no setup inicial)
+ * @param {string} name - Department name
+ * @param {string|null} [externalId] - Department ID in the external API
+ * @returns {Promise<Object>} Department record
+ */
+export async function findOrCreateDepartment(name, externalId = null) {
+  if (externalId !== null && externalId !== undefined) {
+    const byExternalId = await prisma.department.findUnique({
+      where: { externalId: String(externalId) }
+    });
+    if (byExternalId) {
+      return byExternalId;
+    }
+  }
+
+  const existing = await findDepartmentByName(name);
+  if (existing) {
+    if (externalId !== null && externalId !== undefined && !existing.externalId) {
+      return prisma.department.update({
+        where: { id: existing.id },
+        data: { externalId: String(externalId) }
+      });
+    }
+    return existing;
+  }
+
+  return prisma.department.create({
+    data: {
+      name: String(name).trim(),
+      externalId: externalId !== null && externalId !== undefined ? String(externalId) : null
+    }
+  });
+}
+
+/**
+ * Get the IDs of departments and all their descendants
+ * @param {Array<string>} rootIds - Root department IDs
+ * @param {Array<Object>} [allDepartments] - Departments ({ id, parentId }); loaded if not provided
+ * @returns {Promise<Array<string>>} IDs of the roots and their subtrees
+ */
+export async function getDepartmentSubtreeIds(rootIds, allDepartments = null) {
+  const departments = allDepartments || await prisma.department.findMany({
+    select: { id: true, parentId: true }
+  });
+
+  const childrenByParent = new Map();
+  departments.forEach(department => {
+    if (!department.parentId) return;
+    const children = childrenByParent.get(department.parentId) || [];
+    children.push(department.id);
+    childrenByParent.set(department.parentId, children);
+  });
+
+  const result = new Set();
+  const queue = [...rootIds];
+  while (queue.length > 0) {
+    const id = queue.shift();
+    if (result.has(id)) continue;
+    result.add(id);
+    (childrenByParent.get(id) || []).forEach(childId => queue.push(childId));
+  }
+
+  return Array.from(result);
+}
+
+/**
+ * Find the managers responsible for an employee's department
+ * Gestores do próprio departamento e os atribuídos ao departamento ou a qualquer departamento acima dele.
+ * @param {Object} employee - Employee ({ department, departmentId })
+ * @returns {Promise<Array>} Managers ({ id, name, email })
+ */
+export async function findDepartmentManagers(employee) {
+  const departments = await prisma.department.findMany({
+    select: { id: true, parentId: true }
+  });
+  const departmentIds = [];
+  let current = departments.find(department => department.id === employee.departmentId);
+  while (current && !departmentIds.includes(current.id)) {
+    departmentIds.push(current.id);
+    current = departments.find(department => department.id === current.parentId);
+  }
+
+  return prisma.user.findMany({
+    where: {
+      role: 'manager',
+      OR: [
+        { department: employee.department },
+        { managedDepartments: { some: { departmentId: { in: departmentIds } } } }
+      ]
+    },
+    select: { id: true, name: true, email: true }
+  });
+}
+
+/**
+ * Check whether setting a parent would create a cycle in the hierarchy
+ * @param {string} departmentId - Department being updated
+ * @param {string|null} parentId - New parent ID
+ * @returns {Promise<boolean>} True if the parent is the department itself or one of its descendants
+ */
+export async function wouldCreateDepartmentCycle(departmentId, parentId) {
+  if (!parentId) {
+    return false;
+  }
+
+  const subtree = await getDepartmentSubtreeIds([departmentId]);
+  return subtree.includes(parentId);
+}
+
+/**
+ * Get the departments a manager can access
+ * Gestor acessa o próprio departamento e os departamentos em que foi atribuído, incluindo os subdepartamentos.
+ * @param {Object} user - Manager ({ id, departmentId })
+ * @returns {Promise<Array<Object>>} Departments ({ id, name })
+ */
+export async function getManagedDepartmentRecords(user) {
+  const departments = await prisma.department.findMany({
+    select: { id: true, name: true, parentId: true }
+  });
+
+  const assignments = await prisma.departmentManager.findMany({
+    where: { userId: user.id },
+    select: { departmentId: true }
+  });
+
+  const rootIds = assignments.map(assignment => assignment.departmentId);
+  if (user.departmentId) {
+    rootIds.push(user.departmentId);
+  }
+
+  const subtreeIds = new Set(await getDepartmentSubtreeIds(rootIds, departments));
+  return departments
+    .filter(department => subtreeIds.has(department.id))
+    .map(department => ({ id: department.id, name: department.name }));
+}
+
+/**
+ * Get the IDs of the departments a manager can access (ver getManagedDepartmentRecords)
+ * @param {Object} user - Manager ({ id, departmentId })
+ * @returns {Promise<Array<string>>} Department IDs
+ */
+export async function getManagedDepartmentIds(user) {
+  const departments = await getManagedDepartmentRecords(user);
+  return departments.map(department => department.id);
+}
+
+export default prisma.department;
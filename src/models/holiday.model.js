@@ -0,0 +1,84 @@
+import prisma from '../config/database.js';
+import { findHolidayForEmployee } from '../utils/holidayUtils.js';
+import { addDaysToDateString } from '../utils/timeClockUtils.js';
+
+/**
+ * Holiday model helper functions using Prisma
+ */
+
+/**
+ * Get all holidays that occur on a date (including recurring ones)
+ * @param {string} dateString - Date in format YYYY-MM-DD
+ * @returns {Promise<Array>} Array of Holiday records
+ */
+export async function getHolidaysForDate(dateString) {
+  return prisma.holiday.findMany({
+    where: {
+      OR: [
+        { date: dateString },
+        { recurring: true, date: { endsWith: dateString.slice(4) } }
+      ]
+    }
+  });
+}
+
+/**
+ * Get all holidays that occur within a date range (including recurring ones)
+ * @param {string} startDate - Start date (YYYY-MM-DD)
+ * @param {string} endDate - End date (YYYY-MM-DD)
+ * @returns {Promise<Array>} Array of Holiday records
+ */
+export async function getHolidaysInRange(startDate, endDate) {
+  return prisma.holiday.findMany({
+    where: {
+      OR: [
+        { date: { gte: startDate, lte: endDate } },
+        { recurring: true }
+      ]
+    },
+    orderBy: { date: 'asc' }
+  });
+}
+
+/**
+ * Get the holiday that applies to an employee on a date
+ * @param {Object} employee - Employee with state and city
+ * @param {string} dateString - Date in format YYYY-MM-DD
+ * @returns {Promise<Object|null>} Holiday record or null
+ */
+export async function getHolidayForEmployee(employee, dateString) {
+  if (!employee || !dateString) {
+    return null;
+  }
+
+  const holidays = await getHolidaysForDate(dateString);
+  return findHolidayForEmployee(holidays, employee, dateString);
+}
+
+/**
+ * Get the dates with full-day holidays for an employee within a local time interval
+ * (usado para classificar horas extras que podem passar da meia-noite)
+ * @param {Object} employee - Employee with state and city
+ * @param {string} dateString - Local start date (YYYY-MM-DD)
+ * @param {string} startTime - Local start time (HH:mm)
+ * @param {number} minutes - Duration in minutes
+ * @returns {Promise<Array<string>>} Dates (YYYY-MM-DD) with full-day holidays
+ */
+export async function getFullDayHolidayDatesForInterval(employee, dateString, startTime, minutes) {
+  const [startHour, startMinute] = startTime.split(':').map(Number);
+  const lastMinute = startHour * 60 + startMinute + Math.max(1, Math.round(minutes)) - 1;
+  const days = Math.floor(lastMinute / (24 * 60));
+
+  const holidayDates = [];
+  for (let offset = 0; offset <= days; offset++) {
+    const currentDate = addDaysToDateString(dateString, offset);
+    const holiday = await getHolidayForEmployee(employee, currentDate);
+    if (holiday && !holiday.isHalfDay) {
+      holidayDates.push(currentDate);
+    }
+  }
+
+  return holidayDates;
+}
+
+export default prisma.holiday;
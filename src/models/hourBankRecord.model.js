@@ -1,8 +1,184 @@
 import prisma from '../config/database.js';
+import { getOrCreateSettings, getCompanyTimezone } from './companySettings.model.js';
+import { getFullDayHolidayDatesForInterval } from './holiday.model.js';
+import { calculateCreditExpiresAt, allocateHourBankFifo, applyHourBankMultipliers, resolveHourBankLimits } from '../utils/hourBankUtils.js';
+import { getTodayInTimezone } from '../utils/timezoneUtils.js';
+import { getOvertimeIntervalFromExit } from '../utils/timeClockUtils.js';
 
 /**
  * HourBankRecord model helper functions using Prisma
  */
 
-export default prisma.hourBankRecord;
+/**
+ * Get the expiration date for a new credit according to the company policy
+ * @param {string} creditDate - Credit date (YYYY-MM-DD)
+ * @returns {Promise<string|null>} Expiration date (YYYY-MM-DD) or null if credits do not expire
+ */
+export async function getCreditExpiresAt(creditDate) {
+  const settings = await getOrCreateSettings();
+  return calculateCreditExpiresAt(creditDate, settings?.hourBankExpirationMonths || 0);
+}
+
+/**
+ * Get FIFO allocation of an employee's approved credits
+ * @param {string} employeeId - Employee ID
+ * @returns {Promise<Object>} { credits, deficit } (see allocateHourBankFifo)
+ */
+export async function getCreditAllocations(employeeId) {
+  const records = await prisma.hourBankRecord.findMany({
+    where: {
+      employeeId,
+      status: 'approved'
+    },
+    select: {
+      id: true,
+      date: true,
+      type: true,
+      hours: true,
+      status: true,
+      expiresAt: true,
+      expirationStatus: true,
+      payoutSource: true,
+      createdAt: true
+    }
+  });
+
+  return allocateHourBankFifo(records);
+}
+
+/**
+ * Get the effective hour bank limits of an employee (funcionário → departamento → empresa + exceção do mês)
+ * @param {string} employeeId - Employee ID
+ * @param {string} [date] - Date of the operation (YYYY-MM-DD); defaults to today in the company timezone
+ * @returns {Promise<Object>} { accumulationLimit, usageLimit, accumulationSource, usageSource, exception }
+ */
+export async function getEffectiveHourBankLimits(employeeId, date) {
+  const settings = await getOrCreateSettings();
+  const employee = await prisma.user.findUnique({
+    where: { id: employeeId },
+    select: {
+      departmentId: true,
+      hourBankAccumulationLimit: true,
+      hourBankUsageLimit: true,
+      hourBankExceptions: true
+    }
+  });
+
+  const departmentLimits = employee?.departmentId
+    ? await prisma.departmentHourBankLimit.findUnique({ where: { departmentId: employee.departmentId } })
+    : null;
+
+  return resolveHourBankLimits({
+    settings,
+    departmentLimits,
+    employee,
+    date: date || getTodayInTimezone(await getCompanyTimezone())
+  });
+}
+
+/**
+ * Create the context of a batch of hour bank decisions (uma aprovação individual é um lote de um registro)
+ * Saldos e limites são memorizados por funcionário para que os limites sejam verificados de forma cumulativa
+ * @returns {Object} { balances: Map, limits: Map }
+ */
+export function createDecisionBatch() {
+  return { balances: new Map(), limits: new Map() };
+}
+
+/**
+ * Get the effective hour bank limits of an employee in the month of a record, memoized in the batch
+ * @param {Object} batch - Batch context (createDecisionBatch)
+ * @param {string} employeeId - Employee ID
+ * @param {string} date - Record date (YYYY-MM-DD)
+ * @returns {Promise<Object>} Limits (see getEffectiveHourBankLimits)
+ */
+export async function getBatchLimits(batch, employeeId, date) {
+  const key = `${employeeId}|${date.slice(0, 7)}`;
+  if (!batch.limits.has(key)) {
+    batch.limits.set(key, await getEffectiveHourBankLimits(employeeId, date));
+  }
+  return batch.limits.get(key);
+}
+
+/**
+ * Get the hour bank multiplier rules for a department (regras do departamento ou, na falta, da empresa)
+ * @param {string|null} departmentId - Department ID
+ * @returns {Promise<Object>} { rules, source: 'department' | 'company' }
+ */
+export async function getHourBankMultiplierRules(departmentId) {
+  if (departmentId) {
+    const departmentRules = await prisma.departmentHourBankRules.findUnique({
+      where: { departmentId }
+    });
 
+    if (departmentRules) {
+      return { rules: departmentRules.rules || [], source: 'department' };
+    }
+  }
+
+  const settings = await getOrCreateSettings();
+  return { rules: settings?.hourBankMultiplierRules || [], source: 'company' };
+}
+
+/**
+ * Calculate the hour bank credit of an overtime interval applying the multiplier rules
+ * @param {Object} employee - Employee with departmentId, state and city
+ * @param {string} date - Local date where overtime starts (YYYY-MM-DD)
+ * @param {string} startTime - Local start time (HH:mm)
+ * @param {number} minutes - Overtime duration in clock minutes
+ * @returns {Promise<Object>} { rawHours, creditedHours, appliedMultipliers } (see applyHourBankMultipliers)
+ */
+export async function calculateOvertimeCredit(employee, date, startTime, minutes) {
+  const { rules } = await getHourBankMultiplierRules(employee.departmentId);
+
+  if (!rules.length) {
+    const hours = Number((Math.max(0, Math.round(minutes || 0)) / 60).toFixed(2));
+    return { rawHours: hours, creditedHours: hours, appliedMultipliers: [] };
+  }
+
+  const holidayDates = await getFullDayHolidayDatesForInterval(employee, date, startTime, minutes);
+
+  return applyHourBankMultipliers({ date, startTime, minutes, holidayDates, rules });
+}
+
+/**
+ * Calculate the hour bank credit of an overtime record (horas brutas = horas da hora extra)
+ * @param {Object} employee - Employee with departmentId, state and city
+ * @param {Object} overtime - Overtime record ({ date, startTime, hours })
+ * @returns {Promise<Object>} { rawHours, creditedHours, appliedMultipliers }
+ */
+export async function calculateOvertimeRecordCredit(employee, overtime) {
+  const credit = await calculateOvertimeCredit(employee, overtime.date, overtime.startTime, Math.round(overtime.hours * 60));
+
+  // Sem multiplicador aplicável, mantém as horas exatas da hora extra (1:1)
+  if (!credit.appliedMultipliers.length) {
+    return { rawHours: overtime.hours, creditedHours: overtime.hours, appliedMultipliers: [] };
+  }
+
+  return { ...credit, rawHours: overtime.hours };
+}
+
+/**
+ * Calculate the hour bank credit of the overtime of a time clock record (fim da jornada até a saída)
+ * @param {Object} employee - Employee with departmentId, state and city
+ * @param {Date} exitTime - Exit instant
+ * @param {number} overtimeHours - Overtime hours of the record
+ * @param {string} timezone - Employee timezone
+ * @returns {Promise<Object>} { rawHours, creditedHours, appliedMultipliers }
+ */
+export async function calculateTimeClockOvertimeCredit(employee, exitTime, overtimeHours, timezone) {
+  const interval = getOvertimeIntervalFromExit(exitTime, overtimeHours, timezone);
+  if (!interval) {
+    return { rawHours: overtimeHours, creditedHours: overtimeHours, appliedMultipliers: [] };
+  }
+
+  const credit = await calculateOvertimeCredit(employee, interval.date, interval.startTime, interval.minutes);
+
+  if (!credit.appliedMultipliers.length) {
+    return { rawHours: overtimeHours, creditedHours: overtimeHours, appliedMultipliers: [] };
+  }
+
+  return { ...credit, rawHours: overtimeHours };
+}
+
+export default prisma.hourBankRecord;
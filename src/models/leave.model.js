@@ -0,0 +1,118 @@
+import prisma from '../config/database.js';
+import { ACTIVE_LEAVE_STATUSES, getLeaveTypeLabel } from '../utils/leaveUtils.js';
+
+/**
+ * Leave model helper functions using Prisma
+ */
+
+export const leaveInclude = {
+  employee: { select: { id: true, name: true, email: true, department: true, departmentId: true } },
+  creator: { select: { id: true, name: true } },
+  reviewer: { select: { id: true, name: true } }
+};
+
+/**
+ * Find a leave by ID
+ * @param {string} id - Leave ID
+ * @returns {Promise<Object|null>} Leave (with employee, creator and reviewer) or null
+ */
+export async function findLeaveById(id) {
+  return prisma.leave.findUnique({
+    where: { id },
+    include: leaveInclude
+  });
+}
+
+/**
+ * Find the approved leave that covers a date for an employee
+ * @param {string} employeeId - Employee ID
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {Promise<Object|null>} Leave or null
+ */
+export async function findApprovedLeaveForDate(employeeId, date) {
+  if (!employeeId || !date) {
+    return null;
+  }
+
+  return prisma.leave.findFirst({
+    where: {
+      employeeId,
+      status: 'approved',
+      startDate: { lte: date },
+      endDate: { gte: date }
+    }
+  });
+}
+
+/**
+ * Find the approved leaves that intersect a period
+ * @param {Array<string>} employeeIds - Employee IDs
+ * @param {string} startDate - Start date (YYYY-MM-DD)
+ * @param {string} endDate - End date (YYYY-MM-DD)
+ * @returns {Promise<Array>} Leaves ordered by start date
+ */
+export async function findApprovedLeavesInRange(employeeIds, startDate, endDate) {
+  return prisma.leave.findMany({
+    where: {
+      employeeId: { in: employeeIds },
+      status: 'approved',
+      startDate: { lte: endDate },
+      endDate: { gte: startDate }
+    },
+    orderBy: { startDate: 'asc' }
+  });
+}
+
+/**
+ * Find a pending or approved leave of the employee that overlaps a period
+ * @param {string} employeeId - Employee ID
+ * @param {string} startDate - Start date (YYYY-MM-DD)
+ * @param {string} endDate - End date (YYYY-MM-DD)
+ * @param {string|null} excludeId - Leave to ignore (the one being decided)
+ * @returns {Promise<Object|null>} Overlapping leave or null
+ */
+export async function findOverlappingLeave(employeeId, startDate, endDate, excludeId = null) {
+  return prisma.leave.findFirst({
+    where: {
+      employeeId,
+      status: { in: ACTIVE_LEAVE_STATUSES },
+      startDate: { lte: endDate },
+      endDate: { gte: startDate },
+      ...(excludeId ? { id: { not: excludeId } } : {})
+    }
+  });
+}
+
+/**
+ * Format a leave for API responses
+ * @param {Object} leave - Leave with employee, creator and reviewer
+ * @returns {Object} Formatted leave
+ */
+export function formatLeave(leave) {
+  return {
+    id: leave.id,
+    employeeId: leave.employeeId,
+    employeeName: leave.employee?.name || 'N/A',
+    department: leave.employee?.department || null,
+    type: leave.type,
+    typeLabel: getLeaveTypeLabel(leave.type),
+    startDate: leave.startDate,
+    endDate: leave.endDate,
+    days: leave.days,
+    reason: leave.reason || null,
+    acquisitionPeriodStart: leave.acquisitionPeriodStart || null,
+    soldDays: leave.soldDays || 0,
+    status: leave.status,
+    createdBy: leave.createdBy,
+    createdByName: leave.creator?.name || null,
+    reviewedBy: leave.reviewedBy || null,
+    reviewedByName: leave.reviewer?.name || null,
+    reviewedAt: leave.reviewedAt || null,
+    reviewComment: leave.reviewComment || null,
+    delegationId: leave.delegationId || null,
+    createdAt: leave.createdAt,
+    updatedAt: leave.updatedAt
+  };
+}
+
+export default prisma.leave;
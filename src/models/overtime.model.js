@@ -1,8 +1,51 @@
 import prisma from '../config/database.js';
+import { getOrCreateSettings } from './companySettings.model.js';
+import { getFullDayHolidayDatesForInterval } from './holiday.model.js';
+import { getOvertimeRateRules, calculateOvertimeRateBreakdown } from '../utils/overtimeRateUtils.js';
+import { getOvertimeIntervalFromExit } from '../utils/timeClockUtils.js';
 
 /**
  * Overtime model helper functions using Prisma
  */
 
-export default prisma.overtime;
+/**
+ * Calculate the overtime rate breakdown for an employee using company rules and holidays
+ * @param {Object} employee - Employee with state and city (para feriados aplicáveis)
+ * @param {string} date - Local date where overtime starts (YYYY-MM-DD)
+ * @param {string} startTime - Local start time (HH:mm)
+ * @param {number} minutes - Overtime duration in clock minutes
+ * @returns {Promise<Object>} Breakdown (see calculateOvertimeRateBreakdown)
+ */
+export async function getOvertimeRateBreakdown(employee, date, startTime, minutes) {
+  const settings = await getOrCreateSettings();
+
+  // Feriados de dia inteiro de cada dia coberto pela hora extra (pode passar da meia-noite)
+  const holidayDates = await getFullDayHolidayDatesForInterval(employee, date, startTime, minutes);
+
+  return calculateOvertimeRateBreakdown({
+    date,
+    startTime,
+    minutes,
+    holidayDates,
+    rules: getOvertimeRateRules(settings)
+  });
+}
 
+/**
+ * Calculate the overtime rate breakdown of a time clock record
+ * @param {Object} employee - Employee with state and city
+ * @param {Date} exitTime - Exit instant
+ * @param {number} overtimeHours - Overtime hours of the record
+ * @param {string} timezone - Employee timezone
+ * @returns {Promise<Object|null>} Breakdown or null if there is no overtime
+ */
+export async function getTimeClockOvertimeRateBreakdown(employee, exitTime, overtimeHours, timezone) {
+  const interval = getOvertimeIntervalFromExit(exitTime, overtimeHours, timezone);
+  if (!interval) {
+    return null;
+  }
+
+  return getOvertimeRateBreakdown(employee, interval.date, interval.startTime, interval.minutes);
+}
+
+export default prisma.overtime;
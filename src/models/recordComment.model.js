@@ -0,0 +1,185 @@
+import prisma from '../config/database.js';
+import { findDepartmentManagers } from './department.model.js';
+import { sendRecordCommentEmail } from '../services/emailService.js';
+import { formatDateForDisplay } from '../utils/dateFormatter.js';
+import logger from '../utils/logger.js';
+
+/**
+ * RecordComment model helper functions using Prisma
+ */
+
+// Registros que aceitam comentários
+export const COMMENT_ENTITY_TYPES = ['overtime', 'hourbank', 'timeclock', 'timesheet'];
+
+const employeeSelect = { select: { id: true, name: true, email: true, department: true, departmentId: true } };
+const authorSelect = { select: { id: true, name: true, role: true } };
+
+const hourBankTypeLabels = {
+  credit: 'Crédito',
+  debit: 'Débito',
+  payout: 'Pagamento'
+};
+
+// Campo que vincula o comentário ao registro
+const getRecordKey = (entityType, recordId) => {
+  if (entityType === 'overtime') return { overtimeId: recordId };
+  if (entityType === 'hourbank') return { hourBankRecordId: recordId };
+  if (entityType === 'timesheet') return { timesheetClosingId: recordId };
+  return { timeClockId: recordId };
+};
+
+/**
+ * Find a record that accepts comments, with its employee
+ * @param {string} entityType - 'overtime' | 'hourbank' | 'timeclock' | 'timesheet'
+ * @param {string} id - Record ID
+ * @returns {Promise<Object|null>} Record (with employee) or null
+ */
+export async function findCommentableRecord(entityType, id) {
+  const query = { where: { id }, include: { employee: employeeSelect } };
+
+  if (entityType === 'overtime') return prisma.overtime.findUnique(query);
+  if (entityType === 'hourbank') return prisma.hourBankRecord.findUnique(query);
+  if (entityType === 'timeclock') return prisma.timeClock.findUnique(query);
+  if (entityType === 'timesheet') return prisma.timesheetClosing.findUnique(query);
+  return null;
+}
+
+/**
+ * List the comments of a record (mais antigos primeiro)
+ * @param {string} entityType - 'overtime' | 'hourbank' | 'timeclock' | 'timesheet'
+ * @param {string} recordId - Record ID
+ * @returns {Promise<Array>} Comments with author
+ */
+export async function findRecordComments(entityType, recordId) {
+  return prisma.recordComment.findMany({
+    where: getRecordKey(entityType, recordId),
+    include: { author: authorSelect },
+    orderBy: { createdAt: 'asc' }
+  });
+}
+
+/**
+ * Describe a record for notifications
+ * @param {string} entityType - 'overtime' | 'hourbank' | 'timeclock' | 'timesheet'
+ * @param {Object} record - Record
+ * @returns {Object} { recordLabel, recordSummary }
+ */
+export function describeCommentRecord(entityType, record) {
+  if (entityType === 'overtime') {
+    return {
+      recordLabel: 'Hora extra',
+      recordSummary: `Hora extra de ${record.hours}h em ${formatDateForDisplay(record.date)}`
+    };
+  }
+  if (entityType === 'hourbank') {
+    return {
+      recordLabel: 'Registro do banco de horas',
+      recordSummary: `${hourBankTypeLabels[record.type] || 'Registro'} de ${record.hours}h no banco de horas em ${formatDateForDisplay(record.date)}`
+    };
+  }
+  if (entityType === 'timesheet') {
+    return {
+      recordLabel: 'Espelho de ponto',
+      recordSummary: `Espelho de ponto de ${String(record.month).padStart(2, '0')}/${record.year}`
+    };
+  }
+  return {
+    recordLabel: 'Registro de ponto',
+    recordSummary: `Registro de ponto de ${formatDateForDisplay(record.date)}`
+  };
+}
+
+/**
+ * Get who should be notified about a new comment
+ * Comentário do funcionário notifica os gestores do departamento (e dos departamentos acima);
+ * comentário de gestor notifica o funcionário. Quem já participou da conversa também é notificado.
+ * @param {string} entityType - 'overtime' | 'hourbank' | 'timeclock' | 'timesheet'
+ * @param {Object} record - Record with employee
+ * @param {string} authorId - Comment author ID
+ * @returns {Promise<Array>} Users ({ id, name, email })
+ */
+export async function getCommentRecipients(entityType, record, authorId) {
+  const recipients = new Map();
+  const employee = record.employee;
+
+  if (employee && employee.id !== authorId) {
+    recipients.set(employee.id, employee);
+  }
+
+  if (employee && employee.id === authorId) {
+    const managers = await findDepartmentManagers(employee);
+    managers.forEach(manager => recipients.set(manager.id, manager));
+  }
+
+  const participants = await prisma.recordComment.findMany({
+    where: getRecordKey(entityType, record.id),
+    select: { author: { select: { id: true, name: true, email: true } } },
+    distinct: ['authorId']
+  });
+  participants.forEach(({ author }) => recipients.set(author.id, author));
+
+  recipients.delete(authorId);
+  return Array.from(recipients.values());
+}
+
+/**
+ * Add a comment to a record and notify the other party by email
+ * O envio dos emails não bloqueia a resposta.
+ * @param {Object} params
+ * @param {string} params.entityType - 'overtime' | 'hourbank' | 'timeclock' | 'timesheet'
+ * @param {Object} params.record - Record with employee
+ * @param {Object} params.author - Author ({ id, name })
+ * @param {string} params.message - Comment text
+ * @param {string} [params.type] - 'comment' | 'approval' | 'rejection' | 'dispute'
+ * @returns {Promise<Object>} Created comment (with author)
+ */
+export async function addRecordComment({ entityType, record, author, message, type = 'comment' }) {
+  // Destinatários calculados antes de gravar, para o autor não ser contado como participante
+  const recipients = await getCommentRecipients(entityType, record, author.id);
+
+  const comment = await prisma.recordComment.create({
+    data: {
+      entityType,
+      ...getRecordKey(entityType, record.id),
+      authorId: author.id,
+      type,
+      message: String(message).trim()
+    },
+    include: { author: authorSelect }
+  });
+
+  const { recordLabel, recordSummary } = describeCommentRecord(entityType, record);
+  recipients.forEach(recipient => {
+    sendRecordCommentEmail(recipient, {
+      authorName: author.name,
+      recordLabel,
+      recordSummary,
+      message: comment.message,
+      type
+    }).catch(error => {
+      logger.logError(error, { context: 'Notificar comentário', commentId: comment.id, recipientId: recipient.id });
+    });
+  });
+
+  return comment;
+}
+
+/**
+ * Format a comment for API responses
+ * @param {Object} comment - Comment with author
+ * @returns {Object} Formatted comment
+ */
+export function formatRecordComment(comment) {
+  return {
+    id: comment.id,
+    entityType: comment.entityType,
+    type: comment.type,
+    message: comment.message,
+    authorId: comment.authorId,
+    authorName: comment.author?.name || 'N/A',
+    authorRole: comment.author?.role || null,
+    createdAt: comment.createdAt
+  };
+}
+
+export default prisma.recordComment;
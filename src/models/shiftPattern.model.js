@@ -0,0 +1,140 @@
+import prisma from '../config/database.js';
+import { addDaysToDateString } from '../utils/timeClockUtils.js';
+
+/**
+ * ShiftPattern model helper functions using Prisma
+ */
+
+/**
+ * Find a shift pattern by ID
+ * @param {string} id - Shift pattern ID
+ * @returns {Promise<Object|null>} ShiftPattern record or null
+ */
+export async function findShiftPatternById(id) {
+  return prisma.shiftPattern.findUnique({
+    where: { id }
+  });
+}
+
+/**
+ * List shift patterns with the number of assigned employees
+ * @param {boolean} activeOnly - Return only active patterns
+ * @returns {Promise<Array>} Array of ShiftPattern records
+ */
+export async function findShiftPatterns(activeOnly = false) {
+  return prisma.shiftPattern.findMany({
+    where: activeOnly ? { isActive: true } : {},
+    include: {
+      _count: {
+        select: { employees: true }
+      }
+    },
+    orderBy: { name: 'asc' }
+  });
+}
+
+/**
+ * Count employees assigned to a shift pattern
+ * @param {string} shiftPatternId - Shift pattern ID
+ * @returns {Promise<number>} Number of employees
+ */
+export async function countEmployeesWithShiftPattern(shiftPatternId) {
+  return prisma.user.count({
+    where: { shiftPatternId }
+  });
+}
+
+/**
+ * Count the assignments (atuais e históricas) of a shift pattern
+ * @param {string} shiftPatternId - Shift pattern ID
+ * @returns {Promise<number>} Number of assignments
+ */
+export async function countShiftPatternAssignments(shiftPatternId) {
+  return prisma.shiftPatternAssignment.count({
+    where: { shiftPatternId }
+  });
+}
+
+/**
+ * Get the current (open-ended) shift pattern assignment of an employee
+ * @param {string} employeeId - Employee ID
+ * @returns {Promise<Object|null>} ShiftPatternAssignment record or null
+ */
+export async function getCurrentShiftPatternAssignment(employeeId) {
+  return prisma.shiftPatternAssignment.findFirst({
+    where: { employeeId, validTo: null },
+    orderBy: { validFrom: 'desc' }
+  });
+}
+
+/**
+ * Get all shift pattern assignments of an employee (timeline)
+ * @param {string} employeeId - Employee ID
+ * @returns {Promise<Array>} Assignments with the shift pattern, ordered from newest to oldest
+ */
+export async function findShiftPatternAssignments(employeeId) {
+  return prisma.shiftPatternAssignment.findMany({
+    where: { employeeId },
+    include: {
+      shiftPattern: {
+        select: { id: true, name: true }
+      }
+    },
+    orderBy: { validFrom: 'desc' }
+  });
+}
+
+/**
+ * Assign a shift pattern to an employee from a date on
+ * A atribuição não é sobrescrita: a atual é encerrada no dia anterior a validFrom (ou substituída, se começa
+ * na mesma data) e as datas anteriores continuam com a escala (ou jornada semanal) da época.
+ * shiftPatternId null apenas encerra a atribuição atual (o funcionário volta à jornada semanal).
+ * A escala da atribuição mais recente fica também no funcionário (shiftPatternId/shiftPatternAnchorDate).
+ * @param {string} employeeId - Employee ID
+ * @param {string|null} shiftPatternId - Shift pattern ID (null = jornada semanal)
+ * @param {string|null} anchorDate - Employee cycle start date (YYYY-MM-DD; null = a da escala)
+ * @param {string} validFrom - Start of the assignment (YYYY-MM-DD); deve ser igual ou posterior ao início da atual
+ * @param {string} userId - User that made the change
+ * @returns {Promise<Object>} { user, assignment } (assignment null when removing the pattern)
+ */
+export async function assignShiftPattern(employeeId, shiftPatternId, anchorDate, validFrom, userId) {
+  const currentAssignment = await getCurrentShiftPatternAssignment(employeeId);
+
+  return prisma.$transaction(async (tx) => {
+    if (currentAssignment) {
+      if (currentAssignment.validFrom === validFrom) {
+        // Mesma data de vigência: substituir a atribuição atual
+        await tx.shiftPatternAssignment.delete({ where: { id: currentAssignment.id } });
+      } else {
+        await tx.shiftPatternAssignment.update({
+          where: { id: currentAssignment.id },
+          data: { validTo: addDaysToDateString(validFrom, -1) }
+        });
+      }
+    }
+
+    const assignment = shiftPatternId
+      ? await tx.shiftPatternAssignment.create({
+        data: {
+          employeeId,
+          shiftPatternId,
+          anchorDate: anchorDate || null,
+          validFrom,
+          createdBy: userId
+        }
+      })
+      : null;
+
+    const user = await tx.user.update({
+      where: { id: employeeId },
+      data: {
+        shiftPatternId: shiftPatternId || null,
+        shiftPatternAnchorDate: shiftPatternId && anchorDate ? anchorDate : null
+      }
+    });
+
+    return { user, assignment };
+  });
+}
+
+export default prisma.shiftPattern;
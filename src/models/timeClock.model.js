@@ -4,4 +4,71 @@ import prisma from '../config/database.js';
  * TimeClock model helper functions using Prisma
  */
 
+// Registro com o funcionário, a justificativa, quem analisou e o débito no banco de horas
+export const justificationReviewInclude = {
+  employee: { select: { id: true, name: true, email: true, department: true, departmentId: true } },
+  justificationReason: true,
+  justificationReviewer: { select: { id: true, name: true } },
+  hourBankDebit: { select: { id: true, hours: true, status: true } }
+};
+
+/**
+ * Find the time clock records whose justification awaits the manager's review
+ * @param {Object} [filters]
+ * @param {string} [filters.employeeId] - Employee ID
+ * @param {string} [filters.startDate] - Start date (YYYY-MM-DD)
+ * @param {string} [filters.endDate] - End date (YYYY-MM-DD)
+ * @param {string} [filters.excludeEmployeeId] - Employee whose records are left out (quem está analisando)
+ * @returns {Promise<Array>} Records (mais antigos primeiro)
+ */
+export async function findPendingJustificationReviews({ employeeId, startDate, endDate, excludeEmployeeId } = {}) {
+  const where = { justificationStatus: 'pending' };
+  if (employeeId) {
+    where.employeeId = employeeId;
+  } else if (excludeEmployeeId) {
+    where.employeeId = { not: excludeEmployeeId };
+  }
+  if (startDate || endDate) {
+    where.date = {};
+    if (startDate) where.date.gte = startDate;
+    if (endDate) where.date.lte = endDate;
+  }
+
+  return prisma.timeClock.findMany({
+    where,
+    include: justificationReviewInclude,
+    orderBy: [{ justificationSubmittedAt: 'asc' }, { date: 'asc' }]
+  });
+}
+
+/**
+ * Format the justification review of a time clock record for API responses
+ * @param {Object} record - Time clock record with justificationReviewInclude
+ * @returns {Object} Formatted review
+ */
+export function formatJustificationReview(record) {
+  return {
+    timeClockId: record.id,
+    date: record.date,
+    employeeId: record.employeeId,
+    employeeName: record.employee?.name || 'N/A',
+    department: record.employee?.department || null,
+    justificationId: record.justificationId,
+    justification: record.justification,
+    category: record.justificationReason?.category || null,
+    effect: record.justificationReason?.effect || null,
+    requiresAttachment: record.justificationReason?.requiresAttachment || false,
+    unworkedHours: Number(((record.negativeHours || 0) + (record.waivedHours || 0)).toFixed(2)),
+    negativeHours: record.negativeHours || 0,
+    waivedHours: record.waivedHours || 0,
+    hourBankDebit: record.hourBankDebit || null,
+    status: record.justificationStatus,
+    submittedAt: record.justificationSubmittedAt || null,
+    reviewedBy: record.justificationReviewedBy || null,
+    reviewedByName: record.justificationReviewer?.name || null,
+    reviewedAt: record.justificationReviewedAt || null,
+    reviewComment: record.justificationReviewComment || null
+  };
+}
+
 export default prisma.timeClock;
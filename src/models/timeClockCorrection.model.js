@@ -0,0 +1,74 @@
+import prisma from '../config/database.js';
+
+/**
+ * TimeClockCorrection model helper functions using Prisma
+ */
+
+export const correctionInclude = {
+  employee: { select: { id: true, name: true, email: true, department: true, departmentId: true } },
+  reviewer: { select: { id: true, name: true } },
+  timeClock: { select: { id: true, date: true } }
+};
+
+/**
+ * Find a correction request by ID
+ * @param {string} id - Correction ID
+ * @returns {Promise<Object|null>} Correction (with employee, reviewer and record) or null
+ */
+export async function findCorrectionById(id) {
+  return prisma.timeClockCorrection.findUnique({
+    where: { id },
+    include: correctionInclude
+  });
+}
+
+/**
+ * Find the pending correction request of a time clock record
+ * Cada registro tem no máximo uma solicitação pendente por vez.
+ * @param {string} timeClockId - Time clock record ID
+ * @returns {Promise<Object|null>} Pending correction or null
+ */
+export async function findPendingCorrection(timeClockId) {
+  return prisma.timeClockCorrection.findFirst({
+    where: { timeClockId, status: 'pending' }
+  });
+}
+
+/**
+ * Format a correction request for API responses
+ * @param {Object} correction - Correction with employee, reviewer and record
+ * @returns {Object} Formatted correction (batidas originais e propostas lado a lado)
+ */
+export function formatCorrection(correction) {
+  return {
+    id: correction.id,
+    timeClockId: correction.timeClockId,
+    date: correction.timeClock?.date || null,
+    employeeId: correction.employeeId,
+    employeeName: correction.employee?.name || 'N/A',
+    department: correction.employee?.department || null,
+    requested: {
+      entryTime: correction.requestedEntryTime,
+      lunchExitTime: correction.requestedLunchExitTime,
+      lunchReturnTime: correction.requestedLunchReturnTime,
+      exitTime: correction.requestedExitTime
+    },
+    original: {
+      entryTime: correction.originalEntryTime,
+      lunchExitTime: correction.originalLunchExitTime,
+      lunchReturnTime: correction.originalLunchReturnTime,
+      exitTime: correction.originalExitTime
+    },
+    reason: correction.reason,
+    status: correction.status,
+    reviewedBy: correction.reviewedBy || null,
+    reviewedByName: correction.reviewer?.name || null,
+    reviewedAt: correction.reviewedAt || null,
+    reviewComment: correction.reviewComment || null,
+    delegationId: correction.delegationId || null,
+    createdAt: correction.createdAt,
+    updatedAt: correction.updatedAt
+  };
+}
+
+export default prisma.timeClockCorrection;
@@ -0,0 +1,106 @@
+import prisma from '../config/database.js';
+
+/**
+ * TimeClockPunch model helper functions using Prisma
+ * O log é somente de inclusão: nenhuma batida gravada é alterada ou removida pela aplicação.
+ */
+
+// Campo do registro de ponto → tipo de batida no log
+export const PUNCH_TYPE_BY_FIELD = {
+  entryTime: 'entry',
+  lunchExitTime: 'lunch_exit',
+  lunchReturnTime: 'lunch_return',
+  exitTime: 'exit'
+};
+
+const sameInstant = (a, b) => (a ? new Date(a).getTime() : null) === (b ? new Date(b).getTime() : null);
+
+/**
+ * Append the punches changed on a time clock record to the log
+ * A primeira batida de cada tipo é gravada como original; as seguintes viram ajustes que
+ * referenciam a última batida do mesmo tipo.
+ * @param {Object} record - Time clock record before the change ({ id, employeeId, date, ...punches })
+ * @param {Object} changes - New punch values ({ entryTime?, lunchExitTime?, lunchReturnTime?, exitTime? })
+ * @param {Object} options - { source, userId?, reason?, correctionId?, ipAddress? }
+ * @returns {Promise<Array>} Created punches
+ */
+export async function appendPunches(record, changes, { source, userId = null, reason = null, correctionId = null, ipAddress = null }) {
+  const created = [];
+
+  for (const [field, type] of Object.entries(PUNCH_TYPE_BY_FIELD)) {
+    if (changes[field] === undefined) {
+      continue;
+    }
+
+    const previous = await prisma.timeClockPunch.findFirst({
+      where: { timeClockId: record.id, type },
+      orderBy: { nsr: 'desc' }
+    });
+
+    // Sem alteração em relação à batida vigente não há o que registrar
+    if (previous ? sameInstant(previous.punchTime, changes[field]) : !changes[field]) {
+      continue;
+    }
+
+    created.push(await prisma.timeClockPunch.create({
+      data: {
+        timeClockId: record.id,
+        employeeId: record.employeeId,
+        date: record.date,
+        type,
+        kind: previous ? 'adjustment' : 'original',
+        punchTime: changes[field] || null,
+        source,
+        adjustsId: previous?.id || null,
+        reason,
+        correctionId,
+        recordedBy: userId,
+        ipAddress
+      }
+    }));
+  }
+
+  return created;
+}
+
+/**
+ * Find the punch log of a time clock record (ordem de gravação)
+ * @param {string} timeClockId - Time clock record ID
+ * @returns {Promise<Array>} Punches with recorder
+ */
+export async function findRecordPunches(timeClockId) {
+  return prisma.timeClockPunch.findMany({
+    where: { timeClockId },
+    include: { recorder: { select: { id: true, name: true, role: true } } },
+    orderBy: { nsr: 'asc' }
+  });
+}
+
+/**
+ * Format the punch log of a record, flagging the punch in effect for each type
+ * @param {Array} punches - Punches ordered by nsr
+ * @returns {Array} Formatted punches
+ */
+export function formatPunchHistory(punches) {
+  const latestByType = new Map();
+  punches.forEach(punch => latestByType.set(punch.type, punch.id));
+
+  return punches.map(punch => ({
+    id: punch.id,
+    nsr: punch.nsr,
+    type: punch.type,
+    kind: punch.kind,
+    punchTime: punch.punchTime,
+    source: punch.source,
+    adjustsId: punch.adjustsId,
+    reason: punch.reason,
+    correctionId: punch.correctionId,
+    recordedBy: punch.recordedBy,
+    recordedByName: punch.recorder?.name || null,
+    ipAddress: punch.ipAddress,
+    recordedAt: punch.recordedAt,
+    isCurrent: latestByType.get(punch.type) === punch.id
+  }));
+}
+
+export default prisma.timeClockPunch;
@@ -0,0 +1,124 @@
+import prisma from '../config/database.js';
+
+/**
+ * TimesheetClosing model helper functions using Prisma
+ */
+
+// Status em que os registros de ponto e do banco de horas do mês ficam somente leitura
+export const LOCKED_CLOSING_STATUSES = ['closed', 'acknowledged', 'disputed'];
+
+export const closingInclude = {
+  employee: { select: { id: true, name: true, email: true, department: true, departmentId: true } },
+  closer: { select: { id: true, name: true } },
+  reopener: { select: { id: true, name: true } }
+};
+
+/**
+ * Find a closing by ID
+ * @param {string} id - Closing ID
+ * @returns {Promise<Object|null>} Closing (with employee, closer and reopener) or null
+ */
+export async function findClosingById(id) {
+  return prisma.timesheetClosing.findUnique({
+    where: { id },
+    include: closingInclude
+  });
+}
+
+/**
+ * Find the closing of an employee's month
+ * @param {string} employeeId - Employee ID
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @returns {Promise<Object|null>} Closing or null (mês ainda aberto)
+ */
+export async function findClosing(employeeId, year, month) {
+  return prisma.timesheetClosing.findUnique({
+    where: { employeeId_year_month: { employeeId, year, month } },
+    include: closingInclude
+  });
+}
+
+/**
+ * Find the closing that locks a date for an employee
+ * @param {string} employeeId - Employee ID
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {Promise<Object|null>} Locking closing or null if the period is open
+ */
+export async function findLockingClosing(employeeId, date) {
+  if (!employeeId || !date) {
+    return null;
+  }
+
+  const [year, month] = String(date).split('-').map(Number);
+  return prisma.timesheetClosing.findFirst({
+    where: { employeeId, year, month, status: { in: LOCKED_CLOSING_STATUSES } }
+  });
+}
+
+/**
+ * Find the first closing that locks any month of a period for an employee
+ * @param {string} employeeId - Employee ID
+ * @param {string} startDate - Start date (YYYY-MM-DD)
+ * @param {string} endDate - End date (YYYY-MM-DD)
+ * @returns {Promise<Object|null>} Locking closing or null if every month of the period is open
+ */
+export async function findLockingClosingInRange(employeeId, startDate, endDate) {
+  const months = [];
+  let [year, month] = startDate.split('-').map(Number);
+  const [endYear, endMonth] = endDate.split('-').map(Number);
+  while (year < endYear || (year === endYear && month <= endMonth)) {
+    months.push({ year, month });
+    month = month === 12 ? 1 : month + 1;
+    year = month === 1 ? year + 1 : year;
+  }
+
+  return prisma.timesheetClosing.findFirst({
+    where: { employeeId, status: { in: LOCKED_CLOSING_STATUSES }, OR: months },
+    orderBy: [{ year: 'asc' }, { month: 'asc' }]
+  });
+}
+
+/**
+ * Build the error message for a change in a closed period
+ * @param {Object} closing - Locking closing
+ * @returns {string} Message
+ */
+export function getClosedPeriodMessage(closing) {
+  return `Período ${String(closing.month).padStart(2, '0')}/${closing.year} fechado: registros de ponto e do banco de horas do mês são somente leitura`;
+}
+
+/**
+ * Format a closing for API responses
+ * @param {Object} closing - Closing with employee, closer and reopener
+ * @returns {Object} Formatted closing
+ */
+export function formatClosing(closing) {
+  return {
+    id: closing.id,
+    employeeId: closing.employeeId,
+    employeeName: closing.employee?.name || 'N/A',
+    department: closing.employee?.department || null,
+    year: closing.year,
+    month: closing.month,
+    status: closing.status,
+    closedBy: closing.closedBy || null,
+    closedByName: closing.closer?.name || null,
+    closedAt: closing.closedAt || null,
+    contentHash: closing.contentHash || null,
+    acknowledgedAt: closing.acknowledgedAt || null,
+    acknowledgedHash: closing.acknowledgedHash || null,
+    ipAddress: closing.ipAddress || null,
+    userAgent: closing.userAgent || null,
+    disputeReason: closing.disputeReason || null,
+    disputedAt: closing.disputedAt || null,
+    reopenedBy: closing.reopenedBy || null,
+    reopenedByName: closing.reopener?.name || null,
+    reopenedAt: closing.reopenedAt || null,
+    reopenReason: closing.reopenReason || null,
+    createdAt: closing.createdAt,
+    updatedAt: closing.updatedAt
+  };
+}
+
+export default prisma.timesheetClosing;
@@ -12,12 +12,17 @@ import logger from '../utils/logger.js';
  * @param {string} userData.name - User name
  * @param {string} userData.email - User email
  * @param {string} [userData.password] - User password (will be hashed)
- * @param {string} userData.department - User department
+ * @param {string} userData.department - User department (nome)
+ * @param {string} [userData.departmentId] - Department ID (entidade Department)
  * @param {string} [userData.role] - User role (default: 'employee')
  * @param {string} [userData.externalId] - External ID for external auth
  * @param {boolean} [userData.externalAuth] - Whether user uses external auth
  * @param {number} [userData.overtimeLimit] - Overtime limit
  * @param {Array} [userData.overtimeExceptions] - Overtime exceptions
+ * @param {string} [userData.state] - UF de lotação (feriados estaduais)
+ * @param {string} [userData.city] - Município de lotação (feriados municipais)
+ * @param {string} [userData.timezone] - Fuso horário próprio (IANA); null usa o fuso da empresa
+ * @param {string} [userData.admissionDate] - Data de admissão (YYYY-MM-DD)
  * @returns {Promise<Object>} Created user
  */
 export async function createUser(userData) {
@@ -26,6 +31,7 @@ export async function createUser(userData) {
     email,
     password,
     department,
+    departmentId,
     role = 'employee',
     externalId,
     externalAuth = false,
@@ -35,6 +41,10 @@ export async function createUser(userData) {
     lunchBreakHours,
     lateTolerance,
     requiresTimeClock,
+    state,
+    city,
+    timezone,
+    admissionDate,
     lastLoginAt
   } = userData;
 
@@ -53,6 +63,7 @@ export async function createUser(userData) {
       email,
       password: hashedPassword,
       department,
+      departmentId: departmentId || null,
       role,
       externalId: externalIdString,
       externalAuth,
@@ -62,6 +73,10 @@ export async function createUser(userData) {
       lunchBreakHours: lunchBreakHours || null,
       lateTolerance: lateTolerance || 10,
       requiresTimeClock: requiresTimeClock !== undefined ? requiresTimeClock : false,
+      state: state || null,
+      city: city || null,
+      timezone: timezone || null,
+      admissionDate: admissionDate || null,
       lastLoginAt: lastLoginAt || null
     }
   });
@@ -84,10 +99,14 @@ export async function findUserById(id, includePassword = false) {
       role: true,
       name: true,
       department: true,
+      departmentId: true,
       externalId: true,
       externalAuth: true,
       overtimeLimit: true,
       overtimeExceptions: true,
+      hourBankAccumulationLimit: true,
+      hourBankUsageLimit: true,
+      hourBankExceptions: true,
       workSchedule: true, // Manter para backward compatibility durante migração
       workSchedules: {
         select: {
@@ -95,7 +114,9 @@ export async function findUserById(id, includePassword = false) {
           dayOfWeek: true,
           startTime: true,
           endTime: true,
-          isActive: true
+          isActive: true,
+          validFrom: true,
+          validTo: true
         },
         orderBy: {
           dayOfWeek: 'asc'
@@ -104,6 +125,41 @@ export async function findUserById(id, includePassword = false) {
       lunchBreakHours: true,
       lateTolerance: true,
       requiresTimeClock: true,
+      state: true,
+      city: true,
+      timezone: true,
+      cpf: true,
+      pis: true,
+      admissionDate: true,
+      shiftPatternId: true,
+      shiftPatternAnchorDate: true,
+      shiftPattern: {
+        select: {
+          id: true,
+          name: true,
+          cycleDays: true,
+          days: true,
+          anchorDate: true,
+          isActive: true
+        }
+      },
+      shiftPatternAssignments: { // Vigência das escalas (resolvida pela data do registro)
+        select: {
+          anchorDate: true,
+          validFrom: true,
+          validTo: true,
+          shiftPattern: {
+            select: {
+              id: true,
+              name: true,
+              cycleDays: true,
+              days: true,
+              anchorDate: true,
+              isActive: true
+            }
+          }
+        }
+      },
       lastLoginAt: true,
       createdAt: true,
       updatedAt: true
@@ -142,14 +198,24 @@ export async function findUserByEmail(email, includePassword = false) {
       role: true,
       name: true,
       department: true,
+      departmentId: true,
       externalId: true,
       externalAuth: true,
       overtimeLimit: true,
       overtimeExceptions: true,
+      hourBankAccumulationLimit: true,
+      hourBankUsageLimit: true,
+      hourBankExceptions: true,
       workSchedule: true,
       lunchBreakHours: true,
       lateTolerance: true,
       requiresTimeClock: true,
+      state: true,
+      city: true,
+      timezone: true,
+      cpf: true,
+      pis: true,
+      admissionDate: true,
       lastLoginAt: true,
       createdAt: true,
       updatedAt: true
@@ -190,10 +256,14 @@ export async function findUsers(query = {}, options = {}) {
     role: true,
     name: true,
     department: true,
+    departmentId: true,
     externalId: true,
     externalAuth: true,
     overtimeLimit: true,
     overtimeExceptions: true,
+    hourBankAccumulationLimit: true,
+    hourBankUsageLimit: true,
+    hourBankExceptions: true,
     workSchedule: true, // Manter para backward compatibility durante migração
     workSchedules: {
       select: {
@@ -201,7 +271,9 @@ export async function findUsers(query = {}, options = {}) {
         dayOfWeek: true,
         startTime: true,
         endTime: true,
-        isActive: true
+        isActive: true,
+        validFrom: true,
+        validTo: true
       },
       orderBy: {
         dayOfWeek: 'asc'
@@ -210,6 +282,41 @@ export async function findUsers(query = {}, options = {}) {
     lunchBreakHours: true,
     lateTolerance: true,
     requiresTimeClock: true,
+    state: true,
+    city: true,
+    timezone: true,
+    cpf: true,
+    pis: true,
+    admissionDate: true,
+    shiftPatternId: true,
+    shiftPatternAnchorDate: true,
+    shiftPattern: {
+      select: {
+        id: true,
+        name: true,
+        cycleDays: true,
+        days: true,
+        anchorDate: true,
+        isActive: true
+      }
+    },
+    shiftPatternAssignments: { // Vigência das escalas (resolvida pela data do registro)
+      select: {
+        anchorDate: true,
+        validFrom: true,
+        validTo: true,
+        shiftPattern: {
+          select: {
+            id: true,
+            name: true,
+            cycleDays: true,
+            days: true,
+            anchorDate: true,
+            isActive: true
+          }
+        }
+      }
+    },
     lastLoginAt: true,
     createdAt: true,
     updatedAt: true
@@ -1,5 +1,9 @@
 import prisma from '../config/database.js';
 import logger from '../utils/logger.js';
+import { timeToMinutes, getSchedulesEffectiveOn } from '../utils/workScheduleUtils.js';
+import { addDaysToDateString } from '../utils/timeClockUtils.js';
+import { getTodayInTimezone } from '../utils/timezoneUtils.js';
+import { getCompanyTimezone } from './companySettings.model.js';
 
 /**
  * WorkSchedule model helper functions using Prisma
@@ -7,13 +11,18 @@ import logger from '../utils/logger.js';
 
 /**
  * Create or update work schedule for an employee
+ * A jornada não é sobrescrita: é criada uma nova versão vigente a partir de validFrom e a
+ * versão atual é encerrada no dia anterior. Se a versão atual começa na mesma data, ela é substituída.
+ * Uma versão sem dias de trabalho é gravada como uma única linha inativa (marcador da vigência).
  * @param {string} employeeId - Employee ID
  * @param {Array} schedules - Array of schedule objects: [{ dayOfWeek: 'monday', startTime: '08:00', endTime: '18:00' }, ...]
- * @returns {Promise<Array>} Array of created/updated WorkSchedule records
+ * @param {string|null} validFrom - Start of the new version (YYYY-MM-DD, default: today)
+ * @returns {Promise<Array>} Array of created WorkSchedule records
  */
-export async function createOrUpdateWorkSchedule(employeeId, schedules) {
+export async function createOrUpdateWorkSchedule(employeeId, schedules, validFrom = null) {
   try {
-    const results = [];
+    const effectiveFrom = validFrom || getTodayInTimezone(await getCompanyTimezone());
+    const rows = [];
     
     for (const schedule of schedules) {
       const { dayOfWeek, startTime, endTime, isActive = true } = schedule;
@@ -24,14 +33,9 @@ export async function createOrUpdateWorkSchedule(employeeId, schedules) {
         throw new Error(`Formato de horário inválido para ${dayOfWeek}: ${startTime} - ${endTime}`);
       }
       
-      // Validar que endTime > startTime
-      const [startHour, startMin] = startTime.split(':').map(Number);
-      const [endHour, endMin] = endTime.split(':').map(Number);
-      const startMinutes = startHour * 60 + startMin;
-      const endMinutes = endHour * 60 + endMin;
-      
-      if (endMinutes <= startMinutes) {
-        throw new Error(`Horário de término deve ser maior que horário de início para ${dayOfWeek}`);
+      // Validar que endTime != startTime (endTime < startTime indica turno noturno)
+      if (timeToMinutes(endTime) === timeToMinutes(startTime)) {
+        throw new Error(`Horário de término deve ser diferente do horário de início para ${dayOfWeek}`);
       }
       
       // Validar dayOfWeek
@@ -40,32 +44,61 @@ export async function createOrUpdateWorkSchedule(employeeId, schedules) {
         throw new Error(`Dia da semana inválido: ${dayOfWeek}`);
       }
       
-      const result = await prisma.workSchedule.upsert({
-        where: {
-          employeeId_dayOfWeek: {
-            employeeId,
-            dayOfWeek: dayOfWeek.toLowerCase()
-          }
-        },
-        update: {
-          startTime,
-          endTime,
-          isActive
-        },
-        create: {
-          employeeId,
-          dayOfWeek: dayOfWeek.toLowerCase(),
-          startTime,
-          endTime,
-          isActive
-        }
+      rows.push({
+        employeeId,
+        dayOfWeek: dayOfWeek.toLowerCase(),
+        startTime,
+        endTime,
+        isActive,
+        validFrom: effectiveFrom
       });
-      
-      results.push(result);
     }
     
-    logger.info('Jornada de trabalho criada/atualizada', {
+    // Versão sem dias de trabalho: uma linha inativa marca a vigência (sem linhas, a versão anterior continuaria valendo)
+    if (!rows.some(row => row.isActive)) {
+      rows.length = 0;
+      rows.push({
+        employeeId,
+        dayOfWeek: 'monday',
+        startTime: '00:00',
+        endTime: '00:00',
+        isActive: false,
+        validFrom: effectiveFrom
+      });
+    }
+    
+    const currentVersion = await getCurrentWorkScheduleVersion(employeeId);
+    if (currentVersion && effectiveFrom < currentVersion.validFrom) {
+      throw new Error(`Data de vigência deve ser igual ou posterior ao início da versão atual (${currentVersion.validFrom})`);
+    }
+    
+    const results = await prisma.$transaction(async (tx) => {
+      if (currentVersion) {
+        if (currentVersion.validFrom === effectiveFrom) {
+          // Mesma data de vigência: substituir a versão atual
+          await tx.workSchedule.deleteMany({
+            where: { employeeId, validFrom: effectiveFrom }
+          });
+        } else {
+          // Encerrar a versão atual no dia anterior à nova vigência
+          await tx.workSchedule.updateMany({
+            where: { employeeId, validTo: null },
+            data: { validTo: addDaysToDateString(effectiveFrom, -1) }
+          });
+        }
+      }
+      
+      const created = [];
+      for (const row of rows) {
+        created.push(await tx.workSchedule.create({ data: row }));
+      }
+      return created;
+    });
+    
+    logger.info('Nova versão da jornada de trabalho criada', {
       employeeId,
+      validFrom: effectiveFrom,
+      previousValidFrom: currentVersion?.validFrom || null,
       schedulesCount: results.length
     });
     
@@ -76,49 +109,80 @@ export async function createOrUpdateWorkSchedule(employeeId, schedules) {
   }
 }
 
+/**
+ * Get the current (open-ended) work schedule version of an employee
+ * @param {string} employeeId - Employee ID
+ * @returns {Promise<Object|null>} { validFrom, schedules } or null if the employee has no schedule
+ */
+export async function getCurrentWorkScheduleVersion(employeeId) {
+  const schedules = await prisma.workSchedule.findMany({
+    where: { employeeId, validTo: null },
+    orderBy: { dayOfWeek: 'asc' }
+  });
+  
+  if (schedules.length === 0) {
+    return null;
+  }
+  
+  return {
+    validFrom: schedules[0].validFrom,
+    schedules
+  };
+}
+
 /**
  * Get work schedule for an employee
  * @param {string} employeeId - Employee ID
  * @param {boolean} activeOnly - Return only active schedules
+ * @param {string|null} date - Return the version in force on this date (YYYY-MM-DD, default: today)
  * @returns {Promise<Array>} Array of WorkSchedule records
  */
-export async function getWorkScheduleByEmployee(employeeId, activeOnly = false) {
-  const where = { employeeId };
-  if (activeOnly) {
-    where.isActive = true;
-  }
-  
+export async function getWorkScheduleByEmployee(employeeId, activeOnly = false, date = null) {
   const schedules = await prisma.workSchedule.findMany({
-    where,
+    where: { employeeId },
     orderBy: {
       dayOfWeek: 'asc'
     }
   });
   
-  return schedules;
+  // Filtrar os dias ativos só depois de escolher a versão (uma versão sem dias ativos também é vigente)
+  const inForce = getSchedulesEffectiveOn(schedules, date || getTodayInTimezone(await getCompanyTimezone()));
+  return activeOnly ? inForce.filter(schedule => schedule.isActive) : inForce;
+}
+
+/**
+ * Get all work schedule versions of an employee (timeline)
+ * @param {string} employeeId - Employee ID
+ * @returns {Promise<Array>} Array of { validFrom, validTo, workSchedule } ordered from newest to oldest
+ */
+export async function getWorkScheduleVersions(employeeId) {
+  const schedules = await prisma.workSchedule.findMany({
+    where: { employeeId },
+    orderBy: [
+      { validFrom: 'desc' },
+      { dayOfWeek: 'asc' }
+    ]
+  });
+  
+  return groupWorkScheduleVersions(schedules);
 }
 
 /**
  * Get work schedule for a specific day
  * @param {string} employeeId - Employee ID
  * @param {string} dayOfWeek - Day of week ('monday', 'tuesday', etc.)
+ * @param {string|null} date - Return the version in force on this date (YYYY-MM-DD, default: today)
  * @returns {Promise<Object|null>} WorkSchedule record or null
  */
-export async function getWorkScheduleForDay(employeeId, dayOfWeek) {
-  const schedule = await prisma.workSchedule.findUnique({
-    where: {
-      employeeId_dayOfWeek: {
-        employeeId,
-        dayOfWeek: dayOfWeek.toLowerCase()
-      }
-    }
-  });
+export async function getWorkScheduleForDay(employeeId, dayOfWeek, date = null) {
+  const schedules = await getWorkScheduleByEmployee(employeeId, false, date);
   
-  return schedule;
+  return schedules.find(schedule => schedule.dayOfWeek === dayOfWeek.toLowerCase()) || null;
 }
 
 /**
  * Delete work schedule for an employee
+ * Remove todas as versões (inclusive o histórico); para alterar a jornada use createOrUpdateWorkSchedule
  * @param {string} employeeId - Employee ID
  * @param {string|null} dayOfWeek - Day of week (optional, if null deletes all)
  * @returns {Promise<number>} Number of deleted records
@@ -168,6 +232,34 @@ export function parseWorkScheduleArray(schedules) {
   return result;
 }
 
+/**
+ * Group work schedule rows by version (validFrom)
+ * @param {Array} schedules - Array of WorkSchedule records (all versions)
+ * @returns {Array} Array of { validFrom, validTo, workSchedule } ordered from newest to oldest
+ */
+export function groupWorkScheduleVersions(schedules) {
+  const versions = new Map();
+  
+  schedules.forEach(schedule => {
+    if (!versions.has(schedule.validFrom)) {
+      versions.set(schedule.validFrom, {
+        validFrom: schedule.validFrom,
+        validTo: schedule.validTo || null,
+        schedules: []
+      });
+    }
+    versions.get(schedule.validFrom).schedules.push(schedule);
+  });
+  
+  return Array.from(versions.values())
+    .sort((a, b) => b.validFrom.localeCompare(a.validFrom))
+    .map(version => ({
+      validFrom: version.validFrom,
+      validTo: version.validTo,
+      workSchedule: parseWorkScheduleArray(version.schedules)
+    }));
+}
+
 /**
  * Convert work schedule object to array format
  * @param {Object} workScheduleObject - Object with dayOfWeek as keys: { monday: { startTime, endTime }, ... }
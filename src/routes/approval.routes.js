@@ -0,0 +1,202 @@
+import express from 'express';
+import { protect } from '../middleware/auth.js';
+import prisma from '../config/database.js';
+import { getStepApprovalAuthority, getApprovalAuthority, canAccessDepartment } from '../middleware/departmentAccess.js';
+import { getApprovalChain, getApprovalSteps, formatApprovalSteps } from '../models/approvalStep.model.js';
+import { getCurrentApprovalStep, APPROVAL_ENTITY_TYPES } from '../utils/approvalChainUtils.js';
+import { correctionInclude, formatCorrection } from '../models/timeClockCorrection.model.js';
+import { findPendingJustificationReviews, formatJustificationReview } from '../models/timeClock.model.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+const employeeSelect = { select: { id: true, name: true, email: true, department: true, departmentId: true } };
+const stepsInclude = {
+  orderBy: { stepOrder: 'asc' },
+  include: { decider: { select: { id: true, name: true } } }
+};
+
+// Helper: Verificar se o usuário decide a etapa atual de um registro pendente
+// Autorizações por departamento são memorizadas para não repetir a busca de delegações
+const findInboxStep = async (user, entityType, record, chain, authorityCache) => {
+  const steps = await getApprovalSteps(entityType, record, chain);
+  const step = getCurrentApprovalStep(steps);
+  if (!step) {
+    return null;
+  }
+
+  // Com etapas já aprovadas a decisão depende de quem aprovou, então não usa a memória
+  const departmentId = record.employee?.departmentId;
+  const hasPriorApprovals = steps.some(item => item.status === 'approved');
+  const cacheKey = `${step.role}|${(step.approverIds || []).join(',')}|${departmentId}`;
+  let authority = hasPriorApprovals ? null : authorityCache.get(cacheKey);
+  if (!authority) {
+    authority = await getStepApprovalAuthority(user, step, departmentId, steps);
+    if (!hasPriorApprovals) {
+      authorityCache.set(cacheKey, authority);
+    }
+  }
+
+  // Substituto e aprovador designado não aprovam os próprios registros
+  if (!authority.allowed || ((authority.delegation || authority.designated) && record.employeeId === user.id)) {
+    return null;
+  }
+
+  return { step, steps, delegation: authority.delegation };
+};
+
+// GET /approvals/inbox - Registros pendentes que aguardam a decisão do usuário (etapa atual da cadeia)
+// e solicitações de correção de ponto e justificativas dos departamentos que o usuário aprova
+router.get('/inbox', protect, async (req, res) => {
+  try {
+    const [overtimeChain, hourBankChain] = await Promise.all([
+      getApprovalChain('overtime'),
+      getApprovalChain('hourbank')
+    ]);
+
+    const [overtimes, hourBankRecords, corrections, justificationReviews] = await Promise.all([
+      prisma.overtime.findMany({
+        where: { status: 'pending' },
+        include: { employee: employeeSelect, approvalSteps: stepsInclude },
+        orderBy: [{ date: 'asc' }, { createdAt: 'asc' }]
+      }),
+      prisma.hourBankRecord.findMany({
+        where: { status: 'pending' },
+        include: { employee: employeeSelect, approvalSteps: stepsInclude },
+        orderBy: [{ date: 'asc' }, { createdAt: 'asc' }]
+      }),
+      prisma.timeClockCorrection.findMany({
+        where: { status: 'pending', employeeId: { not: req.user.id } },
+        include: correctionInclude,
+        orderBy: { createdAt: 'asc' }
+      }),
+      findPendingJustificationReviews({ excludeEmployeeId: req.user.id })
+    ]);
+
+    const authorityCache = new Map();
+    const formatInboxItem = (entityType, record, inbox) => ({
+      id: record.id,
+      entityType,
+      employeeId: record.employeeId,
+      employeeName: record.employee?.name || 'N/A',
+      department: record.employee?.department || null,
+      date: record.date,
+      hours: record.hours,
+      type: entityType === 'hourbank' ? record.type : undefined,
+      reason: record.reason,
+      currentStep: {
+        stepOrder: inbox.step.stepOrder,
+        name: inbox.step.name,
+        role: inbox.step.role
+      },
+      totalSteps: inbox.steps.length,
+      approvalSteps: formatApprovalSteps(inbox.steps),
+      onBehalfOf: inbox.delegation
+        ? { id: inbox.delegation.delegator.id, name: inbox.delegation.delegator.name }
+        : null,
+      createdAt: record.createdAt
+    });
+
+    const overtimeItems = [];
+    for (const overtime of overtimes) {
+      const inbox = await findInboxStep(req.user, 'overtime', overtime, overtimeChain, authorityCache);
+      if (inbox) {
+        overtimeItems.push(formatInboxItem('overtime', overtime, inbox));
+      }
+    }
+
+    const hourBankItems = [];
+    for (const record of hourBankRecords) {
+      const inbox = await findInboxStep(req.user, 'hourbank', record, hourBankChain, authorityCache);
+      if (inbox) {
+        hourBankItems.push(formatInboxItem('hourbank', record, inbox));
+      }
+    }
+
+    // Correções de ponto têm uma única decisão (gestor do departamento ou substituto)
+    const correctionAuthority = new Map();
+    const correctionItems = [];
+    for (const correction of corrections) {
+      const departmentId = correction.employee?.departmentId;
+      if (!correctionAuthority.has(departmentId)) {
+        correctionAuthority.set(departmentId, await getApprovalAuthority(req.user, departmentId));
+      }
+      const { allowed, delegation } = correctionAuthority.get(departmentId);
+      if (allowed) {
+        correctionItems.push({
+          ...formatCorrection(correction),
+          onBehalfOf: delegation ? { id: delegation.delegator.id, name: delegation.delegator.name } : null
+        });
+      }
+    }
+
+    // Justificativas enviadas pelo funcionário seguem a mesma regra das correções
+    const justificationItems = [];
+    for (const record of justificationReviews) {
+      const departmentId = record.employee?.departmentId;
+      if (!correctionAuthority.has(departmentId)) {
+        correctionAuthority.set(departmentId, await getApprovalAuthority(req.user, departmentId));
+      }
+      const { allowed, delegation } = correctionAuthority.get(departmentId);
+      if (allowed) {
+        justificationItems.push({
+          ...formatJustificationReview(record),
+          onBehalfOf: delegation ? { id: delegation.delegator.id, name: delegation.delegator.name } : null
+        });
+      }
+    }
+
+    res.json({
+      total: overtimeItems.length + hourBankItems.length + correctionItems.length + justificationItems.length,
+      overtime: overtimeItems,
+      hourBank: hourBankItems,
+      timeClockCorrections: correctionItems,
+      justifications: justificationItems
+    });
+  } catch (error) {
+    logger.logError(error, { context: 'Buscar aprovações pendentes', userId: req.user?.id });
+    res.status(500).json({ message: 'Erro ao buscar aprovações pendentes', error: error.message });
+  }
+});
+
+// GET /approvals/:entityType/:id/steps - Etapas de aprovação de um registro
+router.get('/:entityType/:id/steps', protect, async (req, res) => {
+  try {
+    const { entityType, id } = req.params;
+    if (!APPROVAL_ENTITY_TYPES.includes(entityType)) {
+      return res.status(400).json({ error: `Tipo de registro inválido. Use ${APPROVAL_ENTITY_TYPES.join(', ')}` });
+    }
+
+    const query = { where: { id }, include: { employee: employeeSelect, approvalSteps: stepsInclude } };
+    const record = entityType === 'overtime'
+      ? await prisma.overtime.findUnique(query)
+      : await prisma.hourBankRecord.findUnique(query);
+    if (!record) {
+      return res.status(404).json({ error: 'Registro não encontrado' });
+    }
+
+    // Funcionário vê as próprias etapas; gestores e admin, as dos seus departamentos
+    if (record.employeeId !== req.user.id && !canAccessDepartment(req.user, record.employee?.departmentId)) {
+      return res.status(403).json({ error: 'Acesso negado' });
+    }
+
+    // Registros decididos antes das cadeias de aprovação não têm etapas
+    const steps = record.status === 'pending' || record.approvalSteps.length > 0
+      ? await getApprovalSteps(entityType, record)
+      : [];
+    const currentStep = record.status === 'pending' ? getCurrentApprovalStep(steps) : null;
+
+    res.json({
+      id: record.id,
+      entityType,
+      status: record.status,
+      currentStepOrder: currentStep ? currentStep.stepOrder : null,
+      approvalSteps: formatApprovalSteps(steps)
+    });
+  } catch (error) {
+    logger.logError(error, { context: 'Buscar etapas de aprovação', recordId: req.params.id, userId: req.user?.id });
+    res.status(500).json({ message: 'Erro ao buscar etapas de aprovação', error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,295 @@
+import express from 'express';
+import multer from 'multer';
+import { protect } from '../middleware/auth.js';
+import prisma from '../config/database.js';
+import { canAccessDepartment, getApprovalAuthority } from '../middleware/departmentAccess.js';
+import {
+  attachmentSelect,
+  getAttachmentRecordKey,
+  findAttachableRecord,
+  findAttachmentById,
+  findRecordAttachments,
+  describeAttachmentRecord,
+  formatAttachment
+} from '../models/attachment.model.js';
+import { findLockingClosing, findLockingClosingInRange, getClosedPeriodMessage } from '../models/timesheetClosing.model.js';
+import { storeAttachmentContent, readAttachmentContent, removeAttachmentContent } from '../services/attachmentStorage.js';
+import { applyJustificationEffect } from '../services/justificationService.js';
+import {
+  ATTACHMENT_ENTITY_TYPES,
+  ALLOWED_ATTACHMENT_TYPES,
+  MAX_ATTACHMENT_SIZE,
+  MAX_ATTACHMENTS_PER_RECORD,
+  detectAttachmentContentType,
+  sanitizeAttachmentFileName,
+  buildContentDisposition,
+  hashAttachmentContent
+} from '../utils/attachmentUtils.js';
+import { logAudit, getRequestMetadata } from '../middleware/audit.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+// Configurar multer com limites apropriados para upload de documentos (mesma configuração da logo)
+const upload = multer({
+  storage: multer.memoryStorage(), // Armazenar em memória como Buffer
+  limits: {
+    fileSize: MAX_ATTACHMENT_SIZE,
+    fields: 10,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    // Validar tipo de arquivo (o conteúdo é conferido novamente após o upload)
+    if (ALLOWED_ATTACHMENT_TYPES.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error(`Tipo de arquivo não permitido: ${file.mimetype}. Use PDF, PNG, JPEG ou WEBP`), false);
+    }
+  }
+});
+
+// Helper: Verificar se o usuário pode ver os anexos de um funcionário
+// Próprio funcionário, admin/gestor do departamento ou substituto com delegação ativa
+const canAccessEmployeeAttachments = async (user, employeeId, departmentId) => {
+  if (employeeId === user.id) {
+    return true;
+  }
+  const { allowed } = await getApprovalAuthority(user, departmentId);
+  return allowed;
+};
+
+// Helper: Fechamento do espelho que bloqueia alterações nos documentos do registro
+const findRecordLockingClosing = (entityType, record) => {
+  if (entityType === 'leave') {
+    return findLockingClosingInRange(record.employeeId, record.startDate, record.endDate);
+  }
+  return findLockingClosing(record.employeeId, record.date);
+};
+
+// Helper: Reaplicar a justificativa do registro de ponto que exige documento (o anexo libera ou retira o abono)
+const reapplyRecordJustification = async (entityType, record, userId) => {
+  if (entityType !== 'timeclock' || !record.justificationId) {
+    return;
+  }
+  const justification = await prisma.justification.findUnique({ where: { id: record.justificationId } });
+  if (!justification?.requiresAttachment || await findLockingClosing(record.employeeId, record.date)) {
+    return;
+  }
+  await applyJustificationEffect(record, justification, userId);
+};
+
+// Helper: Validar tipo e buscar o registro com verificação de acesso
+const loadRecord = async (req, res) => {
+  const { entityType, id } = req.params;
+  if (!ATTACHMENT_ENTITY_TYPES.includes(entityType)) {
+    res.status(400).json({ error: `Tipo de registro inválido. Use ${ATTACHMENT_ENTITY_TYPES.join(', ')}` });
+    return null;
+  }
+
+  const record = await findAttachableRecord(entityType, id);
+  if (!record) {
+    res.status(404).json({ error: 'Registro não encontrado' });
+    return null;
+  }
+
+  if (!(await canAccessEmployeeAttachments(req.user, record.employeeId, record.employee?.departmentId))) {
+    res.status(403).json({ error: 'Acesso negado' });
+    return null;
+  }
+
+  return record;
+};
+
+// GET /attachments/files/:id - Baixar um anexo
+router.get('/files/:id', protect, async (req, res) => {
+  try {
+    const attachment = await findAttachmentById(req.params.id);
+    if (!attachment) {
+      return res.status(404).json({ error: 'Anexo não encontrado' });
+    }
+    if (!(await canAccessEmployeeAttachments(req.user, attachment.employeeId, attachment.employee?.departmentId))) {
+      return res.status(403).json({ error: 'Acesso negado' });
+    }
+    if (attachment.purgedAt) {
+      return res.status(410).json({ error: 'O conteúdo do anexo foi removido pela política de retenção' });
+    }
+
+    // Bytes do storage database só são carregados no download
+    const content = await readAttachmentContent(attachment.storage === 'database'
+      ? await prisma.attachment.findUnique({ where: { id: attachment.id }, select: { storage: true, data: true } })
+      : attachment);
+
+    res.set('Content-Type', attachment.contentType);
+    res.set('Content-Length', content.length);
+    res.set('Content-Disposition', buildContentDisposition(attachment.fileName));
+    res.set('X-Content-Type-Options', 'nosniff');
+    res.send(content);
+  } catch (error) {
+    logger.logError(error, { context: 'Baixar anexo', attachmentId: req.params.id, userId: req.user?.id });
+    res.status(500).json({ message: 'Erro ao baixar anexo', error: error.message });
+  }
+});
+
+// DELETE /attachments/files/:id - Remover um anexo (quem enviou ou admin/gestor do departamento)
+router.delete('/files/:id', protect, async (req, res) => {
+  try {
+    const attachment = await findAttachmentById(req.params.id);
+    if (!attachment) {
+      return res.status(404).json({ error: 'Anexo não encontrado' });
+    }
+    if (attachment.uploadedBy !== req.user.id && !canAccessDepartment(req.user, attachment.employee?.departmentId)) {
+      return res.status(403).json({ error: 'Somente quem enviou o anexo ou o gestor do departamento pode removê-lo' });
+    }
+
+    const recordId = attachment.timeClockId || attachment.leaveId || attachment.overtimeId;
+    const record = recordId ? await findAttachableRecord(attachment.entityType, recordId) : null;
+    if (record) {
+      const lockingClosing = await findRecordLockingClosing(attachment.entityType, record);
+      if (lockingClosing) {
+        return res.status(409).json({ error: getClosedPeriodMessage(lockingClosing) });
+      }
+    }
+
+    await removeAttachmentContent(attachment);
+    await prisma.attachment.delete({ where: { id: attachment.id } });
+    if (record) {
+      await reapplyRecordJustification(attachment.entityType, record, req.user.id);
+    }
+
+    // Registrar log de auditoria
+    const requestMeta = getRequestMetadata(req);
+    await logAudit({
+      action: 'attachment_deleted',
+      entityType: attachment.entityType,
+      entityId: recordId || attachment.id,
+      userId: req.user.id,
+      targetUserId: attachment.employeeId,
+      description: `Anexo removido: ${attachment.fileName}${record ? ` (${describeAttachmentRecord(attachment.entityType, record)})` : ''}`,
+      metadata: {
+        attachmentId: attachment.id,
+        fileName: attachment.fileName,
+        contentType: attachment.contentType,
+        size: attachment.size,
+        sha256: attachment.sha256,
+        storage: attachment.storage
+      },
+      ...requestMeta
+    });
+
+    res.json({ message: 'Anexo removido com sucesso' });
+  } catch (error) {
+    logger.logError(error, { context: 'Remover anexo', attachmentId: req.params.id, userId: req.user?.id });
+    res.status(500).json({ message: 'Erro ao remover anexo', error: error.message });
+  }
+});
+
+// GET /attachments/:entityType/:id - Anexos de um registro de ponto, afastamento ou hora extra
+router.get('/:entityType/:id', protect, async (req, res) => {
+  try {
+    const record = await loadRecord(req, res);
+    if (!record) return;
+
+    const attachments = await findRecordAttachments(req.params.entityType, record.id);
+
+    res.json({
+      entityType: req.params.entityType,
+      recordId: record.id,
+      attachments: attachments.map(formatAttachment)
+    });
+  } catch (error) {
+    logger.logError(error, { context: 'Buscar anexos do registro', recordId: req.params.id, userId: req.user?.id });
+    res.status(500).json({ message: 'Erro ao buscar anexos', error: error.message });
+  }
+});
+
+// POST /attachments/:entityType/:id - Anexar documento (multipart, campo file: PDF ou imagem)
+router.post('/:entityType/:id', protect, async (req, res) => {
+  let stored = null;
+  try {
+    // Registro, acesso e período verificados antes de receber o arquivo
+    const record = await loadRecord(req, res);
+    if (!record) return;
+
+    const { entityType } = req.params;
+    const lockingClosing = await findRecordLockingClosing(entityType, record);
+    if (lockingClosing) {
+      return res.status(409).json({ error: getClosedPeriodMessage(lockingClosing) });
+    }
+
+    const uploadError = await new Promise(resolve => upload.single('file')(req, res, resolve));
+    if (uploadError) {
+      if (uploadError instanceof multer.MulterError && uploadError.code === 'LIMIT_FILE_SIZE') {
+        return res.status(400).json({ error: `Arquivo muito grande. Tamanho máximo: ${MAX_ATTACHMENT_SIZE / (1024 * 1024)}MB` });
+      }
+      return res.status(400).json({ error: uploadError instanceof multer.MulterError ? `Erro no upload: ${uploadError.message}` : uploadError.message });
+    }
+    if (!req.file) {
+      return res.status(400).json({ error: 'Nenhum arquivo enviado (campo file)' });
+    }
+
+    // O tipo declarado pelo navegador precisa corresponder ao conteúdo do arquivo
+    const contentType = detectAttachmentContentType(req.file.buffer);
+    if (!contentType || (contentType !== req.file.mimetype && !(contentType === 'image/jpeg' && req.file.mimetype === 'image/jpg'))) {
+      return res.status(400).json({ error: 'O conteúdo do arquivo não corresponde a um PDF, PNG, JPEG ou WEBP' });
+    }
+
+    const existing = await prisma.attachment.count({
+      where: { ...getAttachmentRecordKey(entityType, record.id), purgedAt: null }
+    });
+    if (existing >= MAX_ATTACHMENTS_PER_RECORD) {
+      return res.status(400).json({ error: `O registro já possui o máximo de ${MAX_ATTACHMENTS_PER_RECORD} anexos` });
+    }
+
+    const fileName = sanitizeAttachmentFileName(req.file.originalname);
+    stored = await storeAttachmentContent(req.file.buffer, { employeeId: record.employeeId, contentType });
+    const attachment = await prisma.attachment.create({
+      data: {
+        entityType,
+        ...getAttachmentRecordKey(entityType, record.id),
+        employeeId: record.employeeId,
+        fileName,
+        contentType,
+        size: req.file.size,
+        sha256: hashAttachmentContent(req.file.buffer),
+        ...stored,
+        uploadedBy: req.user.id
+      },
+      select: attachmentSelect
+    });
+    stored = null;
+    await reapplyRecordJustification(entityType, record, req.user.id);
+
+    // Registrar log de auditoria
+    const requestMeta = getRequestMetadata(req);
+    await logAudit({
+      action: 'attachment_uploaded',
+      entityType,
+      entityId: record.id,
+      userId: req.user.id,
+      targetUserId: record.employeeId,
+      description: `Anexo enviado: ${fileName} (${describeAttachmentRecord(entityType, record)})`,
+      metadata: {
+        attachmentId: attachment.id,
+        fileName,
+        contentType,
+        size: attachment.size,
+        sha256: attachment.sha256,
+        storage: attachment.storage
+      },
+      ...requestMeta
+    });
+
+    res.status(201).json(formatAttachment(attachment));
+  } catch (error) {
+    // Conteúdo gravado no disco/bucket sem registro no banco é removido
+    if (stored) {
+      removeAttachmentContent(stored).catch(removeError => {
+        logger.logError(removeError, { context: 'Remover conteúdo de anexo não registrado', storageKey: stored.storageKey });
+      });
+    }
+    logger.logError(error, { context: 'Enviar anexo', recordId: req.params.id, userId: req.user?.id });
+    res.status(500).json({ message: 'Erro ao enviar anexo', error: error.message });
+  }
+});
+
+export default router;
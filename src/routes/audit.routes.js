@@ -139,6 +139,9 @@ router.get('/actions', protect, admin, async (req, res) => {
       { value: 'hourbank_debit_created', label: 'Débito Banco de Horas Criado' },
       { value: 'hourbank_approved', label: 'Registro Banco de Horas Aprovado' },
       { value: 'hourbank_rejected', label: 'Registro Banco de Horas Rejeitado' },
+      { value: 'hourbank_payout_created', label: 'Pagamento Banco de Horas Solicitado' },
+      { value: 'hourbank_multipliers_updated', label: 'Multiplicadores Banco de Horas Atualizados' },
+      { value: 'department_hourbank_limit_changed', label: 'Limites Banco de Horas do Departamento Alterados' },
       // Funcionários
       { value: 'employee_created', label: 'Funcionário Criado' },
       { value: 'employee_deleted', label: 'Funcionário Excluído' },
@@ -146,9 +149,63 @@ router.get('/actions', protect, admin, async (req, res) => {
       { value: 'employee_limit_changed', label: 'Limite de Horas Alterado' },
       { value: 'employee_exception_added', label: 'Exceção de Horas Adicionada' },
       { value: 'employee_exception_removed', label: 'Exceção de Horas Removida' },
+      { value: 'employee_hourbank_limit_changed', label: 'Limites Banco de Horas do Funcionário Alterados' },
+      { value: 'employee_hourbank_exception_added', label: 'Exceção Banco de Horas Adicionada' },
+      { value: 'employee_hourbank_exception_removed', label: 'Exceção Banco de Horas Removida' },
+      { value: 'employee_location_changed', label: 'Localização do Funcionário Alterada' },
+      { value: 'employee_documents_changed', label: 'Documentos do Funcionário Alterados' },
       // Configurações
       { value: 'settings_updated', label: 'Configurações Atualizadas' },
-      { value: 'settings_logo_updated', label: 'Logo Atualizada' }
+      { value: 'settings_logo_updated', label: 'Logo Atualizada' },
+      // Feriados
+      { value: 'holiday_created', label: 'Feriado Criado' },
+      { value: 'holiday_updated', label: 'Feriado Atualizado' },
+      { value: 'holiday_deleted', label: 'Feriado Removido' },
+      // Escalas de revezamento
+      { value: 'shift_pattern_created', label: 'Escala de Revezamento Criada' },
+      { value: 'shift_pattern_updated', label: 'Escala de Revezamento Atualizada' },
+      { value: 'shift_pattern_deleted', label: 'Escala de Revezamento Removida' },
+      { value: 'employee_shift_pattern_changed', label: 'Escala do Funcionário Alterada' },
+      // Departamentos
+      { value: 'department_created', label: 'Departamento Criado' },
+      { value: 'department_updated', label: 'Departamento Atualizado' },
+      { value: 'department_deleted', label: 'Departamento Removido' },
+      { value: 'department_manager_added', label: 'Gestor Atribuído ao Departamento' },
+      { value: 'department_manager_removed', label: 'Gestor Removido do Departamento' },
+      { value: 'employee_department_changed', label: 'Departamento do Funcionário Alterado' },
+      // Delegações
+      { value: 'delegation_created', label: 'Delegação de Aprovação Criada' },
+      { value: 'delegation_revoked', label: 'Delegação de Aprovação Revogada' },
+      // Cadeias de aprovação
+      { value: 'approval_step_approved', label: 'Etapa de Aprovação Concluída' },
+      { value: 'approval_chain_updated', label: 'Cadeia de Aprovação Atualizada' },
+      // Comentários
+      { value: 'record_comment_added', label: 'Comentário Adicionado' },
+      // Correções de ponto
+      { value: 'timeclock_correction_requested', label: 'Correção de Ponto Solicitada' },
+      { value: 'timeclock_correction_approved', label: 'Correção de Ponto Aprovada' },
+      { value: 'timeclock_correction_rejected', label: 'Correção de Ponto Rejeitada' },
+      { value: 'timeclock_correction_cancelled', label: 'Correção de Ponto Cancelada' },
+      // Arquivos fiscais
+      { value: 'portaria_file_exported', label: 'Arquivo AFD/AEJ Exportado' },
+      // Fechamento do espelho de ponto
+      { value: 'timesheet_closed', label: 'Espelho de Ponto Fechado' },
+      { value: 'timesheet_acknowledged', label: 'Ciência do Espelho de Ponto' },
+      { value: 'timesheet_disputed', label: 'Espelho de Ponto Contestado' },
+      { value: 'timesheet_reopened', label: 'Espelho de Ponto Reaberto' },
+      // Afastamentos
+      { value: 'leave_requested', label: 'Afastamento Solicitado' },
+      { value: 'leave_approved', label: 'Afastamento Aprovado' },
+      { value: 'leave_rejected', label: 'Afastamento Rejeitado' },
+      { value: 'leave_cancelled', label: 'Afastamento Cancelado' },
+      { value: 'employee_admission_date_changed', label: 'Data de Admissão Alterada' },
+      // Anexos
+      { value: 'attachment_uploaded', label: 'Anexo Enviado' },
+      { value: 'attachment_deleted', label: 'Anexo Removido' },
+      // Justificativas
+      { value: 'timeclock_hours_waived', label: 'Horas Abonadas por Justificativa' },
+      { value: 'justification_approved', label: 'Justificativa Aprovada' },
+      { value: 'justification_rejected', label: 'Justificativa Rejeitada' }
     ];
 
     res.json(actions);
@@ -12,6 +12,7 @@ import {
 import { checkUserPassword } from '../models/user.model.js';
 import { protect } from '../middleware/auth.js';
 import { getDepartmentName } from '../config/departments.js';
+import { findOrCreateDepartment } from '../models/department.model.js';
 import { getUserRole } from '../config/userRoles.js';
 import logger from '../utils/logger.js';
 
@@ -30,12 +31,14 @@ router.post('/setup', async (req, res) => {
     }
 
     const { name, email, password, department } = req.body;
+    const departmentRecord = await findOrCreateDepartment(department || 'Administração'); // Valor padrão se não for fornecido
     const user = await createUser({
       name,
       email,
       password,
       role: 'admin',
-      department: department || 'Administração'  // Valor padrão se não for fornecido
+      department: departmentRecord.name,
+      departmentId: departmentRecord.id
     });
 
     const token = jwt.sign({ id: user.id }, process.env.JWT_SECRET, {
@@ -234,11 +237,15 @@ router.post('/external-login', async (req, res) => {
       logger.info('Dados extraídos do usuário externo', { externalId, userName, userEmail, userDepartment, userRole, login });
       
       if (!user) {
+        // Departamento cadastrado correspondente (vinculado pelo ID externo quando disponível)
+        const departmentRecord = await findOrCreateDepartment(userDepartment, externalUserData.departmentId || null);
+
         // Criar novo usuário se não existir
         user = await createUser({
           name: userName,
           email: userEmail,
-          department: userDepartment,
+          department: departmentRecord.name,
+          departmentId: departmentRecord.id,
           externalId,
           externalAuth: true,
           role: userRole, // Definir papel com base no ID externo
@@ -0,0 +1,125 @@
+import express from 'express';
+import { protect } from '../middleware/auth.js';
+import prisma from '../config/database.js';
+import { getApprovalAuthority } from '../middleware/departmentAccess.js';
+import {
+  COMMENT_ENTITY_TYPES,
+  findCommentableRecord,
+  findRecordComments,
+  addRecordComment,
+  describeCommentRecord,
+  formatRecordComment
+} from '../models/recordComment.model.js';
+import { logAudit, getRequestMetadata } from '../middleware/audit.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+const MAX_COMMENT_LENGTH = 2000;
+
+// Helper: Verificar se o usuário participa da conversa do registro
+// Funcionário do registro, admin/gestor do departamento, substituto com delegação ativa ou aprovador designado
+const canAccessRecordComments = async (user, entityType, record) => {
+  if (record.employeeId === user.id) {
+    return true;
+  }
+
+  const { allowed } = await getApprovalAuthority(user, record.employee?.departmentId);
+  if (allowed) {
+    return true;
+  }
+
+  if (entityType === 'timeclock' || entityType === 'timesheet') {
+    return false;
+  }
+
+  const steps = await prisma.approvalStep.findMany({
+    where: entityType === 'overtime' ? { overtimeId: record.id } : { hourBankRecordId: record.id },
+    select: { approverIds: true }
+  });
+  return steps.some(step => Array.isArray(step.approverIds) && step.approverIds.includes(user.id));
+};
+
+// Helper: Validar tipo e buscar o registro com verificação de acesso
+const loadRecord = async (req, res) => {
+  const { entityType, id } = req.params;
+  if (!COMMENT_ENTITY_TYPES.includes(entityType)) {
+    res.status(400).json({ error: `Tipo de registro inválido. Use ${COMMENT_ENTITY_TYPES.join(', ')}` });
+    return null;
+  }
+
+  const record = await findCommentableRecord(entityType, id);
+  if (!record) {
+    res.status(404).json({ error: 'Registro não encontrado' });
+    return null;
+  }
+
+  if (!(await canAccessRecordComments(req.user, entityType, record))) {
+    res.status(403).json({ error: 'Acesso negado' });
+    return null;
+  }
+
+  return record;
+};
+
+// GET /comments/:entityType/:id - Comentários de um registro (mais antigos primeiro)
+router.get('/:entityType/:id', protect, async (req, res) => {
+  try {
+    const record = await loadRecord(req, res);
+    if (!record) return;
+
+    const comments = await findRecordComments(req.params.entityType, record.id);
+
+    res.json({
+      entityType: req.params.entityType,
+      recordId: record.id,
+      rejectionReason: record.rejectionReason || null,
+      comments: comments.map(formatRecordComment)
+    });
+  } catch (error) {
+    logger.logError(error, { context: 'Buscar comentários do registro', recordId: req.params.id, userId: req.user?.id });
+    res.status(500).json({ message: 'Erro ao buscar comentários', error: error.message });
+  }
+});
+
+// POST /comments/:entityType/:id - Comentar um registro (notifica a outra parte por email)
+router.post('/:entityType/:id', protect, async (req, res) => {
+  try {
+    const message = typeof req.body.message === 'string' ? req.body.message.trim() : '';
+    if (!message) {
+      return res.status(400).json({ error: 'Mensagem é obrigatória' });
+    }
+    if (message.length > MAX_COMMENT_LENGTH) {
+      return res.status(400).json({ error: `Mensagem deve ter no máximo ${MAX_COMMENT_LENGTH} caracteres` });
+    }
+
+    const record = await loadRecord(req, res);
+    if (!record) return;
+
+    const { entityType } = req.params;
+    const comment = await addRecordComment({ entityType, record, author: req.user, message });
+
+    const { recordSummary } = describeCommentRecord(entityType, record);
+    const requestMeta = getRequestMetadata(req);
+    await logAudit({
+      action: 'record_comment_added',
+      entityType,
+      entityId: record.id,
+      userId: req.user.id,
+      targetUserId: record.employeeId,
+      description: `Comentário adicionado: ${recordSummary}`,
+      metadata: {
+        commentId: comment.id,
+        message: comment.message
+      },
+      ...requestMeta
+    });
+
+    res.status(201).json(formatRecordComment(comment));
+  } catch (error) {
+    logger.logError(error, { context: 'Adicionar comentário ao registro', recordId: req.params.id, userId: req.user?.id });
+    res.status(500).json({ message: 'Erro ao adicionar comentário', error: error.message });
+  }
+});
+
+export default router;
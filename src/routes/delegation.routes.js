@@ -0,0 +1,209 @@
+import express from 'express';
+import { protect, adminOrManager } from '../middleware/auth.js';
+import prisma from '../config/database.js';
+import { getManagedDepartmentIds } from '../models/department.model.js';
+import { getCompanyTimezone } from '../models/companySettings.model.js';
+import { getTodayInTimezone } from '../utils/timezoneUtils.js';
+import { validateDelegation, getDelegationStatus } from '../utils/delegationUtils.js';
+import { logAudit, getRequestMetadata } from '../middleware/audit.js';
+import { formatDateForDisplay } from '../utils/dateFormatter.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+const delegationInclude = {
+  delegator: { select: { id: true, name: true, email: true } },
+  delegate: { select: { id: true, name: true, email: true } },
+  department: { select: { id: true, name: true } }
+};
+
+// Helper: Formatar delegação para resposta
+const formatDelegation = (delegation, today) => ({
+  id: delegation.id,
+  delegatorId: delegation.delegatorId,
+  delegatorName: delegation.delegator?.name || 'N/A',
+  delegateId: delegation.delegateId,
+  delegateName: delegation.delegate?.name || 'N/A',
+  departmentId: delegation.departmentId,
+  departmentName: delegation.department?.name || 'N/A',
+  startDate: delegation.startDate,
+  endDate: delegation.endDate,
+  reason: delegation.reason || null,
+  status: getDelegationStatus(delegation, today),
+  createdBy: delegation.createdBy,
+  revokedBy: delegation.revokedBy || null,
+  revokedAt: delegation.revokedAt || null,
+  createdAt: delegation.createdAt
+});
+
+// GET /delegations - Listar delegações (admin vê todas; demais, as que concederam ou receberam)
+router.get('/', protect, async (req, res) => {
+  try {
+    const { status } = req.query;
+    const today = getTodayInTimezone(await getCompanyTimezone());
+
+    const where = req.user.role === 'admin'
+      ? {}
+      : { OR: [{ delegatorId: req.user.id }, { delegateId: req.user.id }] };
+
+    const delegations = await prisma.approvalDelegation.findMany({
+      where,
+      include: delegationInclude,
+      orderBy: { startDate: 'desc' }
+    });
+
+    const formatted = delegations.map(delegation => formatDelegation(delegation, today));
+    res.json(status ? formatted.filter(delegation => delegation.status === status) : formatted);
+  } catch (error) {
+    logger.logError(error, { context: 'Buscar delegações', userId: req.user?.id });
+    res.status(500).json({ message: 'Erro ao buscar delegações', error: error.message });
+  }
+});
+
+// POST /delegations - Delegar aprovações de um departamento entre duas datas (admin ou manager)
+router.post('/', protect, adminOrManager, async (req, res) => {
+  try {
+    const { delegateId, departmentId, startDate, endDate, reason } = req.body;
+
+    // Admin pode registrar a delegação em nome de um gestor
+    const delegatorId = req.user.role === 'admin' && req.body.delegatorId ? req.body.delegatorId : req.user.id;
+
+    const validation = validateDelegation({ delegatorId, delegateId, startDate, endDate });
+    if (!validation.isValid) {
+      return res.status(400).json({ error: validation.errors.join('; ') });
+    }
+
+    const delegator = delegatorId === req.user.id
+      ? req.user
+      : await prisma.user.findUnique({
+        where: { id: delegatorId },
+        select: { id: true, name: true, role: true, department: true, departmentId: true }
+      });
+    if (!delegator) {
+      return res.status(404).json({ error: 'Gestor não encontrado' });
+    }
+    if (!['admin', 'manager'].includes(delegator.role)) {
+      return res.status(400).json({ error: 'Apenas gestores e administradores podem delegar aprovações' });
+    }
+
+    const delegate = await prisma.user.findUnique({
+      where: { id: delegateId },
+      select: { id: true, name: true }
+    });
+    if (!delegate) {
+      return res.status(404).json({ error: 'Substituto não encontrado' });
+    }
+
+    const department = await prisma.department.findUnique({
+      where: { id: departmentId || delegator.departmentId || '' }
+    });
+    if (!department) {
+      return res.status(400).json({ error: 'Departamento não encontrado' });
+    }
+
+    // Gestor só delega departamentos que gerencia
+    if (delegator.role === 'manager') {
+      const managedDepartmentIds = await getManagedDepartmentIds(delegator);
+      if (!managedDepartmentIds.includes(department.id)) {
+        return res.status(403).json({ error: 'Você só pode delegar aprovações dos departamentos que gerencia' });
+      }
+    }
+
+    const delegation = await prisma.approvalDelegation.create({
+      data: {
+        delegatorId: delegator.id,
+        delegateId: delegate.id,
+        departmentId: department.id,
+        startDate,
+        endDate,
+        reason: reason ? String(reason).trim() : null,
+        createdBy: req.user.id
+      },
+      include: delegationInclude
+    });
+
+    // Registrar log de auditoria
+    const requestMeta = getRequestMetadata(req);
+    await logAudit({
+      action: 'delegation_created',
+      entityType: 'delegation',
+      entityId: delegation.id,
+      userId: req.user.id,
+      targetUserId: delegate.id,
+      description: `Aprovações do departamento ${department.name} delegadas por ${delegator.name} para ${delegate.name} de ${formatDateForDisplay(startDate)} a ${formatDateForDisplay(endDate)}`,
+      metadata: {
+        delegatorId: delegator.id,
+        delegateId: delegate.id,
+        departmentId: department.id,
+        department: department.name,
+        startDate,
+        endDate,
+        reason: delegation.reason
+      },
+      ...requestMeta
+    });
+
+    const today = getTodayInTimezone(await getCompanyTimezone());
+    res.status(201).json(formatDelegation(delegation, today));
+  } catch (error) {
+    logger.logError(error, { context: 'Criar delegação', userId: req.user?.id });
+    res.status(500).json({ message: 'Erro ao criar delegação', error: error.message });
+  }
+});
+
+// DELETE /delegations/:id - Revogar delegação (gestor que delegou ou admin)
+router.delete('/:id', protect, async (req, res) => {
+  try {
+    const delegation = await prisma.approvalDelegation.findUnique({
+      where: { id: req.params.id },
+      include: delegationInclude
+    });
+    if (!delegation) {
+      return res.status(404).json({ error: 'Delegação não encontrada' });
+    }
+
+    if (req.user.role !== 'admin' && delegation.delegatorId !== req.user.id) {
+      return res.status(403).json({ error: 'Apenas o gestor que delegou ou um administrador pode revogar a delegação' });
+    }
+
+    if (delegation.revokedAt) {
+      return res.status(400).json({ error: 'Delegação já revogada' });
+    }
+
+    const revoked = await prisma.approvalDelegation.update({
+      where: { id: delegation.id },
+      data: {
+        revokedAt: new Date(),
+        revokedBy: req.user.id
+      },
+      include: delegationInclude
+    });
+
+    // Registrar log de auditoria
+    const requestMeta = getRequestMetadata(req);
+    await logAudit({
+      action: 'delegation_revoked',
+      entityType: 'delegation',
+      entityId: delegation.id,
+      userId: req.user.id,
+      targetUserId: delegation.delegateId,
+      description: `Delegação de aprovações do departamento ${delegation.department.name} para ${delegation.delegate.name} revogada`,
+      metadata: {
+        delegatorId: delegation.delegatorId,
+        delegateId: delegation.delegateId,
+        department: delegation.department.name,
+        startDate: delegation.startDate,
+        endDate: delegation.endDate
+      },
+      ...requestMeta
+    });
+
+    const today = getTodayInTimezone(await getCompanyTimezone());
+    res.json(formatDelegation(revoked, today));
+  } catch (error) {
+    logger.logError(error, { context: 'Revogar delegação', delegationId: req.params.id, userId: req.user?.id });
+    res.status(500).json({ message: 'Erro ao revogar delegação', error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,393 @@
+import express from 'express';
+import { protect, admin, adminOrManager } from '../middleware/auth.js';
+import prisma from '../config/database.js';
+import {
+  findDepartmentById,
+  findDepartmentByName,
+  findDepartments,
+  wouldCreateDepartmentCycle
+} from '../models/department.model.js';
+import { getManagedDepartments } from '../middleware/departmentAccess.js';
+import { logAudit, getRequestMetadata } from '../middleware/audit.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+// Helper: Formatar departamento para resposta
+const formatDepartment = (department) => ({
+  id: department.id,
+  name: department.name,
+  costCenter: department.costCenter || null,
+  externalId: department.externalId || null,
+  parentId: department.parentId || null,
+  parentName: department.parent?.name || null,
+  isActive: department.isActive,
+  managers: (department.managers || []).map(({ user }) => ({
+    id: user.id,
+    name: user.name,
+    email: user.email
+  })),
+  employeesCount: department._count?.employees || 0,
+  childrenCount: department._count?.children || 0,
+  createdAt: department.createdAt,
+  updatedAt: department.updatedAt
+});
+
+// Helper: Validar nome, centro de custo e departamento pai
+const validateDepartmentData = async ({ id = null, name, costCenter, parentId }) => {
+  if (name !== undefined) {
+    if (!name || !String(name).trim()) {
+      return 'Nome do departamento é obrigatório';
+    }
+    const existing = await findDepartmentByName(name);
+    if (existing && existing.id !== id) {
+      return `Já existe um departamento com este nome: ${existing.name}`;
+    }
+  }
+
+  if (costCenter) {
+    const existing = await prisma.department.findUnique({ where: { costCenter: String(costCenter).trim() } });
+    if (existing && existing.id !== id) {
+      return `Centro de custo já utilizado pelo departamento ${existing.name}`;
+    }
+  }
+
+  if (parentId) {
+    const parent = await prisma.department.findUnique({ where: { id: parentId } });
+    if (!parent) {
+      return 'Departamento pai não encontrado';
+    }
+    if (id && await wouldCreateDepartmentCycle(id, parentId)) {
+      return 'Departamento pai inválido: não pode ser o próprio departamento nem um de seus subdepartamentos';
+    }
+  }
+
+  return null;
+};
+
+// GET /departments - Listar departamentos
+router.get('/', protect, async (req, res) => {
+  try {
+    const departments = await findDepartments(req.query.active === 'true');
+    res.json(departments.map(formatDepartment));
+  } catch (error) {
+    logger.logError(error, { context: 'Buscar departamentos', userId: req.user?.id });
+    res.status(500).json({ message: 'Erro ao buscar departamentos', error: error.message });
+  }
+});
+
+// GET /departments/tree - Hierarquia de departamentos
+router.get('/tree', protect, async (req, res) => {
+  try {
+    const departments = (await findDepartments(req.query.active === 'true')).map(formatDepartment);
+    const byId = new Map(departments.map(department => [department.id, { ...department, children: [] }]));
+
+    const roots = [];
+    byId.forEach(department => {
+      const parent = department.parentId ? byId.get(department.parentId) : null;
+      if (parent) {
+        parent.children.push(department);
+      } else {
+        roots.push(department);
+      }
+    });
+
+    res.json(roots);
+  } catch (error) {
+    logger.logError(error, { context: 'Buscar hierarquia de departamentos', userId: req.user?.id });
+    res.status(500).json({ message: 'Erro ao buscar hierarquia de departamentos', error: error.message });
+  }
+});
+
+// GET /departments/managed - Departamentos acessíveis pelo usuário (admin ou manager)
+router.get('/managed', protect, adminOrManager, async (req, res) => {
+  try {
+    if (req.user.role === 'admin') {
+      const departments = await prisma.department.findMany({
+        select: { name: true },
+        orderBy: { name: 'asc' }
+      });
+      return res.json(departments.map(department => department.name));
+    }
+
+    res.json([...getManagedDepartments(req.user)].sort());
+  } catch (error) {
+    logger.logError(error, { context: 'Buscar departamentos gerenciados', userId: req.user?.id });
+    res.status(500).json({ message: 'Erro ao buscar departamentos gerenciados', error: error.message });
+  }
+});
+
+// GET /departments/:id - Detalhes do departamento
+router.get('/:id', protect, async (req, res) => {
+  try {
+    const department = await findDepartmentById(req.params.id);
+    if (!department) {
+      return res.status(404).json({ error: 'Departamento não encontrado' });
+    }
+
+    res.json(formatDepartment(department));
+  } catch (error) {
+    logger.logError(error, { context: 'Buscar departamento', departmentId: req.params.id, userId: req.user?.id });
+    res.status(500).json({ message: 'Erro ao buscar departamento', error: error.message });
+  }
+});
+
+// POST /departments - Criar departamento (admin)
+router.post('/', protect, admin, async (req, res) => {
+  try {
+    const { name, costCenter, parentId, managerIds = [] } = req.body;
+
+    const validationError = await validateDepartmentData({ name: name ?? '', costCenter, parentId });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    if (!Array.isArray(managerIds)) {
+      return res.status(400).json({ error: 'managerIds deve ser um array' });
+    }
+
+    if (managerIds.length > 0) {
+      const managers = await prisma.user.findMany({
+        where: { id: { in: managerIds }, role: { in: ['manager', 'admin'] } },
+        select: { id: true }
+      });
+      if (managers.length !== new Set(managerIds).size) {
+        return res.status(400).json({ error: 'Todos os gestores devem existir e ter a função de gestor ou administrador' });
+      }
+    }
+
+    const department = await prisma.department.create({
+      data: {
+        name: String(name).trim(),
+        costCenter: costCenter ? String(costCenter).trim() : null,
+        parentId: parentId || null,
+        managers: {
+          create: [...new Set(managerIds)].map(userId => ({ userId }))
+        }
+      }
+    });
+
+    // Registrar log de auditoria
+    const requestMeta = getRequestMetadata(req);
+    await logAudit({
+      action: 'department_created',
+      entityType: 'department',
+      entityId: department.id,
+      userId: req.user.id,
+      description: `Departamento criado: ${department.name}`,
+      metadata: {
+        name: department.name,
+        costCenter: department.costCenter,
+        parentId: department.parentId,
+        managerIds
+      },
+      ...requestMeta
+    });
+
+    res.status(201).json(formatDepartment(await findDepartmentById(department.id)));
+  } catch (error) {
+    logger.logError(error, { context: 'Criar departamento', userId: req.user?.id });
+    res.status(500).json({ message: 'Erro ao criar departamento', error: error.message });
+  }
+});
+
+// PATCH /departments/:id - Atualizar departamento (admin)
+// Renomear atualiza o nome do departamento nos funcionários (regras/limites do banco de horas referenciam o ID)
+router.patch('/:id', protect, admin, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, costCenter, parentId, isActive } = req.body;
+
+    const department = await findDepartmentById(id);
+    if (!department) {
+      return res.status(404).json({ error: 'Departamento não encontrado' });
+    }
+
+    const validationError = await validateDepartmentData({ id, name, costCenter, parentId });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const data = {};
+    if (name !== undefined) data.name = String(name).trim();
+    if (costCenter !== undefined) data.costCenter = costCenter ? String(costCenter).trim() : null;
+    if (parentId !== undefined) data.parentId = parentId || null;
+    if (isActive !== undefined) data.isActive = Boolean(isActive);
+
+    const renamed = data.name !== undefined && data.name !== department.name;
+
+    const [updatedDepartment] = await prisma.$transaction([
+      prisma.department.update({ where: { id }, data }),
+      ...(renamed ? [
+        prisma.user.updateMany({
+          where: { OR: [{ departmentId: id }, { department: department.name }] },
+          data: { department: data.name, departmentId: id }
+        })
+      ] : [])
+    ]);
+
+    // Registrar log de auditoria
+    const requestMeta = getRequestMetadata(req);
+    await logAudit({
+      action: 'department_updated',
+      entityType: 'department',
+      entityId: updatedDepartment.id,
+      userId: req.user.id,
+      description: `Departamento atualizado: ${updatedDepartment.name}${renamed ? ` (antes: ${department.name})` : ''}`,
+      metadata: {
+        oldValues: {
+          name: department.name,
+          costCenter: department.costCenter,
+          parentId: department.parentId,
+          isActive: department.isActive
+        },
+        newValues: data
+      },
+      ...requestMeta
+    });
+
+    res.json(formatDepartment(await findDepartmentById(id)));
+  } catch (error) {
+    logger.logError(error, { context: 'Atualizar departamento', departmentId: req.params.id, userId: req.user?.id });
+    res.status(500).json({ message: 'Erro ao atualizar departamento', error: error.message });
+  }
+});
+
+// DELETE /departments/:id - Excluir departamento sem funcionários nem subdepartamentos (admin)
+// Regras de multiplicador e limites do banco de horas do departamento são removidos junto
+router.delete('/:id', protect, admin, async (req, res) => {
+  try {
+    const department = await findDepartmentById(req.params.id);
+    if (!department) {
+      return res.status(404).json({ error: 'Departamento não encontrado' });
+    }
+
+    if (department._count.employees > 0 || department._count.children > 0) {
+      return res.status(400).json({
+        error: `Departamento possui ${department._count.employees} funcionário(s) e ${department._count.children} subdepartamento(s). Transfira-os ou desative o departamento.`
+      });
+    }
+
+    await prisma.department.delete({ where: { id: department.id } });
+
+    // Registrar log de auditoria
+    const requestMeta = getRequestMetadata(req);
+    await logAudit({
+      action: 'department_deleted',
+      entityType: 'department',
+      entityId: department.id,
+      userId: req.user.id,
+      description: `Departamento excluído: ${department.name}`,
+      metadata: {
+        name: department.name,
+        costCenter: department.costCenter,
+        parentId: department.parentId
+      },
+      ...requestMeta
+    });
+
+    res.json({ message: 'Departamento excluído com sucesso' });
+  } catch (error) {
+    logger.logError(error, { context: 'Excluir departamento', departmentId: req.params.id, userId: req.user?.id });
+    res.status(500).json({ message: 'Erro ao excluir departamento', error: error.message });
+  }
+});
+
+// POST /departments/:id/managers - Atribuir gestor ao departamento (admin)
+router.post('/:id/managers', protect, admin, async (req, res) => {
+  try {
+    const { userId } = req.body;
+
+    if (!userId) {
+      return res.status(400).json({ error: 'Campo obrigatório: userId' });
+    }
+
+    const department = await findDepartmentById(req.params.id);
+    if (!department) {
+      return res.status(404).json({ error: 'Departamento não encontrado' });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { id: true, name: true, role: true }
+    });
+    if (!user) {
+      return res.status(404).json({ error: 'Usuário não encontrado' });
+    }
+    if (!['manager', 'admin'].includes(user.role)) {
+      return res.status(400).json({ error: 'Apenas usuários com função de gestor ou administrador podem ser atribuídos' });
+    }
+
+    await prisma.departmentManager.upsert({
+      where: { departmentId_userId: { departmentId: department.id, userId } },
+      update: {},
+      create: { departmentId: department.id, userId }
+    });
+
+    // Registrar log de auditoria
+    const requestMeta = getRequestMetadata(req);
+    await logAudit({
+      action: 'department_manager_added',
+      entityType: 'department',
+      entityId: department.id,
+      userId: req.user.id,
+      targetUserId: user.id,
+      description: `${user.name} atribuído(a) como gestor(a) do departamento ${department.name}`,
+      metadata: {
+        department: department.name,
+        managerId: user.id
+      },
+      ...requestMeta
+    });
+
+    res.json(formatDepartment(await findDepartmentById(department.id)));
+  } catch (error) {
+    logger.logError(error, { context: 'Atribuir gestor ao departamento', departmentId: req.params.id, userId: req.user?.id });
+    res.status(500).json({ message: 'Erro ao atribuir gestor', error: error.message });
+  }
+});
+
+// DELETE /departments/:id/managers/:userId - Remover gestor do departamento (admin)
+router.delete('/:id/managers/:userId', protect, admin, async (req, res) => {
+  try {
+    const { id, userId } = req.params;
+
+    const assignment = await prisma.departmentManager.findUnique({
+      where: { departmentId_userId: { departmentId: id, userId } },
+      include: {
+        department: { select: { name: true } },
+        user: { select: { name: true } }
+      }
+    });
+    if (!assignment) {
+      return res.status(404).json({ error: 'Gestor não atribuído a este departamento' });
+    }
+
+    await prisma.departmentManager.delete({
+      where: { departmentId_userId: { departmentId: id, userId } }
+    });
+
+    // Registrar log de auditoria
+    const requestMeta = getRequestMetadata(req);
+    await logAudit({
+      action: 'department_manager_removed',
+      entityType: 'department',
+      entityId: id,
+      userId: req.user.id,
+      targetUserId: userId,
+      description: `${assignment.user.name} removido(a) da gestão do departamento ${assignment.department.name}`,
+      metadata: {
+        department: assignment.department.name,
+        managerId: userId
+      },
+      ...requestMeta
+    });
+
+    res.json(formatDepartment(await findDepartmentById(id)));
+  } catch (error) {
+    logger.logError(error, { context: 'Remover gestor do departamento', departmentId: req.params.id, userId: req.user?.id });
+    res.status(500).json({ message: 'Erro ao remover gestor', error: error.message });
+  }
+});
+
+export default router;
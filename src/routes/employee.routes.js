@@ -1,6 +1,7 @@
 import express from 'express';
 import { protect, admin, adminOrManager } from '../middleware/auth.js';
-import { checkEmployeeDepartment } from '../middleware/departmentAccess.js';
+import { checkEmployeeDepartment, canAccessDepartment, getManagedDepartmentIds } from '../middleware/departmentAccess.js';
+import prisma from '../config/database.js';
 import { 
   findUsers, 
   findUserById, 
@@ -12,11 +13,19 @@ import {
 import {
   createOrUpdateWorkSchedule,
   getWorkScheduleByEmployee,
+  getCurrentWorkScheduleVersion,
+  getWorkScheduleVersions,
   parseWorkScheduleArray,
-  convertWorkScheduleObjectToArray,
-  deleteWorkSchedule
+  convertWorkScheduleObjectToArray
 } from '../models/workSchedule.model.js';
-import { validateWorkSchedule } from '../utils/workScheduleUtils.js';
+import { validateWorkSchedule, getSchedulesEffectiveOn, getEmployeeShiftPattern } from '../utils/workScheduleUtils.js';
+import { findShiftPatternById, getCurrentShiftPatternAssignment, findShiftPatternAssignments, assignShiftPattern } from '../models/shiftPattern.model.js';
+import { getCompanyTimezone } from '../models/companySettings.model.js';
+import { isValidTimezone, getTodayInTimezone } from '../utils/timezoneUtils.js';
+import { validateHourBankLimit } from '../utils/hourBankUtils.js';
+import { onlyDigits, isValidCpf, isValidPis } from '../utils/portariaFileUtils.js';
+import { isValidAdmissionDate } from '../utils/vacationUtils.js';
+import { resolveDepartment, findDepartmentByName } from '../models/department.model.js';
 import { logAudit, getRequestMetadata } from '../middleware/audit.js';
 import logger from '../utils/logger.js';
 
@@ -25,26 +34,35 @@ const router = express.Router();
 // Get all employees (authenticated users)
 router.get('/', protect, async (req, res) => {
   try {
-    const { department } = req.query;
+    const { departmentId, department } = req.query;
+    const hasDepartmentFilter = Boolean(departmentId || department);
+
+    // Departamento do filtro pelo ID ou pelo nome (sem diferenciar maiúsculas)
+    const filterDepartment = hasDepartmentFilter ? await resolveDepartment({ departmentId, department }) : null;
     
     // Construir query baseado na role
     let query = {};
     
     if (req.user.role === 'admin') {
       // Admin vê todos, mas pode filtrar por departamento se fornecido
-      if (department) {
-        query.department = department;
+      if (hasDepartmentFilter) {
+        if (!filterDepartment) {
+          return res.json([]);
+        }
+        query.departmentId = filterDepartment.id;
       }
     } else if (req.user.role === 'manager') {
-      // Manager só vê funcionários do seu departamento
-      query.department = req.user.department;
+      // Manager só vê funcionários dos departamentos que gerencia (incluindo subdepartamentos)
+      query.departmentId = { in: getManagedDepartmentIds(req.user) };
       
-      // Se forneceu department diferente, ignorar (manager só vê seu departamento)
-      if (department && department !== req.user.department) {
+      if (filterDepartment && canAccessDepartment(req.user, filterDepartment.id)) {
+        query.departmentId = filterDepartment.id;
+      } else if (hasDepartmentFilter) {
+        // Se forneceu departamento não gerenciado, ignorar o filtro
         logger.warn('Manager tentando filtrar por outro departamento', {
           userId: req.user.id,
           userDepartment: req.user.department,
-          requestedDepartment: department
+          requestedDepartment: departmentId || department
         });
       }
     } else {
@@ -57,11 +75,14 @@ router.get('/', protect, async (req, res) => {
       });
       
       // Formata os resultados
+      const today = getTodayInTimezone(await getCompanyTimezone());
       const formattedEmployees = employees.map(emp => {
         // Converter workSchedules para formato JSON (prioridade na nova tabela)
         let workSchedule = null;
-        if (emp.workSchedules && emp.workSchedules.length > 0) {
-          workSchedule = parseWorkScheduleArray(emp.workSchedules);
+        // Apenas a versão vigente hoje (o histórico fica em /:id/work-schedule/history)
+        const currentSchedules = getSchedulesEffectiveOn(emp.workSchedules, today);
+        if (currentSchedules && currentSchedules.length > 0) {
+          workSchedule = parseWorkScheduleArray(currentSchedules);
         } else if (emp.workSchedule) {
           // Fallback para formato antigo durante migração
           workSchedule = emp.workSchedule;
@@ -72,13 +93,25 @@ router.get('/', protect, async (req, res) => {
           name: emp.name,
           email: emp.email,
           department: emp.department,
+          departmentId: emp.departmentId || null,
           role: emp.role,
           overtimeLimit: emp.overtimeLimit,
           overtimeExceptions: emp.overtimeExceptions || [],
+          hourBankAccumulationLimit: emp.hourBankAccumulationLimit ?? null,
+          hourBankUsageLimit: emp.hourBankUsageLimit ?? null,
+          hourBankExceptions: emp.hourBankExceptions || [],
           workSchedule,
           lunchBreakHours: emp.lunchBreakHours,
           lateTolerance: emp.lateTolerance,
-          requiresTimeClock: emp.requiresTimeClock || false
+          requiresTimeClock: emp.requiresTimeClock || false,
+          state: emp.state || null,
+          city: emp.city || null,
+          timezone: emp.timezone || null,
+          cpf: emp.cpf || null,
+          pis: emp.pis || null,
+          admissionDate: emp.admissionDate || null,
+          shiftPattern: emp.shiftPattern ? { id: emp.shiftPattern.id, name: emp.shiftPattern.name } : null,
+          shiftPatternAnchorDate: emp.shiftPatternAnchorDate || null
         };
       });
       
@@ -92,7 +125,20 @@ router.get('/', protect, async (req, res) => {
 // Create new employee (admin only)
 router.post('/', protect, admin, async (req, res) => {
   try {
-    const { name, email, password, department, role, overtimeLimit, workSchedule, lunchBreakHours, lateTolerance, requiresTimeClock } = req.body;
+    const { name, email, password, department, departmentId, role, overtimeLimit, workSchedule, lunchBreakHours, lateTolerance, requiresTimeClock, state, city, timezone, admissionDate } = req.body;
+
+    if (timezone && !isValidTimezone(timezone)) {
+      return res.status(400).json({ message: 'Fuso horário inválido. Use um fuso IANA (ex: America/Manaus)' });
+    }
+    if (admissionDate && !isValidAdmissionDate(admissionDate)) {
+      return res.status(400).json({ message: 'Data de admissão inválida (deve ser YYYY-MM-DD)' });
+    }
+
+    // O departamento precisa estar cadastrado (evita equipes divididas por erro de digitação)
+    const departmentRecord = await resolveDepartment({ departmentId, department });
+    if (!departmentRecord) {
+      return res.status(400).json({ message: 'Departamento não encontrado. Cadastre-o em /api/departments antes de criar o funcionário' });
+    }
 
     const userExists = await findUserByEmail(email);
     if (userExists) {
@@ -107,13 +153,18 @@ router.post('/', protect, admin, async (req, res) => {
       name,
       email,
       password,
-      department,
+      department: departmentRecord.name,
+      departmentId: departmentRecord.id,
       role: role || 'employee',
       overtimeLimit: overtimeLimit || null,
       workSchedule: workSchedule || null, // Manter para backward compatibility
       lunchBreakHours: lunchBreakHours ? Number(lunchBreakHours) : null,
       lateTolerance: lateTolerance ? Number(lateTolerance) : 10,
       requiresTimeClock: requiresTimeClock !== undefined ? Boolean(requiresTimeClock) : false,
+      state: state ? String(state).trim().toUpperCase() : null,
+      city: city ? String(city).trim() : null,
+      timezone: timezone || null,
+      admissionDate: admissionDate || null
     });
 
     // Se workSchedule foi fornecido, criar na nova tabela normalizada também
@@ -154,12 +205,14 @@ router.post('/', protect, admin, async (req, res) => {
       metadata: {
         name,
         email,
-        department,
+        department: departmentRecord.name,
+        departmentId: departmentRecord.id,
         role: role || 'employee',
         overtimeLimit: overtimeLimit || null,
         workSchedule: workScheduleObject,
         lunchBreakHours,
-        lateTolerance
+        lateTolerance,
+        admissionDate: admissionDate || null
       },
       ...requestMeta
     });
@@ -169,13 +222,18 @@ router.post('/', protect, admin, async (req, res) => {
       name: user.name,
       email: user.email,
       department: user.department,
+      departmentId: user.departmentId || null,
       role: user.role,
       overtimeLimit: user.overtimeLimit,
       overtimeExceptions: user.overtimeExceptions || [],
       workSchedule: workScheduleObject,
       lunchBreakHours: user.lunchBreakHours,
       lateTolerance: user.lateTolerance,
-      requiresTimeClock: user.requiresTimeClock || false
+      requiresTimeClock: user.requiresTimeClock || false,
+      state: user.state || null,
+      city: user.city || null,
+      timezone: user.timezone || null,
+      admissionDate: user.admissionDate || null
     });
   } catch (error) {
     logger.logError(error, { context: 'Criar funcionário', userId: req.user?._id });
@@ -429,6 +487,318 @@ router.delete('/:id/overtime-exception/:month/:year', protect, adminOrManager, a
   }
 });
 
+// Listar limites do banco de horas por departamento (admin ou manager)
+router.get('/departments/hour-bank-limits', protect, adminOrManager, async (req, res) => {
+  try {
+    const where = req.user.role === 'manager' ? { departmentId: { in: getManagedDepartmentIds(req.user) } } : {};
+    const limits = await prisma.departmentHourBankLimit.findMany({
+      where,
+      include: { department: { select: { name: true } } },
+      orderBy: { department: { name: 'asc' } }
+    });
+
+    res.json(limits.map(item => ({
+      departmentId: item.departmentId,
+      department: item.department.name,
+      accumulationLimit: item.accumulationLimit,
+      usageLimit: item.usageLimit,
+      updatedAt: item.updatedAt
+    })));
+  } catch (error) {
+    logger.logError(error, { context: 'Listar limites do banco de horas por departamento', userId: req.user?.id });
+    res.status(500).json({ message: 'Erro no servidor', error: error.message });
+  }
+});
+
+// Definir limites do banco de horas de um departamento (admin)
+router.put('/departments/:department/hour-bank-limits', protect, admin, async (req, res) => {
+  try {
+    const { accumulationLimit, usageLimit } = req.body;
+
+    const departmentRecord = await findDepartmentByName(req.params.department);
+    if (!departmentRecord) {
+      return res.status(404).json({ message: 'Departamento não encontrado' });
+    }
+    const department = departmentRecord.name;
+
+    const errors = [
+      ...validateHourBankLimit(accumulationLimit, 'Limite de acúmulo').errors,
+      ...validateHourBankLimit(usageLimit, 'Limite de uso').errors
+    ];
+    if (errors.length > 0) {
+      return res.status(400).json({ message: errors.join('; ') });
+    }
+
+    const existing = await prisma.departmentHourBankLimit.findUnique({
+      where: { departmentId: departmentRecord.id }
+    });
+
+    const data = {
+      accumulationLimit: accumulationLimit === null || accumulationLimit === undefined ? null : Number(accumulationLimit),
+      usageLimit: usageLimit === null || usageLimit === undefined ? null : Number(usageLimit)
+    };
+
+    const updated = await prisma.departmentHourBankLimit.upsert({
+      where: { departmentId: departmentRecord.id },
+      update: data,
+      create: { departmentId: departmentRecord.id, ...data }
+    });
+
+    // Registrar log de auditoria
+    const requestMeta = getRequestMetadata(req);
+    await logAudit({
+      action: 'department_hourbank_limit_changed',
+      entityType: 'settings',
+      entityId: updated.id,
+      userId: req.user.id,
+      description: `Limites do banco de horas do departamento ${department} alterados: acúmulo ${data.accumulationLimit ?? 'padrão'}h, uso ${data.usageLimit ?? 'padrão'}h`,
+      metadata: {
+        department,
+        departmentId: departmentRecord.id,
+        oldValues: existing ? { accumulationLimit: existing.accumulationLimit, usageLimit: existing.usageLimit } : null,
+        newValues: data
+      },
+      ...requestMeta
+    });
+
+    res.json({
+      departmentId: updated.departmentId,
+      department,
+      accumulationLimit: updated.accumulationLimit,
+      usageLimit: updated.usageLimit
+    });
+  } catch (error) {
+    logger.logError(error, { context: 'Definir limites do banco de horas do departamento', department: req.params.department, userId: req.user?.id });
+    res.status(500).json({ message: 'Erro no servidor', error: error.message });
+  }
+});
+
+// Atualizar limites do banco de horas de um funcionário (admin ou manager)
+router.patch('/:id/hour-bank-limits', protect, adminOrManager, async (req, res) => {
+  try {
+    const { hourBankAccumulationLimit, hourBankUsageLimit } = req.body;
+
+    const errors = [
+      ...validateHourBankLimit(hourBankAccumulationLimit, 'Limite de acúmulo').errors,
+      ...validateHourBankLimit(hourBankUsageLimit, 'Limite de uso').errors
+    ];
+    if (errors.length > 0) {
+      return res.status(400).json({ message: errors.join('; ') });
+    }
+
+    const user = await findUserById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ message: 'Funcionário não encontrado' });
+    }
+
+    // Se for manager, verificar se o funcionário pertence ao seu departamento
+    if (req.user.role === 'manager') {
+      const hasAccess = await checkEmployeeDepartment(req.params.id, req.user);
+      if (!hasAccess) {
+        return res.status(403).json({ 
+          message: 'Você só pode gerenciar funcionários do seu departamento.' 
+        });
+      }
+    }
+
+    // null remove o limite individual (volta a usar o do departamento/empresa)
+    const updateData = {};
+    if (hourBankAccumulationLimit !== undefined) {
+      updateData.hourBankAccumulationLimit = hourBankAccumulationLimit === null ? null : Number(hourBankAccumulationLimit);
+    }
+    if (hourBankUsageLimit !== undefined) {
+      updateData.hourBankUsageLimit = hourBankUsageLimit === null ? null : Number(hourBankUsageLimit);
+    }
+
+    const oldValues = {
+      hourBankAccumulationLimit: user.hourBankAccumulationLimit ?? null,
+      hourBankUsageLimit: user.hourBankUsageLimit ?? null
+    };
+
+    const updatedUser = await updateUser(user.id, updateData);
+
+    // Registrar log de auditoria
+    const requestMeta = getRequestMetadata(req);
+    await logAudit({
+      action: 'employee_hourbank_limit_changed',
+      entityType: 'employee',
+      entityId: updatedUser.id,
+      userId: req.user.id,
+      targetUserId: updatedUser.id,
+      description: `Limites do banco de horas alterados para ${updatedUser.name}: acúmulo ${updatedUser.hourBankAccumulationLimit ?? 'padrão'}h, uso ${updatedUser.hourBankUsageLimit ?? 'padrão'}h`,
+      metadata: {
+        oldValues,
+        newValues: {
+          hourBankAccumulationLimit: updatedUser.hourBankAccumulationLimit ?? null,
+          hourBankUsageLimit: updatedUser.hourBankUsageLimit ?? null
+        }
+      },
+      ...requestMeta
+    });
+
+    res.json({
+      id: updatedUser.id,
+      name: updatedUser.name,
+      department: updatedUser.department,
+      hourBankAccumulationLimit: updatedUser.hourBankAccumulationLimit ?? null,
+      hourBankUsageLimit: updatedUser.hourBankUsageLimit ?? null,
+      hourBankExceptions: updatedUser.hourBankExceptions || []
+    });
+  } catch (error) {
+    logger.logError(error, { context: 'Atualizar limites do banco de horas', employeeId: req.params.id, userId: req.user?.id });
+    res.status(500).json({ message: 'Erro no servidor', error: error.message });
+  }
+});
+
+// Adicionar exceção mensal de limites do banco de horas (admin ou manager)
+router.post('/:id/hour-bank-exception', protect, adminOrManager, async (req, res) => {
+  try {
+    const { month, year, additionalAccumulationHours, additionalUsageHours } = req.body;
+    
+    if (!month || !year || (additionalAccumulationHours === undefined && additionalUsageHours === undefined)) {
+      return res.status(400).json({ message: 'Mês, ano e horas adicionais (acúmulo e/ou uso) são obrigatórios' });
+    }
+
+    const errors = [
+      ...validateHourBankLimit(additionalAccumulationHours, 'Horas adicionais de acúmulo').errors,
+      ...validateHourBankLimit(additionalUsageHours, 'Horas adicionais de uso').errors
+    ];
+    if (errors.length > 0) {
+      return res.status(400).json({ message: errors.join('; ') });
+    }
+
+    const user = await findUserById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ message: 'Funcionário não encontrado' });
+    }
+
+    // Se for manager, verificar se o funcionário pertence ao seu departamento
+    if (req.user.role === 'manager') {
+      const hasAccess = await checkEmployeeDepartment(req.params.id, req.user);
+      if (!hasAccess) {
+        return res.status(403).json({ 
+          message: 'Você só pode gerenciar funcionários do seu departamento.' 
+        });
+      }
+    }
+
+    // Verifica se já existe uma exceção para este mês/ano
+    const exceptions = user.hourBankExceptions || [];
+    const existingExceptionIndex = exceptions.findIndex(
+      e => e.month === Number(month) && e.year === Number(year)
+    );
+
+    const exception = {
+      month: Number(month),
+      year: Number(year),
+      additionalAccumulationHours: Number(additionalAccumulationHours || 0),
+      additionalUsageHours: Number(additionalUsageHours || 0)
+    };
+
+    let updatedExceptions;
+    if (existingExceptionIndex >= 0) {
+      // Atualiza a exceção existente
+      updatedExceptions = [...exceptions];
+      updatedExceptions[existingExceptionIndex] = exception;
+    } else {
+      // Adiciona nova exceção
+      updatedExceptions = [...exceptions, exception];
+    }
+
+    const updatedUser = await updateUser(user.id, {
+      hourBankExceptions: updatedExceptions
+    });
+
+    // Registrar log de auditoria
+    const requestMeta = getRequestMetadata(req);
+    await logAudit({
+      action: 'employee_hourbank_exception_added',
+      entityType: 'employee',
+      entityId: updatedUser.id,
+      userId: req.user.id,
+      targetUserId: updatedUser.id,
+      description: `Exceção do banco de horas adicionada para ${updatedUser.name} em ${month}/${year}: +${exception.additionalAccumulationHours}h de acúmulo, +${exception.additionalUsageHours}h de uso`,
+      metadata: {
+        ...exception,
+        isUpdate: existingExceptionIndex >= 0
+      },
+      ...requestMeta
+    });
+
+    res.json({
+      id: updatedUser.id,
+      name: updatedUser.name,
+      hourBankAccumulationLimit: updatedUser.hourBankAccumulationLimit ?? null,
+      hourBankUsageLimit: updatedUser.hourBankUsageLimit ?? null,
+      hourBankExceptions: updatedUser.hourBankExceptions
+    });
+  } catch (error) {
+    logger.logError(error, { context: 'Adicionar exceção do banco de horas', employeeId: req.params.id, userId: req.user?.id });
+    res.status(500).json({ message: 'Erro no servidor', error: error.message });
+  }
+});
+
+// Remover exceção mensal de limites do banco de horas (admin ou manager)
+router.delete('/:id/hour-bank-exception/:month/:year', protect, adminOrManager, async (req, res) => {
+  try {
+    const { id, month, year } = req.params;
+    
+    const user = await findUserById(id);
+    if (!user) {
+      return res.status(404).json({ message: 'Funcionário não encontrado' });
+    }
+
+    // Se for manager, verificar se o funcionário pertence ao seu departamento
+    if (req.user.role === 'manager') {
+      const hasAccess = await checkEmployeeDepartment(id, req.user);
+      if (!hasAccess) {
+        return res.status(403).json({ 
+          message: 'Você só pode gerenciar funcionários do seu departamento.' 
+        });
+      }
+    }
+
+    const exceptions = user.hourBankExceptions || [];
+    const filteredExceptions = exceptions.filter(
+      e => !(e.month === Number(month) && e.year === Number(year))
+    );
+
+    let result = user;
+    if (exceptions.length !== filteredExceptions.length) {
+      result = await updateUser(user.id, {
+        hourBankExceptions: filteredExceptions
+      });
+
+      // Registrar log de auditoria
+      const requestMeta = getRequestMetadata(req);
+      await logAudit({
+        action: 'employee_hourbank_exception_removed',
+        entityType: 'employee',
+        entityId: result.id,
+        userId: req.user.id,
+        targetUserId: result.id,
+        description: `Exceção do banco de horas removida para ${result.name}: mês ${month}/${year}`,
+        metadata: {
+          month: Number(month),
+          year: Number(year)
+        },
+        ...requestMeta
+      });
+    }
+
+    res.json({
+      id: result.id,
+      name: result.name,
+      hourBankAccumulationLimit: result.hourBankAccumulationLimit ?? null,
+      hourBankUsageLimit: result.hourBankUsageLimit ?? null,
+      hourBankExceptions: result.hourBankExceptions || []
+    });
+  } catch (error) {
+    logger.logError(error, { context: 'Remover exceção do banco de horas', employeeId: req.params.id, userId: req.user?.id });
+    res.status(500).json({ message: 'Erro no servidor', error: error.message });
+  }
+});
+
 // Atualizar email de um funcionário (admin ou manager)
 router.patch('/:id/email', protect, adminOrManager, async (req, res) => {
   try {
@@ -496,6 +866,333 @@ router.patch('/:id/email', protect, adminOrManager, async (req, res) => {
   }
 });
 
+// Atualizar localização (UF/município/fuso) de um funcionário - usada para feriados estaduais e municipais
+// e para funcionários remotos em outro fuso horário (admin ou manager)
+router.patch('/:id/location', protect, adminOrManager, async (req, res) => {
+  try {
+    const { state, city, timezone } = req.body;
+
+    if (state !== undefined && state !== null && !/^[A-Za-z]{2}$/.test(String(state).trim())) {
+      return res.status(400).json({ message: 'UF inválida. Use a sigla com 2 letras (ex: SP)' });
+    }
+
+    // timezone null remove o fuso próprio e o funcionário volta a usar o fuso da empresa
+    if (timezone !== undefined && timezone !== null && !isValidTimezone(timezone)) {
+      return res.status(400).json({ message: 'Fuso horário inválido. Use um fuso IANA (ex: America/Manaus)' });
+    }
+
+    const user = await findUserById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ message: 'Funcionário não encontrado' });
+    }
+
+    // Se for manager, verificar se o funcionário pertence ao seu departamento
+    if (req.user.role === 'manager') {
+      const hasAccess = await checkEmployeeDepartment(req.params.id, req.user);
+      if (!hasAccess) {
+        return res.status(403).json({ 
+          message: 'Você só pode gerenciar funcionários do seu departamento.' 
+        });
+      }
+    }
+
+    const updateData = {};
+    if (state !== undefined) updateData.state = state ? String(state).trim().toUpperCase() : null;
+    if (city !== undefined) updateData.city = city ? String(city).trim() : null;
+    if (timezone !== undefined) updateData.timezone = timezone || null;
+
+    const updatedUser = await updateUser(user.id, updateData);
+
+    // Registrar log de auditoria
+    const requestMeta = getRequestMetadata(req);
+    await logAudit({
+      action: 'employee_location_changed',
+      entityType: 'employee',
+      entityId: updatedUser.id,
+      userId: req.user.id,
+      targetUserId: updatedUser.id,
+      description: `Localização alterada para ${updatedUser.name}: ${user.city || 'N/A'}/${user.state || 'N/A'} → ${updatedUser.city || 'N/A'}/${updatedUser.state || 'N/A'}`,
+      metadata: {
+        oldState: user.state || null,
+        oldCity: user.city || null,
+        newState: updatedUser.state || null,
+        newCity: updatedUser.city || null,
+        oldTimezone: user.timezone || null,
+        newTimezone: updatedUser.timezone || null
+      },
+      ...requestMeta
+    });
+
+    res.json({
+      id: updatedUser.id,
+      name: updatedUser.name,
+      email: updatedUser.email,
+      department: updatedUser.department,
+      role: updatedUser.role,
+      state: updatedUser.state || null,
+      city: updatedUser.city || null,
+      timezone: updatedUser.timezone || null
+    });
+  } catch (error) {
+    logger.logError(error, { context: 'Atualizar localização do funcionário', employeeId: req.params.id, userId: req.user?.id });
+    res.status(500).json({ message: 'Erro no servidor', error: error.message });
+  }
+});
+
+// Atribuir escala de revezamento (12x36, 6x1...) a um funcionário (admin ou manager)
+// shiftPatternId null remove a escala e o funcionário volta a usar a jornada semanal
+// A atribuição vale a partir de validFrom (padrão: hoje); datas anteriores mantêm a escala ou jornada da época
+router.patch('/:id/shift-pattern', protect, adminOrManager, async (req, res) => {
+  try {
+    const { shiftPatternId, anchorDate, validFrom } = req.body;
+
+    if (shiftPatternId === undefined) {
+      return res.status(400).json({ message: 'shiftPatternId é obrigatório (use null para remover a escala)' });
+    }
+
+    if (anchorDate !== undefined && anchorDate !== null && !/^\d{4}-\d{2}-\d{2}$/.test(anchorDate)) {
+      return res.status(400).json({ message: 'Data de início do ciclo inválida (deve ser YYYY-MM-DD)' });
+    }
+
+    if (validFrom !== undefined && validFrom !== null && (!/^\d{4}-\d{2}-\d{2}$/.test(validFrom) || isNaN(new Date(`${validFrom}T00:00:00`).getTime()))) {
+      return res.status(400).json({ message: 'Data de vigência inválida (deve ser YYYY-MM-DD).' });
+    }
+
+    const user = await findUserById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ message: 'Funcionário não encontrado' });
+    }
+
+    // Se for manager, verificar se o funcionário pertence ao seu departamento
+    if (req.user.role === 'manager') {
+      const hasAccess = await checkEmployeeDepartment(req.params.id, req.user);
+      if (!hasAccess) {
+        return res.status(403).json({ 
+          message: 'Você só pode gerenciar funcionários do seu departamento.' 
+        });
+      }
+    }
+
+    let shiftPattern = null;
+    if (shiftPatternId) {
+      shiftPattern = await findShiftPatternById(shiftPatternId);
+      if (!shiftPattern || !shiftPattern.isActive) {
+        return res.status(404).json({ message: 'Escala não encontrada ou inativa' });
+      }
+    }
+
+    const currentAssignment = await getCurrentShiftPatternAssignment(user.id);
+    const effectiveFrom = validFrom || getTodayInTimezone(await getCompanyTimezone());
+    if (currentAssignment && effectiveFrom < currentAssignment.validFrom) {
+      return res.status(400).json({
+        message: `Data de vigência deve ser igual ou posterior ao início da escala atual (${currentAssignment.validFrom}).`
+      });
+    }
+    if (!shiftPattern && !currentAssignment) {
+      return res.status(400).json({ message: 'Funcionário não tem escala de revezamento atribuída' });
+    }
+
+    const { user: updatedUser } = await assignShiftPattern(user.id, shiftPattern?.id || null, anchorDate, effectiveFrom, req.user.id);
+
+    // Registrar log de auditoria
+    const requestMeta = getRequestMetadata(req);
+    await logAudit({
+      action: 'employee_shift_pattern_changed',
+      entityType: 'employee',
+      entityId: updatedUser.id,
+      userId: req.user.id,
+      targetUserId: updatedUser.id,
+      description: `Escala alterada para ${updatedUser.name}: ${user.shiftPattern?.name || 'Jornada semanal'} → ${shiftPattern?.name || 'Jornada semanal'}`,
+      metadata: {
+        oldShiftPatternId: user.shiftPatternId || null,
+        oldAnchorDate: user.shiftPatternAnchorDate || null,
+        newShiftPatternId: updatedUser.shiftPatternId || null,
+        newAnchorDate: updatedUser.shiftPatternAnchorDate || null,
+        validFrom: effectiveFrom,
+        previousValidFrom: currentAssignment?.validFrom || null
+      },
+      ...requestMeta
+    });
+
+    res.json({
+      id: updatedUser.id,
+      name: updatedUser.name,
+      email: updatedUser.email,
+      department: updatedUser.department,
+      shiftPattern: shiftPattern ? { id: shiftPattern.id, name: shiftPattern.name } : null,
+      shiftPatternAnchorDate: updatedUser.shiftPatternAnchorDate || shiftPattern?.anchorDate || null,
+      validFrom: effectiveFrom
+    });
+  } catch (error) {
+    logger.logError(error, { context: 'Atribuir escala ao funcionário', employeeId: req.params.id, userId: req.user?.id });
+    res.status(500).json({ message: 'Erro no servidor', error: error.message });
+  }
+});
+
+// Transferir funcionário de departamento (admin only)
+router.patch('/:id/department', protect, admin, async (req, res) => {
+  try {
+    const { departmentId, department } = req.body;
+
+    const user = await findUserById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ message: 'Funcionário não encontrado' });
+    }
+
+    const departmentRecord = await resolveDepartment({ departmentId, department });
+    if (!departmentRecord) {
+      return res.status(400).json({ message: 'Departamento não encontrado' });
+    }
+
+    const oldDepartment = user.department;
+    const updatedUser = await updateUser(user.id, {
+      department: departmentRecord.name,
+      departmentId: departmentRecord.id
+    });
+
+    // Registrar log de auditoria
+    const requestMeta = getRequestMetadata(req);
+    await logAudit({
+      action: 'employee_department_changed',
+      entityType: 'employee',
+      entityId: updatedUser.id,
+      userId: req.user.id,
+      targetUserId: updatedUser.id,
+      description: `Departamento alterado para ${updatedUser.name}: ${oldDepartment || 'N/A'} → ${departmentRecord.name}`,
+      metadata: {
+        oldDepartment: oldDepartment || null,
+        oldDepartmentId: user.departmentId || null,
+        newDepartment: departmentRecord.name,
+        newDepartmentId: departmentRecord.id
+      },
+      ...requestMeta
+    });
+
+    res.json({
+      id: updatedUser.id,
+      name: updatedUser.name,
+      email: updatedUser.email,
+      department: updatedUser.department,
+      departmentId: updatedUser.departmentId,
+      role: updatedUser.role
+    });
+  } catch (error) {
+    logger.logError(error, { context: 'Alterar departamento do funcionário', employeeId: req.params.id, userId: req.user?.id });
+    res.status(500).json({ message: 'Erro no servidor', error: error.message });
+  }
+});
+
+// Atualizar CPF e PIS de um funcionário (admin only), usados nos arquivos AFD/AEJ
+// null remove o documento
+router.patch('/:id/documents', protect, admin, async (req, res) => {
+  try {
+    const { cpf, pis } = req.body;
+
+    if (cpf !== undefined && cpf !== null && cpf !== '' && !isValidCpf(cpf)) {
+      return res.status(400).json({ message: 'CPF inválido' });
+    }
+    if (pis !== undefined && pis !== null && pis !== '' && !isValidPis(pis)) {
+      return res.status(400).json({ message: 'PIS inválido' });
+    }
+
+    const user = await findUserById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ message: 'Funcionário não encontrado' });
+    }
+
+    const updateData = {};
+    if (cpf !== undefined) updateData.cpf = cpf ? onlyDigits(cpf) : null;
+    if (pis !== undefined) updateData.pis = pis ? onlyDigits(pis) : null;
+
+    if (updateData.cpf) {
+      const existing = await prisma.user.findUnique({ where: { cpf: updateData.cpf }, select: { id: true } });
+      if (existing && existing.id !== user.id) {
+        return res.status(400).json({ message: 'CPF já cadastrado para outro funcionário' });
+      }
+    }
+
+    const updatedUser = await updateUser(user.id, updateData);
+
+    // Registrar log de auditoria
+    const requestMeta = getRequestMetadata(req);
+    await logAudit({
+      action: 'employee_documents_changed',
+      entityType: 'employee',
+      entityId: updatedUser.id,
+      userId: req.user.id,
+      targetUserId: updatedUser.id,
+      description: `Documentos alterados para ${updatedUser.name}`,
+      metadata: {
+        changedFields: Object.keys(updateData),
+        oldCpf: user.cpf || null,
+        newCpf: updatedUser.cpf || null,
+        oldPis: user.pis || null,
+        newPis: updatedUser.pis || null
+      },
+      ...requestMeta
+    });
+
+    res.json({
+      id: updatedUser.id,
+      name: updatedUser.name,
+      email: updatedUser.email,
+      department: updatedUser.department,
+      role: updatedUser.role,
+      cpf: updatedUser.cpf || null,
+      pis: updatedUser.pis || null
+    });
+  } catch (error) {
+    logger.logError(error, { context: 'Atualizar documentos do funcionário', employeeId: req.params.id, userId: req.user?.id });
+    res.status(500).json({ message: 'Erro no servidor', error: error.message });
+  }
+});
+
+// PATCH /employees/:id/admission-date - Atualizar data de admissão (início dos períodos aquisitivos de férias)
+router.patch('/:id/admission-date', protect, admin, async (req, res) => {
+  try {
+    const { admissionDate } = req.body;
+
+    if (admissionDate !== null && admissionDate !== '' && !isValidAdmissionDate(admissionDate)) {
+      return res.status(400).json({ message: 'Data de admissão inválida (deve ser YYYY-MM-DD)' });
+    }
+
+    const user = await findUserById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ message: 'Funcionário não encontrado' });
+    }
+
+    const updatedUser = await updateUser(user.id, { admissionDate: admissionDate || null });
+
+    // Registrar log de auditoria
+    const requestMeta = getRequestMetadata(req);
+    await logAudit({
+      action: 'employee_admission_date_changed',
+      entityType: 'employee',
+      entityId: updatedUser.id,
+      userId: req.user.id,
+      targetUserId: updatedUser.id,
+      description: `Data de admissão alterada para ${updatedUser.name}: ${updatedUser.admissionDate || 'não informada'}`,
+      metadata: {
+        oldAdmissionDate: user.admissionDate || null,
+        newAdmissionDate: updatedUser.admissionDate || null
+      },
+      ...requestMeta
+    });
+
+    res.json({
+      id: updatedUser.id,
+      name: updatedUser.name,
+      email: updatedUser.email,
+      department: updatedUser.department,
+      role: updatedUser.role,
+      admissionDate: updatedUser.admissionDate || null
+    });
+  } catch (error) {
+    logger.logError(error, { context: 'Atualizar data de admissão do funcionário', employeeId: req.params.id, userId: req.user?.id });
+    res.status(500).json({ message: 'Erro no servidor', error: error.message });
+  }
+});
+
 // Atualizar role de um funcionário (admin only)
 router.patch('/:id/role', protect, admin, async (req, res) => {
   try {
@@ -558,7 +1255,7 @@ router.patch('/:id/role', protect, admin, async (req, res) => {
 // Função compartilhada para criar/atualizar jornada de trabalho
 const handleWorkScheduleUpdate = async (req, res) => {
   try {
-    const { workSchedule, lunchBreakHours, lateTolerance } = req.body;
+    const { workSchedule, lunchBreakHours, lateTolerance, validFrom } = req.body;
     const isPost = req.method === 'POST';
     const isPatch = req.method === 'PATCH';
     
@@ -653,6 +1350,19 @@ const handleWorkScheduleUpdate = async (req, res) => {
       return res.status(400).json({ message: 'Jornada de trabalho é obrigatória quando não está apenas atualizando requiresTimeClock.' });
     }
 
+    // Data de início da vigência da nova versão (padrão: hoje)
+    if (validFrom !== undefined && validFrom !== null && (!/^\d{4}-\d{2}-\d{2}$/.test(validFrom) || isNaN(new Date(`${validFrom}T00:00:00`).getTime()))) {
+      return res.status(400).json({ message: 'Data de vigência inválida (deve ser YYYY-MM-DD).' });
+    }
+
+    const currentVersion = await getCurrentWorkScheduleVersion(user.id);
+    const effectiveFrom = validFrom || getTodayInTimezone(await getCompanyTimezone());
+    if (currentVersion && effectiveFrom < currentVersion.validFrom) {
+      return res.status(400).json({ 
+        message: `Data de vigência deve ser igual ou posterior ao início da versão atual (${currentVersion.validFrom}).` 
+      });
+    }
+
     // Se workSchedule for string, tentar fazer parse
     let parsedWorkSchedule = workSchedule;
     if (typeof workSchedule === 'string') {
@@ -671,7 +1381,8 @@ const handleWorkScheduleUpdate = async (req, res) => {
     }
 
     // Validar formato da jornada
-    const validation = validateWorkSchedule(parsedWorkSchedule);
+    // Uma nova versão de jornada existente pode não ter dias de trabalho (ex: contrato suspenso a partir de validFrom)
+    const validation = validateWorkSchedule(parsedWorkSchedule, { allowNoWorkDays: hasExistingSchedule });
     if (!validation.isValid) {
       logger.warn('Validação de jornada falhou', {
         employeeId: req.params.id,
@@ -698,34 +1409,9 @@ const handleWorkScheduleUpdate = async (req, res) => {
       schedules: schedulesArray
     });
 
-    // Identificar e remover dias que foram desmarcados
-    // Comparar dias existentes no banco com os dias sendo enviados
-    const existingDays = existingSchedules.map(s => s.dayOfWeek);
-    const newDays = schedulesArray.map(s => s.dayOfWeek);
-    
-    // Identificar dias a remover (existem no banco mas não no novo array)
-    const daysToRemove = existingDays.filter(day => !newDays.includes(day));
-    
-    if (daysToRemove.length > 0) {
-      logger.info('Removendo dias desmarcados da jornada', {
-        employeeId: user.id,
-        daysToRemove,
-        existingDays,
-        newDays
-      });
-      
-      // Deletar dias removidos
-      for (const dayToRemove of daysToRemove) {
-        await deleteWorkSchedule(user.id, dayToRemove);
-        logger.info('Dia removido da jornada', { 
-          employeeId: user.id, 
-          dayOfWeek: dayToRemove 
-        });
-      }
-    }
-
-    // Criar/atualizar jornada na tabela normalizada
-    const createdSchedules = await createOrUpdateWorkSchedule(user.id, schedulesArray);
+    // Criar nova versão da jornada na tabela normalizada
+    // Dias desmarcados simplesmente não fazem parte da nova versão; versões anteriores são preservadas
+    const createdSchedules = await createOrUpdateWorkSchedule(user.id, schedulesArray, effectiveFrom);
 
     // Atualizar campos lunchBreakHours, lateTolerance e requiresTimeClock no usuário
     const updateData = {};
@@ -748,7 +1434,7 @@ const handleWorkScheduleUpdate = async (req, res) => {
       employeeId: user.id,
       method: req.method,
       action: isPost ? 'create' : 'update',
-      schedulesCreated: createdSchedules.length,
+      schedulesCreated: createdSchedules.filter(schedule => schedule.isActive).length,
       workSchedule: workScheduleObject
     });
 
@@ -765,8 +1451,10 @@ const handleWorkScheduleUpdate = async (req, res) => {
       metadata: {
         method: req.method,
         action,
-        schedulesCount: createdSchedules.length,
+        schedulesCount: createdSchedules.filter(schedule => schedule.isActive).length,
         workSchedule: workScheduleObject,
+        validFrom: effectiveFrom,
+        previousValidFrom: currentVersion?.validFrom || null,
         lunchBreakHours: updatedUser.lunchBreakHours,
         lateTolerance: updatedUser.lateTolerance,
         hadExistingSchedule: hasExistingSchedule
@@ -784,6 +1472,7 @@ const handleWorkScheduleUpdate = async (req, res) => {
       overtimeLimit: updatedUser.overtimeLimit,
       overtimeExceptions: updatedUser.overtimeExceptions || [],
       workSchedule: workScheduleObject,
+      validFrom: effectiveFrom,
       lunchBreakHours: updatedUser.lunchBreakHours,
       lateTolerance: updatedUser.lateTolerance,
       requiresTimeClock: updatedUser.requiresTimeClock || false
@@ -817,6 +1506,7 @@ router.get('/:id/work-schedule', protect, adminOrManager, async (req, res) => {
     
     // Converter para formato JSON (compatibilidade com frontend)
     const workScheduleObject = parseWorkScheduleArray(schedules);
+    const currentShiftPattern = getEmployeeShiftPattern(user, getTodayInTimezone(await getCompanyTimezone()));
 
     res.json({
       id: user.id,
@@ -826,7 +1516,10 @@ router.get('/:id/work-schedule', protect, adminOrManager, async (req, res) => {
       lunchBreakHours: user.lunchBreakHours,
       lateTolerance: user.lateTolerance,
       requiresTimeClock: user.requiresTimeClock || false,
-      schedulesCount: schedules.length
+      schedulesCount: schedules.length,
+      // Quando há escala de revezamento vigente hoje, ela tem prioridade sobre a jornada semanal
+      shiftPattern: currentShiftPattern || null,
+      shiftPatternAnchorDate: currentShiftPattern?.anchorDate || null
     });
   } catch (error) {
     logger.logError(error, { context: 'Buscar jornada de trabalho', employeeId: req.params.id, userId: req.user?.id });
@@ -834,6 +1527,51 @@ router.get('/:id/work-schedule', protect, adminOrManager, async (req, res) => {
   }
 });
 
+// GET /api/employees/:id/work-schedule/history - Linha do tempo das versões da jornada (admin ou manager)
+router.get('/:id/work-schedule/history', protect, adminOrManager, async (req, res) => {
+  try {
+    const user = await findUserById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ message: 'Funcionário não encontrado' });
+    }
+
+    // Se for manager, verificar se o funcionário pertence ao seu departamento
+    if (req.user.role === 'manager') {
+      const hasAccess = await checkEmployeeDepartment(req.params.id, req.user);
+      if (!hasAccess) {
+        return res.status(403).json({ 
+          message: 'Você só pode gerenciar funcionários do seu departamento.' 
+        });
+      }
+    }
+
+    const versions = await getWorkScheduleVersions(user.id);
+    const assignments = await findShiftPatternAssignments(user.id);
+    const today = getTodayInTimezone(await getCompanyTimezone());
+
+    res.json({
+      id: user.id,
+      name: user.name,
+      email: user.email,
+      versions: versions.map(version => ({
+        ...version,
+        isCurrent: version.validFrom <= today && (!version.validTo || version.validTo >= today)
+      })),
+      // Escalas de revezamento: na vigência da atribuição, substituem a jornada semanal
+      shiftPatternAssignments: assignments.map(assignment => ({
+        shiftPattern: assignment.shiftPattern,
+        anchorDate: assignment.anchorDate || null,
+        validFrom: assignment.validFrom,
+        validTo: assignment.validTo || null,
+        isCurrent: assignment.validFrom <= today && (!assignment.validTo || assignment.validTo >= today)
+      }))
+    });
+  } catch (error) {
+    logger.logError(error, { context: 'Buscar histórico da jornada de trabalho', employeeId: req.params.id, userId: req.user?.id });
+    res.status(500).json({ message: 'Erro no servidor', error: error.message });
+  }
+});
+
 // Criar ou atualizar jornada de trabalho (admin ou manager)
 // POST para criar inicialmente, PATCH para atualizar
 router.post('/:id/work-schedule', protect, adminOrManager, handleWorkScheduleUpdate);
@@ -0,0 +1,217 @@
+import express from 'express';
+import { protect, admin } from '../middleware/auth.js';
+import prisma from '../config/database.js';
+import { getHolidaysInRange } from '../models/holiday.model.js';
+import { validateHoliday, holidayMatchesDate, HOLIDAY_TYPES } from '../utils/holidayUtils.js';
+import { logAudit, getRequestMetadata } from '../middleware/audit.js';
+import { formatDateForDisplay } from '../utils/dateFormatter.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+// Helper: Normalizar dados do feriado recebidos no body
+const buildHolidayData = (body) => {
+  const type = body.type || 'national';
+  return {
+    name: body.name ? String(body.name).trim() : body.name,
+    date: body.date,
+    type,
+    // UF/município só fazem sentido para feriados estaduais/municipais
+    state: (type === 'state' || type === 'city') && body.state ? String(body.state).trim().toUpperCase() : null,
+    city: type === 'city' && body.city ? String(body.city).trim() : null,
+    isHalfDay: Boolean(body.isHalfDay),
+    recurring: Boolean(body.recurring)
+  };
+};
+
+// GET /holidays - Listar feriados (filtros opcionais: year, startDate, endDate, type)
+router.get('/', protect, async (req, res) => {
+  try {
+    const { year, startDate, endDate, type } = req.query;
+
+    if (type && !HOLIDAY_TYPES.includes(type)) {
+      return res.status(400).json({ error: `Tipo inválido. Use ${HOLIDAY_TYPES.join(', ')}` });
+    }
+
+    let holidays;
+    const rangeStart = startDate || (year ? `${year}-01-01` : null);
+    const rangeEnd = endDate || (year ? `${year}-12-31` : null);
+
+    if (rangeStart && rangeEnd) {
+      // Expandir feriados recorrentes para as ocorrências dentro do período
+      const candidates = await getHolidaysInRange(rangeStart, rangeEnd);
+      const startYear = Number(rangeStart.slice(0, 4));
+      const endYear = Number(rangeEnd.slice(0, 4));
+
+      holidays = [];
+      for (const holiday of candidates) {
+        if (!holiday.recurring) {
+          holidays.push({ ...holiday, occurrenceDate: holiday.date });
+          continue;
+        }
+        for (let y = startYear; y <= endYear; y++) {
+          const occurrenceDate = `${y}${holiday.date.slice(4)}`;
+          if (occurrenceDate >= rangeStart && occurrenceDate <= rangeEnd && holidayMatchesDate(holiday, occurrenceDate)) {
+            holidays.push({ ...holiday, occurrenceDate });
+          }
+        }
+      }
+
+      holidays.sort((a, b) => a.occurrenceDate.localeCompare(b.occurrenceDate));
+    } else {
+      holidays = await prisma.holiday.findMany({
+        orderBy: { date: 'asc' }
+      });
+    }
+
+    if (type) {
+      holidays = holidays.filter(holiday => holiday.type === type);
+    }
+
+    res.json(holidays);
+  } catch (error) {
+    logger.logError(error, { context: 'Buscar feriados', userId: req.user?.id });
+    res.status(500).json({ message: 'Erro ao buscar feriados', error: error.message });
+  }
+});
+
+// POST /holidays - Criar feriado (admin)
+router.post('/', protect, admin, async (req, res) => {
+  try {
+    const data = buildHolidayData(req.body);
+
+    const validation = validateHoliday(data);
+    if (!validation.isValid) {
+      return res.status(400).json({ error: validation.errors.join('; ') });
+    }
+
+    const holiday = await prisma.holiday.create({ data });
+
+    // Registrar log de auditoria
+    const requestMeta = getRequestMetadata(req);
+    await logAudit({
+      action: 'holiday_created',
+      entityType: 'settings',
+      entityId: holiday.id,
+      userId: req.user.id,
+      description: `Feriado criado: ${holiday.name} em ${formatDateForDisplay(holiday.date)}${holiday.isHalfDay ? ' (meio período)' : ''}`,
+      metadata: data,
+      ...requestMeta
+    });
+
+    res.status(201).json(holiday);
+  } catch (error) {
+    logger.logError(error, { context: 'Criar feriado', userId: req.user?.id });
+    res.status(500).json({ message: 'Erro ao criar feriado', error: error.message });
+  }
+});
+
+// PATCH /holidays/:id - Atualizar feriado (admin)
+router.patch('/:id', protect, admin, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const holiday = await prisma.holiday.findUnique({
+      where: { id }
+    });
+
+    if (!holiday) {
+      return res.status(404).json({ error: 'Feriado não encontrado' });
+    }
+
+    // Mesclar com valores atuais para validar o feriado resultante
+    const data = buildHolidayData({
+      name: req.body.name !== undefined ? req.body.name : holiday.name,
+      date: req.body.date !== undefined ? req.body.date : holiday.date,
+      type: req.body.type !== undefined ? req.body.type : holiday.type,
+      state: req.body.state !== undefined ? req.body.state : holiday.state,
+      city: req.body.city !== undefined ? req.body.city : holiday.city,
+      isHalfDay: req.body.isHalfDay !== undefined ? req.body.isHalfDay : holiday.isHalfDay,
+      recurring: req.body.recurring !== undefined ? req.body.recurring : holiday.recurring
+    });
+
+    const validation = validateHoliday(data);
+    if (!validation.isValid) {
+      return res.status(400).json({ error: validation.errors.join('; ') });
+    }
+
+    const updatedHoliday = await prisma.holiday.update({
+      where: { id },
+      data
+    });
+
+    // Registrar log de auditoria
+    const requestMeta = getRequestMetadata(req);
+    await logAudit({
+      action: 'holiday_updated',
+      entityType: 'settings',
+      entityId: updatedHoliday.id,
+      userId: req.user.id,
+      description: `Feriado atualizado: ${updatedHoliday.name} em ${formatDateForDisplay(updatedHoliday.date)}`,
+      metadata: {
+        oldValues: {
+          name: holiday.name,
+          date: holiday.date,
+          type: holiday.type,
+          state: holiday.state,
+          city: holiday.city,
+          isHalfDay: holiday.isHalfDay,
+          recurring: holiday.recurring
+        },
+        newValues: data
+      },
+      ...requestMeta
+    });
+
+    res.json(updatedHoliday);
+  } catch (error) {
+    logger.logError(error, { context: 'Atualizar feriado', holidayId: req.params.id, userId: req.user?.id });
+    res.status(500).json({ message: 'Erro ao atualizar feriado', error: error.message });
+  }
+});
+
+// DELETE /holidays/:id - Remover feriado (admin)
+router.delete('/:id', protect, admin, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const holiday = await prisma.holiday.findUnique({
+      where: { id }
+    });
+
+    if (!holiday) {
+      return res.status(404).json({ error: 'Feriado não encontrado' });
+    }
+
+    await prisma.holiday.delete({
+      where: { id }
+    });
+
+    // Registrar log de auditoria
+    const requestMeta = getRequestMetadata(req);
+    await logAudit({
+      action: 'holiday_deleted',
+      entityType: 'settings',
+      entityId: holiday.id,
+      userId: req.user.id,
+      description: `Feriado removido: ${holiday.name} em ${formatDateForDisplay(holiday.date)}`,
+      metadata: {
+        name: holiday.name,
+        date: holiday.date,
+        type: holiday.type,
+        state: holiday.state,
+        city: holiday.city,
+        isHalfDay: holiday.isHalfDay,
+        recurring: holiday.recurring
+      },
+      ...requestMeta
+    });
+
+    res.json({ message: 'Feriado removido com sucesso' });
+  } catch (error) {
+    logger.logError(error, { context: 'Remover feriado', holidayId: req.params.id, userId: req.user?.id });
+    res.status(500).json({ message: 'Erro ao remover feriado', error: error.message });
+  }
+});
+
+export default router;
@@ -1,8 +1,19 @@
 import express from 'express';
 import { protect, admin } from '../middleware/auth.js';
 import prisma from '../config/database.js';
+import { canAccessDepartment, getManagedDepartmentIds, getStepApprovalAuthority } from '../middleware/departmentAccess.js';
+import { buildDelegationAuditMetadata } from '../models/approvalDelegation.model.js';
+import { ensureApprovalSteps, decideApprovalStep, formatApprovalSteps } from '../models/approvalStep.model.js';
+import { getCurrentApprovalStep, validateBulkDecisionIds } from '../utils/approvalChainUtils.js';
+import { addRecordComment } from '../models/recordComment.model.js';
 import { findUserById } from '../models/user.model.js';
-import { getOrCreateSettings } from '../models/companySettings.model.js';
+import { resolveDepartment } from '../models/department.model.js';
+import { findLockingClosing, getClosedPeriodMessage } from '../models/timesheetClosing.model.js';
+import { getOrCreateSettings, getCompanyTimezone } from '../models/companySettings.model.js';
+import { getCreditExpiresAt, getCreditAllocations, getEffectiveHourBankLimits, createDecisionBatch, getBatchLimits } from '../models/hourBankRecord.model.js';
+import { getTodayInTimezone } from '../utils/timezoneUtils.js';
+import { addDaysToDateString } from '../utils/timeClockUtils.js';
+import { getRecordBalanceImpact, validateHourBankPayout, HOURS_TOLERANCE } from '../utils/hourBankUtils.js';
 import { logAudit, getRequestMetadata } from '../middleware/audit.js';
 import { formatDateForDisplay } from '../utils/dateFormatter.js';
 import logger from '../utils/logger.js';
@@ -21,19 +32,35 @@ const calculateBalance = async (employeeId) => {
   let totalBalance = 0;
   let pendingCredit = 0;
   let pendingDebit = 0;
+  let pendingPayout = 0;
+  let expiredHours = 0;
+  let payoutPendingHours = 0;
+  let paidHours = 0;
 
   allRecords.forEach(record => {
     if (record.status === 'pending') {
       if (record.type === 'credit') {
         pendingCredit += record.hours;
+      } else if (record.type === 'payout') {
+        pendingPayout += record.hours;
       } else {
         pendingDebit += record.hours;
       }
     } else if (record.status === 'approved') {
+      // Horas não compensadas no prazo (expiradas ou a pagar) saem do saldo
+      totalBalance += getRecordBalanceImpact(record);
       if (record.type === 'credit') {
-        totalBalance += record.hours;
-      } else {
-        totalBalance -= record.hours;
+        if (record.expirationStatus === 'expired') {
+          expiredHours += record.expiredHours || 0;
+        } else if (record.expirationStatus === 'payout_pending') {
+          payoutPendingHours += record.expiredHours || 0;
+        }
+      } else if (record.type === 'payout') {
+        paidHours += record.hours;
+        // Pagamentos de créditos vencidos abatem as horas marcadas para pagamento
+        if (record.payoutSource === 'expired') {
+          payoutPendingHours -= record.hours;
+        }
       }
     }
   });
@@ -44,18 +71,17 @@ const calculateBalance = async (employeeId) => {
     totalBalance,
     availableBalance,
     pendingCredit,
-    pendingDebit
+    pendingDebit,
+    pendingPayout,
+    expiredHours,
+    payoutPendingHours: Math.max(0, Number(payoutPendingHours.toFixed(2))),
+    paidHours
   };
 };
 
-// Helper: Buscar limites
-const getLimits = async (employeeId) => {
-  const settings = await getOrCreateSettings();
-  
-  return {
-    accumulationLimit: settings?.defaultAccumulationLimit || 0,
-    usageLimit: settings?.defaultUsageLimit || 0
-  };
+// Helper: Buscar limites efetivos (funcionário → departamento → empresa, com exceção mensal)
+const getLimits = async (employeeId, date) => {
+  return getEffectiveHourBankLimits(employeeId, date);
 };
 
 // GET /hour-bank/balance - Buscar saldo do banco de horas
@@ -78,7 +104,7 @@ router.get('/balance', protect, async (req, res) => {
 
     // Se for manager, verificar se o funcionário pertence ao seu departamento
     if (req.user.role === 'manager' && targetEmployeeId !== req.user.id) {
-      if (employee.department !== req.user.department) {
+      if (!canAccessDepartment(req.user, employee.departmentId)) {
         return res.status(403).json({ 
           error: 'Acesso negado. Você só pode visualizar saldos de funcionários do seu departamento.' 
         });
@@ -104,8 +130,15 @@ router.get('/balance', protect, async (req, res) => {
       availableBalance: balance.availableBalance,
       pendingCredit: balance.pendingCredit,
       pendingDebit: balance.pendingDebit,
+      pendingPayout: balance.pendingPayout,
+      expiredHours: balance.expiredHours,
+      payoutPendingHours: balance.payoutPendingHours,
+      paidHours: balance.paidHours,
       accumulationLimit: limits.accumulationLimit,
       usageLimit: limits.usageLimit,
+      accumulationLimitSource: limits.accumulationSource,
+      usageLimitSource: limits.usageSource,
+      limitException: limits.exception,
       accumulationLimitPercentage: Math.min(100, Math.max(0, accumulationLimitPercentage)),
       usageLimitPercentage: Math.min(100, Math.max(0, usageLimitPercentage))
     });
@@ -115,6 +148,132 @@ router.get('/balance', protect, async (req, res) => {
   }
 });
 
+// GET /hour-bank/expiring - Créditos a expirar por funcionário e departamento
+// Filtros opcionais: employeeId, departmentId ou department, days (padrão: antecedência configurada nas configurações)
+router.get('/expiring', protect, async (req, res) => {
+  try {
+    const { employeeId, departmentId, department, days } = req.query;
+    const settings = await getOrCreateSettings();
+
+    const withinDays = days !== undefined ? Number(days) : settings.hourBankExpirationWarningDays;
+    if (!Number.isInteger(withinDays) || withinDays < 0) {
+      return res.status(400).json({ error: 'Parâmetro days inválido (deve ser um número inteiro >= 0)' });
+    }
+
+    const employeeWhere = {};
+
+    // Departamento do filtro pelo ID ou pelo nome (sem diferenciar maiúsculas)
+    const hasDepartmentFilter = Boolean(departmentId || department);
+    const filterDepartment = hasDepartmentFilter ? await resolveDepartment({ departmentId, department }) : null;
+    if (hasDepartmentFilter && !filterDepartment) {
+      return res.status(404).json({ error: 'Departamento não encontrado' });
+    }
+
+    // Determinar funcionários visíveis baseado na role
+    if (req.user.role === 'employee') {
+      if ((employeeId && employeeId !== req.user.id) || (filterDepartment && filterDepartment.id !== req.user.departmentId)) {
+        return res.status(403).json({ 
+          error: 'Você não tem permissão para visualizar créditos de outros funcionários' 
+        });
+      }
+      employeeWhere.id = req.user.id;
+    } else if (req.user.role === 'manager') {
+      if (filterDepartment && !canAccessDepartment(req.user, filterDepartment.id)) {
+        return res.status(403).json({ 
+          error: 'Acesso negado. Você só pode visualizar créditos de funcionários do seu departamento.' 
+        });
+      }
+      employeeWhere.departmentId = filterDepartment ? filterDepartment.id : { in: getManagedDepartmentIds(req.user) };
+      if (employeeId) {
+        employeeWhere.id = employeeId;
+      }
+    } else {
+      if (employeeId) {
+        employeeWhere.id = employeeId;
+      }
+      if (filterDepartment) {
+        employeeWhere.departmentId = filterDepartment.id;
+      }
+    }
+
+    const today = getTodayInTimezone(await getCompanyTimezone());
+    const until = addDaysToDateString(today, withinDays);
+
+    // Apenas funcionários com créditos aprovados vencendo no período
+    const employees = await prisma.user.findMany({
+      where: {
+        ...employeeWhere,
+        hourBankRecords: {
+          some: {
+            type: 'credit',
+            status: 'approved',
+            expirationStatus: null,
+            expiresAt: { gte: today, lte: until }
+          }
+        }
+      },
+      select: {
+        id: true,
+        name: true,
+        email: true,
+        department: true
+      },
+      orderBy: { name: 'asc' }
+    });
+
+    const employeeResults = [];
+    const departmentTotals = new Map();
+
+    for (const employee of employees) {
+      // Saldo restante de cada crédito após consumo FIFO pelos débitos
+      const { credits } = await getCreditAllocations(employee.id);
+      const expiringCredits = credits
+        .filter(credit => !credit.expirationStatus && credit.remainingHours > 0 &&
+          credit.expiresAt && credit.expiresAt >= today && credit.expiresAt <= until)
+        .map(credit => ({
+          id: credit.id,
+          date: credit.date,
+          expiresAt: credit.expiresAt,
+          hours: credit.hours,
+          consumedHours: credit.consumedHours,
+          remainingHours: credit.remainingHours,
+          daysUntilExpiration: Math.round((new Date(`${credit.expiresAt}T00:00:00Z`) - new Date(`${today}T00:00:00Z`)) / (1000 * 60 * 60 * 24))
+        }));
+
+      if (expiringCredits.length === 0) {
+        continue;
+      }
+
+      const expiringHours = Number(expiringCredits.reduce((sum, credit) => sum + credit.remainingHours, 0).toFixed(2));
+      employeeResults.push({
+        employeeId: employee.id,
+        employeeName: employee.name,
+        employeeEmail: employee.email,
+        department: employee.department,
+        expiringHours,
+        nextExpiration: expiringCredits[0].expiresAt,
+        credits: expiringCredits
+      });
+
+      const totals = departmentTotals.get(employee.department) || { department: employee.department, employees: 0, expiringHours: 0 };
+      totals.employees++;
+      totals.expiringHours = Number((totals.expiringHours + expiringHours).toFixed(2));
+      departmentTotals.set(employee.department, totals);
+    }
+
+    res.json({
+      from: today,
+      until,
+      expirationAction: settings.hourBankExpirationAction,
+      employees: employeeResults,
+      departments: Array.from(departmentTotals.values()).sort((a, b) => a.department.localeCompare(b.department))
+    });
+  } catch (error) {
+    logger.logError(error, { context: 'Buscar créditos a expirar do banco de horas', employeeId: req.query.employeeId, userId: req.user?.id });
+    res.status(500).json({ error: 'Erro ao buscar créditos a expirar' });
+  }
+});
+
 // GET /hour-bank/records - Buscar histórico de registros
 router.get('/records', protect, async (req, res) => {
   try {
@@ -138,7 +297,7 @@ router.get('/records', protect, async (req, res) => {
         if (!employee) {
           return res.status(404).json({ error: 'Funcionário não encontrado' });
         }
-        if (employee.department !== req.user.department) {
+        if (!canAccessDepartment(req.user, employee.departmentId)) {
           return res.status(403).json({ 
             error: 'Acesso negado. Você só pode visualizar registros de funcionários do seu departamento.' 
           });
@@ -147,7 +306,7 @@ router.get('/records', protect, async (req, res) => {
       } else {
         // Sem employeeId específico, filtrar por departamento
         const departmentEmployees = await prisma.user.findMany({
-          where: { department: req.user.department },
+          where: { departmentId: { in: getManagedDepartmentIds(req.user) } },
           select: { id: true }
         });
         const employeeIds = departmentEmployees.map(emp => emp.id);
@@ -180,7 +339,7 @@ router.get('/records', protect, async (req, res) => {
     if (endDate) {
       prismaQuery.date = { ...prismaQuery.date, lte: endDate };
     }
-    if (type && (type === 'credit' || type === 'debit')) {
+    if (type && ['credit', 'debit', 'payout'].includes(type)) {
       prismaQuery.type = type;
     }
     if (status && ['pending', 'approved', 'rejected'].includes(status)) {
@@ -220,9 +379,17 @@ router.get('/records', protect, async (req, res) => {
       date: record.date,
       type: record.type,
       hours: record.hours,
+      rawHours: record.rawHours ?? null,
+      appliedMultipliers: record.appliedMultipliers || null,
       reason: record.reason,
       overtimeRecordId: record.overtimeRecord?.id || record.overtimeRecordId || null,
       status: record.status,
+      rejectionReason: record.rejectionReason || null,
+      expiresAt: record.expiresAt || null,
+      expirationStatus: record.expirationStatus || null,
+      expiredHours: record.expiredHours || null,
+      payoutRate: record.payoutRate || null,
+      payoutSource: record.payoutSource || null,
       createdBy: record.creator?.id || record.createdBy,
       createdByName: record.creator?.name || 'N/A',
       createdAt: record.createdAt,
@@ -262,16 +429,22 @@ router.post('/credit', protect, async (req, res) => {
 
     // Se for manager, verificar se o funcionário pertence ao seu departamento
     if (req.user.role === 'manager' && employeeId !== req.user.id) {
-      if (employee.department !== req.user.department) {
+      if (!canAccessDepartment(req.user, employee.departmentId)) {
         return res.status(403).json({ 
           error: 'Acesso negado. Você só pode criar crédito para funcionários do seu departamento.' 
         });
       }
     }
 
+    // Lançamentos em meses fechados não são permitidos
+    const lockingClosing = await findLockingClosing(employeeId, date);
+    if (lockingClosing) {
+      return res.status(409).json({ error: getClosedPeriodMessage(lockingClosing) });
+    }
+
     // Validar limites antes de criar
     const balance = await calculateBalance(employeeId);
-    const limits = await getLimits(employeeId);
+    const limits = await getLimits(employeeId, date);
 
     // Verificar limite de acúmulo
     if (limits.accumulationLimit > 0) {
@@ -296,6 +469,7 @@ router.post('/credit', protect, async (req, res) => {
         hours: Number(hours),
         reason,
         overtimeRecordId: overtimeRecordId || null,
+        expiresAt: await getCreditExpiresAt(date),
         status: 'pending', // Pendente até aprovação
         createdBy: req.user.id
       }
@@ -349,6 +523,7 @@ router.post('/credit', protect, async (req, res) => {
       hours: recordWithRelations.hours,
       reason: recordWithRelations.reason,
       overtimeRecordId: recordWithRelations.overtimeRecordId || null,
+      expiresAt: recordWithRelations.expiresAt || null,
       status: recordWithRelations.status,
       createdBy: recordWithRelations.creator.id,
       createdByName: recordWithRelations.creator.name,
@@ -384,12 +559,18 @@ router.post('/debit', protect, async (req, res) => {
     }
 
     // Se for manager, verificar se o funcionário pertence ao seu departamento
-    if (req.user.role === 'manager' && employee.department !== req.user.department) {
+    if (req.user.role === 'manager' && !canAccessDepartment(req.user, employee.departmentId)) {
       return res.status(403).json({ 
         error: 'Acesso negado. Você só pode criar débito para funcionários do seu departamento.' 
       });
     }
 
+    // Lançamentos em meses fechados não são permitidos
+    const lockingClosing = await findLockingClosing(employeeId, date);
+    if (lockingClosing) {
+      return res.status(409).json({ error: getClosedPeriodMessage(lockingClosing) });
+    }
+
     // Verificar saldo disponível
     const balance = await calculateBalance(employeeId);
     // Usa uma tolerância de 0.01 horas (36 segundos) para evitar problemas de precisão de ponto flutuante
@@ -404,7 +585,7 @@ router.post('/debit', protect, async (req, res) => {
     }
 
     // Verificar limite de uso por período (mensal)
-    const limits = await getLimits(employeeId);
+    const limits = await getLimits(employeeId, date);
     if (limits.usageLimit > 0) {
       const [year, month] = date.split('-');
       const startOfMonth = `${year}-${month.padStart(2, '0')}-01`;
@@ -506,110 +687,74 @@ router.post('/debit', protect, async (req, res) => {
   }
 });
 
-// PATCH /hour-bank/records/:id/status - Aprovar/rejeitar registro (admin ou manager)
-router.patch('/records/:id/status', protect, async (req, res) => {
+// POST /hour-bank/payout - Converter horas do banco em hora extra paga (admin ou manager)
+// O pagamento fica pendente e segue o mesmo fluxo de aprovação/rejeição dos demais registros
+router.post('/payout', protect, async (req, res) => {
   try {
     // Verificar se é admin ou manager
     if (!['admin', 'manager'].includes(req.user.role)) {
       return res.status(403).json({ message: 'Acesso negado: apenas administradores e gestores' });
     }
 
-    const { id } = req.params;
-    const { status } = req.body;
+    const { employeeId, date, hours, reason, rate, source = 'balance' } = req.body;
 
-    if (!['approved', 'rejected'].includes(status)) {
+    if (!employeeId || !date || !hours || !reason || !rate) {
       return res.status(400).json({ 
-        error: 'Status inválido. Use "approved" ou "rejected"' 
+        error: 'Campos obrigatórios: employeeId, date, hours, reason, rate' 
       });
     }
 
-    // Buscar o registro para validar acesso
-    const record = await prisma.hourBankRecord.findUnique({
-      where: { id },
-      include: {
-        employee: {
-          select: {
-            id: true,
-            department: true
-          }
-        }
-      }
-    });
+    const validation = validateHourBankPayout({ hours, rate, source });
+    if (!validation.isValid) {
+      return res.status(400).json({ error: validation.errors.join('; ') });
+    }
 
-    if (!record) {
-      return res.status(404).json({ error: 'Registro não encontrado' });
+    // Verificar se funcionário existe
+    const employee = await findUserById(employeeId);
+    if (!employee) {
+      return res.status(404).json({ error: 'Funcionário não encontrado' });
     }
 
     // Se for manager, verificar se o funcionário pertence ao seu departamento
-    if (req.user.role === 'manager' && record.employee.department !== req.user.department) {
+    if (req.user.role === 'manager' && !canAccessDepartment(req.user, employee.departmentId)) {
       return res.status(403).json({ 
-        error: 'Acesso negado. Você só pode aprovar registros de funcionários do seu departamento.' 
-      });
-    }
-
-    const oldStatus = record.status;
-
-    // Apenas registros pendentes podem ser aprovados/rejeitados
-    if (record.status !== 'pending') {
-      return res.status(400).json({ 
-        error: 'Apenas registros pendentes podem ser aprovados ou rejeitados' 
+        error: 'Acesso negado. Você só pode criar pagamentos para funcionários do seu departamento.' 
       });
     }
 
-    // Se está aprovando um crédito, verificar limite de acúmulo
-    if (status === 'approved' && record.type === 'credit') {
-      const balance = await calculateBalance(record.employeeId);
-      const limits = await getLimits(record.employeeId);
-
-      if (limits.accumulationLimit > 0) {
-        const totalAfterApproval = balance.totalBalance + record.hours;
-        if (totalAfterApproval > limits.accumulationLimit) {
-          return res.status(400).json({
-            error: `Limite de acúmulo excedido. Saldo atual: ${balance.totalBalance}h, Limite: ${limits.accumulationLimit}h`,
-            canProceed: false,
-            currentBalance: balance.totalBalance,
-            limit: limits.accumulationLimit
-          });
-        }
-      }
-    }
-
-    // Se está aprovando um débito, permitir saldo negativo
-    // (com a nova implementação, débitos podem resultar em saldo negativo)
-    // Apenas logar o saldo após aprovação, mas não bloquear
-    if (status === 'approved' && record.type === 'debit') {
-      const balance = await calculateBalance(record.employeeId);
-      const balanceAfterDebit = balance.availableBalance - record.hours;
-      
-      if (balanceAfterDebit < 0) {
-        logger.info('Aprovando débito que resultará em saldo negativo', {
-          employeeId: record.employeeId,
-          recordId: record.id,
-          currentBalance: balance.availableBalance,
-          debitHours: record.hours,
-          balanceAfterDebit
-        });
-      }
+    // Lançamentos em meses fechados não são permitidos
+    const lockingClosing = await findLockingClosing(employeeId, date);
+    if (lockingClosing) {
+      return res.status(409).json({ error: getClosedPeriodMessage(lockingClosing) });
     }
 
-    // Preparar campos de atualização
-    const updateData = { status };
-    if (status === 'approved') {
-      updateData.approvedBy = req.user.id;
-      updateData.approvedAt = new Date();
-      updateData.rejectedBy = null;
-      updateData.rejectedAt = null;
-    } else if (status === 'rejected') {
-      updateData.rejectedBy = req.user.id;
-      updateData.rejectedAt = new Date();
-      updateData.approvedBy = null;
-      updateData.approvedAt = null;
+    // Verificar horas disponíveis na origem (saldo ou créditos vencidos marcados para pagamento)
+    const balance = await calculateBalance(employeeId);
+    const available = source === 'expired' ? balance.payoutPendingHours : balance.availableBalance;
+    if (available < (Number(hours) - HOURS_TOLERANCE)) {
+      return res.status(400).json({
+        error: source === 'expired'
+          ? `Horas vencidas a pagar insuficientes. Disponível: ${available}h, Solicitado: ${hours}h`
+          : `Saldo insuficiente. Saldo disponível: ${available}h, Solicitado: ${hours}h`,
+        canProceed: false,
+        available,
+        requested: hours
+      });
     }
 
-    // Atualizar registro
-    const updatedRecord = await prisma.hourBankRecord.update({
-      where: { id },
-      data: updateData,
+    // Criar registro de pagamento (pendente até aprovação)
+    const record = await prisma.hourBankRecord.create({
+      data: {
+        employeeId,
+        date,
+        type: 'payout',
+        hours: Number(hours),
+        reason,
+        payoutRate: Number(rate),
+        payoutSource: source,
+        status: 'pending',
+        createdBy: req.user.id
+      },
       include: {
         employee: {
           select: {
@@ -617,68 +762,465 @@ router.patch('/records/:id/status', protect, async (req, res) => {
             name: true,
             email: true
           }
+        },
+        creator: {
+          select: {
+            id: true,
+            name: true,
+            email: true
+          }
         }
       }
     });
 
     // Registrar log de auditoria
     const requestMeta = getRequestMetadata(req);
-    const actionName = status === 'approved' ? 'hourbank_approved' : 'hourbank_rejected';
     await logAudit({
-      action: actionName,
+      action: 'hourbank_payout_created',
+      entityType: 'hourbank',
+      entityId: record.id,
+      userId: req.user.id,
+      targetUserId: employeeId,
+      description: `Pagamento de banco de horas solicitado: ${hours}h com adicional de ${rate}% em ${formatDateForDisplay(date)} - ${reason}`,
+      metadata: {
+        hours: Number(hours),
+        date,
+        type: 'payout',
+        rate: Number(rate),
+        source,
+        reason
+      },
+      ...requestMeta
+    });
+
+    res.status(201).json({
+      id: record.id,
+      employeeId: record.employee.id,
+      employeeName: record.employee.name,
+      date: record.date,
+      type: record.type,
+      hours: record.hours,
+      reason: record.reason,
+      payoutRate: record.payoutRate,
+      payoutSource: record.payoutSource,
+      status: record.status,
+      createdBy: record.creator.id,
+      createdByName: record.creator.name,
+      createdAt: record.createdAt,
+      updatedAt: record.updatedAt
+    });
+  } catch (error) {
+    logger.logError(error, { context: 'Criar pagamento do banco de horas', employeeId: req.body?.employeeId, userId: req.user?.id });
+    res.status(500).json({ error: 'Erro ao criar pagamento do banco de horas' });
+  }
+});
+
+// Helper: Saldo do funcionário compartilhado entre as decisões de um lote
+// O saldo é calculado uma vez por funcionário e atualizado a cada aprovação, para que limites
+// e saldo disponível sejam verificados de forma cumulativa
+const getBatchBalance = async (batch, employeeId) => {
+  if (!batch.balances.has(employeeId)) {
+    batch.balances.set(employeeId, await calculateBalance(employeeId));
+  }
+  return batch.balances.get(employeeId);
+};
+
+// Helper: Aprovar/rejeitar um registro do banco de horas
+// Retorna { statusCode, body } para que a rota individual e a em lote respondam da mesma forma
+const decideHourBankRecord = async (req, record, status, { comment = null, batch = createDecisionBatch() } = {}) => {
+  const oldStatus = record.status;
+
+  // Apenas registros pendentes podem ser aprovados/rejeitados
+  if (record.status !== 'pending') {
+    return {
+      statusCode: 400,
+      body: { error: 'Apenas registros pendentes podem ser aprovados ou rejeitados' }
+    };
+  }
+
+  // Rejeição exige motivo, que fica no registro e é enviado ao funcionário
+  if (status === 'rejected' && !comment) {
+    return { statusCode: 400, body: { error: 'Informe o motivo da rejeição (comment)' } };
+  }
+
+  // Registros de meses fechados são somente leitura
+  const lockingClosing = await findLockingClosing(record.employeeId, record.date);
+  if (lockingClosing) {
+    return { statusCode: 409, body: { error: getClosedPeriodMessage(lockingClosing) } };
+  }
+
+  // O registro segue a cadeia de aprovação etapa por etapa
+  const steps = await ensureApprovalSteps('hourbank', record);
+  const step = getCurrentApprovalStep(steps) || steps[steps.length - 1];
+  const isFinalStep = steps.filter(item => item.status === 'pending').length <= 1;
+
+  // Admin, manager do departamento, aprovador designado da etapa ou usuário com delegação ativa do gestor
+  const { allowed, delegation, alreadyApproved, designated } = await getStepApprovalAuthority(req.user, step, record.employee.departmentId, steps);
+  if (!allowed) {
+    let error = ['admin', 'manager'].includes(req.user.role)
+      ? 'Acesso negado. Você só pode aprovar registros de funcionários do seu departamento.'
+      : 'Acesso negado: apenas administradores, gestores e substitutos com delegação ativa';
+    if (alreadyApproved) {
+      error = 'Você já aprovou uma etapa anterior deste registro; a próxima etapa precisa de outro aprovador';
+    } else if (step.role === 'admin') {
+      error = `Acesso negado. A etapa "${step.name}" deve ser aprovada por um administrador ou aprovador designado`;
+    }
+    return { statusCode: 403, body: { error } };
+  }
+
+  // Substituto e aprovador designado não aprovam os próprios registros
+  if (delegation && record.employeeId === req.user.id) {
+    return { statusCode: 403, body: { error: 'Você não pode aprovar seus próprios registros por delegação' } };
+  }
+  if (designated && record.employeeId === req.user.id) {
+    return { statusCode: 403, body: { error: 'Você não pode aprovar seus próprios registros como aprovador designado' } };
+  }
+  const delegationMeta = buildDelegationAuditMetadata(delegation);
+
+  // Etapa intermediária aprovada: o registro continua pendente aguardando a próxima etapa
+  // (limites e saldo são verificados na aprovação final)
+  if (status === 'approved' && !isFinalStep) {
+    const { steps: approvalSteps } = await decideApprovalStep('hourbank', record.id, step, {
+      decision: status,
+      userId: req.user.id,
+      delegationId: delegation?.id || null
+    });
+    const nextStep = getCurrentApprovalStep(approvalSteps);
+
+    const requestMeta = getRequestMetadata(req);
+    await logAudit({
+      action: 'approval_step_approved',
       entityType: 'hourbank',
-        entityId: record.id,
-        userId: req.user.id,
-        targetUserId: record.employeeId,
-      description: `Registro de banco de horas ${status === 'approved' ? 'aprovado' : 'rejeitado'}: ${record.hours}h (${record.type}) em ${formatDateForDisplay(record.date)}`,
+      entityId: record.id,
+      userId: req.user.id,
+      targetUserId: record.employeeId,
+      description: `Etapa "${step.name}" do registro de banco de horas aprovada: ${record.hours}h (${record.type}) em ${formatDateForDisplay(record.date)}; aguardando "${nextStep.name}"${delegation ? ` (por delegação de ${delegation.delegator.name})` : ''}`,
       metadata: {
         hours: record.hours,
         date: record.date,
         type: record.type,
-        previousStatus: oldStatus,
-        newStatus: status
+        stepOrder: step.stepOrder,
+        stepName: step.name,
+        nextStepOrder: nextStep.stepOrder,
+        nextStepName: nextStep.name,
+        comment,
+        ...delegationMeta
       },
       ...requestMeta
     });
 
-    // Buscar campos relacionados para resposta
-    const recordWithCreator = await prisma.hourBankRecord.findUnique({
-      where: { id: updatedRecord.id },
-      include: {
-        creator: {
-          select: {
-            id: true,
-            name: true,
-            email: true
+    if (comment) {
+      await addRecordComment({ entityType: 'hourbank', record, author: req.user, message: comment, type: 'approval' });
+    }
+
+    return {
+      statusCode: 200,
+      body: {
+        id: record.id,
+        employeeId: record.employee.id,
+        employeeName: record.employee.name,
+        date: record.date,
+        type: record.type,
+        hours: record.hours,
+        reason: record.reason,
+        status: record.status,
+        approvalSteps: formatApprovalSteps(approvalSteps)
+      }
+    };
+  }
+
+  const balance = status === 'approved' ? await getBatchBalance(batch, record.employeeId) : null;
+
+  // Se está aprovando um crédito, verificar limite de acúmulo
+  if (status === 'approved' && record.type === 'credit') {
+    const limits = await getBatchLimits(batch, record.employeeId, record.date);
+
+    if (limits.accumulationLimit > 0) {
+      const totalAfterApproval = balance.totalBalance + record.hours;
+      if (totalAfterApproval > limits.accumulationLimit) {
+        return {
+          statusCode: 400,
+          body: {
+            error: `Limite de acúmulo excedido. Saldo atual: ${balance.totalBalance}h, Limite: ${limits.accumulationLimit}h`,
+            canProceed: false,
+            currentBalance: balance.totalBalance,
+            limit: limits.accumulationLimit
           }
+        };
+      }
+    }
+  }
+
+  // Se está aprovando um débito, permitir saldo negativo
+  // (com a nova implementação, débitos podem resultar em saldo negativo)
+  // Apenas logar o saldo após aprovação, mas não bloquear
+  if (status === 'approved' && record.type === 'debit') {
+    const balanceAfterDebit = balance.availableBalance - record.hours;
+    
+    if (balanceAfterDebit < 0) {
+      logger.info('Aprovando débito que resultará em saldo negativo', {
+        employeeId: record.employeeId,
+        recordId: record.id,
+        currentBalance: balance.availableBalance,
+        debitHours: record.hours,
+        balanceAfterDebit
+      });
+    }
+  }
+
+  // Se está aprovando um pagamento, as horas precisam estar disponíveis na origem
+  if (status === 'approved' && record.type === 'payout') {
+    const available = record.payoutSource === 'expired' ? balance.payoutPendingHours : balance.availableBalance;
+
+    if (available < (record.hours - HOURS_TOLERANCE)) {
+      return {
+        statusCode: 400,
+        body: {
+          error: `Horas insuficientes para o pagamento. Disponível: ${available}h, Solicitado: ${record.hours}h`,
+          canProceed: false,
+          available,
+          requested: record.hours
+        }
+      };
+    }
+  }
+
+  // Registrar a decisão da etapa (rejeição encerra a cadeia)
+  const { steps: approvalSteps } = await decideApprovalStep('hourbank', record.id, step, {
+    decision: status,
+    userId: req.user.id,
+    delegationId: delegation?.id || null
+  });
+
+  // Preparar campos de atualização
+  const updateData = { status };
+  if (status === 'approved') {
+    updateData.approvedBy = req.user.id;
+    updateData.approvedAt = new Date();
+    updateData.rejectedBy = null;
+    updateData.rejectedAt = null;
+    updateData.rejectionReason = null;
+  } else if (status === 'rejected') {
+    updateData.rejectedBy = req.user.id;
+    updateData.rejectedAt = new Date();
+    updateData.rejectionReason = comment;
+    updateData.approvedBy = null;
+    updateData.approvedAt = null;
+  }
+
+  // Atualizar registro
+  const updatedRecord = await prisma.hourBankRecord.update({
+    where: { id: record.id },
+    data: updateData,
+    include: {
+      employee: {
+        select: {
+          id: true,
+          name: true,
+          email: true
+        }
+      },
+      creator: {
+        select: {
+          id: true,
+          name: true,
+          email: true
         }
       }
+    }
+  });
+
+  // Atualizar o saldo do lote com o registro aprovado
+  if (status === 'approved') {
+    const impact = getRecordBalanceImpact(updatedRecord);
+    balance.totalBalance += impact;
+    balance.availableBalance += impact;
+    if (record.type === 'payout' && record.payoutSource === 'expired') {
+      balance.payoutPendingHours -= record.hours;
+    }
+  }
+
+  // Registrar log de auditoria
+  const requestMeta = getRequestMetadata(req);
+  const actionName = status === 'approved' ? 'hourbank_approved' : 'hourbank_rejected';
+  await logAudit({
+    action: actionName,
+    entityType: 'hourbank',
+    entityId: record.id,
+    userId: req.user.id,
+    targetUserId: record.employeeId,
+    description: `Registro de banco de horas ${status === 'approved' ? 'aprovado' : 'rejeitado'}: ${record.hours}h (${record.type}) em ${formatDateForDisplay(record.date)}${delegation ? ` (por delegação de ${delegation.delegator.name})` : ''}`,
+    metadata: {
+      hours: record.hours,
+      date: record.date,
+      type: record.type,
+      payoutRate: record.payoutRate || null,
+      previousStatus: oldStatus,
+      newStatus: status,
+      stepOrder: step.stepOrder,
+      stepName: step.name,
+      totalSteps: approvalSteps.length,
+      comment,
+      ...delegationMeta
+    },
+    ...requestMeta
+  });
+
+  // Motivo da rejeição (ou observação da aprovação) entra na conversa do registro e notifica o funcionário
+  if (comment) {
+    await addRecordComment({
+      entityType: 'hourbank',
+      record,
+      author: req.user,
+      message: comment,
+      type: status === 'approved' ? 'approval' : 'rejection'
     });
+  }
 
-    res.json({
+  return {
+    statusCode: 200,
+    body: {
       id: updatedRecord.id,
       employeeId: updatedRecord.employee.id,
       employeeName: updatedRecord.employee.name,
       date: updatedRecord.date,
       type: updatedRecord.type,
       hours: updatedRecord.hours,
+      rawHours: updatedRecord.rawHours ?? null,
+      appliedMultipliers: updatedRecord.appliedMultipliers || null,
       reason: updatedRecord.reason,
+      payoutRate: updatedRecord.payoutRate || null,
+      payoutSource: updatedRecord.payoutSource || null,
       status: updatedRecord.status,
-      createdBy: recordWithCreator.creator.id,
-      createdByName: recordWithCreator.creator.name,
+      createdBy: updatedRecord.creator.id,
+      createdByName: updatedRecord.creator.name,
       approvedBy: updatedRecord.approvedBy || null,
       rejectedBy: updatedRecord.rejectedBy || null,
       approvedAt: updatedRecord.approvedAt || null,
       rejectedAt: updatedRecord.rejectedAt || null,
+      rejectionReason: updatedRecord.rejectionReason || null,
+      approvalSteps: formatApprovalSteps(approvalSteps),
       createdAt: updatedRecord.createdAt,
       updatedAt: updatedRecord.updatedAt
+    }
+  };
+};
+
+const recordDecisionInclude = {
+  employee: {
+    select: {
+      id: true,
+      name: true,
+      email: true,
+      department: true,
+      departmentId: true
+    }
+  }
+};
+
+// PATCH /hour-bank/records/:id/status - Aprovar/rejeitar registro (admin, manager ou substituto com delegação)
+router.patch('/records/:id/status', protect, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status, comment } = req.body;
+
+    if (!['approved', 'rejected'].includes(status)) {
+      return res.status(400).json({ 
+        error: 'Status inválido. Use "approved" ou "rejected"' 
+      });
+    }
+
+    // Buscar o registro para validar acesso
+    const record = await prisma.hourBankRecord.findUnique({
+      where: { id },
+      include: recordDecisionInclude
     });
+
+    if (!record) {
+      return res.status(404).json({ error: 'Registro não encontrado' });
+    }
+
+    const trimmedComment = comment ? String(comment).trim() : '';
+    const { statusCode, body } = await decideHourBankRecord(req, record, status, { comment: trimmedComment || null });
+    res.status(statusCode).json(body);
   } catch (error) {
-    logger.logError(error, { context: 'Atualizar status do registro do banco de horas', recordId: id, userId: req.user?.id });
+    logger.logError(error, { context: 'Atualizar status do registro do banco de horas', recordId: req.params.id, userId: req.user?.id });
     res.status(500).json({ error: 'Erro ao atualizar status do registro' });
   }
 });
 
+// POST /hour-bank/records/bulk-status - Aprovar/rejeitar vários registros (resultado por registro)
+// Acesso e limites são verificados registro a registro, com o saldo acumulado ao longo do lote
+router.post('/records/bulk-status', protect, async (req, res) => {
+  try {
+    const { ids, status, comment } = req.body;
+
+    if (!['approved', 'rejected'].includes(status)) {
+      return res.status(400).json({ 
+        error: 'Status inválido. Use "approved" ou "rejected"' 
+      });
+    }
+
+    const validation = validateBulkDecisionIds(ids);
+    if (!validation.isValid) {
+      return res.status(400).json({ error: validation.errors.join('; ') });
+    }
+    const uniqueIds = [...new Set(ids)];
+
+    const trimmedComment = comment ? String(comment).trim() : '';
+    if (status === 'rejected' && !trimmedComment) {
+      return res.status(400).json({ error: 'Informe o motivo da rejeição (comment)' });
+    }
+
+    const records = await prisma.hourBankRecord.findMany({
+      where: { id: { in: uniqueIds } },
+      include: recordDecisionInclude
+    });
+    const recordsById = new Map(records.map(record => [record.id, record]));
+
+    // Processa em ordem cronológica para que o saldo acumulado siga a ordem dos lançamentos
+    const orderedIds = [...uniqueIds].sort((a, b) => {
+      const recordA = recordsById.get(a);
+      const recordB = recordsById.get(b);
+      if (!recordA || !recordB) return 0;
+      return recordA.date.localeCompare(recordB.date) || recordA.createdAt - recordB.createdAt;
+    });
+
+    const batch = createDecisionBatch();
+    const results = [];
+    for (const id of orderedIds) {
+      const record = recordsById.get(id);
+      if (!record) {
+        results.push({ id, success: false, statusCode: 404, error: 'Registro não encontrado' });
+        continue;
+      }
+
+      try {
+        const { statusCode, body } = await decideHourBankRecord(req, record, status, { comment: trimmedComment || null, batch });
+        results.push(statusCode === 200
+          ? { id, success: true, statusCode, status: body.status, record: body }
+          : { id, success: false, statusCode, error: body.error });
+      } catch (error) {
+        logger.logError(error, { context: 'Atualizar status do banco de horas em lote', recordId: id, userId: req.user?.id });
+        results.push({ id, success: false, statusCode: 500, error: 'Erro ao atualizar status do registro' });
+      }
+    }
+
+    const succeeded = results.filter(result => result.success).length;
+    logger.info('Decisão em lote no banco de horas', { userId: req.user.id, status, total: results.length, succeeded });
+
+    res.json({
+      total: results.length,
+      succeeded,
+      failed: results.length - succeeded,
+      results
+    });
+  } catch (error) {
+    logger.logError(error, { context: 'Atualizar status do banco de horas em lote', userId: req.user?.id });
+    res.status(500).json({ error: 'Erro ao atualizar status dos registros' });
+  }
+});
+
 // GET /hour-bank/limits - Verificar limites antes de criar registro
 router.get('/limits', protect, async (req, res) => {
   try {
@@ -709,13 +1251,13 @@ router.get('/limits', protect, async (req, res) => {
     if (req.user.role === 'manager' && targetEmployeeId !== req.user.id) {
       const employee = await prisma.user.findUnique({
         where: { id: targetEmployeeId },
-        select: { department: true }
+        select: { departmentId: true }
       });
       
       if (!employee) {
         return res.status(404).json({ error: 'Funcionário não encontrado' });
       }
-      if (employee.department !== req.user.department) {
+      if (!canAccessDepartment(req.user, employee.departmentId)) {
         return res.status(403).json({ 
           error: 'Você só pode verificar limites de funcionários do seu departamento' 
         });
@@ -723,7 +1265,7 @@ router.get('/limits', protect, async (req, res) => {
     }
 
     const balance = await calculateBalance(targetEmployeeId);
-    const limits = await getLimits(targetEmployeeId);
+    const limits = await getLimits(targetEmployeeId, req.query.date);
     const hoursNum = Number(hours);
 
     let canProceed = true;
@@ -778,7 +1320,10 @@ router.get('/limits', protect, async (req, res) => {
       availableBalance: balance.availableBalance,
       limits: {
         accumulationLimit: limits.accumulationLimit,
-        usageLimit: limits.usageLimit
+        usageLimit: limits.usageLimit,
+        accumulationSource: limits.accumulationSource,
+        usageSource: limits.usageSource,
+        exception: limits.exception
       }
     });
   } catch (error) {
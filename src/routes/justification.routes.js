@@ -1,18 +1,84 @@
 import express from 'express';
 import { protect, adminOrManager } from '../middleware/auth.js';
 import prisma from '../config/database.js';
+import { canAccessDepartment, getApprovalAuthority } from '../middleware/departmentAccess.js';
 import { logAudit, getRequestMetadata } from '../middleware/audit.js';
+import { buildDelegationAuditMetadata } from '../models/approvalDelegation.model.js';
+import { justificationReviewInclude, findPendingJustificationReviews, formatJustificationReview } from '../models/timeClock.model.js';
+import { findLockingClosing, getClosedPeriodMessage } from '../models/timesheetClosing.model.js';
+import { findAvailableJustifications, applyJustificationEffect, notifyJustificationReviewed } from '../services/justificationService.js';
+import { formatDateForDisplay } from '../utils/dateFormatter.js';
+import {
+  JUSTIFICATION_CATEGORIES,
+  JUSTIFICATION_EFFECTS,
+  validateJustificationRules,
+  getJustificationCategoryLabel,
+  getJustificationEffectLabel
+} from '../utils/justificationUtils.js';
 import logger from '../utils/logger.js';
 
 const router = express.Router();
 
-// GET /justifications - Listar justificativas ativas
+// Helper: Campos de categoria, efeito e disponibilidade enviados no body
+const pickJustificationRules = (body) => {
+  const rules = {};
+  ['category', 'effect', 'maxWaivedHours', 'requiresApproval', 'requiresAttachment', 'departmentIds'].forEach(field => {
+    if (body[field] !== undefined) rules[field] = body[field];
+  });
+  if (rules.maxWaivedHours !== undefined && rules.maxWaivedHours !== null) {
+    rules.maxWaivedHours = Number(rules.maxWaivedHours);
+  }
+  if (Array.isArray(rules.departmentIds)) {
+    rules.departmentIds = [...new Set(rules.departmentIds)];
+  }
+  return rules;
+};
+
+// Helper: Validar regras da justificativa, incluindo a existência dos departamentos
+// Retorna a mensagem de erro ou null
+const validateRules = async (rules) => {
+  const validation = validateJustificationRules(rules);
+  if (!validation.isValid) {
+    return validation.errors.join('; ');
+  }
+  if (rules.departmentIds?.length > 0) {
+    const count = await prisma.department.count({ where: { id: { in: rules.departmentIds } } });
+    if (count !== rules.departmentIds.length) {
+      return 'Um ou mais departamentos (departmentIds) não foram encontrados';
+    }
+  }
+  return null;
+};
+
+// GET /justifications - Listar justificativas ativas disponíveis para o usuário
+// Admin/manager: all=true lista todas as ativas; employeeId lista as disponíveis para o funcionário
 router.get('/', protect, async (req, res) => {
   try {
-    const justifications = await prisma.justification.findMany({
-      where: { isActive: true },
-      orderBy: { reason: 'asc' }
-    });
+    const isManagerOrAdmin = ['admin', 'manager'].includes(req.user.role);
+
+    if (isManagerOrAdmin && req.query.all === 'true') {
+      const justifications = await prisma.justification.findMany({
+        where: { isActive: true },
+        orderBy: { reason: 'asc' }
+      });
+      return res.json(justifications);
+    }
+
+    let employee = req.user;
+    if (isManagerOrAdmin && req.query.employeeId && req.query.employeeId !== req.user.id) {
+      employee = await prisma.user.findUnique({
+        where: { id: req.query.employeeId },
+        select: { id: true, department: true, departmentId: true }
+      });
+      if (!employee) {
+        return res.status(404).json({ error: 'Funcionário não encontrado' });
+      }
+      if (!canAccessDepartment(req.user, employee.departmentId)) {
+        return res.status(403).json({ error: 'Acesso negado. Você só pode ver justificativas de funcionários do seu departamento.' });
+      }
+    }
+
+    const justifications = await findAvailableJustifications(employee);
     
     res.json(justifications);
   } catch (error) {
@@ -21,6 +87,152 @@ router.get('/', protect, async (req, res) => {
   }
 });
 
+// GET /justifications/options - Categorias e efeitos disponíveis
+router.get('/options', protect, (req, res) => {
+  res.json({
+    categories: JUSTIFICATION_CATEGORIES.map(category => ({ value: category, label: getJustificationCategoryLabel(category) })),
+    effects: JUSTIFICATION_EFFECTS.map(effect => ({ value: effect, label: getJustificationEffectLabel(effect) }))
+  });
+});
+
+// GET /justifications/reviews - Justificativas enviadas por funcionários que aguardam a análise do usuário
+// (admin, gestor do departamento ou substituto com delegação ativa)
+router.get('/reviews', protect, async (req, res) => {
+  try {
+    const { employeeId, startDate, endDate } = req.query;
+    const records = await findPendingJustificationReviews({
+      employeeId,
+      startDate,
+      endDate,
+      excludeEmployeeId: req.user.id
+    });
+
+    // Autorização por departamento memorizada para não repetir a busca de delegações
+    const authorityCache = new Map();
+    const items = [];
+    for (const record of records) {
+      if (record.employeeId === req.user.id) {
+        continue;
+      }
+      const departmentId = record.employee?.departmentId;
+      if (!authorityCache.has(departmentId)) {
+        authorityCache.set(departmentId, await getApprovalAuthority(req.user, departmentId));
+      }
+      const { allowed, delegation } = authorityCache.get(departmentId);
+      if (allowed) {
+        items.push({
+          ...formatJustificationReview(record),
+          onBehalfOf: delegation ? { id: delegation.delegator.id, name: delegation.delegator.name } : null
+        });
+      }
+    }
+
+    res.json({
+      total: items.length,
+      items
+    });
+  } catch (error) {
+    logger.logError(error, { context: 'Buscar justificativas pendentes de análise', userId: req.user?.id });
+    res.status(500).json({ message: 'Erro ao buscar justificativas pendentes', error: error.message });
+  }
+});
+
+// PATCH /justifications/reviews/:recordId - Aprovar ou rejeitar a justificativa de um registro de ponto
+// Aprovação aplica o efeito da justificativa; rejeição mantém todas as horas não trabalhadas como débito
+router.patch('/reviews/:recordId', protect, async (req, res) => {
+  try {
+    const { status } = req.body;
+    const comment = req.body.comment ? String(req.body.comment).trim() : '';
+
+    if (!['approved', 'rejected'].includes(status)) {
+      return res.status(400).json({ error: 'Status inválido. Use "approved" ou "rejected"' });
+    }
+
+    const record = await prisma.timeClock.findUnique({
+      where: { id: req.params.recordId },
+      include: justificationReviewInclude
+    });
+    if (!record) {
+      return res.status(404).json({ error: 'Registro não encontrado' });
+    }
+    if (record.justificationStatus !== 'pending') {
+      return res.status(400).json({ error: 'Apenas justificativas pendentes podem ser aprovadas ou rejeitadas' });
+    }
+
+    // Admin, manager do departamento ou usuário com delegação ativa do gestor
+    const { allowed, delegation } = await getApprovalAuthority(req.user, record.employee.departmentId);
+    if (!allowed) {
+      return res.status(403).json({ error: 'Acesso negado. Você só pode analisar justificativas de funcionários do seu departamento.' });
+    }
+    if (record.employeeId === req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Você não pode analisar as suas próprias justificativas' });
+    }
+
+    if (status === 'rejected' && !comment) {
+      return res.status(400).json({ error: 'Informe o motivo da rejeição (comment)' });
+    }
+
+    // A decisão altera as horas do dia e o débito no banco de horas
+    const lockingClosing = await findLockingClosing(record.employeeId, record.date);
+    if (lockingClosing) {
+      return res.status(409).json({ error: getClosedPeriodMessage(lockingClosing) });
+    }
+
+    const reviewedRecord = await prisma.timeClock.update({
+      where: { id: record.id },
+      data: {
+        justificationStatus: status,
+        justificationReviewedBy: req.user.id,
+        justificationReviewedAt: new Date(),
+        justificationReviewComment: comment || null,
+        justificationDelegationId: delegation?.id || null
+      }
+    });
+    const effect = await applyJustificationEffect(reviewedRecord, record.justificationReason, req.user.id);
+
+    const updatedRecord = await prisma.timeClock.findUnique({
+      where: { id: record.id },
+      include: justificationReviewInclude
+    });
+
+    // Registrar log de auditoria
+    const requestMeta = getRequestMetadata(req);
+    await logAudit({
+      action: status === 'approved' ? 'justification_approved' : 'justification_rejected',
+      entityType: 'timeclock',
+      entityId: record.id,
+      userId: req.user.id,
+      targetUserId: record.employeeId,
+      description: `Justificativa ${status === 'approved' ? 'aprovada' : 'rejeitada'}: ${record.justification} em ${formatDateForDisplay(record.date)}${delegation ? ` (por delegação de ${delegation.delegator.name})` : ''}`,
+      metadata: {
+        date: record.date,
+        justificationId: record.justificationId,
+        justification: record.justification,
+        waivedHours: effect.waivedHours,
+        debitHours: effect.debitHours,
+        pendingWaiver: effect.pending,
+        comment: comment || null,
+        ...buildDelegationAuditMetadata(delegation)
+      },
+      ...requestMeta
+    });
+
+    notifyJustificationReviewed(updatedRecord, record.employee, {
+      status,
+      reviewerName: req.user.name,
+      comment: comment || null
+    });
+
+    res.json({
+      ...formatJustificationReview(updatedRecord),
+      pendingWaiver: effect.pending
+    });
+  } catch (error) {
+    logger.logError(error, { context: 'Analisar justificativa', recordId: req.params.recordId, userId: req.user?.id });
+    res.status(500).json({ message: 'Erro ao analisar justificativa', error: error.message });
+  }
+});
+
 // POST /justifications - Criar justificativa (admin ou manager)
 router.post('/', protect, adminOrManager, async (req, res) => {
   try {
@@ -29,10 +241,17 @@ router.post('/', protect, adminOrManager, async (req, res) => {
     if (!reason || !reason.trim()) {
       return res.status(400).json({ error: 'O motivo da justificativa é obrigatório' });
     }
+
+    const rules = pickJustificationRules(req.body);
+    const rulesError = await validateRules(rules);
+    if (rulesError) {
+      return res.status(400).json({ error: rulesError });
+    }
     
     const justification = await prisma.justification.create({
       data: {
         reason: reason.trim(),
+        ...rules,
         isActive: true
       }
     });
@@ -46,7 +265,13 @@ router.post('/', protect, adminOrManager, async (req, res) => {
       userId: req.user.id,
       description: `Justificativa criada: ${reason.trim()}`,
       metadata: {
-        reason: reason.trim()
+        reason: reason.trim(),
+        category: justification.category,
+        effect: justification.effect,
+        maxWaivedHours: justification.maxWaivedHours,
+        requiresApproval: justification.requiresApproval,
+        requiresAttachment: justification.requiresAttachment,
+        departmentIds: justification.departmentIds
       },
       ...requestMeta
     });
@@ -64,7 +289,7 @@ router.patch('/:id', protect, adminOrManager, async (req, res) => {
     const { id } = req.params;
     const { reason } = req.body;
     
-    if (!reason || !reason.trim()) {
+    if (reason !== undefined && (!reason || !reason.trim())) {
       return res.status(400).json({ error: 'O motivo da justificativa é obrigatório' });
     }
     
@@ -75,11 +300,23 @@ router.patch('/:id', protect, adminOrManager, async (req, res) => {
     if (!justification) {
       return res.status(404).json({ error: 'Justificativa não encontrada' });
     }
+
+    // Abono parcial é validado com as horas já cadastradas quando não reenviadas
+    const rules = pickJustificationRules(req.body);
+    const rulesError = await validateRules({
+      ...rules,
+      maxWaivedHours: rules.maxWaivedHours !== undefined ? rules.maxWaivedHours : justification.maxWaivedHours,
+      effect: rules.effect !== undefined ? rules.effect : justification.effect
+    });
+    if (rulesError) {
+      return res.status(400).json({ error: rulesError });
+    }
     
     const updatedJustification = await prisma.justification.update({
       where: { id },
       data: {
-        reason: reason.trim()
+        ...(reason !== undefined ? { reason: reason.trim() } : {}),
+        ...rules
       }
     });
     
@@ -90,10 +327,26 @@ router.patch('/:id', protect, adminOrManager, async (req, res) => {
       entityType: 'settings',
       entityId: updatedJustification.id,
       userId: req.user.id,
-      description: `Justificativa atualizada: ${reason.trim()}`,
+      description: `Justificativa atualizada: ${updatedJustification.reason}`,
       metadata: {
         oldReason: justification.reason,
-        newReason: reason.trim()
+        newReason: updatedJustification.reason,
+        oldRules: {
+          category: justification.category,
+          effect: justification.effect,
+          maxWaivedHours: justification.maxWaivedHours,
+          requiresApproval: justification.requiresApproval,
+          requiresAttachment: justification.requiresAttachment,
+          departmentIds: justification.departmentIds
+        },
+        newRules: {
+          category: updatedJustification.category,
+          effect: updatedJustification.effect,
+          maxWaivedHours: updatedJustification.maxWaivedHours,
+          requiresApproval: updatedJustification.requiresApproval,
+          requiresAttachment: updatedJustification.requiresAttachment,
+          departmentIds: updatedJustification.departmentIds
+        }
       },
       ...requestMeta
     });
@@ -0,0 +1,396 @@
+import express from 'express';
+import { protect } from '../middleware/auth.js';
+import prisma from '../config/database.js';
+import { canAccessDepartment, getManagedDepartmentIds, getApprovalAuthority } from '../middleware/departmentAccess.js';
+import { buildDelegationAuditMetadata } from '../models/approvalDelegation.model.js';
+import { findUserById } from '../models/user.model.js';
+import { getCompanyTimezone } from '../models/companySettings.model.js';
+import { leaveInclude, findLeaveById, findOverlappingLeave, formatLeave } from '../models/leave.model.js';
+import { findLockingClosingInRange, getClosedPeriodMessage } from '../models/timesheetClosing.model.js';
+import { validateVacationRequest } from '../services/vacationService.js';
+import { justifyLeaveRecords, restoreLeaveRecords, logLeaveHourBankChanges } from '../services/leaveService.js';
+import { validateLeave, countLeaveDays, getLeaveTypeLabel, LEAVE_TYPES, LEAVE_STATUSES, MAX_LEAVE_REASON_LENGTH } from '../utils/leaveUtils.js';
+import { logAudit, getRequestMetadata } from '../middleware/audit.js';
+import { formatDateForDisplay } from '../utils/dateFormatter.js';
+import { getTodayInTimezone } from '../utils/timezoneUtils.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+const formatLeavePeriod = (leave) => `${formatDateForDisplay(leave.startDate)} a ${formatDateForDisplay(leave.endDate)}`;
+
+// GET /leaves - Listar afastamentos
+// Funcionário vê os próprios; manager, os próprios e os dos seus departamentos; admin, todos
+router.get('/', protect, async (req, res) => {
+  try {
+    const { status, type, employeeId, startDate, endDate, page = 1, limit = 20 } = req.query;
+
+    const where = {};
+    if (status) {
+      if (!LEAVE_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `Status inválido. Use ${LEAVE_STATUSES.join(', ')}` });
+      }
+      where.status = status;
+    }
+    if (type) {
+      if (!LEAVE_TYPES.includes(type)) {
+        return res.status(400).json({ error: `Tipo inválido. Use ${LEAVE_TYPES.join(', ')}` });
+      }
+      where.type = type;
+    }
+    // Afastamentos que intersectam o período informado
+    if (startDate) where.endDate = { gte: startDate };
+    if (endDate) where.startDate = { lte: endDate };
+
+    if (req.user.role === 'admin') {
+      if (employeeId) where.employeeId = employeeId;
+    } else if (req.user.role === 'manager') {
+      if (employeeId) {
+        const employee = employeeId === req.user.id ? req.user : await findUserById(employeeId);
+        if (!employee) {
+          return res.status(404).json({ error: 'Funcionário não encontrado' });
+        }
+        if (employeeId !== req.user.id && !canAccessDepartment(req.user, employee.departmentId)) {
+          return res.status(403).json({ error: 'Acesso negado. Você só pode ver afastamentos de funcionários do seu departamento.' });
+        }
+        where.employeeId = employeeId;
+      } else {
+        where.OR = [
+          { employeeId: req.user.id },
+          { employee: { departmentId: { in: getManagedDepartmentIds(req.user) } } }
+        ];
+      }
+    } else {
+      where.employeeId = req.user.id;
+    }
+
+    const skip = (Number(page) - 1) * Number(limit);
+    const [leaves, total] = await Promise.all([
+      prisma.leave.findMany({
+        where,
+        include: leaveInclude,
+        orderBy: { startDate: 'desc' },
+        skip,
+        take: Number(limit)
+      }),
+      prisma.leave.count({ where })
+    ]);
+
+    res.json({
+      leaves: leaves.map(formatLeave),
+      pagination: {
+        page: Number(page),
+        limit: Number(limit),
+        total,
+        totalPages: Math.ceil(total / Number(limit))
+      }
+    });
+  } catch (error) {
+    logger.logError(error, { context: 'Buscar afastamentos', userId: req.user?.id });
+    res.status(500).json({ message: 'Erro ao buscar afastamentos', error: error.message });
+  }
+});
+
+// GET /leaves/types - Tipos de afastamento
+router.get('/types', protect, (req, res) => {
+  res.json(LEAVE_TYPES.map(type => ({ value: type, label: getLeaveTypeLabel(type) })));
+});
+
+// GET /leaves/:id - Detalhes de um afastamento
+router.get('/:id', protect, async (req, res) => {
+  try {
+    const leave = await findLeaveById(req.params.id);
+    if (!leave) {
+      return res.status(404).json({ error: 'Afastamento não encontrado' });
+    }
+
+    if (leave.employeeId !== req.user.id) {
+      const { allowed } = await getApprovalAuthority(req.user, leave.employee?.departmentId);
+      if (!allowed) {
+        return res.status(403).json({ error: 'Acesso negado' });
+      }
+    }
+
+    res.json(formatLeave(leave));
+  } catch (error) {
+    logger.logError(error, { context: 'Buscar afastamento', leaveId: req.params.id, userId: req.user?.id });
+    res.status(500).json({ message: 'Erro ao buscar afastamento', error: error.message });
+  }
+});
+
+// POST /leaves - Solicitar afastamento (funcionário para si; admin/manager também para funcionários do seu departamento)
+router.post('/', protect, async (req, res) => {
+  try {
+    const { type, startDate, endDate } = req.body;
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : req.body.reason;
+
+    const validation = validateLeave({ type, startDate, endDate, reason });
+    if (!validation.isValid) {
+      return res.status(400).json({ error: validation.errors.join('; ') });
+    }
+
+    const employeeId = ['admin', 'manager'].includes(req.user.role) && req.body.employeeId
+      ? req.body.employeeId
+      : req.user.id;
+
+    const employee = await findUserById(employeeId);
+    if (!employee) {
+      return res.status(404).json({ error: 'Funcionário não encontrado' });
+    }
+    if (employeeId !== req.user.id && !canAccessDepartment(req.user, employee.departmentId)) {
+      return res.status(403).json({ error: 'Você só pode registrar afastamentos de funcionários do seu departamento' });
+    }
+
+    const overlapping = await findOverlappingLeave(employeeId, startDate, endDate);
+    if (overlapping) {
+      return res.status(400).json({
+        error: `Já existe um afastamento ${overlapping.status === 'pending' ? 'pendente' : 'aprovado'} no período (${formatLeavePeriod(overlapping)})`
+      });
+    }
+
+    const lockingClosing = await findLockingClosingInRange(employeeId, startDate, endDate);
+    if (lockingClosing) {
+      return res.status(409).json({ error: getClosedPeriodMessage(lockingClosing) });
+    }
+
+    // Férias de funcionários com data de admissão seguem o saldo do período aquisitivo e as regras da CLT
+    let vacationPeriod = null;
+    const soldDays = req.body.soldDays !== undefined ? Number(req.body.soldDays) : 0;
+    if (type === 'vacation' && employee.admissionDate) {
+      const today = getTodayInTimezone(await getCompanyTimezone());
+      const check = await validateVacationRequest(employee, {
+        acquisitionPeriodStart: req.body.acquisitionPeriodStart || null,
+        periods: [{ startDate, endDate }],
+        soldDays
+      }, today);
+      if (check.error) {
+        return res.status(check.statusCode).json({ error: check.error });
+      }
+      vacationPeriod = check.period;
+    } else if (soldDays) {
+      return res.status(400).json({ error: 'Abono pecuniário (soldDays) só pode ser informado em férias de funcionários com data de admissão' });
+    }
+
+    const leave = await prisma.leave.create({
+      data: {
+        employeeId,
+        type,
+        startDate,
+        endDate,
+        days: countLeaveDays(startDate, endDate),
+        reason: reason || null,
+        acquisitionPeriodStart: vacationPeriod?.startDate || null,
+        soldDays: vacationPeriod ? soldDays : 0,
+        createdBy: req.user.id
+      },
+      include: leaveInclude
+    });
+
+    // Registrar log de auditoria
+    const requestMeta = getRequestMetadata(req);
+    await logAudit({
+      action: 'leave_requested',
+      entityType: 'leave',
+      entityId: leave.id,
+      userId: req.user.id,
+      targetUserId: employeeId,
+      description: `${getLeaveTypeLabel(type)} solicitado(a) para ${employee.name}: ${formatLeavePeriod(leave)} (${leave.days} dias)`,
+      metadata: {
+        type,
+        startDate,
+        endDate,
+        days: leave.days,
+        reason: leave.reason,
+        acquisitionPeriodStart: leave.acquisitionPeriodStart,
+        soldDays: leave.soldDays
+      },
+      ...requestMeta
+    });
+
+    res.status(201).json(formatLeave(leave));
+  } catch (error) {
+    logger.logError(error, { context: 'Solicitar afastamento', userId: req.user?.id });
+    res.status(500).json({ message: 'Erro ao solicitar afastamento', error: error.message });
+  }
+});
+
+// PATCH /leaves/:id - Aprovar/rejeitar afastamento (admin, manager do departamento ou substituto com delegação)
+router.patch('/:id', protect, async (req, res) => {
+  try {
+    const { status } = req.body;
+    const comment = req.body.comment ? String(req.body.comment).trim() : '';
+
+    if (!['approved', 'rejected'].includes(status)) {
+      return res.status(400).json({ error: 'Status inválido. Use "approved" ou "rejected"' });
+    }
+    if (comment.length > MAX_LEAVE_REASON_LENGTH) {
+      return res.status(400).json({ error: `Comentário deve ter no máximo ${MAX_LEAVE_REASON_LENGTH} caracteres` });
+    }
+
+    const leave = await findLeaveById(req.params.id);
+    if (!leave) {
+      return res.status(404).json({ error: 'Afastamento não encontrado' });
+    }
+    if (leave.status !== 'pending') {
+      return res.status(400).json({ error: 'Apenas afastamentos pendentes podem ser aprovados ou rejeitados' });
+    }
+
+    const { allowed, delegation } = await getApprovalAuthority(req.user, leave.employee.departmentId);
+    if (!allowed) {
+      return res.status(403).json({ error: 'Acesso negado. Você só pode decidir afastamentos de funcionários do seu departamento.' });
+    }
+    if (leave.employeeId === req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Você não pode decidir os seus próprios afastamentos' });
+    }
+
+    if (status === 'rejected' && !comment) {
+      return res.status(400).json({ error: 'Informe o motivo da rejeição (comment)' });
+    }
+
+    // A aprovação justifica os registros do período, que não pode estar fechado
+    let applied = null;
+    if (status === 'approved') {
+      const lockingClosing = await findLockingClosingInRange(leave.employeeId, leave.startDate, leave.endDate);
+      if (lockingClosing) {
+        return res.status(409).json({ error: getClosedPeriodMessage(lockingClosing) });
+      }
+    }
+
+    // O afastamento e os registros do período são gravados juntos
+    const updatedLeave = await prisma.$transaction(async (tx) => {
+      if (status === 'approved') {
+        applied = await justifyLeaveRecords(tx, leave, req.user.id);
+      }
+      return tx.leave.update({
+        where: { id: leave.id },
+        data: {
+          status,
+          reviewedBy: req.user.id,
+          reviewedAt: new Date(),
+          reviewComment: comment || null,
+          delegationId: delegation?.id || null
+        },
+        include: leaveInclude
+      });
+    });
+    const { hourBankChanges = [], ...appliedSummary } = applied || {};
+
+    // Registrar log de auditoria
+    const requestMeta = getRequestMetadata(req);
+    await logLeaveHourBankChanges(hourBankChanges, leave, req.user.id, requestMeta);
+    await logAudit({
+      action: status === 'approved' ? 'leave_approved' : 'leave_rejected',
+      entityType: 'leave',
+      entityId: leave.id,
+      userId: req.user.id,
+      targetUserId: leave.employeeId,
+      description: `${getLeaveTypeLabel(leave.type)} de ${leave.employee.name} ${status === 'approved' ? 'aprovado(a)' : 'rejeitado(a)'}: ${formatLeavePeriod(leave)}${delegation ? ` (por delegação de ${delegation.delegator.name})` : ''}`,
+      metadata: {
+        type: leave.type,
+        startDate: leave.startDate,
+        endDate: leave.endDate,
+        days: leave.days,
+        comment: comment || null,
+        ...appliedSummary,
+        ...buildDelegationAuditMetadata(delegation)
+      },
+      ...requestMeta
+    });
+
+    res.json({
+      ...formatLeave(updatedLeave),
+      ...appliedSummary
+    });
+  } catch (error) {
+    logger.logError(error, { context: 'Decidir afastamento', leaveId: req.params.id, userId: req.user?.id });
+    res.status(500).json({ message: 'Erro ao decidir afastamento', error: error.message });
+  }
+});
+
+// DELETE /leaves/:id - Cancelar afastamento
+// Pedidos pendentes são cancelados por quem solicitou; afastamentos aprovados, por quem pode aprová-los
+router.delete('/:id', protect, async (req, res) => {
+  try {
+    const reason = typeof req.body?.reason === 'string' ? req.body.reason.trim() : '';
+    if (reason.length > MAX_LEAVE_REASON_LENGTH) {
+      return res.status(400).json({ error: `Motivo deve ter no máximo ${MAX_LEAVE_REASON_LENGTH} caracteres` });
+    }
+
+    const leave = await findLeaveById(req.params.id);
+    if (!leave) {
+      return res.status(404).json({ error: 'Afastamento não encontrado' });
+    }
+    if (!['pending', 'approved'].includes(leave.status)) {
+      return res.status(400).json({ error: 'Apenas afastamentos pendentes ou aprovados podem ser cancelados' });
+    }
+
+    let delegation = null;
+    if (leave.status === 'pending') {
+      if (leave.employeeId !== req.user.id && leave.createdBy !== req.user.id) {
+        return res.status(403).json({ error: 'Apenas quem solicitou pode cancelar o afastamento pendente' });
+      }
+    } else {
+      const authority = await getApprovalAuthority(req.user, leave.employee.departmentId);
+      if (!authority.allowed || (leave.employeeId === req.user.id && req.user.role !== 'admin')) {
+        return res.status(403).json({ error: 'Acesso negado. Apenas gestores do departamento podem cancelar um afastamento aprovado.' });
+      }
+      delegation = authority.delegation;
+
+      const lockingClosing = await findLockingClosingInRange(leave.employeeId, leave.startDate, leave.endDate);
+      if (lockingClosing) {
+        return res.status(409).json({ error: getClosedPeriodMessage(lockingClosing) });
+      }
+    }
+
+    // Cancelar um afastamento aprovado recalcula os dias que ele cobria, junto com o cancelamento
+    let restored = null;
+    const updatedLeave = await prisma.$transaction(async (tx) => {
+      if (leave.status === 'approved') {
+        restored = await restoreLeaveRecords(tx, leave, req.user.id);
+      }
+      return tx.leave.update({
+        where: { id: leave.id },
+        data: {
+          status: 'cancelled',
+          ...(leave.status === 'approved'
+            ? { reviewedBy: req.user.id, reviewedAt: new Date(), reviewComment: reason || null, delegationId: delegation?.id || null }
+            : {})
+        },
+        include: leaveInclude
+      });
+    });
+    const { hourBankChanges = [], ...restoredSummary } = restored || {};
+
+    // Registrar log de auditoria
+    const requestMeta = getRequestMetadata(req);
+    await logLeaveHourBankChanges(hourBankChanges, leave, req.user.id, requestMeta);
+    await logAudit({
+      action: 'leave_cancelled',
+      entityType: 'leave',
+      entityId: leave.id,
+      userId: req.user.id,
+      targetUserId: leave.employeeId,
+      description: `${getLeaveTypeLabel(leave.type)} de ${leave.employee.name} cancelado(a): ${formatLeavePeriod(leave)}`,
+      metadata: {
+        type: leave.type,
+        startDate: leave.startDate,
+        endDate: leave.endDate,
+        previousStatus: leave.status,
+        reason: reason || null,
+        ...restoredSummary,
+        ...buildDelegationAuditMetadata(delegation)
+      },
+      ...requestMeta
+    });
+
+    res.json({
+      ...formatLeave(updatedLeave),
+      ...restoredSummary
+    });
+  } catch (error) {
+    logger.logError(error, { context: 'Cancelar afastamento', leaveId: req.params.id, userId: req.user?.id });
+    res.status(500).json({ message: 'Erro ao cancelar afastamento', error: error.message });
+  }
+});
+
+export default router;
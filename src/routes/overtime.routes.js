@@ -1,8 +1,17 @@
 import express from 'express';
 import { protect, admin } from '../middleware/auth.js';
 import prisma from '../config/database.js';
+import { canAccessDepartment, getManagedDepartmentIds, getStepApprovalAuthority } from '../middleware/departmentAccess.js';
+import { buildDelegationAuditMetadata } from '../models/approvalDelegation.model.js';
+import { getApprovalSteps, ensureApprovalSteps, decideApprovalStep, formatApprovalSteps } from '../models/approvalStep.model.js';
+import { getCurrentApprovalStep, validateBulkDecisionIds } from '../utils/approvalChainUtils.js';
+import { addRecordComment } from '../models/recordComment.model.js';
 import { findUserById } from '../models/user.model.js';
+import { findLockingClosing, getClosedPeriodMessage } from '../models/timesheetClosing.model.js';
 import { getOrCreateSettings } from '../models/companySettings.model.js';
+import { getCreditExpiresAt, calculateOvertimeRecordCredit, getEffectiveHourBankLimits, createDecisionBatch, getBatchLimits } from '../models/hourBankRecord.model.js';
+import { getRecordBalanceImpact } from '../utils/hourBankUtils.js';
+import { getOvertimeRateBreakdown } from '../models/overtime.model.js';
 import { logAudit, getRequestMetadata } from '../middleware/audit.js';
 import { formatDateForDisplay } from '../utils/dateFormatter.js';
 import logger from '../utils/logger.js';
@@ -78,7 +87,7 @@ router.get('/', protect, async (req, res) => {
         if (!employee) {
           return res.status(404).json({ message: 'Funcionário não encontrado' });
         }
-        if (employee.department !== req.user.department) {
+        if (!canAccessDepartment(req.user, employee.departmentId)) {
           return res.status(403).json({ 
             message: 'Acesso negado. Você só pode ver registros de funcionários do seu departamento.' 
           });
@@ -88,7 +97,7 @@ router.get('/', protect, async (req, res) => {
         // Filtrar por departamento do manager
         // Buscar todos os funcionários do departamento
         const departmentEmployees = await prisma.user.findMany({
-          where: { department: req.user.department },
+          where: { departmentId: { in: getManagedDepartmentIds(req.user) } },
           select: { id: true }
         });
         const employeeIds = departmentEmployees.map(emp => emp.id);
@@ -137,8 +146,10 @@ router.get('/', protect, async (req, res) => {
       startTime: record.startTime,
       endTime: record.endTime,
       hours: record.hours, // Usa o valor já calculado no banco
+      rateBreakdown: record.rateBreakdown || null,
       reason: record.reason,
-      status: record.status
+      status: record.status,
+      rejectionReason: record.rejectionReason || null
     }));
 
     logger.debug('Registros formatados para resposta', { count: formattedRecords.length });
@@ -185,7 +196,7 @@ router.post('/', protect, async (req, res) => {
     
     // Se for manager, verificar se o funcionário pertence ao seu departamento
     if (req.user.role === 'manager' && employeeId !== req.user.id) {
-      if (employee.department !== req.user.department) {
+      if (!canAccessDepartment(req.user, employee.departmentId)) {
         return res.status(403).json({ 
           message: 'Você só pode criar horas extras para funcionários do seu departamento' 
         });
@@ -251,6 +262,9 @@ router.post('/', protect, async (req, res) => {
       });
     }
     
+    // Separar as horas por adicional (50%, 100% em domingos/feriados, noturno)
+    const rateBreakdown = await getOvertimeRateBreakdown(employee, date, startTime, Math.round(hours * 60));
+    
     // Cria o registro de hora extra
     const overtime = await prisma.overtime.create({
       data: {
@@ -259,6 +273,7 @@ router.post('/', protect, async (req, res) => {
         startTime,
         endTime,
         hours,
+        rateBreakdown,
         reason,
         status: 'pending',
         createdBy: req.user.id
@@ -278,7 +293,8 @@ router.post('/', protect, async (req, res) => {
         hours,
         date,
         startTime,
-        endTime
+        endTime,
+        rateBreakdown
       },
       ...requestMeta
     });
@@ -306,6 +322,7 @@ router.post('/', protect, async (req, res) => {
       startTime: overtimeWithEmployee.startTime,
       endTime: overtimeWithEmployee.endTime,
       hours: overtimeWithEmployee.hours,
+      rateBreakdown: overtimeWithEmployee.rateBreakdown || null,
       reason: overtimeWithEmployee.reason,
       status: overtimeWithEmployee.status
     };
@@ -315,9 +332,8 @@ router.post('/', protect, async (req, res) => {
     // Se a hora extra foi criada como aprovada, cria crédito automaticamente
     if (overtime.status === 'approved') {
       try {
-        // Verificar limites
-        const settings = await getOrCreateSettings();
-        const accumulationLimit = settings?.defaultAccumulationLimit || 0;
+        // Verificar limites (funcionário → departamento → empresa)
+        const { accumulationLimit } = await getEffectiveHourBankLimits(overtime.employeeId, overtime.date);
 
         // Calcular saldo atual
         const approvedRecords = await prisma.hourBankRecord.findMany({
@@ -329,15 +345,14 @@ router.post('/', protect, async (req, res) => {
 
         let currentBalance = 0;
         approvedRecords.forEach(record => {
-          if (record.type === 'credit') {
-            currentBalance += record.hours;
-          } else {
-            currentBalance -= record.hours;
-          }
+          currentBalance += getRecordBalanceImpact(record);
         });
 
+        // Aplicar multiplicadores do banco de horas (empresa ou departamento)
+        const credit = await calculateOvertimeRecordCredit(employee, overtime);
+
         // Verificar limite de acúmulo (se configurado)
-        const totalAfterCredit = currentBalance + overtime.hours;
+        const totalAfterCredit = currentBalance + credit.creditedHours;
         if (accumulationLimit > 0 && totalAfterCredit > accumulationLimit) {
           logger.warn('Limite de acúmulo excedido', { employeeId: overtime.employeeId, currentBalance, accumulationLimit });
         } else {
@@ -347,9 +362,12 @@ router.post('/', protect, async (req, res) => {
               employeeId: overtime.employeeId,
               date: overtime.date,
               type: 'credit',
-              hours: overtime.hours,
+              hours: credit.creditedHours,
+              rawHours: credit.rawHours,
+              appliedMultipliers: credit.appliedMultipliers,
               reason: `${overtime.reason} (via hora extra)`,
               overtimeRecordId: overtime.id,
+              expiresAt: await getCreditExpiresAt(overtime.date),
               status: 'approved',
               createdBy: req.user.id
             }
@@ -368,194 +386,426 @@ router.post('/', protect, async (req, res) => {
   }
 });
 
-// Update overtime status (admin or manager)
-router.patch('/:id', protect, async (req, res) => {
-  try {
-    // Verificar se é admin ou manager
-    if (!['admin', 'manager'].includes(req.user.role)) {
-      return res.status(403).json({ message: 'Acesso negado: apenas administradores e gestores' });
-    }
-
-    const overtime = await prisma.overtime.findUnique({
-      where: { id: req.params.id },
-      include: {
-        employee: {
-          select: {
-            id: true,
-            department: true
-          }
-        }
+// Helper: Saldo aprovado do banco de horas do funcionário compartilhado entre as decisões de um lote
+// Calculado uma vez por funcionário e atualizado a cada crédito criado, para verificar o limite
+// de acúmulo de forma cumulativa
+const getBatchApprovedBalance = async (batch, employeeId) => {
+  if (!batch.balances.has(employeeId)) {
+    const approvedRecords = await prisma.hourBankRecord.findMany({
+      where: {
+        employeeId,
+        status: 'approved'
       }
     });
-    if (!overtime) {
-      return res.status(404).json({ message: 'Registro de hora extra não encontrado' });
-    }
 
-    // Se for manager, verificar se o funcionário pertence ao seu departamento
-    if (req.user.role === 'manager') {
-      if (!overtime.employee || overtime.employee.department !== req.user.department) {
-        return res.status(403).json({ 
-          message: 'Acesso negado. Você só pode aprovar horas extras de funcionários do seu departamento.' 
-        });
-      }
-    }
+    let currentBalance = 0;
+    approvedRecords.forEach(record => {
+      currentBalance += getRecordBalanceImpact(record);
+    });
+    batch.balances.set(employeeId, currentBalance);
+  }
+  return batch.balances.get(employeeId);
+};
 
-    const oldStatus = overtime.status;
-    const newStatus = req.body.status;
+// Helper: Aprovar/rejeitar uma hora extra
+// Retorna { statusCode, body } para que a rota individual e a em lote respondam da mesma forma
+const decideOvertime = async (req, overtime, newStatus, { comment = null, batch = createDecisionBatch() } = {}) => {
+  const oldStatus = overtime.status;
 
-    // Preparar campos de atualização
-    const updateData = { status: newStatus };
-    
-    if (newStatus === 'approved' && oldStatus !== 'approved') {
-      updateData.approvedBy = req.user.id;
-      updateData.approvedAt = new Date();
-      updateData.rejectedBy = null;
-      updateData.rejectedAt = null;
-    } else if (newStatus === 'rejected' && oldStatus !== 'rejected') {
-      updateData.rejectedBy = req.user.id;
-      updateData.rejectedAt = new Date();
-      updateData.approvedBy = null;
-      updateData.approvedAt = null;
+  // Rejeição exige motivo, que fica no registro e é enviado ao funcionário
+  if (newStatus === 'rejected' && oldStatus !== 'rejected' && !comment) {
+    return { statusCode: 400, body: { message: 'Informe o motivo da rejeição (comment)' } };
+  }
+
+  // A decisão altera o banco de horas do mês da hora extra, que não pode estar fechado
+  const lockingClosing = await findLockingClosing(overtime.employeeId, overtime.date);
+  if (lockingClosing) {
+    return { statusCode: 409, body: { message: getClosedPeriodMessage(lockingClosing) } };
+  }
+
+  // Registros pendentes seguem a cadeia de aprovação etapa por etapa; registros já decididos
+  // só podem ser alterados por quem pode decidir a última etapa da cadeia
+  const isChainDecision = oldStatus === 'pending' && ['approved', 'rejected'].includes(newStatus);
+  const steps = isChainDecision
+    ? await ensureApprovalSteps('overtime', overtime)
+    : await getApprovalSteps('overtime', overtime);
+  const step = (isChainDecision && getCurrentApprovalStep(steps)) || steps[steps.length - 1];
+
+  // Admin, manager do departamento, aprovador designado da etapa ou usuário com delegação ativa do gestor
+  const { allowed, delegation, alreadyApproved, designated } = await getStepApprovalAuthority(req.user, step, overtime.employee?.departmentId, steps);
+  if (!allowed) {
+    let message = ['admin', 'manager'].includes(req.user.role)
+      ? 'Acesso negado. Você só pode aprovar horas extras de funcionários do seu departamento.'
+      : 'Acesso negado: apenas administradores, gestores e substitutos com delegação ativa';
+    if (alreadyApproved) {
+      message = 'Você já aprovou uma etapa anterior deste registro; a próxima etapa precisa de outro aprovador';
+    } else if (step.role === 'admin') {
+      message = `Acesso negado. A etapa "${step.name}" deve ser aprovada por um administrador ou aprovador designado`;
     }
+    return { statusCode: 403, body: { message } };
+  }
 
-    // Atualiza o status e campos de auditoria
-    const updatedOvertime = await prisma.overtime.update({
-      where: { id: req.params.id },
-      data: updateData,
-      include: {
-        employee: {
-          select: {
-            id: true,
-            name: true,
-            email: true
-          }
-        }
-      }
+  // Substituto e aprovador designado não aprovam os próprios registros
+  if (delegation && overtime.employeeId === req.user.id) {
+    return { statusCode: 403, body: { message: 'Você não pode aprovar seus próprios registros por delegação' } };
+  }
+  if (designated && overtime.employeeId === req.user.id) {
+    return { statusCode: 403, body: { message: 'Você não pode aprovar seus próprios registros como aprovador designado' } };
+  }
+  const delegationMeta = buildDelegationAuditMetadata(delegation);
+
+  // Etapas previstas (ainda não gravadas) não aparecem na resposta
+  let approvalSteps = steps.filter(item => item.id);
+  if (isChainDecision) {
+    const decision = await decideApprovalStep('overtime', overtime.id, step, {
+      decision: newStatus,
+      userId: req.user.id,
+      delegationId: delegation?.id || null
     });
+    approvalSteps = decision.steps;
 
-    // Registrar log de auditoria para aprovação/rejeição
-    if ((newStatus === 'approved' && oldStatus !== 'approved') || (newStatus === 'rejected' && oldStatus !== 'rejected')) {
+    // Etapa intermediária aprovada: o registro continua pendente aguardando a próxima etapa
+    if (newStatus === 'approved' && !decision.completed) {
+      if (comment) {
+        await addRecordComment({ entityType: 'overtime', record: overtime, author: req.user, message: comment, type: 'approval' });
+      }
+
+      const nextStep = getCurrentApprovalStep(approvalSteps);
       const requestMeta = getRequestMetadata(req);
-      const actionName = newStatus === 'approved' ? 'overtime_approved' : 'overtime_rejected';
       await logAudit({
-        action: actionName,
+        action: 'approval_step_approved',
         entityType: 'overtime',
         entityId: overtime.id,
         userId: req.user.id,
         targetUserId: overtime.employeeId,
-        description: `Hora extra ${newStatus === 'approved' ? 'aprovada' : 'rejeitada'}: ${overtime.hours}h em ${formatDateForDisplay(overtime.date)}`,
+        description: `Etapa "${step.name}" da hora extra aprovada: ${overtime.hours}h em ${formatDateForDisplay(overtime.date)}; aguardando "${nextStep.name}"${delegation ? ` (por delegação de ${delegation.delegator.name})` : ''}`,
         metadata: {
           hours: overtime.hours,
           date: overtime.date,
-          previousStatus: oldStatus,
-          newStatus: newStatus
+          stepOrder: step.stepOrder,
+          stepName: step.name,
+          nextStepOrder: nextStep.stepOrder,
+          nextStepName: nextStep.name,
+          comment,
+          ...delegationMeta
         },
         ...requestMeta
       });
+
+      return {
+        statusCode: 200,
+        body: {
+          id: overtime.id,
+          employeeId: overtime.employee ? overtime.employee.id : null,
+          employeeName: overtime.employee ? overtime.employee.name : 'Funcionário não encontrado',
+          date: overtime.date,
+          startTime: overtime.startTime,
+          endTime: overtime.endTime,
+          hours: calculateHours(overtime.startTime, overtime.endTime),
+          rateBreakdown: overtime.rateBreakdown || null,
+          reason: overtime.reason,
+          status: overtime.status,
+          approvalSteps: formatApprovalSteps(approvalSteps)
+        }
+      };
     }
-    
-    // Se a hora extra foi aprovada e não havia crédito no banco de horas, cria automaticamente
-    if (newStatus === 'approved' && oldStatus !== 'approved') {
-      try {
-        // Verificar se já existe crédito vinculado a esta hora extra
-        const existingCredit = await prisma.hourBankRecord.findFirst({
-          where: {
-            overtimeRecordId: overtime.id
-          }
-        });
+  }
+
+  // Preparar campos de atualização
+  const updateData = { status: newStatus };
+  
+  if (newStatus === 'approved' && oldStatus !== 'approved') {
+    updateData.approvedBy = req.user.id;
+    updateData.approvedAt = new Date();
+    updateData.rejectedBy = null;
+    updateData.rejectedAt = null;
+    updateData.rejectionReason = null;
+  } else if (newStatus === 'rejected' && oldStatus !== 'rejected') {
+    updateData.rejectedBy = req.user.id;
+    updateData.rejectedAt = new Date();
+    updateData.rejectionReason = comment;
+    updateData.approvedBy = null;
+    updateData.approvedAt = null;
+  }
 
-        if (!existingCredit) {
-          // Buscar limites para validação
-          const settings = await getOrCreateSettings();
-          const accumulationLimit = settings?.defaultAccumulationLimit || 0;
+  // Atualiza o status e campos de auditoria
+  const updatedOvertime = await prisma.overtime.update({
+    where: { id: overtime.id },
+    data: updateData,
+    include: {
+      employee: {
+        select: {
+          id: true,
+          name: true,
+          email: true
+        }
+      }
+    }
+  });
 
-          // Calcular saldo atual
-          const approvedRecords = await prisma.hourBankRecord.findMany({
-            where: {
+  // Registrar log de auditoria para aprovação/rejeição
+  if ((newStatus === 'approved' && oldStatus !== 'approved') || (newStatus === 'rejected' && oldStatus !== 'rejected')) {
+    const requestMeta = getRequestMetadata(req);
+    const actionName = newStatus === 'approved' ? 'overtime_approved' : 'overtime_rejected';
+    await logAudit({
+      action: actionName,
+      entityType: 'overtime',
+      entityId: overtime.id,
+      userId: req.user.id,
+      targetUserId: overtime.employeeId,
+      description: `Hora extra ${newStatus === 'approved' ? 'aprovada' : 'rejeitada'}: ${overtime.hours}h em ${formatDateForDisplay(overtime.date)}${delegation ? ` (por delegação de ${delegation.delegator.name})` : ''}`,
+      metadata: {
+        hours: overtime.hours,
+        date: overtime.date,
+        previousStatus: oldStatus,
+        newStatus: newStatus,
+        stepOrder: step.stepOrder,
+        stepName: step.name,
+        totalSteps: steps.length,
+        comment,
+        ...delegationMeta
+      },
+      ...requestMeta
+    });
+  }
+
+  // Motivo da rejeição (ou observação da aprovação) entra na conversa do registro e notifica o funcionário
+  if (comment) {
+    const commentType = { approved: 'approval', rejected: 'rejection' }[newStatus] || 'comment';
+    await addRecordComment({ entityType: 'overtime', record: overtime, author: req.user, message: comment, type: commentType });
+  }
+  
+  // Se a hora extra foi aprovada e não havia crédito no banco de horas, cria automaticamente
+  // O resultado vai na resposta: a aprovação não falha quando o crédito não é criado
+  let hourBankCredit = null;
+  if (newStatus === 'approved' && oldStatus !== 'approved') {
+    try {
+      // Verificar se já existe crédito vinculado a esta hora extra
+      const existingCredit = await prisma.hourBankRecord.findFirst({
+        where: {
+          overtimeRecordId: overtime.id
+        }
+      });
+
+      if (existingCredit) {
+        hourBankCredit = { created: false, recordId: existingCredit.id, hours: existingCredit.hours, reason: 'A hora extra já possui crédito no banco de horas' };
+      } else {
+        // Buscar limites para validação (funcionário → departamento → empresa)
+        const { accumulationLimit } = await getBatchLimits(batch, overtime.employeeId, overtime.date);
+
+        // Saldo atual (acumulado ao longo do lote)
+        const currentBalance = await getBatchApprovedBalance(batch, overtime.employeeId);
+
+        // Aplicar multiplicadores do banco de horas (empresa ou departamento)
+        const credit = await calculateOvertimeRecordCredit(overtime.employee, overtime);
+
+        // Verificar limite de acúmulo (se configurado)
+        const totalAfterCredit = currentBalance + credit.creditedHours;
+        if (accumulationLimit > 0 && totalAfterCredit > accumulationLimit) {
+          logger.warn('Limite de acúmulo excedido', { employeeId: overtime.employeeId, currentBalance, accumulationLimit });
+          // Não cria o crédito se exceder o limite, mas continua a aprovação da hora extra
+          hourBankCredit = {
+            created: false,
+            recordId: null,
+            hours: credit.creditedHours,
+            reason: `Limite de acúmulo do banco de horas excedido: saldo de ${Number(currentBalance.toFixed(2))}h + ${credit.creditedHours}h ultrapassa o limite de ${accumulationLimit}h`
+          };
+        } else {
+          // Criar crédito no banco de horas automaticamente
+          const createdCredit = await prisma.hourBankRecord.create({
+            data: {
               employeeId: overtime.employeeId,
-              status: 'approved'
+              date: overtime.date,
+              type: 'credit',
+              hours: credit.creditedHours,
+              rawHours: credit.rawHours,
+              appliedMultipliers: credit.appliedMultipliers,
+              reason: `${overtime.reason} (via hora extra aprovada)`,
+              overtimeRecordId: overtime.id,
+              expiresAt: await getCreditExpiresAt(overtime.date),
+              status: 'approved', // Aprovado automaticamente quando a hora extra é aprovada
+              createdBy: req.user.id,
+              approvedBy: req.user.id, // Admin que aprovou a hora extra também aprova o crédito
+              approvedAt: new Date()
             }
           });
-
-          let currentBalance = 0;
-          approvedRecords.forEach(record => {
-            if (record.type === 'credit') {
-              currentBalance += record.hours;
-            } else {
-              currentBalance -= record.hours;
-            }
+          batch.balances.set(overtime.employeeId, currentBalance + credit.creditedHours);
+          hourBankCredit = { created: true, recordId: createdCredit.id, hours: credit.creditedHours, reason: null };
+          
+          // Registrar log de auditoria para o crédito criado automaticamente
+          const requestMeta = getRequestMetadata(req);
+          await logAudit({
+            action: 'hourbank_credit_created',
+            entityType: 'hourbank',
+            entityId: createdCredit.id,
+            userId: req.user.id,
+            targetUserId: overtime.employeeId,
+            description: `Crédito no banco de horas criado automaticamente via hora extra aprovada: ${credit.creditedHours}h em ${formatDateForDisplay(overtime.date)}`,
+            metadata: {
+              hours: credit.creditedHours,
+              rawHours: credit.rawHours,
+              appliedMultipliers: credit.appliedMultipliers,
+              date: overtime.date,
+              type: 'credit',
+              overtimeRecordId: overtime.id,
+              autoCreated: true,
+              ...delegationMeta
+            },
+            ...requestMeta
           });
-
-          // Verificar limite de acúmulo (se configurado)
-          const totalAfterCredit = currentBalance + overtime.hours;
-          if (accumulationLimit > 0 && totalAfterCredit > accumulationLimit) {
-            logger.warn('Limite de acúmulo excedido', { employeeId: overtime.employeeId, currentBalance, accumulationLimit });
-            // Não cria o crédito se exceder o limite, mas continua a aprovação da hora extra
-          } else {
-            // Criar crédito no banco de horas automaticamente
-            const hourBankCredit = await prisma.hourBankRecord.create({
-              data: {
-                employeeId: overtime.employeeId,
-                date: overtime.date,
-                type: 'credit',
-                hours: overtime.hours,
-                reason: `${overtime.reason} (via hora extra aprovada)`,
-                overtimeRecordId: overtime.id,
-                status: 'approved', // Aprovado automaticamente quando a hora extra é aprovada
-                createdBy: req.user.id,
-                approvedBy: req.user.id, // Admin que aprovou a hora extra também aprova o crédito
-                approvedAt: new Date()
-              }
-            });
-            
-            // Registrar log de auditoria para o crédito criado automaticamente
-            const requestMeta = getRequestMetadata(req);
-            await logAudit({
-              action: 'hourbank_credit_created',
-              entityType: 'hourbank',
-              entityId: hourBankCredit.id,
-              userId: req.user.id,
-              targetUserId: overtime.employeeId,
-              description: `Crédito no banco de horas criado automaticamente via hora extra aprovada: ${overtime.hours}h em ${formatDateForDisplay(overtime.date)}`,
-              metadata: {
-                hours: overtime.hours,
-                date: overtime.date,
-                type: 'credit',
-                overtimeRecordId: overtime.id,
-                autoCreated: true
-              },
-              ...requestMeta
-            });
-            
-            logger.info('Crédito no banco de horas criado automaticamente', { overtimeId: overtime.id, employeeId: overtime.employeeId });
-          }
+          
+          logger.info('Crédito no banco de horas criado automaticamente', { overtimeId: overtime.id, employeeId: overtime.employeeId });
         }
-      } catch (error) {
-        // Log do erro mas não impede a aprovação da hora extra
-        logger.logError(error, { context: 'Criar crédito no banco de horas automaticamente', overtimeId: overtime._id });
+      }
+    } catch (error) {
+      // Log do erro mas não impede a aprovação da hora extra
+      logger.logError(error, { context: 'Criar crédito no banco de horas automaticamente', overtimeId: overtime.id });
+      if (!hourBankCredit) {
+        hourBankCredit = { created: false, recordId: null, hours: null, reason: 'Erro ao criar o crédito no banco de horas' };
       }
     }
-    
-    // Formata a resposta no mesmo formato que o GET
-    const formattedOvertime = {
-      id: updatedOvertime.id,
-      employeeId: updatedOvertime.employee ? updatedOvertime.employee.id : null,
-      employeeName: updatedOvertime.employee ? updatedOvertime.employee.name : 'Funcionário não encontrado',
-      date: updatedOvertime.date,
-      startTime: updatedOvertime.startTime,
-      endTime: updatedOvertime.endTime,
-      hours: calculateHours(updatedOvertime.startTime, updatedOvertime.endTime),
-      reason: updatedOvertime.reason,
-      status: updatedOvertime.status
-    };
+  }
+  
+  // Formata a resposta no mesmo formato que o GET
+  const formattedOvertime = {
+    id: updatedOvertime.id,
+    employeeId: updatedOvertime.employee ? updatedOvertime.employee.id : null,
+    employeeName: updatedOvertime.employee ? updatedOvertime.employee.name : 'Funcionário não encontrado',
+    date: updatedOvertime.date,
+    startTime: updatedOvertime.startTime,
+    endTime: updatedOvertime.endTime,
+    hours: calculateHours(updatedOvertime.startTime, updatedOvertime.endTime),
+    rateBreakdown: updatedOvertime.rateBreakdown || null,
+    reason: updatedOvertime.reason,
+    status: updatedOvertime.status,
+    rejectionReason: updatedOvertime.rejectionReason || null,
+    approvalSteps: formatApprovalSteps(approvalSteps),
+    hourBankCredit
+  };
+
+  return { statusCode: 200, body: formattedOvertime };
+};
+
+const overtimeDecisionInclude = {
+  employee: {
+    select: {
+      id: true,
+      name: true,
+      email: true,
+      department: true,
+      departmentId: true,
+      state: true,
+      city: true
+    }
+  }
+};
 
-    res.json(formattedOvertime);
+// Update overtime status (admin, manager or delegate)
+router.patch('/:id', protect, async (req, res) => {
+  try {
+    const overtime = await prisma.overtime.findUnique({
+      where: { id: req.params.id },
+      include: overtimeDecisionInclude
+    });
+    if (!overtime) {
+      return res.status(404).json({ message: 'Registro de hora extra não encontrado' });
+    }
+
+    const comment = req.body.comment ? String(req.body.comment).trim() : '';
+    const { statusCode, body } = await decideOvertime(req, overtime, req.body.status, { comment: comment || null });
+    res.status(statusCode).json(body);
   } catch (error) {
     logger.logError(error, { context: 'Atualizar status de hora extra', overtimeId: req.params.id, userId: req.user?.id });
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
+// Bulk approve/reject overtime records (resultado por registro)
+// Acesso e limite de acúmulo são verificados registro a registro, com o saldo acumulado ao longo do lote
+router.post('/bulk-status', protect, async (req, res) => {
+  try {
+    const { ids, status, comment } = req.body;
+
+    if (!['approved', 'rejected'].includes(status)) {
+      return res.status(400).json({ message: 'Status inválido. Use "approved" ou "rejected"' });
+    }
+
+    const validation = validateBulkDecisionIds(ids);
+    if (!validation.isValid) {
+      return res.status(400).json({ message: validation.errors.join('; ') });
+    }
+    const uniqueIds = [...new Set(ids)];
+
+    const trimmedComment = comment ? String(comment).trim() : '';
+    if (status === 'rejected' && !trimmedComment) {
+      return res.status(400).json({ message: 'Informe o motivo da rejeição (comment)' });
+    }
+
+    const overtimes = await prisma.overtime.findMany({
+      where: { id: { in: uniqueIds } },
+      include: overtimeDecisionInclude
+    });
+    const overtimesById = new Map(overtimes.map(overtime => [overtime.id, overtime]));
+
+    // Processa em ordem cronológica para que o saldo acumulado siga a ordem das horas extras
+    const orderedIds = [...uniqueIds].sort((a, b) => {
+      const overtimeA = overtimesById.get(a);
+      const overtimeB = overtimesById.get(b);
+      if (!overtimeA || !overtimeB) return 0;
+      return overtimeA.date.localeCompare(overtimeB.date) || overtimeA.createdAt - overtimeB.createdAt;
+    });
+
+    const batch = createDecisionBatch();
+    const results = [];
+    for (const id of orderedIds) {
+      const overtime = overtimesById.get(id);
+      if (!overtime) {
+        results.push({ id, success: false, statusCode: 404, error: 'Registro de hora extra não encontrado' });
+        continue;
+      }
+
+      // Registros já decididos ficam de fora do lote (alterações pontuais usam PATCH /:id)
+      if (overtime.status !== 'pending') {
+        results.push({ id, success: false, statusCode: 400, error: 'Apenas registros pendentes podem ser aprovados ou rejeitados em lote' });
+        continue;
+      }
+
+      try {
+        const { statusCode, body } = await decideOvertime(req, overtime, status, { comment: trimmedComment || null, batch });
+        results.push(statusCode === 200
+          ? {
+            id,
+            success: true,
+            statusCode,
+            status: body.status,
+            creditCreated: body.hourBankCredit ? body.hourBankCredit.created : null,
+            creditReason: body.hourBankCredit?.reason || null,
+            record: body
+          }
+          : { id, success: false, statusCode, error: body.message });
+      } catch (error) {
+        logger.logError(error, { context: 'Atualizar status de horas extras em lote', overtimeId: id, userId: req.user?.id });
+        results.push({ id, success: false, statusCode: 500, error: 'Erro ao atualizar status do registro' });
+      }
+    }
+
+    const succeeded = results.filter(result => result.success).length;
+    const creditsSkipped = results.filter(result => result.creditCreated === false).length;
+    logger.info('Decisão em lote de horas extras', { userId: req.user.id, status, total: results.length, succeeded, creditsSkipped });
+
+    res.json({
+      total: results.length,
+      succeeded,
+      failed: results.length - succeeded,
+      creditsSkipped,
+      results
+    });
+  } catch (error) {
+    logger.logError(error, { context: 'Atualizar status de horas extras em lote', userId: req.user?.id });
+    res.status(500).json({ message: 'Erro ao atualizar status dos registros', error: error.message });
+  }
+});
+
 // Get current month overtime hours for employee
 router.get('/current-month', protect, async (req, res) => {
   try {
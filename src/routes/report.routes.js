@@ -1,9 +1,14 @@
 import express from 'express';
 import PDFDocument from 'pdfkit';
-import { createObjectCsvWriter } from 'csv-writer';
-import { protect } from '../middleware/auth.js';
+import { createObjectCsvWriter, createObjectCsvStringifier } from 'csv-writer';
+import { protect, admin, adminOrManager } from '../middleware/auth.js';
 import prisma from '../config/database.js';
+import { getManagedDepartmentIds, canAccessDepartment, checkEmployeeDepartment } from '../middleware/departmentAccess.js';
 import logger from '../utils/logger.js';
+import { getPortariaSettings, findExportEmployees, generateAfd, generateAej } from '../services/portariaFileService.js';
+import { logAudit, getRequestMetadata } from '../middleware/audit.js';
+import { findTimesheetEmployees, createTimesheetPdf, streamTimesheetZip, getTimesheetFileName, getTimesheetZipFileName } from '../services/timesheetService.js';
+import { resolveDepartment } from '../models/department.model.js';
 
 const router = express.Router();
 
@@ -19,7 +24,7 @@ router.get('/pdf', protect, async (req, res) => {
     } else if (req.user.role === 'manager') {
       // Manager vê registros do departamento
       const departmentEmployees = await prisma.user.findMany({
-        where: { department: req.user.department },
+        where: { departmentId: { in: getManagedDepartmentIds(req.user) } },
         select: { id: true }
       });
       const employeeIds = departmentEmployees.map(emp => emp.id);
@@ -53,6 +58,10 @@ router.get('/pdf', protect, async (req, res) => {
       doc.fontSize(12).text(`Employee: ${record.employee.name}`);
       doc.fontSize(10).text(`Date: ${new Date(record.date).toLocaleDateString()}`);
       doc.text(`Time: ${record.startTime} - ${record.endTime}`);
+      if (record.rateBreakdown) {
+        const { weekday, sundayHoliday, night } = record.rateBreakdown;
+        doc.text(`Rates: ${weekday.hours}h @ ${weekday.rate}% | ${sundayHoliday.hours}h @ ${sundayHoliday.rate}% | Night: ${night.hours}h @ +${night.rate}%`);
+      }
       doc.text(`Description: ${record.reason || 'N/A'}`);
       doc.text(`Status: ${record.status}`);
       doc.moveDown();
@@ -77,7 +86,7 @@ router.get('/csv', protect, async (req, res) => {
     } else if (req.user.role === 'manager') {
       // Manager vê registros do departamento
       const departmentEmployees = await prisma.user.findMany({
-        where: { department: req.user.department },
+        where: { departmentId: { in: getManagedDepartmentIds(req.user) } },
         select: { id: true }
       });
       const employeeIds = departmentEmployees.map(emp => emp.id);
@@ -106,6 +115,10 @@ router.get('/csv', protect, async (req, res) => {
         { id: 'date', title: 'Date' },
         { id: 'startTime', title: 'Start Time' },
         { id: 'endTime', title: 'End Time' },
+        { id: 'hours', title: 'Hours' },
+        { id: 'weekdayHours', title: 'Weekday Hours' },
+        { id: 'sundayHolidayHours', title: 'Sunday/Holiday Hours' },
+        { id: 'nightHours', title: 'Night Hours' },
         { id: 'description', title: 'Description' },
         { id: 'status', title: 'Status' },
       ],
@@ -116,6 +129,10 @@ router.get('/csv', protect, async (req, res) => {
       date: new Date(record.date).toLocaleDateString(),
       startTime: record.startTime,
       endTime: record.endTime,
+      hours: record.hours,
+      weekdayHours: record.rateBreakdown?.weekday?.hours ?? '',
+      sundayHolidayHours: record.rateBreakdown?.sundayHoliday?.hours ?? '',
+      nightHours: record.rateBreakdown?.night?.hours ?? '',
       description: record.reason || 'N/A',
       status: record.status,
     }));
@@ -128,4 +145,285 @@ router.get('/csv', protect, async (req, res) => {
   }
 });
 
+// Exportação para folha de pagamento - movimentações aprovadas do banco de horas no período
+// (créditos, débitos e pagamentos, com o adicional dos pagamentos) - admin ou manager
+router.get('/payroll', protect, adminOrManager, async (req, res) => {
+  try {
+    const { startDate, endDate, type } = req.query;
+    const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+
+    if (!startDate || !endDate || !dateRegex.test(startDate) || !dateRegex.test(endDate)) {
+      return res.status(400).json({ message: 'Informe startDate e endDate no formato YYYY-MM-DD' });
+    }
+
+    if (type && !['credit', 'debit', 'payout'].includes(type)) {
+      return res.status(400).json({ message: 'Tipo inválido. Use credit, debit ou payout' });
+    }
+
+    const prismaFilter = {
+      status: 'approved',
+      date: { gte: startDate, lte: endDate }
+    };
+    if (type) {
+      prismaFilter.type = type;
+    }
+
+    if (req.user.role === 'manager') {
+      // Manager exporta apenas registros do departamento
+      prismaFilter.employee = { departmentId: { in: getManagedDepartmentIds(req.user) } };
+    }
+
+    const records = await prisma.hourBankRecord.findMany({
+      where: prismaFilter,
+      include: {
+        employee: {
+          select: {
+            id: true,
+            name: true,
+            email: true,
+            department: true
+          }
+        }
+      },
+      orderBy: [
+        { employee: { name: 'asc' } },
+        { date: 'asc' }
+      ]
+    });
+
+    const csvStringifier = createObjectCsvStringifier({
+      header: [
+        { id: 'employee', title: 'Employee' },
+        { id: 'email', title: 'Email' },
+        { id: 'department', title: 'Department' },
+        { id: 'date', title: 'Date' },
+        { id: 'type', title: 'Type' },
+        { id: 'hours', title: 'Hours' },
+        { id: 'rate', title: 'Rate (%)' },
+        { id: 'source', title: 'Source' },
+        { id: 'reason', title: 'Reason' },
+      ],
+    });
+
+    const rows = records.map((record) => ({
+      employee: record.employee.name,
+      email: record.employee.email,
+      department: record.employee.department,
+      date: record.date,
+      type: record.type,
+      hours: record.hours,
+      rate: record.type === 'payout' ? record.payoutRate : '',
+      source: record.type === 'payout' ? record.payoutSource : '',
+      reason: record.reason || 'N/A',
+    }));
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename=payroll-${startDate}-${endDate}.csv`);
+    res.send(csvStringifier.getHeaderString() + csvStringifier.stringifyRecords(rows));
+  } catch (error) {
+    logger.logError(error, { context: 'Gerar exportação para folha de pagamento', userId: req.user?.id });
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Valida o mês do espelho de ponto (year e month numéricos, month de 1 a 12)
+function parseTimesheetMonth(query) {
+  const year = Number(query.year);
+  const month = Number(query.month);
+
+  if (!Number.isInteger(year) || year < 2000 || year > 2100 || !Number.isInteger(month) || month < 1 || month > 12) {
+    return null;
+  }
+  return { year, month };
+}
+
+// GET /api/reports/timesheet - Espelho de ponto mensal em PDF de um funcionário
+// Funcionário obtém o próprio; manager, os dos seus departamentos; admin, qualquer um
+router.get('/timesheet', protect, async (req, res) => {
+  try {
+    const period = parseTimesheetMonth(req.query);
+    if (!period) {
+      return res.status(400).json({ message: 'Informe year e month (1 a 12)' });
+    }
+
+    const employeeId = req.query.employeeId || req.user.id;
+    if (employeeId !== req.user.id) {
+      const hasAccess = await checkEmployeeDepartment(employeeId, req.user);
+      if (!hasAccess) {
+        return res.status(403).json({ message: 'Você só pode gerar o espelho de ponto de funcionários do seu departamento.' });
+      }
+    }
+
+    const [employee] = await findTimesheetEmployees({ employeeId });
+    if (!employee) {
+      return res.status(404).json({ message: 'Funcionário não encontrado' });
+    }
+
+    const doc = await createTimesheetPdf([employee], period.year, period.month);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename=${getTimesheetFileName(employee, period.year, period.month)}`);
+    doc.pipe(res);
+    doc.end();
+  } catch (error) {
+    logger.logError(error, { context: 'Gerar espelho de ponto', userId: req.user?.id });
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// GET /api/reports/timesheet/department - Espelhos de ponto do mês de um departamento (zip com um PDF por funcionário)
+router.get('/timesheet/department', protect, adminOrManager, async (req, res) => {
+  try {
+    const period = parseTimesheetMonth(req.query);
+    if (!period) {
+      return res.status(400).json({ message: 'Informe year e month (1 a 12)' });
+    }
+
+    const { departmentId, department } = req.query;
+    if (!departmentId && !department) {
+      return res.status(400).json({ message: 'Informe departmentId ou department' });
+    }
+
+    const targetDepartment = await resolveDepartment({ departmentId, department });
+    if (!targetDepartment) {
+      return res.status(404).json({ message: 'Departamento não encontrado' });
+    }
+
+    if (!canAccessDepartment(req.user, targetDepartment.id)) {
+      return res.status(403).json({ message: 'Você só pode gerar espelhos de ponto do seu departamento.' });
+    }
+
+    const employees = await findTimesheetEmployees({ departmentId: targetDepartment.id });
+    if (employees.length === 0) {
+      return res.status(404).json({ message: 'Nenhum funcionário no departamento' });
+    }
+
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename=${getTimesheetZipFileName(targetDepartment.name, period.year, period.month)}`);
+    await streamTimesheetZip(employees, period.year, period.month, res);
+  } catch (error) {
+    logger.logError(error, { context: 'Gerar espelhos de ponto do departamento', userId: req.user?.id });
+    if (!res.headersSent) {
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+});
+
+// Filtro de período e funcionários dos arquivos da Portaria 671 (AFD e AEJ)
+// employeeIds: lista separada por vírgula; department: nome do departamento; sem filtro = todos
+async function loadPortariaExport(req, res) {
+  const { startDate, endDate, employeeIds, department } = req.query;
+  const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+
+  if (!startDate || !endDate || !dateRegex.test(startDate) || !dateRegex.test(endDate)) {
+    res.status(400).json({ message: 'Informe startDate e endDate no formato YYYY-MM-DD' });
+    return null;
+  }
+  if (startDate > endDate) {
+    res.status(400).json({ message: 'startDate deve ser anterior ou igual a endDate' });
+    return null;
+  }
+
+  const settings = await getPortariaSettings();
+  if (settings.missing.length > 0) {
+    res.status(400).json({ message: 'Configurações da empresa incompletas para gerar o arquivo', missing: settings.missing });
+    return null;
+  }
+
+  const ids = employeeIds ? String(employeeIds).split(',').map(id => id.trim()).filter(Boolean) : null;
+  const employees = await findExportEmployees({
+    employeeIds: ids,
+    departments: department ? [department] : null
+  });
+
+  if (employees.length === 0) {
+    res.status(400).json({ message: 'Nenhum funcionário encontrado para o filtro informado' });
+    return null;
+  }
+
+  // O CPF identifica o trabalhador nas marcações dos dois arquivos
+  const withoutCpf = employees.filter(employee => !employee.cpf);
+  if (withoutCpf.length > 0) {
+    res.status(400).json({
+      message: 'Funcionários sem CPF cadastrado',
+      employees: withoutCpf.map(employee => ({ id: employee.id, name: employee.name }))
+    });
+    return null;
+  }
+
+  return { startDate, endDate, employees, settings };
+}
+
+// GET /api/reports/afd - Arquivo Fonte de Dados (Portaria 671, Anexo V) - admin
+router.get('/afd', protect, admin, async (req, res) => {
+  try {
+    const exportData = await loadPortariaExport(req, res);
+    if (!exportData) {
+      return;
+    }
+
+    const { content, punchCount } = await generateAfd(exportData);
+
+    const requestMeta = getRequestMetadata(req);
+    await logAudit({
+      action: 'portaria_file_exported',
+      entityType: 'report',
+      entityId: `afd-${exportData.startDate}-${exportData.endDate}`,
+      userId: req.user.id,
+      description: `AFD exportado (${exportData.startDate} a ${exportData.endDate})`,
+      metadata: {
+        file: 'afd',
+        startDate: exportData.startDate,
+        endDate: exportData.endDate,
+        employeeCount: exportData.employees.length,
+        punchCount
+      },
+      ...requestMeta
+    });
+
+    res.setHeader('Content-Type', 'text/plain; charset=iso-8859-1');
+    res.setHeader('Content-Disposition', `attachment; filename=AFD-${exportData.settings.company.repNumber}-${exportData.startDate}-${exportData.endDate}.txt`);
+    res.send(Buffer.from(content, 'latin1'));
+  } catch (error) {
+    logger.logError(error, { context: 'Gerar AFD', userId: req.user?.id });
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// GET /api/reports/aej - Arquivo Eletrônico de Jornada (Portaria 671, Anexo VI) - admin
+router.get('/aej', protect, admin, async (req, res) => {
+  try {
+    const exportData = await loadPortariaExport(req, res);
+    if (!exportData) {
+      return;
+    }
+
+    const { content, punchCount } = await generateAej(exportData);
+
+    const requestMeta = getRequestMetadata(req);
+    await logAudit({
+      action: 'portaria_file_exported',
+      entityType: 'report',
+      entityId: `aej-${exportData.startDate}-${exportData.endDate}`,
+      userId: req.user.id,
+      description: `AEJ exportado (${exportData.startDate} a ${exportData.endDate})`,
+      metadata: {
+        file: 'aej',
+        startDate: exportData.startDate,
+        endDate: exportData.endDate,
+        employeeCount: exportData.employees.length,
+        punchCount
+      },
+      ...requestMeta
+    });
+
+    res.setHeader('Content-Type', 'text/plain; charset=iso-8859-1');
+    res.setHeader('Content-Disposition', `attachment; filename=AEJ-${exportData.startDate}-${exportData.endDate}.txt`);
+    res.send(Buffer.from(content, 'latin1'));
+  } catch (error) {
+    logger.logError(error, { context: 'Gerar AEJ', userId: req.user?.id });
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 export default router;
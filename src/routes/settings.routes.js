@@ -2,9 +2,17 @@ import express from 'express';
 import multer from 'multer';
 import { protect, admin } from '../middleware/auth.js';
 import { getOrCreateSettings } from '../models/companySettings.model.js';
+import { findDepartmentByName } from '../models/department.model.js';
 import prisma from '../config/database.js';
 import { logAudit, getRequestMetadata } from '../middleware/audit.js';
 import logger from '../utils/logger.js';
+import { isValidTimezone } from '../utils/timezoneUtils.js';
+import { scheduleDailyJobs } from '../jobs/scheduler.js';
+import { validateHourBankExpirationPolicy, validateHourBankMultiplierRules, normalizeHourBankMultiplierRules } from '../utils/hourBankUtils.js';
+import { validateOvertimeRateRules } from '../utils/overtimeRateUtils.js';
+import { validateApprovalChain, normalizeApprovalChain } from '../utils/approvalChainUtils.js';
+import { onlyDigits, isValidCpf, isValidCnpj } from '../utils/portariaFileUtils.js';
+import { validateAttachmentRetention } from '../utils/attachmentUtils.js';
 
 const router = express.Router();
 // Configurar multer com limites apropriados para upload de imagens
@@ -39,6 +47,23 @@ router.get('/', protect, async (req, res) => {
       defaultOvertimeLimit: settings.defaultOvertimeLimit || 40,
       defaultAccumulationLimit: settings.defaultAccumulationLimit || 0,
       defaultUsageLimit: settings.defaultUsageLimit || 0,
+      timezone: settings.timezone,
+      hourBankExpirationMonths: settings.hourBankExpirationMonths,
+      hourBankExpirationAction: settings.hourBankExpirationAction,
+      hourBankExpirationWarningDays: settings.hourBankExpirationWarningDays,
+      overtimeWeekdayRate: settings.overtimeWeekdayRate,
+      overtimeSundayHolidayRate: settings.overtimeSundayHolidayRate,
+      nightShiftRate: settings.nightShiftRate,
+      nightShiftStart: settings.nightShiftStart,
+      nightShiftEnd: settings.nightShiftEnd,
+      reducedNightHour: settings.reducedNightHour,
+      employerDocument: settings.employerDocument,
+      legalName: settings.legalName,
+      repInpiNumber: settings.repInpiNumber,
+      repDeveloperDocument: settings.repDeveloperDocument,
+      repDeveloperName: settings.repDeveloperName,
+      repDeveloperEmail: settings.repDeveloperEmail,
+      attachmentRetentionMonths: settings.attachmentRetentionMonths,
       hasLogo: !!settings.logo
     };
 
@@ -150,9 +175,54 @@ router.post('/logo', protect, admin, (req, res, next) => {
 // Atualizar configurações da empresa
 router.put('/', protect, admin, upload.single('logo'), async (req, res) => {
   try {
-    const { name, reportHeader, reportFooter, defaultOvertimeLimit, defaultAccumulationLimit, defaultUsageLimit } = req.body;
+    const { name, reportHeader, reportFooter, defaultOvertimeLimit, defaultAccumulationLimit, defaultUsageLimit, timezone } = req.body;
+    const { hourBankExpirationMonths, hourBankExpirationAction, hourBankExpirationWarningDays } = req.body;
+    const { overtimeWeekdayRate, overtimeSundayHolidayRate, nightShiftRate, nightShiftStart, nightShiftEnd, reducedNightHour } = req.body;
+    const { employerDocument, legalName, repInpiNumber, repDeveloperDocument, repDeveloperName, repDeveloperEmail } = req.body;
+    const { attachmentRetentionMonths } = req.body;
     let settings = await getOrCreateSettings();
 
+    // Fuso horário define a data dos registros de ponto (IANA, ex: America/Sao_Paulo)
+    if (timezone !== undefined && !isValidTimezone(timezone)) {
+      return res.status(400).json({ message: `Fuso horário inválido: ${timezone}. Use um fuso IANA (ex: America/Sao_Paulo)` });
+    }
+
+    // Política de expiração do banco de horas (vale para créditos lançados a partir da alteração)
+    const expirationValidation = validateHourBankExpirationPolicy({
+      expirationMonths: hourBankExpirationMonths,
+      expirationAction: hourBankExpirationAction,
+      expirationWarningDays: hourBankExpirationWarningDays
+    });
+    if (!expirationValidation.isValid) {
+      return res.status(400).json({ message: expirationValidation.errors.join('; ') });
+    }
+
+    // Regras de adicional de horas extras (valem para horas extras registradas a partir da alteração)
+    const rateValidation = validateOvertimeRateRules({
+      weekdayRate: overtimeWeekdayRate,
+      sundayHolidayRate: overtimeSundayHolidayRate,
+      nightRate: nightShiftRate,
+      nightStart: nightShiftStart ?? settings.nightShiftStart,
+      nightEnd: nightShiftEnd ?? settings.nightShiftEnd
+    });
+    if (!rateValidation.isValid) {
+      return res.status(400).json({ message: rateValidation.errors.join('; ') });
+    }
+
+    // Identificação do empregador e do desenvolvedor do programa (cabeçalhos dos arquivos AFD/AEJ)
+    if (employerDocument && !isValidCnpj(employerDocument) && !isValidCpf(employerDocument)) {
+      return res.status(400).json({ message: 'CNPJ/CPF do empregador inválido' });
+    }
+    if (repDeveloperDocument && !isValidCnpj(repDeveloperDocument) && !isValidCpf(repDeveloperDocument)) {
+      return res.status(400).json({ message: 'CNPJ/CPF do desenvolvedor do programa inválido' });
+    }
+
+    // Prazo de guarda dos anexos (o conteúdo de anexos mais antigos é removido pelo job diário)
+    const retentionValidation = validateAttachmentRetention(attachmentRetentionMonths);
+    if (!retentionValidation.isValid) {
+      return res.status(400).json({ message: retentionValidation.errors.join('; ') });
+    }
+
     // Salvar valores antigos para auditoria
     const oldValues = {
       name: settings.name,
@@ -161,6 +231,23 @@ router.put('/', protect, admin, upload.single('logo'), async (req, res) => {
       defaultOvertimeLimit: settings.defaultOvertimeLimit,
       defaultAccumulationLimit: settings.defaultAccumulationLimit,
       defaultUsageLimit: settings.defaultUsageLimit,
+      timezone: settings.timezone,
+      hourBankExpirationMonths: settings.hourBankExpirationMonths,
+      hourBankExpirationAction: settings.hourBankExpirationAction,
+      hourBankExpirationWarningDays: settings.hourBankExpirationWarningDays,
+      overtimeWeekdayRate: settings.overtimeWeekdayRate,
+      overtimeSundayHolidayRate: settings.overtimeSundayHolidayRate,
+      nightShiftRate: settings.nightShiftRate,
+      nightShiftStart: settings.nightShiftStart,
+      nightShiftEnd: settings.nightShiftEnd,
+      reducedNightHour: settings.reducedNightHour,
+      employerDocument: settings.employerDocument,
+      legalName: settings.legalName,
+      repInpiNumber: settings.repInpiNumber,
+      repDeveloperDocument: settings.repDeveloperDocument,
+      repDeveloperName: settings.repDeveloperName,
+      repDeveloperEmail: settings.repDeveloperEmail,
+      attachmentRetentionMonths: settings.attachmentRetentionMonths,
       hasLogo: !!settings.logo
     };
 
@@ -173,6 +260,24 @@ router.put('/', protect, admin, upload.single('logo'), async (req, res) => {
     if (defaultOvertimeLimit !== undefined) updateData.defaultOvertimeLimit = Number(defaultOvertimeLimit);
     if (defaultAccumulationLimit !== undefined) updateData.defaultAccumulationLimit = Number(defaultAccumulationLimit);
     if (defaultUsageLimit !== undefined) updateData.defaultUsageLimit = Number(defaultUsageLimit);
+    if (timezone !== undefined) updateData.timezone = timezone;
+    if (hourBankExpirationMonths !== undefined) updateData.hourBankExpirationMonths = Number(hourBankExpirationMonths);
+    if (hourBankExpirationAction !== undefined) updateData.hourBankExpirationAction = hourBankExpirationAction;
+    if (hourBankExpirationWarningDays !== undefined) updateData.hourBankExpirationWarningDays = Number(hourBankExpirationWarningDays);
+    if (overtimeWeekdayRate !== undefined) updateData.overtimeWeekdayRate = Number(overtimeWeekdayRate);
+    if (overtimeSundayHolidayRate !== undefined) updateData.overtimeSundayHolidayRate = Number(overtimeSundayHolidayRate);
+    if (nightShiftRate !== undefined) updateData.nightShiftRate = Number(nightShiftRate);
+    if (nightShiftStart !== undefined) updateData.nightShiftStart = nightShiftStart;
+    if (nightShiftEnd !== undefined) updateData.nightShiftEnd = nightShiftEnd;
+    // Campos chegam como string quando o body é multipart (upload de logo)
+    if (reducedNightHour !== undefined) updateData.reducedNightHour = reducedNightHour === true || reducedNightHour === 'true';
+    if (employerDocument !== undefined) updateData.employerDocument = employerDocument ? onlyDigits(employerDocument) : null;
+    if (legalName !== undefined) updateData.legalName = legalName || null;
+    if (repInpiNumber !== undefined) updateData.repInpiNumber = repInpiNumber ? onlyDigits(repInpiNumber) : null;
+    if (repDeveloperDocument !== undefined) updateData.repDeveloperDocument = repDeveloperDocument ? onlyDigits(repDeveloperDocument) : null;
+    if (repDeveloperName !== undefined) updateData.repDeveloperName = repDeveloperName || null;
+    if (repDeveloperEmail !== undefined) updateData.repDeveloperEmail = repDeveloperEmail || null;
+    if (attachmentRetentionMonths !== undefined) updateData.attachmentRetentionMonths = Number(attachmentRetentionMonths);
 
     // Atualiza o logo se foi enviado
     let logoUpdated = false;
@@ -186,6 +291,11 @@ router.put('/', protect, admin, upload.single('logo'), async (req, res) => {
       where: { id: settings.id },
       data: updateData
     });
+
+    // Jobs diários passam a executar no novo fuso sem reiniciar o servidor
+    if (updatedSettings.timezone !== settings.timezone) {
+      await scheduleDailyJobs(updatedSettings.timezone);
+    }
     
     // Registrar log de auditoria
     const requestMeta = getRequestMetadata(req);
@@ -205,6 +315,23 @@ router.put('/', protect, admin, upload.single('logo'), async (req, res) => {
           defaultOvertimeLimit: updatedSettings.defaultOvertimeLimit,
           defaultAccumulationLimit: updatedSettings.defaultAccumulationLimit,
           defaultUsageLimit: updatedSettings.defaultUsageLimit,
+          timezone: updatedSettings.timezone,
+          hourBankExpirationMonths: updatedSettings.hourBankExpirationMonths,
+          hourBankExpirationAction: updatedSettings.hourBankExpirationAction,
+          hourBankExpirationWarningDays: updatedSettings.hourBankExpirationWarningDays,
+          overtimeWeekdayRate: updatedSettings.overtimeWeekdayRate,
+          overtimeSundayHolidayRate: updatedSettings.overtimeSundayHolidayRate,
+          nightShiftRate: updatedSettings.nightShiftRate,
+          nightShiftStart: updatedSettings.nightShiftStart,
+          nightShiftEnd: updatedSettings.nightShiftEnd,
+          reducedNightHour: updatedSettings.reducedNightHour,
+          employerDocument: updatedSettings.employerDocument,
+          legalName: updatedSettings.legalName,
+          repInpiNumber: updatedSettings.repInpiNumber,
+          repDeveloperDocument: updatedSettings.repDeveloperDocument,
+          repDeveloperName: updatedSettings.repDeveloperName,
+          repDeveloperEmail: updatedSettings.repDeveloperEmail,
+          attachmentRetentionMonths: updatedSettings.attachmentRetentionMonths,
           hasLogo: !!updatedSettings.logo
         },
         logoUpdated
@@ -219,4 +346,235 @@ router.put('/', protect, admin, upload.single('logo'), async (req, res) => {
   }
 });
 
+// Obter regras de multiplicador do banco de horas (empresa e departamentos)
+router.get('/hour-bank-multipliers', protect, admin, async (req, res) => {
+  try {
+    const settings = await getOrCreateSettings();
+    const departments = await prisma.departmentHourBankRules.findMany({
+      include: { department: { select: { name: true } } },
+      orderBy: { department: { name: 'asc' } }
+    });
+
+    res.json({
+      rules: settings.hourBankMultiplierRules || [],
+      departments: departments.map(item => ({
+        departmentId: item.departmentId,
+        department: item.department.name,
+        rules: item.rules || [],
+        updatedAt: item.updatedAt
+      }))
+    });
+  } catch (error) {
+    logger.logError(error, { context: 'Obter regras de multiplicador do banco de horas' });
+    res.status(500).json({ message: 'Erro ao obter regras de multiplicador' });
+  }
+});
+
+// Atualizar regras de multiplicador do banco de horas da empresa
+router.put('/hour-bank-multipliers', protect, admin, async (req, res) => {
+  try {
+    const { rules } = req.body;
+
+    const validation = validateHourBankMultiplierRules(rules);
+    if (!validation.isValid) {
+      return res.status(400).json({ message: validation.errors.join('; ') });
+    }
+
+    const settings = await getOrCreateSettings();
+    const oldRules = settings.hourBankMultiplierRules || [];
+    const newRules = normalizeHourBankMultiplierRules(rules);
+
+    await prisma.companySettings.update({
+      where: { id: settings.id },
+      data: { hourBankMultiplierRules: newRules }
+    });
+
+    const requestMeta = getRequestMetadata(req);
+    await logAudit({
+      action: 'hourbank_multipliers_updated',
+      entityType: 'settings',
+      entityId: settings.id,
+      userId: req.user.id,
+      description: 'Regras de multiplicador do banco de horas da empresa atualizadas',
+      metadata: {
+        department: null,
+        oldRules,
+        newRules
+      },
+      ...requestMeta
+    });
+
+    res.json({ message: 'Regras de multiplicador atualizadas com sucesso', rules: newRules });
+  } catch (error) {
+    logger.logError(error, { context: 'Atualizar regras de multiplicador do banco de horas', userId: req.user?.id });
+    res.status(500).json({ message: 'Erro ao atualizar regras de multiplicador' });
+  }
+});
+
+// Definir regras de multiplicador específicas de um departamento (substituem as da empresa)
+router.put('/hour-bank-multipliers/departments/:department', protect, admin, async (req, res) => {
+  try {
+    const { rules } = req.body;
+
+    const departmentRecord = await findDepartmentByName(req.params.department);
+    if (!departmentRecord) {
+      return res.status(404).json({ message: 'Departamento não encontrado' });
+    }
+    const department = departmentRecord.name;
+
+    const validation = validateHourBankMultiplierRules(rules);
+    if (!validation.isValid) {
+      return res.status(400).json({ message: validation.errors.join('; ') });
+    }
+
+    const existing = await prisma.departmentHourBankRules.findUnique({
+      where: { departmentId: departmentRecord.id }
+    });
+    const newRules = normalizeHourBankMultiplierRules(rules);
+
+    const departmentRules = await prisma.departmentHourBankRules.upsert({
+      where: { departmentId: departmentRecord.id },
+      update: { rules: newRules },
+      create: { departmentId: departmentRecord.id, rules: newRules }
+    });
+
+    const requestMeta = getRequestMetadata(req);
+    await logAudit({
+      action: 'hourbank_multipliers_updated',
+      entityType: 'settings',
+      entityId: departmentRules.id,
+      userId: req.user.id,
+      description: `Regras de multiplicador do banco de horas do departamento ${department} atualizadas`,
+      metadata: {
+        department,
+        departmentId: departmentRecord.id,
+        oldRules: existing?.rules || null,
+        newRules
+      },
+      ...requestMeta
+    });
+
+    res.json({
+      message: 'Regras de multiplicador do departamento atualizadas com sucesso',
+      departmentId: departmentRecord.id,
+      department,
+      rules: newRules
+    });
+  } catch (error) {
+    logger.logError(error, { context: 'Atualizar regras de multiplicador do departamento', department: req.params.department, userId: req.user?.id });
+    res.status(500).json({ message: 'Erro ao atualizar regras de multiplicador do departamento' });
+  }
+});
+
+// Remover regras específicas de um departamento (volta a usar as regras da empresa)
+router.delete('/hour-bank-multipliers/departments/:department', protect, admin, async (req, res) => {
+  try {
+    const departmentRecord = await findDepartmentByName(req.params.department);
+    if (!departmentRecord) {
+      return res.status(404).json({ message: 'Departamento não encontrado' });
+    }
+    const department = departmentRecord.name;
+
+    const existing = await prisma.departmentHourBankRules.findUnique({
+      where: { departmentId: departmentRecord.id }
+    });
+    if (!existing) {
+      return res.status(404).json({ message: 'Departamento não possui regras específicas' });
+    }
+
+    await prisma.departmentHourBankRules.delete({
+      where: { departmentId: departmentRecord.id }
+    });
+
+    const requestMeta = getRequestMetadata(req);
+    await logAudit({
+      action: 'hourbank_multipliers_updated',
+      entityType: 'settings',
+      entityId: existing.id,
+      userId: req.user.id,
+      description: `Regras de multiplicador do banco de horas do departamento ${department} removidas`,
+      metadata: {
+        department,
+        departmentId: departmentRecord.id,
+        oldRules: existing.rules,
+        newRules: null
+      },
+      ...requestMeta
+    });
+
+    res.json({ message: 'Regras do departamento removidas. As regras da empresa passam a ser aplicadas.' });
+  } catch (error) {
+    logger.logError(error, { context: 'Remover regras de multiplicador do departamento', department: req.params.department, userId: req.user?.id });
+    res.status(500).json({ message: 'Erro ao remover regras de multiplicador do departamento' });
+  }
+});
+
+// Obter cadeias de aprovação de horas extras e banco de horas
+router.get('/approval-chains', protect, admin, async (req, res) => {
+  try {
+    const settings = await getOrCreateSettings();
+
+    res.json({
+      overtime: settings.overtimeApprovalChain || [],
+      hourbank: settings.hourBankApprovalChain || []
+    });
+  } catch (error) {
+    logger.logError(error, { context: 'Obter cadeias de aprovação' });
+    res.status(500).json({ message: 'Erro ao obter cadeias de aprovação' });
+  }
+});
+
+// Atualizar a cadeia de aprovação de um tipo de registro (overtime ou hourbank)
+router.put('/approval-chains/:entityType', protect, admin, async (req, res) => {
+  try {
+    const { entityType } = req.params;
+    const { steps } = req.body;
+
+    const validation = validateApprovalChain(steps, entityType);
+    if (!validation.isValid) {
+      return res.status(400).json({ message: validation.errors.join('; ') });
+    }
+
+    const newSteps = normalizeApprovalChain(steps);
+
+    // Aprovadores designados precisam existir
+    const approverIds = [...new Set(newSteps.flatMap(step => step.approverIds))];
+    if (approverIds.length > 0) {
+      const found = await prisma.user.count({ where: { id: { in: approverIds } } });
+      if (found !== approverIds.length) {
+        return res.status(400).json({ message: 'Um ou mais aprovadores designados (approverIds) não foram encontrados' });
+      }
+    }
+
+    const settings = await getOrCreateSettings();
+    const field = entityType === 'overtime' ? 'overtimeApprovalChain' : 'hourBankApprovalChain';
+    const oldSteps = settings[field] || [];
+
+    await prisma.companySettings.update({
+      where: { id: settings.id },
+      data: { [field]: newSteps }
+    });
+
+    const requestMeta = getRequestMetadata(req);
+    await logAudit({
+      action: 'approval_chain_updated',
+      entityType: 'settings',
+      entityId: settings.id,
+      userId: req.user.id,
+      description: `Cadeia de aprovação ${entityType === 'overtime' ? 'das horas extras' : 'do banco de horas'} atualizada (${newSteps.length} etapa(s))`,
+      metadata: {
+        recordType: entityType,
+        oldSteps,
+        newSteps
+      },
+      ...requestMeta
+    });
+
+    res.json({ message: 'Cadeia de aprovação atualizada com sucesso', steps: newSteps });
+  } catch (error) {
+    logger.logError(error, { context: 'Atualizar cadeia de aprovação', entityType: req.params.entityType, userId: req.user?.id });
+    res.status(500).json({ message: 'Erro ao atualizar cadeia de aprovação' });
+  }
+});
+
 export default router;
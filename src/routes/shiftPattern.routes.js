@@ -0,0 +1,279 @@
+import express from 'express';
+import { protect, admin, adminOrManager } from '../middleware/auth.js';
+import prisma from '../config/database.js';
+import {
+  findShiftPatternById,
+  findShiftPatterns,
+  countEmployeesWithShiftPattern,
+  countShiftPatternAssignments
+} from '../models/shiftPattern.model.js';
+import {
+  validateShiftPattern,
+  buildShiftPatternDays,
+  getShiftPatternScheduleForDate,
+  SHIFT_PATTERN_PRESETS
+} from '../utils/workScheduleUtils.js';
+import { addDaysToDateString } from '../utils/timeClockUtils.js';
+import { getCompanyTimezone } from '../models/companySettings.model.js';
+import { getTodayInTimezone } from '../utils/timezoneUtils.js';
+import { logAudit, getRequestMetadata } from '../middleware/audit.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+// Helper: Normalizar dados da escala recebidos no body
+// Aceita o ciclo completo em `days` ou um modelo pronto (`preset` + startTime/endTime)
+const buildShiftPatternData = (body) => {
+  let days = body.days;
+
+  if (body.preset !== undefined && body.preset !== null) {
+    days = buildShiftPatternDays(body.preset, body.startTime, body.endTime);
+  }
+
+  if (Array.isArray(days)) {
+    days = days.map(day => (day && day.startTime && day.endTime)
+      ? { startTime: day.startTime, endTime: day.endTime }
+      : null);
+  }
+
+  return {
+    name: body.name ? String(body.name).trim() : body.name,
+    description: body.description ? String(body.description).trim() : null,
+    days,
+    cycleDays: Array.isArray(days) ? days.length : 0,
+    anchorDate: body.anchorDate,
+    isActive: body.isActive !== undefined ? Boolean(body.isActive) : true
+  };
+};
+
+// GET /shift-patterns - Listar escalas de revezamento (admin ou manager)
+router.get('/', protect, adminOrManager, async (req, res) => {
+  try {
+    const { active } = req.query;
+    const shiftPatterns = await findShiftPatterns(active === 'true');
+
+    res.json(shiftPatterns.map(({ _count, ...shiftPattern }) => ({
+      ...shiftPattern,
+      employeesCount: _count?.employees || 0
+    })));
+  } catch (error) {
+    logger.logError(error, { context: 'Buscar escalas de revezamento', userId: req.user?.id });
+    res.status(500).json({ message: 'Erro ao buscar escalas', error: error.message });
+  }
+});
+
+// GET /shift-patterns/presets - Listar modelos de escala disponíveis
+router.get('/presets', protect, adminOrManager, async (req, res) => {
+  res.json(Object.entries(SHIFT_PATTERN_PRESETS).map(([name, definition]) => ({
+    name,
+    ...definition,
+    cycleDays: definition.workDays + definition.offDays
+  })));
+});
+
+// GET /shift-patterns/:id/preview - Pré-visualizar os turnos de uma escala (startDate, days, anchorDate opcional)
+router.get('/:id/preview', protect, adminOrManager, async (req, res) => {
+  try {
+    const { startDate, days = 14, anchorDate } = req.query;
+
+    const shiftPattern = await findShiftPatternById(req.params.id);
+    if (!shiftPattern) {
+      return res.status(404).json({ error: 'Escala não encontrada' });
+    }
+
+    const firstDate = startDate || getTodayInTimezone(await getCompanyTimezone());
+    const totalDays = Math.min(Math.max(Number(days) || 14, 1), 92);
+    const effectivePattern = { ...shiftPattern, anchorDate: anchorDate || shiftPattern.anchorDate };
+
+    const preview = [];
+    for (let i = 0; i < totalDays; i++) {
+      const date = addDaysToDateString(firstDate, i);
+      preview.push({
+        date,
+        schedule: getShiftPatternScheduleForDate(effectivePattern, date)
+      });
+    }
+
+    res.json({
+      id: shiftPattern.id,
+      name: shiftPattern.name,
+      anchorDate: effectivePattern.anchorDate,
+      preview
+    });
+  } catch (error) {
+    logger.logError(error, { context: 'Pré-visualizar escala', shiftPatternId: req.params.id, userId: req.user?.id });
+    res.status(500).json({ message: 'Erro ao pré-visualizar escala', error: error.message });
+  }
+});
+
+// POST /shift-patterns - Criar escala de revezamento (admin)
+router.post('/', protect, admin, async (req, res) => {
+  try {
+    if (req.body.preset !== undefined && !SHIFT_PATTERN_PRESETS[req.body.preset]) {
+      return res.status(400).json({ error: `Modelo inválido. Use ${Object.keys(SHIFT_PATTERN_PRESETS).join(', ')}` });
+    }
+
+    const data = buildShiftPatternData(req.body);
+
+    const validation = validateShiftPattern(data);
+    if (!validation.isValid) {
+      return res.status(400).json({ error: validation.errors.join('; ') });
+    }
+
+    const existing = await prisma.shiftPattern.findUnique({
+      where: { name: data.name }
+    });
+    if (existing) {
+      return res.status(400).json({ error: 'Já existe uma escala com este nome' });
+    }
+
+    const shiftPattern = await prisma.shiftPattern.create({ data });
+
+    // Registrar log de auditoria
+    const requestMeta = getRequestMetadata(req);
+    await logAudit({
+      action: 'shift_pattern_created',
+      entityType: 'settings',
+      entityId: shiftPattern.id,
+      userId: req.user.id,
+      description: `Escala de revezamento criada: ${shiftPattern.name} (ciclo de ${shiftPattern.cycleDays} dias)`,
+      metadata: data,
+      ...requestMeta
+    });
+
+    res.status(201).json(shiftPattern);
+  } catch (error) {
+    logger.logError(error, { context: 'Criar escala de revezamento', userId: req.user?.id });
+    res.status(500).json({ message: 'Erro ao criar escala', error: error.message });
+  }
+});
+
+// PATCH /shift-patterns/:id - Atualizar escala de revezamento (admin)
+router.patch('/:id', protect, admin, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const shiftPattern = await findShiftPatternById(id);
+    if (!shiftPattern) {
+      return res.status(404).json({ error: 'Escala não encontrada' });
+    }
+
+    if (req.body.preset !== undefined && !SHIFT_PATTERN_PRESETS[req.body.preset]) {
+      return res.status(400).json({ error: `Modelo inválido. Use ${Object.keys(SHIFT_PATTERN_PRESETS).join(', ')}` });
+    }
+
+    // Mesclar com valores atuais para validar a escala resultante
+    const data = buildShiftPatternData({
+      name: req.body.name !== undefined ? req.body.name : shiftPattern.name,
+      description: req.body.description !== undefined ? req.body.description : shiftPattern.description,
+      days: req.body.days !== undefined ? req.body.days : shiftPattern.days,
+      preset: req.body.preset,
+      startTime: req.body.startTime,
+      endTime: req.body.endTime,
+      anchorDate: req.body.anchorDate !== undefined ? req.body.anchorDate : shiftPattern.anchorDate,
+      isActive: req.body.isActive !== undefined ? req.body.isActive : shiftPattern.isActive
+    });
+
+    const validation = validateShiftPattern(data);
+    if (!validation.isValid) {
+      return res.status(400).json({ error: validation.errors.join('; ') });
+    }
+
+    if (data.name !== shiftPattern.name) {
+      const existing = await prisma.shiftPattern.findUnique({
+        where: { name: data.name }
+      });
+      if (existing) {
+        return res.status(400).json({ error: 'Já existe uma escala com este nome' });
+      }
+    }
+
+    const updatedShiftPattern = await prisma.shiftPattern.update({
+      where: { id },
+      data
+    });
+
+    // Registrar log de auditoria
+    const requestMeta = getRequestMetadata(req);
+    await logAudit({
+      action: 'shift_pattern_updated',
+      entityType: 'settings',
+      entityId: updatedShiftPattern.id,
+      userId: req.user.id,
+      description: `Escala de revezamento atualizada: ${updatedShiftPattern.name}`,
+      metadata: {
+        oldValues: {
+          name: shiftPattern.name,
+          description: shiftPattern.description,
+          days: shiftPattern.days,
+          cycleDays: shiftPattern.cycleDays,
+          anchorDate: shiftPattern.anchorDate,
+          isActive: shiftPattern.isActive
+        },
+        newValues: data
+      },
+      ...requestMeta
+    });
+
+    res.json(updatedShiftPattern);
+  } catch (error) {
+    logger.logError(error, { context: 'Atualizar escala de revezamento', shiftPatternId: req.params.id, userId: req.user?.id });
+    res.status(500).json({ message: 'Erro ao atualizar escala', error: error.message });
+  }
+});
+
+// DELETE /shift-patterns/:id - Remover escala de revezamento (admin)
+// Escalas com funcionários atribuídos (ou no histórico de atribuições) não podem ser removidas (desative-as ou reatribua os funcionários)
+router.delete('/:id', protect, admin, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const shiftPattern = await findShiftPatternById(id);
+    if (!shiftPattern) {
+      return res.status(404).json({ error: 'Escala não encontrada' });
+    }
+
+    const employeesCount = await countEmployeesWithShiftPattern(id);
+    if (employeesCount > 0) {
+      return res.status(400).json({
+        error: `Escala atribuída a ${employeesCount} funcionário(s). Reatribua os funcionários ou desative a escala.`
+      });
+    }
+
+    // Atribuições encerradas ainda definem a jornada das datas passadas
+    const assignmentsCount = await countShiftPatternAssignments(id);
+    if (assignmentsCount > 0) {
+      return res.status(400).json({
+        error: `Escala usada no histórico de ${assignmentsCount} atribuição(ões). Desative a escala em vez de removê-la.`
+      });
+    }
+
+    await prisma.shiftPattern.delete({
+      where: { id }
+    });
+
+    // Registrar log de auditoria
+    const requestMeta = getRequestMetadata(req);
+    await logAudit({
+      action: 'shift_pattern_deleted',
+      entityType: 'settings',
+      entityId: shiftPattern.id,
+      userId: req.user.id,
+      description: `Escala de revezamento removida: ${shiftPattern.name}`,
+      metadata: {
+        name: shiftPattern.name,
+        days: shiftPattern.days,
+        cycleDays: shiftPattern.cycleDays,
+        anchorDate: shiftPattern.anchorDate
+      },
+      ...requestMeta
+    });
+
+    res.json({ message: 'Escala removida com sucesso' });
+  } catch (error) {
+    logger.logError(error, { context: 'Remover escala de revezamento', shiftPatternId: req.params.id, userId: req.user?.id });
+    res.status(500).json({ message: 'Erro ao remover escala', error: error.message });
+  }
+});
+
+export default router;
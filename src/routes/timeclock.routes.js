@@ -1,113 +1,46 @@
 import express from 'express';
 import { protect, adminOrManager } from '../middleware/auth.js';
-import { checkEmployeeDepartment } from '../middleware/departmentAccess.js';
+import { checkEmployeeDepartment, canAccessDepartment, getManagedDepartmentIds, getApprovalAuthority } from '../middleware/departmentAccess.js';
 import prisma from '../config/database.js';
+import { Prisma } from '@prisma/client';
 import { findUserById } from '../models/user.model.js';
 import { logAudit, getRequestMetadata } from '../middleware/audit.js';
 import logger from '../utils/logger.js';
 import { formatDateForDisplay } from '../utils/dateFormatter.js';
 import { parseWorkScheduleArray } from '../models/workSchedule.model.js';
 import { sendTimeClockEmail } from '../services/emailService.js';
+import { buildDelegationAuditMetadata } from '../models/approvalDelegation.model.js';
+import { resolveDepartment } from '../models/department.model.js';
+import { addRecordComment } from '../models/recordComment.model.js';
+import { correctionInclude, findCorrectionById, findPendingCorrection, formatCorrection } from '../models/timeClockCorrection.model.js';
+import { appendPunches, findRecordPunches, formatPunchHistory } from '../models/timeClockPunch.model.js';
+import { findLockingClosing, getClosedPeriodMessage } from '../models/timesheetClosing.model.js';
+import { buildCorrectionPunches, CORRECTION_PUNCH_FIELDS, PUNCH_LABELS } from '../utils/timeClockCorrectionUtils.js';
+import { getHolidayForEmployee } from '../models/holiday.model.js';
+import { findApprovedLeaveForDate } from '../models/leave.model.js';
+import { applyHolidayToScheduledHours } from '../utils/holidayUtils.js';
+import { getScheduleDurationMinutes, getEmployeeShiftPattern, getShiftPatternScheduleForDate, getSchedulesEffectiveOn } from '../utils/workScheduleUtils.js';
+import { addDaysToDateString } from '../utils/timeClockUtils.js';
+import { getEmployeeTimezone } from '../models/companySettings.model.js';
+import { getCreditExpiresAt, calculateTimeClockOvertimeCredit } from '../models/hourBankRecord.model.js';
+import { getTimeClockOvertimeRateBreakdown } from '../models/overtime.model.js';
+import {
+  createAutomaticDebit,
+  applyJustificationEffect,
+  findAvailableJustifications,
+  isJustificationAvailable,
+  notifyJustificationSubmitted
+} from '../services/justificationService.js';
+import {
+  DEFAULT_TIMEZONE,
+  getDateStringInTimezone,
+  zonedTimeToDate,
+  getDayOfWeekFromDateString,
+  formatTimeInTimezone
+} from '../utils/timezoneUtils.js';
 
 const router = express.Router();
 
-// Helper: Criar débito automático no banco de horas quando há horas negativas
-const createAutomaticDebit = async (employeeId, date, negativeHours, timeClockId, userId, justification = null) => {
-  try {
-    // Verificar se já existe débito para este registro de ponto
-    const existingDebit = await prisma.hourBankRecord.findFirst({
-      where: {
-        employeeId,
-        date,
-        type: 'debit',
-        reason: {
-          contains: `Registro de ponto ${date}`
-        }
-      }
-    });
-
-    if (existingDebit) {
-      logger.info('Débito já existe para este registro de ponto', { timeClockId, existingDebitId: existingDebit.id });
-      return existingDebit;
-    }
-
-    // Verificar saldo disponível (mas não bloquear se não houver saldo - o débito será criado mesmo assim)
-    const allRecords = await prisma.hourBankRecord.findMany({
-      where: { employeeId }
-    });
-
-    let totalBalance = 0;
-    allRecords.forEach(record => {
-      if (record.status === 'approved') {
-        if (record.type === 'credit') {
-          totalBalance += record.hours;
-        } else {
-          totalBalance -= record.hours;
-        }
-      }
-    });
-
-    // Criar débito no banco de horas automaticamente
-    const reasonText = justification 
-      ? `Horas não trabalhadas em ${formatDateForDisplay(date)} - ${justification}`
-      : `Horas não trabalhadas em ${formatDateForDisplay(date)} (via registro de ponto)`;
-
-    const hourBankDebit = await prisma.hourBankRecord.create({
-      data: {
-        employeeId,
-        date,
-        type: 'debit',
-        hours: negativeHours,
-        reason: reasonText,
-        status: 'pending', // Pendente para aprovação manual pelo admin/manager
-        createdBy: userId
-      }
-    });
-
-    // Atualizar o registro de ponto com o ID do débito
-    await prisma.timeClock.update({
-      where: { id: timeClockId },
-      data: { hourBankDebitId: hourBankDebit.id }
-    });
-
-    // Registrar log de auditoria
-    await logAudit({
-      action: 'hourbank_debit_created',
-      entityType: 'hourbank',
-      entityId: hourBankDebit.id,
-      userId: userId,
-      targetUserId: employeeId,
-      description: `Débito no banco de horas criado automaticamente via registro de ponto: ${negativeHours}h em ${formatDateForDisplay(date)}`,
-      metadata: {
-        hours: negativeHours,
-        date: date,
-        type: 'debit',
-        timeClockId: timeClockId,
-        autoCreated: true,
-        justification: justification
-      }
-    });
-
-    logger.info('Débito no banco de horas criado automaticamente', { 
-      timeClockId, 
-      employeeId, 
-      negativeHours,
-      hourBankDebitId: hourBankDebit.id 
-    });
-
-    return hourBankDebit;
-  } catch (error) {
-    logger.logError(error, { 
-      context: 'Criar débito automático no banco de horas',
-      employeeId,
-      date,
-      negativeHours
-    });
-    // Não lançar erro - apenas logar, para não quebrar o fluxo de registro de ponto
-    return null;
-  }
-};
-
 // Helper: Calcular horas trabalhadas
 const calculateWorkedHours = (entryTime, exitTime, lunchExitTime, lunchReturnTime, lunchBreakHours = 0) => {
   if (!entryTime || !exitTime) return 0;
@@ -153,46 +86,61 @@ const calculateLunchOvertime = (lunchExitTime, lunchReturnTime, lunchBreakHours)
 // Helper: Calcular horas agendadas
 // Helper: Obter workSchedule da tabela work_schedules (formato atual)
 // O campo workSchedule (JSON) no User é legado e pode ser removido
-const getWorkSchedule = (employee) => {
+// Funcionários com escala de revezamento (ex: 12x36) na data retornam { shiftPattern } no lugar da jornada semanal
+// Usa a versão da jornada e a atribuição de escala vigentes na data do registro (não as atuais)
+const getWorkSchedule = (employee, date) => {
   if (!employee) return null;
   
+  const shiftPattern = getEmployeeShiftPattern(employee, date);
+  if (shiftPattern) {
+    return { shiftPattern };
+  }
+  
   // Sempre usar a tabela work_schedules (formato atual)
-  if (employee.workSchedules && employee.workSchedules.length > 0) {
-    return parseWorkScheduleArray(employee.workSchedules);
+  const schedules = getSchedulesEffectiveOn(employee.workSchedules, date);
+  if (schedules && schedules.length > 0) {
+    return parseWorkScheduleArray(schedules);
   }
   
   return null;
 };
 
-const calculateScheduledHours = (workSchedule, date, lunchBreakHours = 0) => {
-  if (!workSchedule) return 0;
+// Helper: Obter o horário previsto para uma data (escala de revezamento ou dia da semana)
+const getDaySchedule = (workSchedule, date) => {
+  if (workSchedule.shiftPattern) {
+    return getShiftPatternScheduleForDate(workSchedule.shiftPattern, date);
+  }
   
-  const dayOfWeek = new Date(date).getDay(); // 0 = domingo, 1 = segunda, etc.
+  const dayOfWeek = getDayOfWeekFromDateString(date); // 0 = domingo, 1 = segunda, etc.
   const dayNames = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
   const dayName = dayNames[dayOfWeek];
   
-  const schedule = workSchedule[dayName];
+  return workSchedule[dayName];
+};
+
+// Se houver feriado aplicável ao funcionário, as horas agendadas são zeradas (ou reduzidas pela metade);
+// dias cobertos por afastamento aprovado não têm horas agendadas
+const calculateScheduledHours = (workSchedule, date, lunchBreakHours = 0, holiday = null, leave = null) => {
+  if (!workSchedule || leave) return 0;
+  
+  const schedule = getDaySchedule(workSchedule, date);
   if (!schedule || !schedule.startTime || !schedule.endTime) return 0;
   
-  const start = new Date(`${date}T${schedule.startTime}`);
-  const end = new Date(`${date}T${schedule.endTime}`);
-  const totalHours = (end.getTime() - start.getTime()) / (1000 * 60 * 60);
+  // Turnos noturnos (ex: 22:00 - 06:00) terminam no dia seguinte
+  const totalHours = getScheduleDurationMinutes(schedule) / 60;
   
-  return Math.max(0, totalHours - lunchBreakHours);
+  return applyHolidayToScheduledHours(Math.max(0, totalHours - lunchBreakHours), holiday);
 };
 
 // Helper: Calcular atraso
-const calculateLateMinutes = (entryTime, workSchedule, date, lateTolerance = 0) => {
+// O horário previsto é interpretado no fuso do funcionário (ou da empresa)
+const calculateLateMinutes = (entryTime, workSchedule, date, lateTolerance = 0, timezone = DEFAULT_TIMEZONE) => {
   if (!entryTime || !workSchedule) return 0;
   
-  const dayOfWeek = new Date(date).getDay();
-  const dayNames = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
-  const dayName = dayNames[dayOfWeek];
-  
-  const schedule = workSchedule[dayName];
+  const schedule = getDaySchedule(workSchedule, date);
   if (!schedule || !schedule.startTime) return 0;
   
-  const scheduledStart = new Date(`${date}T${schedule.startTime}`);
+  const scheduledStart = zonedTimeToDate(date, schedule.startTime, timezone);
   const actualEntry = new Date(entryTime);
   
   const diffMinutes = (actualEntry.getTime() - scheduledStart.getTime()) / (1000 * 60);
@@ -220,11 +168,69 @@ const calculateLunchLateMinutes = (lunchExitTime, lunchReturnTime, lunchBreakHou
   return Math.max(0, diffMinutes);
 };
 
+// Helper: Buscar o registro de ponto ao qual uma batida deve ser anexada
+// Turnos noturnos pertencem à data de início: batidas feitas após a meia-noite são anexadas
+// ao registro do dia anterior enquanto ele estiver em aberto (entrada sem saída)
+const MAX_OPEN_SHIFT_HOURS = 16;
+
+const findRecordForPunch = async (employeeId, date, punchTime = new Date(), include = undefined) => {
+  const record = await prisma.timeClock.findFirst({
+    where: { employeeId, date },
+    include
+  });
+  
+  if (record?.entryTime) return record;
+  
+  const previousRecord = await prisma.timeClock.findFirst({
+    where: {
+      employeeId,
+      date: addDaysToDateString(date, -1),
+      entryTime: { not: null },
+      exitTime: null
+    },
+    include
+  });
+  
+  if (previousRecord) {
+    const openHours = (punchTime.getTime() - new Date(previousRecord.entryTime).getTime()) / (1000 * 60 * 60);
+    if (openHours >= 0 && openHours <= MAX_OPEN_SHIFT_HOURS) {
+      return previousRecord;
+    }
+  }
+  
+  return record;
+};
+
+// Helper: Campos da justificativa enviada pelo funcionário (fica pendente até a análise do gestor)
+// Reenviar a justificativa pendente ou já aprovada mantém a análise
+const getSubmittedJustificationData = (record, justification) => {
+  const data = { justificationId: justification.id, justification: justification.reason };
+  if (record?.justificationId === justification.id && ['pending', 'approved'].includes(record.justificationStatus)) {
+    return data;
+  }
+  return {
+    ...data,
+    justificationStatus: 'pending',
+    justificationSubmittedAt: new Date(),
+    justificationReviewedBy: null,
+    justificationReviewedAt: null,
+    justificationReviewComment: null,
+    justificationDelegationId: null
+  };
+};
+
 // POST /timeclock/clock-in - Registrar entrada
 router.post('/clock-in', protect, async (req, res) => {
   try {
     const employeeId = req.user.id;
-    const today = new Date().toISOString().split('T')[0];
+    const timezone = await getEmployeeTimezone(req.user);
+    const today = getDateStringInTimezone(new Date(), timezone);
+    
+    // Registros de meses fechados são somente leitura
+    const lockingClosing = await findLockingClosing(employeeId, today);
+    if (lockingClosing) {
+      return res.status(409).json({ error: getClosedPeriodMessage(lockingClosing) });
+    }
     
     // Verificar se já existe registro para hoje
     let record = await prisma.timeClock.findFirst({
@@ -256,24 +262,33 @@ router.post('/clock-in', protect, async (req, res) => {
         }
       });
     }
+
+    // Gravar a batida no log imutável
+    await appendPunches(record, { entryTime: record.entryTime }, {
+      source: 'clock',
+      userId: req.user.id,
+      ipAddress: getRequestMetadata(req).ipAddress
+    });
     
     // Buscar dados do funcionário para calcular atraso
     const employee = await findUserById(employeeId);
-    const workSchedule = getWorkSchedule(employee);
-    if (employee && workSchedule) {
+    const workSchedule = getWorkSchedule(employee, today);
+    // Em feriado de dia inteiro ou afastamento aprovado não há jornada, portanto não há atraso
+    const holiday = await getHolidayForEmployee(employee, today);
+    const leave = await findApprovedLeaveForDate(employeeId, today);
+    if (employee && workSchedule && !leave && (!holiday || holiday.isHalfDay)) {
       const lateMinutes = calculateLateMinutes(
         record.entryTime,
         workSchedule,
         today,
-        employee.lateTolerance || 0
+        employee.lateTolerance || 0,
+        timezone
       );
       
       // Se houver atraso, verificar se precisa de justificativa
       if (lateMinutes > 0) {
         try {
-          const justifications = await prisma.justification.findMany({
-            where: { isActive: true }
-          });
+          const justifications = await findAvailableJustifications(employee);
           
           if (justifications.length > 0) {
             return res.status(400).json({
@@ -305,7 +320,7 @@ router.post('/clock-in', protect, async (req, res) => {
       entityId: record.id,
       userId: req.user.id,
       targetUserId: employeeId,
-      description: `Entrada registrada: ${new Date(record.entryTime).toLocaleTimeString('pt-BR')}`,
+      description: `Entrada registrada: ${formatTimeInTimezone(record.entryTime, timezone)}`,
       metadata: {
         date: today,
         entryTime: record.entryTime
@@ -331,18 +346,20 @@ router.post('/clock-in', protect, async (req, res) => {
 router.post('/clock-out-lunch', protect, async (req, res) => {
   try {
     const employeeId = req.user.id;
-    const today = new Date().toISOString().split('T')[0];
+    const timezone = await getEmployeeTimezone(req.user);
+    const today = getDateStringInTimezone(new Date(), timezone);
     
-    const record = await prisma.timeClock.findFirst({
-      where: {
-        employeeId,
-        date: today
-      }
-    });
+    const record = await findRecordForPunch(employeeId, today);
     
     if (!record) {
       return res.status(404).json({ error: 'Registro não encontrado. Registre a entrada primeiro.' });
     }
+
+    // Registros de meses fechados são somente leitura
+    const lockingClosing = await findLockingClosing(employeeId, record.date);
+    if (lockingClosing) {
+      return res.status(409).json({ error: getClosedPeriodMessage(lockingClosing) });
+    }
     
     if (!record.entryTime) {
       return res.status(400).json({ error: 'Entrada não registrada' });
@@ -358,6 +375,11 @@ router.post('/clock-out-lunch', protect, async (req, res) => {
         lunchExitTime: new Date()
       }
     });
+    await appendPunches(updatedRecord, { lunchExitTime: updatedRecord.lunchExitTime }, {
+      source: 'clock',
+      userId: req.user.id,
+      ipAddress: getRequestMetadata(req).ipAddress
+    });
     
     // Registrar log de auditoria
     const requestMeta = getRequestMetadata(req);
@@ -369,7 +391,7 @@ router.post('/clock-out-lunch', protect, async (req, res) => {
       targetUserId: employeeId,
       description: `Saída para almoço registrada`,
       metadata: {
-        date: today,
+        date: record.date,
         lunchExitTime: updatedRecord.lunchExitTime
       },
       ...requestMeta
@@ -394,18 +416,20 @@ router.post('/clock-out-lunch', protect, async (req, res) => {
 router.post('/clock-in-lunch', protect, async (req, res) => {
   try {
     const employeeId = req.user.id;
-    const today = new Date().toISOString().split('T')[0];
+    const timezone = await getEmployeeTimezone(req.user);
+    const today = getDateStringInTimezone(new Date(), timezone);
     
-    const record = await prisma.timeClock.findFirst({
-      where: {
-        employeeId,
-        date: today
-      }
-    });
+    const record = await findRecordForPunch(employeeId, today);
     
     if (!record) {
       return res.status(404).json({ error: 'Registro não encontrado' });
     }
+
+    // Registros de meses fechados são somente leitura
+    const lockingClosing = await findLockingClosing(employeeId, record.date);
+    if (lockingClosing) {
+      return res.status(409).json({ error: getClosedPeriodMessage(lockingClosing) });
+    }
     
     if (!record.lunchExitTime) {
       return res.status(400).json({ error: 'Saída para almoço não registrada' });
@@ -436,6 +460,11 @@ router.post('/clock-in-lunch', protect, async (req, res) => {
         lunchLateMinutes: lunchLateMinutes > 0 ? Math.round(lunchLateMinutes) : null
       }
     });
+    await appendPunches(updatedRecord, { lunchReturnTime: updatedRecord.lunchReturnTime }, {
+      source: 'clock',
+      userId: req.user.id,
+      ipAddress: getRequestMetadata(req).ipAddress
+    });
     
     // Registrar log de auditoria
     const requestMeta = getRequestMetadata(req);
@@ -447,7 +476,7 @@ router.post('/clock-in-lunch', protect, async (req, res) => {
       targetUserId: employeeId,
       description: `Volta do almoço registrada`,
       metadata: {
-        date: today,
+        date: record.date,
         lunchReturnTime: updatedRecord.lunchReturnTime
       },
       ...requestMeta
@@ -471,14 +500,10 @@ router.post('/clock-in-lunch', protect, async (req, res) => {
 router.post('/clock-out', protect, async (req, res) => {
   try {
     const employeeId = req.user.id;
-    const today = new Date().toISOString().split('T')[0];
+    const timezone = await getEmployeeTimezone(req.user);
+    const punchDate = getDateStringInTimezone(new Date(), timezone);
     
-    const record = await prisma.timeClock.findFirst({
-      where: {
-        employeeId,
-        date: today
-      }
-    });
+    const record = await findRecordForPunch(employeeId, punchDate, new Date());
     
     if (!record) {
       return res.status(404).json({ error: 'Registro não encontrado. Registre a entrada primeiro.' });
@@ -491,6 +516,15 @@ router.post('/clock-out', protect, async (req, res) => {
     if (record.exitTime) {
       return res.status(400).json({ error: 'Saída já registrada' });
     }
+
+    // Registros de meses fechados são somente leitura
+    const lockingClosing = await findLockingClosing(employeeId, record.date);
+    if (lockingClosing) {
+      return res.status(409).json({ error: getClosedPeriodMessage(lockingClosing) });
+    }
+    
+    // Data do turno (para turnos noturnos, a data de início)
+    const shiftDate = record.date;
     
     const exitTime = new Date();
     
@@ -508,11 +542,13 @@ router.post('/clock-out', protect, async (req, res) => {
     );
     
     // Obter workSchedule no formato correto
-    const workSchedule = getWorkSchedule(employee);
+    const workSchedule = getWorkSchedule(employee, shiftDate);
     
-    // Calcular horas agendadas
+    // Calcular horas agendadas (considerando feriados e afastamentos aprovados do funcionário)
+    const holiday = await getHolidayForEmployee(employee, shiftDate);
+    const leave = await findApprovedLeaveForDate(employeeId, shiftDate);
     const scheduledHours = workSchedule 
-      ? calculateScheduledHours(workSchedule, today, lunchBreakHours)
+      ? calculateScheduledHours(workSchedule, shiftDate, lunchBreakHours, holiday, leave)
       : 0;
     
     // Calcular horas negativas
@@ -538,20 +574,30 @@ router.post('/clock-out', protect, async (req, res) => {
       totalWorkedHours,
       scheduledHours,
       overtimeHours: overtimeHours > 0 ? overtimeHours : null,
+      overtimeRateBreakdown: (await getTimeClockOvertimeRateBreakdown(employee, exitTime, overtimeHours, timezone)) || Prisma.DbNull,
       negativeHours: negativeHours > 0 ? negativeHours : null
     };
     
-    const updatedRecord = await prisma.timeClock.update({
+    let updatedRecord = await prisma.timeClock.update({
       where: { id: record.id },
       data: updateData
     });
+    await appendPunches(updatedRecord, { exitTime: updatedRecord.exitTime }, {
+      source: 'clock',
+      userId: req.user.id,
+      ipAddress: getRequestMetadata(req).ipAddress
+    });
     
-    // Se houver horas negativas, verificar se precisa de justificativa
-    if (negativeHours > 0) {
+    // Justificativa informada na entrada (atraso): o efeito dela vale para as horas não trabalhadas do dia
+    if (negativeHours > 0 && record.justificationId) {
+      const justification = await prisma.justification.findUnique({
+        where: { id: record.justificationId }
+      });
+      updatedRecord = (await applyJustificationEffect(updatedRecord, justification, req.user.id)).record;
+    } else if (negativeHours > 0) {
+      // Se houver horas negativas, verificar se precisa de justificativa
       try {
-        const justifications = await prisma.justification.findMany({
-          where: { isActive: true }
-        });
+        const justifications = await findAvailableJustifications(employee);
         
         if (justifications.length > 0) {
           return res.status(400).json({
@@ -565,7 +611,7 @@ router.post('/clock-out', protect, async (req, res) => {
         // Se não há justificativas configuradas, criar débito automaticamente
         await createAutomaticDebit(
           employeeId,
-          today,
+          shiftDate,
           negativeHours,
           updatedRecord.id,
           req.user.id
@@ -582,22 +628,28 @@ router.post('/clock-out', protect, async (req, res) => {
         const existingCredit = await prisma.hourBankRecord.findFirst({
           where: {
             employeeId,
-            date: today,
+            date: shiftDate,
             type: 'credit',
             reason: {
-              contains: `Registro de ponto ${today}`
+              contains: `Registro de ponto ${shiftDate}`
             }
           }
         });
 
         if (!existingCredit) {
+          // Aplicar multiplicadores do banco de horas (empresa ou departamento)
+          const credit = await calculateTimeClockOvertimeCredit(employee, exitTime, overtimeHours, timezone);
+
           const hourBankCredit = await prisma.hourBankRecord.create({
             data: {
               employeeId,
-              date: today,
+              date: shiftDate,
               type: 'credit',
-              hours: overtimeHours,
-              reason: `Horas extras trabalhadas em ${formatDateForDisplay(today)} (via registro de ponto)`,
+              hours: credit.creditedHours,
+              rawHours: credit.rawHours,
+              appliedMultipliers: credit.appliedMultipliers,
+              reason: `Horas extras trabalhadas em ${formatDateForDisplay(shiftDate)} (via registro de ponto)`,
+              expiresAt: await getCreditExpiresAt(shiftDate),
               status: 'pending', // Pendente para aprovação manual pelo admin/manager
               createdBy: req.user.id
             }
@@ -614,10 +666,12 @@ router.post('/clock-out', protect, async (req, res) => {
             entityId: hourBankCredit.id,
             userId: req.user.id,
             targetUserId: employeeId,
-            description: `Crédito no banco de horas criado automaticamente via registro de ponto: ${overtimeHours}h em ${formatDateForDisplay(today)}`,
+            description: `Crédito no banco de horas criado automaticamente via registro de ponto: ${credit.creditedHours}h em ${formatDateForDisplay(shiftDate)}`,
             metadata: {
-              hours: overtimeHours,
-              date: today,
+              hours: credit.creditedHours,
+              rawHours: credit.rawHours,
+              appliedMultipliers: credit.appliedMultipliers,
+              date: shiftDate,
               type: 'credit',
               timeClockId: updatedRecord.id,
               autoCreated: true
@@ -643,9 +697,9 @@ router.post('/clock-out', protect, async (req, res) => {
       entityId: updatedRecord.id,
       userId: req.user.id,
       targetUserId: employeeId,
-      description: `Saída registrada: ${exitTime.toLocaleTimeString('pt-BR')} - ${totalWorkedHours.toFixed(2)}h trabalhadas`,
+      description: `Saída registrada: ${formatTimeInTimezone(exitTime, timezone)} - ${totalWorkedHours.toFixed(2)}h trabalhadas`,
       metadata: {
-        date: today,
+        date: shiftDate,
         exitTime,
         totalWorkedHours,
         negativeHours,
@@ -672,21 +726,17 @@ router.post('/clock-out', protect, async (req, res) => {
 router.get('/today', protect, async (req, res) => {
   try {
     const employeeId = req.user.id;
-    const today = new Date().toISOString().split('T')[0];
-    
-    const record = await prisma.timeClock.findFirst({
-      where: {
-        employeeId,
-        date: today
-      },
-      include: {
-        employee: {
-          select: {
-            id: true,
-            name: true,
-            email: true,
-            lateTolerance: true
-          }
+    const timezone = await getEmployeeTimezone(req.user);
+    const today = getDateStringInTimezone(new Date(), timezone);
+    
+    // Inclui turno noturno iniciado ontem que ainda está em aberto
+    const record = await findRecordForPunch(employeeId, today, new Date(), {
+      employee: {
+        select: {
+          id: true,
+          name: true,
+          email: true,
+          lateTolerance: true
         }
       }
     });
@@ -756,6 +806,61 @@ router.get('/my-records', protect, async (req, res) => {
   }
 });
 
+// GET /timeclock/history - Histórico completo de um dia: batidas originais, ajustes e correções
+// Funcionário consulta os próprios dias; admin/manager, os de funcionários do seu departamento
+router.get('/history', protect, async (req, res) => {
+  try {
+    const { date } = req.query;
+    const employeeId = req.query.employeeId || req.user.id;
+
+    if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return res.status(400).json({ message: 'Data inválida (deve ser YYYY-MM-DD)' });
+    }
+
+    if (employeeId !== req.user.id) {
+      const hasAccess = ['admin', 'manager'].includes(req.user.role) && await checkEmployeeDepartment(employeeId, req.user);
+      if (!hasAccess) {
+        return res.status(403).json({
+          message: 'Acesso negado. Você só pode ver registros de funcionários do seu departamento.'
+        });
+      }
+    }
+
+    const record = await prisma.timeClock.findUnique({
+      where: { employeeId_date: { employeeId, date } }
+    });
+    if (!record) {
+      return res.status(404).json({ message: 'Registro não encontrado' });
+    }
+
+    const [punches, corrections] = await Promise.all([
+      findRecordPunches(record.id),
+      prisma.timeClockCorrection.findMany({
+        where: { timeClockId: record.id },
+        include: correctionInclude,
+        orderBy: { createdAt: 'asc' }
+      })
+    ]);
+
+    res.json({
+      employeeId,
+      date,
+      record: {
+        id: record.id,
+        entryTime: record.entryTime,
+        lunchExitTime: record.lunchExitTime,
+        lunchReturnTime: record.lunchReturnTime,
+        exitTime: record.exitTime
+      },
+      punches: formatPunchHistory(punches),
+      corrections: corrections.map(formatCorrection)
+    });
+  } catch (error) {
+    logger.logError(error, { context: 'Buscar histórico de batidas', employeeId: req.query.employeeId, date: req.query.date, userId: req.user?.id });
+    res.status(500).json({ message: 'Erro ao buscar histórico', error: error.message });
+  }
+});
+
 // GET /timeclock/records/:employeeId - Listar registros de um funcionário (admin/manager)
 router.get('/records/:employeeId', protect, adminOrManager, async (req, res) => {
   try {
@@ -880,16 +985,21 @@ router.get('/all-records', protect, adminOrManager, async (req, res) => {
 // GET /timeclock/department-records - Listar registros por departamento (manager)
 router.get('/department-records', protect, async (req, res) => {
   try {
-    const { department, startDate, endDate, page = 1, limit = 20 } = req.query;
+    const { departmentId, department, startDate, endDate, page = 1, limit = 20 } = req.query;
     
     // Validar acesso
     if (req.user.role === 'employee') {
       return res.status(403).json({ message: 'Acesso negado' });
     }
     
+    // Departamento pelo ID ou pelo nome (sem diferenciar maiúsculas)
+    const targetDepartment = departmentId || department
+      ? await resolveDepartment({ departmentId, department })
+      : null;
+
     // Manager só pode ver seu próprio departamento
     if (req.user.role === 'manager') {
-      if (!department || department !== req.user.department) {
+      if (!targetDepartment || !canAccessDepartment(req.user, targetDepartment.id)) {
         return res.status(403).json({ 
           message: 'Acesso negado. Você só pode ver registros do seu departamento.' 
         });
@@ -897,10 +1007,12 @@ router.get('/department-records', protect, async (req, res) => {
     }
     
     // Buscar funcionários do departamento
-    const departmentEmployees = await prisma.user.findMany({
-      where: { department },
-      select: { id: true }
-    });
+    const departmentEmployees = targetDepartment
+      ? await prisma.user.findMany({
+        where: { departmentId: targetDepartment.id },
+        select: { id: true }
+      })
+      : [];
     
     if (departmentEmployees.length === 0) {
       return res.json({
@@ -964,36 +1076,265 @@ router.get('/department-records', protect, async (req, res) => {
   }
 });
 
+// Status de uma solicitação de correção de ponto
+const CORRECTION_STATUSES = ['pending', 'approved', 'rejected', 'cancelled'];
+
+// Dados do funcionário necessários para recalcular um registro de ponto
+const recordRecalculationInclude = {
+  employee: {
+    select: {
+      id: true,
+      department: true,
+      departmentId: true,
+      workSchedules: {    // Tabela normalizada (formato atual)
+        select: {
+          dayOfWeek: true,
+          startTime: true,
+          endTime: true,
+          isActive: true,
+          validFrom: true,
+          validTo: true
+        },
+        orderBy: {
+          dayOfWeek: 'asc'
+        }
+      },
+      lunchBreakHours: true,
+      lateTolerance: true,
+      state: true,
+      city: true,
+      timezone: true,
+      shiftPatternId: true,
+      shiftPatternAnchorDate: true,
+      shiftPattern: {
+        select: {
+          id: true,
+          name: true,
+          cycleDays: true,
+          days: true,
+          anchorDate: true,
+          isActive: true
+        }
+      },
+      shiftPatternAssignments: { // Vigência das escalas (resolvida pela data do registro)
+        select: {
+          anchorDate: true,
+          validFrom: true,
+          validTo: true,
+          shiftPattern: {
+            select: {
+              id: true,
+              name: true,
+              cycleDays: true,
+              days: true,
+              anchorDate: true,
+              isActive: true
+            }
+          }
+        }
+      }
+    }
+  }
+};
+
+// Helper: Aplicar alterações a um registro de ponto, recalculando horas, atrasos e banco de horas
+// record deve incluir recordRecalculationInclude; batidas alteradas entram no log como ajustes
+// (punchLog: { source, reason?, correctionId?, ipAddress? }); retorna o registro atualizado
+const applyTimeClockChanges = async (record, updateData, userId, punchLog) => {
+  // Recalcular valores quando alguma batida muda (com entrada e saída registradas)
+  if (CORRECTION_PUNCH_FIELDS.some(field => updateData[field] !== undefined)) {
+    const finalEntryTime = updateData.entryTime !== undefined ? updateData.entryTime : record.entryTime;
+    const finalExitTime = updateData.exitTime !== undefined ? updateData.exitTime : record.exitTime;
+    const finalLunchExitTime = updateData.lunchExitTime !== undefined ? updateData.lunchExitTime : record.lunchExitTime;
+    const finalLunchReturnTime = updateData.lunchReturnTime !== undefined ? updateData.lunchReturnTime : record.lunchReturnTime;
+    
+    if (finalEntryTime && finalExitTime) {
+      const lunchBreakHours = record.employee.lunchBreakHours || 0;
+      
+      // Calcular horas trabalhadas
+      const totalWorkedHours = calculateWorkedHours(
+        finalEntryTime,
+        finalExitTime,
+        finalLunchExitTime,
+        finalLunchReturnTime,
+        lunchBreakHours
+      );
+      
+      // Obter workSchedule no formato correto
+      const workSchedule = getWorkSchedule(record.employee, record.date);
+      const timezone = await getEmployeeTimezone(record.employee);
+      
+      // Calcular horas agendadas (considerando feriados e afastamentos aprovados do funcionário)
+      const holiday = await getHolidayForEmployee(record.employee, record.date);
+      const leave = await findApprovedLeaveForDate(record.employeeId, record.date);
+      const scheduledHours = workSchedule 
+        ? calculateScheduledHours(workSchedule, record.date, lunchBreakHours, holiday, leave)
+        : 0;
+      
+      // Calcular horas negativas (apenas se houver horário agendado)
+      const negativeHours = scheduledHours > 0 ? Math.max(0, scheduledHours - totalWorkedHours) : 0;
+      
+      // Calcular horas extras normais (trabalhou além do horário agendado)
+      const normalOvertime = (scheduledHours > 0 && totalWorkedHours > scheduledHours) 
+        ? totalWorkedHours - scheduledHours 
+        : 0;
+      
+      // Calcular horas extras por almoço não tirado
+      const lunchOvertime = calculateLunchOvertime(
+        finalLunchExitTime,
+        finalLunchReturnTime,
+        lunchBreakHours
+      );
+      
+      // Total de horas extras = horas extras normais + horas extras por almoço
+      const overtimeHours = normalOvertime + lunchOvertime;
+      
+      // Calcular atraso no retorno do almoço (se houver registro de almoço)
+      const lunchLateMinutes = (finalLunchExitTime && finalLunchReturnTime)
+        ? calculateLunchLateMinutes(
+            finalLunchExitTime,
+            finalLunchReturnTime,
+            lunchBreakHours
+          )
+        : null;
+      
+      // Calcular atraso (em feriado de dia inteiro ou afastamento não há jornada, portanto não há atraso)
+      const lateMinutes = finalEntryTime && workSchedule && !leave && (!holiday || holiday.isHalfDay)
+        ? calculateLateMinutes(
+            finalEntryTime,
+            workSchedule,
+            record.date,
+            record.employee.lateTolerance || 0,
+            timezone
+          )
+        : null;
+      
+      updateData.totalWorkedHours = totalWorkedHours;
+      updateData.scheduledHours = scheduledHours;
+      updateData.negativeHours = negativeHours > 0 ? negativeHours : null;
+      // O abono da justificativa é recalculado sobre as novas horas negativas
+      updateData.waivedHours = null;
+      updateData.overtimeHours = overtimeHours > 0 ? overtimeHours : null;
+      updateData.overtimeRateBreakdown = (await getTimeClockOvertimeRateBreakdown(record.employee, finalExitTime, overtimeHours, timezone)) || Prisma.DbNull;
+      updateData.lateMinutes = lateMinutes > 0 ? Math.round(lateMinutes) : null;
+      updateData.lunchLateMinutes = lunchLateMinutes > 0 ? Math.round(lunchLateMinutes) : null;
+    }
+  }
+  
+  let updatedRecord = await prisma.timeClock.update({
+    where: { id: record.id },
+    data: updateData,
+    include: {
+      employee: {
+        select: {
+          id: true,
+          name: true,
+          email: true,
+          lateTolerance: true
+        }
+      }
+    }
+  });
+
+  const punchChanges = Object.fromEntries(
+    CORRECTION_PUNCH_FIELDS.filter(field => updateData[field] !== undefined).map(field => [field, updateData[field]])
+  );
+  await appendPunches(record, punchChanges, { ...punchLog, userId });
+  
+  // Se houver horas negativas após a edição, aplicar o efeito da justificativa e criar/atualizar o débito
+  if (updatedRecord.justificationId || updatedRecord.waivedHours > 0) {
+    const justification = updatedRecord.justificationId
+      ? await prisma.justification.findUnique({ where: { id: updatedRecord.justificationId } })
+      : null;
+    const applied = await applyJustificationEffect(updatedRecord, justification, userId);
+    updatedRecord = { ...updatedRecord, negativeHours: applied.record.negativeHours, waivedHours: applied.record.waivedHours };
+  } else if (updatedRecord.negativeHours && updatedRecord.negativeHours > 0) {
+    await createAutomaticDebit(
+      record.employeeId,
+      record.date,
+      updatedRecord.negativeHours,
+      updatedRecord.id,
+      userId,
+      updatedRecord.justification || null
+    );
+  }
+  
+  // Se houver horas extras após a edição, criar/atualizar crédito
+  if (updatedRecord.overtimeHours && updatedRecord.overtimeHours > 0) {
+    try {
+      const existingCredit = await prisma.hourBankRecord.findFirst({
+        where: {
+          employeeId: record.employeeId,
+          date: record.date,
+          type: 'credit',
+          reason: {
+            contains: `Registro de ponto ${record.date}`
+          }
+        }
+      });
+
+      if (!existingCredit) {
+        // Aplicar multiplicadores do banco de horas (empresa ou departamento)
+        const credit = await calculateTimeClockOvertimeCredit(record.employee, updatedRecord.exitTime, updatedRecord.overtimeHours, await getEmployeeTimezone(record.employee));
+
+        const hourBankCredit = await prisma.hourBankRecord.create({
+          data: {
+            employeeId: record.employeeId,
+            date: record.date,
+            type: 'credit',
+            hours: credit.creditedHours,
+            rawHours: credit.rawHours,
+            appliedMultipliers: credit.appliedMultipliers,
+            reason: `Horas extras trabalhadas em ${formatDateForDisplay(record.date)} (via registro de ponto)`,
+            expiresAt: await getCreditExpiresAt(record.date),
+            status: 'approved',
+            createdBy: userId,
+            approvedBy: userId,
+            approvedAt: new Date()
+          }
+        });
+
+        await prisma.timeClock.update({
+          where: { id: updatedRecord.id },
+          data: { hourBankCreditId: hourBankCredit.id }
+        });
+
+        await logAudit({
+          action: 'hourbank_credit_created',
+          entityType: 'hourbank',
+          entityId: hourBankCredit.id,
+          userId,
+          targetUserId: record.employeeId,
+          description: `Crédito no banco de horas criado automaticamente via edição de registro de ponto: ${credit.creditedHours}h em ${formatDateForDisplay(record.date)}`,
+          metadata: {
+            hours: credit.creditedHours,
+            rawHours: credit.rawHours,
+            appliedMultipliers: credit.appliedMultipliers,
+            date: record.date,
+            type: 'credit',
+            timeClockId: updatedRecord.id,
+            autoCreated: true
+          }
+        });
+      }
+    } catch (error) {
+      logger.warn('Erro ao criar crédito automático na edição', { error: error.message });
+    }
+  }
+
+  return updatedRecord;
+};
+
 // PATCH /timeclock/records/:recordId - Editar registro de ponto (admin/manager)
 router.patch('/records/:recordId', protect, adminOrManager, async (req, res) => {
   try {
     const { recordId } = req.params;
-    const { entryTime, lunchExitTime, lunchReturnTime, exitTime, justification, justificationId } = req.body;
+    const { entryTime, lunchExitTime, lunchReturnTime, exitTime, justification, justificationId, reason } = req.body;
     
     // Buscar o registro
     const record = await prisma.timeClock.findUnique({
       where: { id: recordId },
-      include: {
-        employee: {
-          select: {
-            id: true,
-            department: true,
-            workSchedules: {    // Tabela normalizada (formato atual)
-              select: {
-                dayOfWeek: true,
-                startTime: true,
-                endTime: true,
-                isActive: true
-              },
-              orderBy: {
-                dayOfWeek: 'asc'
-              }
-            },
-            lunchBreakHours: true,
-            lateTolerance: true
-          }
-        }
-      }
+      include: recordRecalculationInclude
     });
     
     if (!record) {
@@ -1002,12 +1343,18 @@ router.patch('/records/:recordId', protect, adminOrManager, async (req, res) =>
     
     // Validar acesso por departamento
     if (req.user.role === 'manager') {
-      if (record.employee.department !== req.user.department) {
+      if (!canAccessDepartment(req.user, record.employee.departmentId)) {
         return res.status(403).json({ 
           message: 'Acesso negado. Você só pode editar registros de funcionários do seu departamento.' 
         });
       }
     }
+
+    // Registros de meses fechados são somente leitura
+    const lockingClosing = await findLockingClosing(record.employeeId, record.date);
+    if (lockingClosing) {
+      return res.status(409).json({ message: getClosedPeriodMessage(lockingClosing) });
+    }
     
     // Preparar dados de atualização
     const updateData = {};
@@ -1022,6 +1369,14 @@ router.patch('/records/:recordId', protect, adminOrManager, async (req, res) =>
         // Remover justificativa
         updateData.justificationId = null;
         updateData.justification = null;
+        Object.assign(updateData, {
+          justificationStatus: null,
+          justificationSubmittedAt: null,
+          justificationReviewedBy: null,
+          justificationReviewedAt: null,
+          justificationReviewComment: null,
+          justificationDelegationId: null
+        });
       } else {
         // Buscar justificativa pelo ID
         const justificationRecord = await prisma.justification.findUnique({
@@ -1033,9 +1388,24 @@ router.patch('/records/:recordId', protect, adminOrManager, async (req, res) =>
             message: 'Justificativa não encontrada ou inativa.' 
           });
         }
+        if (!(await isJustificationAvailable(justificationRecord, record.employee))) {
+          return res.status(400).json({ 
+            message: 'Justificativa não disponível para o departamento do funcionário.' 
+          });
+        }
         
         updateData.justificationId = justificationId;
         updateData.justification = justificationRecord.reason;
+        // Justificativa informada pelo gestor já vale como aprovada
+        if (record.justificationId !== justificationId || record.justificationStatus !== 'approved') {
+          Object.assign(updateData, {
+            justificationStatus: 'approved',
+            justificationReviewedBy: req.user.id,
+            justificationReviewedAt: new Date(),
+            justificationReviewComment: null,
+            justificationDelegationId: null
+          });
+        }
       }
     } else if (justification !== undefined) {
       // Compatibilidade retroativa: se apenas justification (texto) for fornecido
@@ -1046,161 +1416,12 @@ router.patch('/records/:recordId', protect, adminOrManager, async (req, res) =>
       }
     }
     
-    // Recalcular valores se houver entrada e saída
-    if (updateData.entryTime || updateData.exitTime || entryTime || exitTime) {
-      const finalEntryTime = updateData.entryTime || record.entryTime;
-      const finalExitTime = updateData.exitTime || record.exitTime;
-      const finalLunchExitTime = updateData.lunchExitTime !== undefined ? updateData.lunchExitTime : record.lunchExitTime;
-      const finalLunchReturnTime = updateData.lunchReturnTime !== undefined ? updateData.lunchReturnTime : record.lunchReturnTime;
-      
-      if (finalEntryTime && finalExitTime) {
-        const lunchBreakHours = record.employee.lunchBreakHours || 0;
-        
-        // Calcular horas trabalhadas
-        const totalWorkedHours = calculateWorkedHours(
-          finalEntryTime,
-          finalExitTime,
-          finalLunchExitTime,
-          finalLunchReturnTime,
-          lunchBreakHours
-        );
-        
-        // Obter workSchedule no formato correto
-        const workSchedule = getWorkSchedule(record.employee);
-        
-        // Calcular horas agendadas
-        const scheduledHours = workSchedule 
-          ? calculateScheduledHours(workSchedule, record.date, lunchBreakHours)
-          : 0;
-        
-        // Calcular horas negativas (apenas se houver horário agendado)
-        const negativeHours = scheduledHours > 0 ? Math.max(0, scheduledHours - totalWorkedHours) : 0;
-        
-        // Calcular horas extras normais (trabalhou além do horário agendado)
-        const normalOvertime = (scheduledHours > 0 && totalWorkedHours > scheduledHours) 
-          ? totalWorkedHours - scheduledHours 
-          : 0;
-        
-        // Calcular horas extras por almoço não tirado
-        const lunchOvertime = calculateLunchOvertime(
-          finalLunchExitTime,
-          finalLunchReturnTime,
-          lunchBreakHours
-        );
-        
-        // Total de horas extras = horas extras normais + horas extras por almoço
-        const overtimeHours = normalOvertime + lunchOvertime;
-        
-        // Calcular atraso no retorno do almoço (se houver registro de almoço)
-        const lunchLateMinutes = (finalLunchExitTime && finalLunchReturnTime)
-          ? calculateLunchLateMinutes(
-              finalLunchExitTime,
-              finalLunchReturnTime,
-              lunchBreakHours
-            )
-          : null;
-        
-        // Calcular atraso
-        const lateMinutes = finalEntryTime && workSchedule
-          ? calculateLateMinutes(
-              finalEntryTime,
-              workSchedule,
-              record.date,
-              record.employee.lateTolerance || 0
-            )
-          : null;
-        
-        updateData.totalWorkedHours = totalWorkedHours;
-        updateData.scheduledHours = scheduledHours;
-        updateData.negativeHours = negativeHours > 0 ? negativeHours : null;
-        updateData.overtimeHours = overtimeHours > 0 ? overtimeHours : null;
-        updateData.lateMinutes = lateMinutes > 0 ? Math.round(lateMinutes) : null;
-        updateData.lunchLateMinutes = lunchLateMinutes > 0 ? Math.round(lunchLateMinutes) : null;
-      }
-    }
-    
-    const updatedRecord = await prisma.timeClock.update({
-      where: { id: recordId },
-      data: updateData,
-      include: {
-        employee: {
-          select: {
-            id: true,
-            name: true,
-            email: true,
-            lateTolerance: true
-          }
-        }
-      }
+    const updatedRecord = await applyTimeClockChanges(record, updateData, req.user.id, {
+      source: 'manual_edit',
+      reason: reason ? String(reason).trim() : null,
+      ipAddress: getRequestMetadata(req).ipAddress
     });
-    
-    // Se houver horas negativas após a edição, criar/atualizar débito
-    if (updatedRecord.negativeHours && updatedRecord.negativeHours > 0) {
-      await createAutomaticDebit(
-        record.employeeId,
-        record.date,
-        updatedRecord.negativeHours,
-        updatedRecord.id,
-        req.user.id,
-        updatedRecord.justification || null
-      );
-    }
-    
-    // Se houver horas extras após a edição, criar/atualizar crédito
-    if (updatedRecord.overtimeHours && updatedRecord.overtimeHours > 0) {
-      try {
-        const existingCredit = await prisma.hourBankRecord.findFirst({
-          where: {
-            employeeId: record.employeeId,
-            date: record.date,
-            type: 'credit',
-            reason: {
-              contains: `Registro de ponto ${record.date}`
-            }
-          }
-        });
-
-        if (!existingCredit) {
-          const hourBankCredit = await prisma.hourBankRecord.create({
-            data: {
-              employeeId: record.employeeId,
-              date: record.date,
-              type: 'credit',
-              hours: updatedRecord.overtimeHours,
-              reason: `Horas extras trabalhadas em ${formatDateForDisplay(record.date)} (via registro de ponto)`,
-              status: 'approved',
-              createdBy: req.user.id,
-              approvedBy: req.user.id,
-              approvedAt: new Date()
-            }
-          });
-
-          await prisma.timeClock.update({
-            where: { id: updatedRecord.id },
-            data: { hourBankCreditId: hourBankCredit.id }
-          });
 
-          await logAudit({
-            action: 'hourbank_credit_created',
-            entityType: 'hourbank',
-            entityId: hourBankCredit.id,
-            userId: req.user.id,
-            targetUserId: record.employeeId,
-            description: `Crédito no banco de horas criado automaticamente via edição de registro de ponto: ${updatedRecord.overtimeHours}h em ${formatDateForDisplay(record.date)}`,
-            metadata: {
-              hours: updatedRecord.overtimeHours,
-              date: record.date,
-              type: 'credit',
-              timeClockId: updatedRecord.id,
-              autoCreated: true
-            }
-          });
-        }
-      } catch (error) {
-        logger.warn('Erro ao criar crédito automático na edição', { error: error.message });
-      }
-    }
-    
     // Registrar log de auditoria
     const requestMeta = getRequestMetadata(req);
     await logAudit({
@@ -1224,12 +1445,346 @@ router.patch('/records/:recordId', protect, adminOrManager, async (req, res) =>
   }
 });
 
+// GET /timeclock/corrections - Listar solicitações de correção
+// Funcionário vê as próprias; manager, as próprias e as dos seus departamentos; admin, todas
+router.get('/corrections', protect, async (req, res) => {
+  try {
+    const { status, employeeId, page = 1, limit = 20 } = req.query;
+
+    const prismaFilter = {};
+    if (status) {
+      if (!CORRECTION_STATUSES.includes(status)) {
+        return res.status(400).json({ message: `Status inválido. Use ${CORRECTION_STATUSES.join(', ')}` });
+      }
+      prismaFilter.status = status;
+    }
+
+    if (req.user.role === 'admin') {
+      if (employeeId) prismaFilter.employeeId = employeeId;
+    } else if (req.user.role === 'manager') {
+      if (employeeId) {
+        if (employeeId !== req.user.id && !(await checkEmployeeDepartment(employeeId, req.user))) {
+          return res.status(403).json({ message: 'Acesso negado. Você só pode ver solicitações de funcionários do seu departamento.' });
+        }
+        prismaFilter.employeeId = employeeId;
+      } else {
+        prismaFilter.OR = [
+          { employeeId: req.user.id },
+          { employee: { departmentId: { in: getManagedDepartmentIds(req.user) } } }
+        ];
+      }
+    } else {
+      prismaFilter.employeeId = req.user.id;
+    }
+
+    const skip = (Number(page) - 1) * Number(limit);
+    const [corrections, total] = await Promise.all([
+      prisma.timeClockCorrection.findMany({
+        where: prismaFilter,
+        include: correctionInclude,
+        orderBy: { createdAt: 'desc' },
+        skip,
+        take: Number(limit)
+      }),
+      prisma.timeClockCorrection.count({ where: prismaFilter })
+    ]);
+
+    res.json({
+      corrections: corrections.map(formatCorrection),
+      pagination: {
+        page: Number(page),
+        limit: Number(limit),
+        total,
+        totalPages: Math.ceil(total / Number(limit))
+      }
+    });
+  } catch (error) {
+    logger.logError(error, { context: 'Buscar solicitações de correção de ponto', userId: req.user?.id });
+    res.status(500).json({ message: 'Erro ao buscar solicitações de correção', error: error.message });
+  }
+});
+
+// GET /timeclock/records/:recordId/corrections - Histórico de correções de um registro
+router.get('/records/:recordId/corrections', protect, async (req, res) => {
+  try {
+    const record = await prisma.timeClock.findUnique({
+      where: { id: req.params.recordId },
+      include: { employee: { select: { id: true, department: true, departmentId: true } } }
+    });
+    if (!record) {
+      return res.status(404).json({ message: 'Registro não encontrado' });
+    }
+
+    if (record.employeeId !== req.user.id) {
+      const { allowed } = await getApprovalAuthority(req.user, record.employee.departmentId);
+      if (!allowed) {
+        return res.status(403).json({ message: 'Acesso negado' });
+      }
+    }
+
+    const corrections = await prisma.timeClockCorrection.findMany({
+      where: { timeClockId: record.id },
+      include: correctionInclude,
+      orderBy: { createdAt: 'asc' }
+    });
+
+    res.json(corrections.map(formatCorrection));
+  } catch (error) {
+    logger.logError(error, { context: 'Buscar histórico de correções do registro', recordId: req.params.recordId, userId: req.user?.id });
+    res.status(500).json({ message: 'Erro ao buscar histórico de correções', error: error.message });
+  }
+});
+
+// POST /timeclock/records/:recordId/corrections - Solicitar correção das batidas de um registro próprio
+router.post('/records/:recordId/corrections', protect, async (req, res) => {
+  try {
+    const record = await prisma.timeClock.findUnique({
+      where: { id: req.params.recordId },
+      include: { employee: { select: { id: true, name: true, email: true, department: true, departmentId: true } } }
+    });
+    if (!record) {
+      return res.status(404).json({ message: 'Registro não encontrado' });
+    }
+
+    if (record.employeeId !== req.user.id) {
+      return res.status(403).json({ message: 'Você só pode solicitar correção dos seus próprios registros' });
+    }
+
+    // Em mês fechado, o funcionário contesta o espelho e o gestor reabre o período
+    const lockingClosing = await findLockingClosing(record.employeeId, record.date);
+    if (lockingClosing) {
+      return res.status(409).json({ message: getClosedPeriodMessage(lockingClosing) });
+    }
+
+    const pending = await findPendingCorrection(record.id);
+    if (pending) {
+      return res.status(400).json({ message: 'Já existe uma solicitação de correção pendente para este registro' });
+    }
+
+    const validation = buildCorrectionPunches(req.body, record);
+    if (!validation.isValid) {
+      return res.status(400).json({ message: validation.errors.join('; ') });
+    }
+    const { punches, changedFields, reason } = validation;
+
+    const correction = await prisma.timeClockCorrection.create({
+      data: {
+        timeClockId: record.id,
+        employeeId: record.employeeId,
+        requestedEntryTime: punches.entryTime,
+        requestedLunchExitTime: punches.lunchExitTime,
+        requestedLunchReturnTime: punches.lunchReturnTime,
+        requestedExitTime: punches.exitTime,
+        originalEntryTime: record.entryTime,
+        originalLunchExitTime: record.lunchExitTime,
+        originalLunchReturnTime: record.lunchReturnTime,
+        originalExitTime: record.exitTime,
+        reason
+      },
+      include: correctionInclude
+    });
+
+    const requestMeta = getRequestMetadata(req);
+    await logAudit({
+      action: 'timeclock_correction_requested',
+      entityType: 'timeclock',
+      entityId: record.id,
+      userId: req.user.id,
+      targetUserId: record.employeeId,
+      description: `Correção de ponto solicitada: ${formatDateForDisplay(record.date)} (${changedFields.map(field => PUNCH_LABELS[field].toLowerCase()).join(', ')})`,
+      metadata: {
+        correctionId: correction.id,
+        date: record.date,
+        changedFields,
+        reason
+      },
+      ...requestMeta
+    });
+
+    // O motivo entra na conversa do registro e notifica os gestores do departamento
+    await addRecordComment({
+      entityType: 'timeclock',
+      record,
+      author: req.user,
+      message: `Solicitação de correção: ${reason}`
+    });
+
+    res.status(201).json(formatCorrection(correction));
+  } catch (error) {
+    logger.logError(error, { context: 'Solicitar correção de ponto', recordId: req.params.recordId, userId: req.user?.id });
+    res.status(500).json({ message: 'Erro ao solicitar correção', error: error.message });
+  }
+});
+
+// PATCH /timeclock/corrections/:id - Aprovar/rejeitar solicitação de correção (admin, manager ou substituto com delegação)
+router.patch('/corrections/:id', protect, async (req, res) => {
+  try {
+    const { status } = req.body;
+    const comment = req.body.comment ? String(req.body.comment).trim() : '';
+
+    if (!['approved', 'rejected'].includes(status)) {
+      return res.status(400).json({ message: 'Status inválido. Use "approved" ou "rejected"' });
+    }
+
+    const correction = await findCorrectionById(req.params.id);
+    if (!correction) {
+      return res.status(404).json({ message: 'Solicitação de correção não encontrada' });
+    }
+    if (correction.status !== 'pending') {
+      return res.status(400).json({ message: 'Apenas solicitações pendentes podem ser aprovadas ou rejeitadas' });
+    }
+
+    // Admin, manager do departamento ou usuário com delegação ativa do gestor
+    const { allowed, delegation } = await getApprovalAuthority(req.user, correction.employee.departmentId);
+    if (!allowed) {
+      return res.status(403).json({ message: 'Acesso negado. Você só pode decidir correções de funcionários do seu departamento.' });
+    }
+    if (correction.employeeId === req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Você não pode decidir as suas próprias solicitações de correção' });
+    }
+
+    if (status === 'rejected' && !comment) {
+      return res.status(400).json({ message: 'Informe o motivo da rejeição (comment)' });
+    }
+
+    const record = await prisma.timeClock.findUnique({
+      where: { id: correction.timeClockId },
+      include: recordRecalculationInclude
+    });
+
+    if (status === 'approved') {
+      const lockingClosing = await findLockingClosing(record.employeeId, record.date);
+      if (lockingClosing) {
+        return res.status(409).json({ message: getClosedPeriodMessage(lockingClosing) });
+      }
+    }
+
+    const reviewData = {
+      status,
+      reviewedBy: req.user.id,
+      reviewedAt: new Date(),
+      reviewComment: comment || null,
+      delegationId: delegation?.id || null
+    };
+
+    let updatedRecord = null;
+    if (status === 'approved') {
+      // Preserva as batidas vigentes no momento da aprovação e aplica as propostas
+      reviewData.originalEntryTime = record.entryTime;
+      reviewData.originalLunchExitTime = record.lunchExitTime;
+      reviewData.originalLunchReturnTime = record.lunchReturnTime;
+      reviewData.originalExitTime = record.exitTime;
+
+      updatedRecord = await applyTimeClockChanges(record, {
+        entryTime: correction.requestedEntryTime,
+        lunchExitTime: correction.requestedLunchExitTime,
+        lunchReturnTime: correction.requestedLunchReturnTime,
+        exitTime: correction.requestedExitTime
+      }, req.user.id, {
+        source: 'correction',
+        reason: correction.reason,
+        correctionId: correction.id,
+        ipAddress: getRequestMetadata(req).ipAddress
+      });
+    }
+
+    const updatedCorrection = await prisma.timeClockCorrection.update({
+      where: { id: correction.id },
+      data: reviewData,
+      include: correctionInclude
+    });
+
+    const requestMeta = getRequestMetadata(req);
+    await logAudit({
+      action: status === 'approved' ? 'timeclock_correction_approved' : 'timeclock_correction_rejected',
+      entityType: 'timeclock',
+      entityId: record.id,
+      userId: req.user.id,
+      targetUserId: correction.employeeId,
+      description: `Correção de ponto ${status === 'approved' ? 'aprovada' : 'rejeitada'}: ${formatDateForDisplay(record.date)}${delegation ? ` (por delegação de ${delegation.delegator.name})` : ''}`,
+      metadata: {
+        correctionId: correction.id,
+        date: record.date,
+        original: formatCorrection(updatedCorrection).original,
+        requested: formatCorrection(updatedCorrection).requested,
+        comment: comment || null,
+        ...buildDelegationAuditMetadata(delegation)
+      },
+      ...requestMeta
+    });
+
+    // Motivo da rejeição (ou observação da aprovação) entra na conversa do registro e notifica o funcionário
+    if (comment) {
+      await addRecordComment({
+        entityType: 'timeclock',
+        record: { ...record, employee: correction.employee },
+        author: req.user,
+        message: comment,
+        type: status === 'approved' ? 'approval' : 'rejection'
+      });
+    }
+
+    res.json({
+      ...formatCorrection(updatedCorrection),
+      record: updatedRecord
+    });
+  } catch (error) {
+    logger.logError(error, { context: 'Decidir correção de ponto', correctionId: req.params.id, userId: req.user?.id });
+    res.status(500).json({ message: 'Erro ao decidir correção', error: error.message });
+  }
+});
+
+// DELETE /timeclock/corrections/:id - Cancelar solicitação de correção pendente (quem solicitou)
+router.delete('/corrections/:id', protect, async (req, res) => {
+  try {
+    const correction = await findCorrectionById(req.params.id);
+    if (!correction) {
+      return res.status(404).json({ message: 'Solicitação de correção não encontrada' });
+    }
+    if (correction.employeeId !== req.user.id) {
+      return res.status(403).json({ message: 'Apenas quem solicitou pode cancelar a correção' });
+    }
+    if (correction.status !== 'pending') {
+      return res.status(400).json({ message: 'Apenas solicitações pendentes podem ser canceladas' });
+    }
+
+    const updatedCorrection = await prisma.timeClockCorrection.update({
+      where: { id: correction.id },
+      data: { status: 'cancelled' },
+      include: correctionInclude
+    });
+
+    const requestMeta = getRequestMetadata(req);
+    await logAudit({
+      action: 'timeclock_correction_cancelled',
+      entityType: 'timeclock',
+      entityId: correction.timeClockId,
+      userId: req.user.id,
+      targetUserId: correction.employeeId,
+      description: `Solicitação de correção de ponto cancelada: ${formatDateForDisplay(correction.timeClock.date)}`,
+      metadata: {
+        correctionId: correction.id,
+        date: correction.timeClock.date
+      },
+      ...requestMeta
+    });
+
+    res.json(formatCorrection(updatedCorrection));
+  } catch (error) {
+    logger.logError(error, { context: 'Cancelar correção de ponto', correctionId: req.params.id, userId: req.user?.id });
+    res.status(500).json({ message: 'Erro ao cancelar correção', error: error.message });
+  }
+});
+
 // POST /timeclock/clock-in-with-justification - Registrar entrada com justificativa
 router.post('/clock-in-with-justification', protect, async (req, res) => {
   try {
-    const { justificationId, entryTime } = req.body;
+    const { justificationId } = req.body;
     const employeeId = req.user.id;
-    const today = entryTime ? new Date(entryTime).toISOString().split('T')[0] : new Date().toISOString().split('T')[0];
+    const timezone = await getEmployeeTimezone(req.user);
+    // Horário da batida é sempre o do servidor
+    const entryDateTime = new Date();
+    const today = getDateStringInTimezone(entryDateTime, timezone);
     
     if (!justificationId) {
       return res.status(400).json({ error: 'Justificativa é obrigatória' });
@@ -1243,6 +1798,15 @@ router.post('/clock-in-with-justification', protect, async (req, res) => {
     if (!justification || !justification.isActive) {
       return res.status(404).json({ error: 'Justificativa não encontrada ou inativa' });
     }
+    if (!(await isJustificationAvailable(justification, req.user))) {
+      return res.status(400).json({ error: 'Justificativa não disponível para o seu departamento' });
+    }
+    
+    // Registros de meses fechados são somente leitura
+    const lockingClosing = await findLockingClosing(employeeId, today);
+    if (lockingClosing) {
+      return res.status(409).json({ error: getClosedPeriodMessage(lockingClosing) });
+    }
     
     // Verificar se já existe registro para hoje
     let record = await prisma.timeClock.findFirst({
@@ -1252,49 +1816,57 @@ router.post('/clock-in-with-justification', protect, async (req, res) => {
       }
     });
     
-    const entryDateTime = entryTime ? new Date(entryTime) : new Date();
-    
-    // Se não existe, criar novo registro
-    if (!record) {
-      record = await prisma.timeClock.create({
-        data: {
-          employeeId,
-          date: today,
-          entryTime: entryDateTime,
-          justificationId,
-          justification: justification.reason
-        }
-      });
-    } else {
-      // Atualizar registro existente
-      record = await prisma.timeClock.update({
-        where: { id: record.id },
-        data: {
-          entryTime: entryDateTime,
-          justificationId,
-          justification: justification.reason
-        }
-      });
+    // Entrada já registrada por /clock-in (atraso com requiresJustification): apenas anexa a justificativa
+    const justifiesExistingEntry = !!record?.entryTime;
+    if (justifiesExistingEntry && (record.exitTime || record.justificationId)) {
+      return res.status(409).json({ error: 'Entrada já registrada para hoje' });
     }
     
     // Buscar dados do funcionário para calcular atraso
     const employee = await findUserById(employeeId);
-    const workSchedule = getWorkSchedule(employee);
-    if (employee && workSchedule) {
-      const lateMinutes = calculateLateMinutes(
-        record.entryTime,
-        workSchedule,
-        today,
-        employee.lateTolerance || 0
-      );
-      
-      // Atualizar atraso no registro
-      if (lateMinutes > 0) {
-        record = await prisma.timeClock.update({
-          where: { id: record.id },
-          data: { lateMinutes: Math.round(lateMinutes) }
-        });
-      }
+    const workSchedule = getWorkSchedule(employee, today);
+    // Em feriado de dia inteiro ou afastamento aprovado não há jornada, portanto não há atraso
+    const holiday = await getHolidayForEmployee(employee, today);
+    const leave = await findApprovedLeaveForDate(employeeId, today);
+    const lateMinutes = employee && workSchedule && !leave && (!holiday || holiday.isHalfDay)
+      ? calculateLateMinutes(
+          justifiesExistingEntry ? record.entryTime : entryDateTime,
+          workSchedule,
+          today,
+          employee.lateTolerance || 0,
+          timezone
+        )
+      : 0;
+    
+    // Sem atraso na entrada já registrada não há o que justificar
+    if (justifiesExistingEntry && !(lateMinutes > 0)) {
+      return res.status(409).json({ error: 'Entrada já registrada para hoje' });
+    }
+    
+    const justificationData = getSubmittedJustificationData(record, justification);
+    const lateData = lateMinutes > 0 ? { lateMinutes: Math.round(lateMinutes) } : {};
+    
+    if (justifiesExistingEntry) {
+      record = await prisma.timeClock.update({
+        where: { id: record.id },
+        data: { ...justificationData, ...lateData }
+      });
+    } else {
+      // Sem entrada registrada: criar ou completar o registro do dia com a batida do servidor
+      record = record
+        ? await prisma.timeClock.update({
+            where: { id: record.id },
+            data: { entryTime: entryDateTime, ...justificationData, ...lateData }
+          })
+        : await prisma.timeClock.create({
+            data: { employeeId, date: today, entryTime: entryDateTime, ...justificationData, ...lateData }
+          });
+      await appendPunches(record, { entryTime: record.entryTime }, {
+        source: 'clock',
+        userId: req.user.id,
+        reason: justification.reason,
+        ipAddress: getRequestMetadata(req).ipAddress
+      });
     }
     
     // Registrar log de auditoria
@@ -1310,11 +1882,18 @@ router.post('/clock-in-with-justification', protect, async (req, res) => {
         date: today,
         entryTime: record.entryTime,
         justificationId,
-        justification: justification.reason
+        justification: justification.reason,
+        justificationStatus: record.justificationStatus,
+        justifiedExistingPunch: justifiesExistingEntry
       },
       ...requestMeta
     });
     
+    // Justificativa enviada: avisar os gestores do departamento
+    if (employee && justificationData.justificationStatus === 'pending') {
+      await notifyJustificationSubmitted(record, employee, justification);
+    }
+    
     // Enviar email de confirmação (não bloqueia o retorno em caso de erro)
     if (employee) {
       sendTimeClockEmail(employee, record, 'entry').catch(error => {
@@ -1332,9 +1911,12 @@ router.post('/clock-in-with-justification', protect, async (req, res) => {
 // POST /timeclock/clock-out-with-justification - Registrar saída com justificativa
 router.post('/clock-out-with-justification', protect, async (req, res) => {
   try {
-    const { justificationId, exitTime } = req.body;
+    const { justificationId } = req.body;
     const employeeId = req.user.id;
-    const today = exitTime ? new Date(exitTime).toISOString().split('T')[0] : new Date().toISOString().split('T')[0];
+    const timezone = await getEmployeeTimezone(req.user);
+    // Horário da batida é sempre o do servidor
+    const punchTime = new Date();
+    const punchDate = getDateStringInTimezone(punchTime, timezone);
     
     if (!justificationId) {
       return res.status(400).json({ error: 'Justificativa é obrigatória' });
@@ -1348,13 +1930,11 @@ router.post('/clock-out-with-justification', protect, async (req, res) => {
     if (!justification || !justification.isActive) {
       return res.status(404).json({ error: 'Justificativa não encontrada ou inativa' });
     }
+    if (!(await isJustificationAvailable(justification, req.user))) {
+      return res.status(400).json({ error: 'Justificativa não disponível para o seu departamento' });
+    }
     
-    const record = await prisma.timeClock.findFirst({
-      where: {
-        employeeId,
-        date: today
-      }
-    });
+    const record = await findRecordForPunch(employeeId, punchDate, punchTime);
     
     if (!record) {
       return res.status(404).json({ error: 'Registro não encontrado. Registre a entrada primeiro.' });
@@ -1364,11 +1944,22 @@ router.post('/clock-out-with-justification', protect, async (req, res) => {
       return res.status(400).json({ error: 'Entrada não registrada' });
     }
     
-    if (record.exitTime) {
-      return res.status(400).json({ error: 'Saída já registrada' });
+    // Saída já registrada por /clock-out com horas negativas (requiresJustification): apenas anexa a justificativa
+    const justifiesExistingExit = !!record.exitTime;
+    if (justifiesExistingExit && (record.justificationId || !(record.negativeHours > 0) || record.hourBankDebitId)) {
+      return res.status(409).json({ error: 'Saída já registrada' });
+    }
+
+    // Registros de meses fechados são somente leitura
+    const lockingClosing = await findLockingClosing(employeeId, record.date);
+    if (lockingClosing) {
+      return res.status(409).json({ error: getClosedPeriodMessage(lockingClosing) });
     }
     
-    const exitDateTime = exitTime ? new Date(exitTime) : new Date();
+    // Data do turno (para turnos noturnos, a data de início)
+    const shiftDate = record.date;
+    
+    const exitDateTime = justifiesExistingExit ? record.exitTime : punchTime;
     
     // Buscar dados do funcionário
     const employee = await findUserById(employeeId);
@@ -1384,11 +1975,13 @@ router.post('/clock-out-with-justification', protect, async (req, res) => {
     );
     
     // Obter workSchedule no formato correto
-    const workSchedule = getWorkSchedule(employee);
+    const workSchedule = getWorkSchedule(employee, shiftDate);
     
-    // Calcular horas agendadas
+    // Calcular horas agendadas (considerando feriados e afastamentos aprovados do funcionário)
+    const holiday = await getHolidayForEmployee(employee, shiftDate);
+    const leave = await findApprovedLeaveForDate(employeeId, shiftDate);
     const scheduledHours = workSchedule 
-      ? calculateScheduledHours(workSchedule, today, lunchBreakHours)
+      ? calculateScheduledHours(workSchedule, shiftDate, lunchBreakHours, holiday, leave)
       : 0;
     
     // Calcular horas negativas
@@ -1423,27 +2016,30 @@ router.post('/clock-out-with-justification', protect, async (req, res) => {
       totalWorkedHours,
       scheduledHours,
       overtimeHours: overtimeHours > 0 ? overtimeHours : null,
+      overtimeRateBreakdown: (await getTimeClockOvertimeRateBreakdown(employee, exitDateTime, overtimeHours, timezone)) || Prisma.DbNull,
       negativeHours: negativeHours > 0 ? negativeHours : null,
       lunchLateMinutes: lunchLateMinutes > 0 ? Math.round(lunchLateMinutes) : null,
-      justificationId,
-      justification: justification.reason
+      ...getSubmittedJustificationData(record, justification)
     };
     
-    const updatedRecord = await prisma.timeClock.update({
+    let updatedRecord = await prisma.timeClock.update({
       where: { id: record.id },
       data: updateData
     });
+    if (!justifiesExistingExit) {
+      await appendPunches(updatedRecord, { exitTime: updatedRecord.exitTime }, {
+        source: 'clock',
+        userId: req.user.id,
+        reason: justification.reason,
+        ipAddress: getRequestMetadata(req).ipAddress
+      });
+    }
     
-    // Se houver horas negativas, criar débito automaticamente (mesmo com justificativa)
+    // Se houver horas negativas, aplicar o efeito da justificativa (abono total, parcial ou débito)
+    let justificationEffect = null;
     if (negativeHours > 0) {
-      await createAutomaticDebit(
-        employeeId,
-        today,
-        negativeHours,
-        updatedRecord.id,
-        req.user.id,
-        justification.reason
-      );
+      justificationEffect = await applyJustificationEffect(updatedRecord, justification, req.user.id);
+      updatedRecord = justificationEffect.record;
     }
     
     // Se houver horas extras, criar crédito automaticamente
@@ -1452,22 +2048,28 @@ router.post('/clock-out-with-justification', protect, async (req, res) => {
         const existingCredit = await prisma.hourBankRecord.findFirst({
           where: {
             employeeId,
-            date: today,
+            date: shiftDate,
             type: 'credit',
             reason: {
-              contains: `Registro de ponto ${today}`
+              contains: `Registro de ponto ${shiftDate}`
             }
           }
         });
 
         if (!existingCredit) {
+          // Aplicar multiplicadores do banco de horas (empresa ou departamento)
+          const credit = await calculateTimeClockOvertimeCredit(employee, exitDateTime, overtimeHours, timezone);
+
           const hourBankCredit = await prisma.hourBankRecord.create({
             data: {
               employeeId,
-              date: today,
+              date: shiftDate,
               type: 'credit',
-              hours: overtimeHours,
-              reason: `Horas extras trabalhadas em ${formatDateForDisplay(today)} (via registro de ponto)`,
+              hours: credit.creditedHours,
+              rawHours: credit.rawHours,
+              appliedMultipliers: credit.appliedMultipliers,
+              reason: `Horas extras trabalhadas em ${formatDateForDisplay(shiftDate)} (via registro de ponto)`,
+              expiresAt: await getCreditExpiresAt(shiftDate),
               status: 'pending', // Pendente para aprovação manual pelo admin/manager
               createdBy: req.user.id
             }
@@ -1484,10 +2086,12 @@ router.post('/clock-out-with-justification', protect, async (req, res) => {
             entityId: hourBankCredit.id,
             userId: req.user.id,
             targetUserId: employeeId,
-            description: `Crédito no banco de horas criado automaticamente via registro de ponto: ${overtimeHours}h em ${formatDateForDisplay(today)}`,
+            description: `Crédito no banco de horas criado automaticamente via registro de ponto: ${credit.creditedHours}h em ${formatDateForDisplay(shiftDate)}`,
             metadata: {
-              hours: overtimeHours,
-              date: today,
+              hours: credit.creditedHours,
+              rawHours: credit.rawHours,
+              appliedMultipliers: credit.appliedMultipliers,
+              date: shiftDate,
               type: 'credit',
               timeClockId: updatedRecord.id,
               autoCreated: true
@@ -1509,17 +2113,26 @@ router.post('/clock-out-with-justification', protect, async (req, res) => {
       targetUserId: employeeId,
       description: `Saída registrada com justificativa: ${justification.reason} - ${totalWorkedHours.toFixed(2)}h trabalhadas`,
       metadata: {
-        date: today,
+        date: shiftDate,
         exitTime: exitDateTime,
         totalWorkedHours,
         negativeHours,
         overtimeHours,
         justificationId,
-        justification: justification.reason
+        justification: justification.reason,
+        justificationStatus: updatedRecord.justificationStatus,
+        waivedHours: justificationEffect?.waivedHours || 0,
+        pendingWaiver: justificationEffect?.pending || null,
+        justifiedExistingPunch: justifiesExistingExit
       },
       ...requestMeta
     });
     
+    // Justificativa enviada: avisar os gestores do departamento
+    if (employee && updateData.justificationStatus === 'pending') {
+      await notifyJustificationSubmitted(updatedRecord, employee, justification);
+    }
+    
     // Enviar email de confirmação (não bloqueia o retorno em caso de erro)
     if (employee) {
       sendTimeClockEmail(employee, updatedRecord, 'exit').catch(error => {
@@ -0,0 +1,464 @@
+import express from 'express';
+import { protect, adminOrManager } from '../middleware/auth.js';
+import prisma from '../config/database.js';
+import { canAccessDepartment, getManagedDepartmentIds } from '../middleware/departmentAccess.js';
+import { resolveDepartment } from '../models/department.model.js';
+import { getCompanyTimezone } from '../models/companySettings.model.js';
+import {
+  closingInclude,
+  findClosingById,
+  findClosing,
+  formatClosing
+} from '../models/timesheetClosing.model.js';
+import { addRecordComment, findRecordComments, formatRecordComment } from '../models/recordComment.model.js';
+import { findTimesheetEmployees, getEmployeeTimesheet } from '../services/timesheetService.js';
+import { getMonthDateRange, hashTimesheet } from '../utils/timesheetUtils.js';
+import { getTodayInTimezone } from '../utils/timezoneUtils.js';
+import { logAudit, getRequestMetadata } from '../middleware/audit.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+const CLOSING_STATUSES = ['open', 'closed', 'acknowledged', 'disputed'];
+
+const MAX_REASON_LENGTH = 2000;
+
+// Quantidade máxima de funcionários fechados de uma vez
+const MAX_BULK_CLOSE = 200;
+
+const formatPeriod = (closing) => `${String(closing.month).padStart(2, '0')}/${closing.year}`;
+
+// Helper: Validar year/month do corpo ou da query
+const parsePeriod = (source) => {
+  const year = Number(source.year);
+  const month = Number(source.month);
+  if (!Number.isInteger(year) || year < 2000 || year > 2100 || !Number.isInteger(month) || month < 1 || month > 12) {
+    return null;
+  }
+  return { year, month };
+};
+
+// Helper: Texto obrigatório (motivo da contestação ou da reabertura)
+const parseReason = (value) => (typeof value === 'string' ? value.trim() : '');
+
+// Helper: Fechar o mês de um funcionário (grava o hash do espelho no fechamento)
+// Retorna { statusCode, body } para ser usado também no fechamento por departamento
+const closeEmployeeMonth = async (req, employee, { year, month }) => {
+  if (!canAccessDepartment(req.user, employee.departmentId)) {
+    return { statusCode: 403, body: { error: 'Você só pode fechar o ponto de funcionários do seu departamento' } };
+  }
+  if (employee.id === req.user.id && req.user.role !== 'admin') {
+    return { statusCode: 403, body: { error: 'Você não pode fechar o próprio espelho de ponto' } };
+  }
+
+  // Só meses encerrados podem ser fechados
+  const { startDate, endDate } = getMonthDateRange(year, month);
+  const today = getTodayInTimezone(await getCompanyTimezone());
+  if (endDate >= today) {
+    return { statusCode: 400, body: { error: 'O mês só pode ser fechado após o seu último dia' } };
+  }
+
+  const existing = await findClosing(employee.id, year, month);
+  if (existing && existing.status !== 'open') {
+    return { statusCode: 409, body: { error: `Espelho de ponto de ${formatPeriod(existing)} já está fechado (${existing.status})` } };
+  }
+
+  // Correções pendentes precisam ser decididas antes do fechamento
+  const pendingCorrections = await prisma.timeClockCorrection.count({
+    where: { employeeId: employee.id, status: 'pending', timeClock: { date: { gte: startDate, lte: endDate } } }
+  });
+  if (pendingCorrections > 0) {
+    return { statusCode: 409, body: { error: `Há ${pendingCorrections} correção(ões) de ponto pendente(s) no mês` } };
+  }
+
+  const timesheet = await getEmployeeTimesheet(employee, year, month);
+  const data = {
+    status: 'closed',
+    closedBy: req.user.id,
+    closedAt: new Date(),
+    contentHash: hashTimesheet(timesheet),
+    acknowledgedAt: null,
+    acknowledgedHash: null,
+    ipAddress: null,
+    userAgent: null,
+    disputeReason: null,
+    disputedAt: null
+  };
+
+  const closing = existing
+    ? await prisma.timesheetClosing.update({ where: { id: existing.id }, data, include: closingInclude })
+    : await prisma.timesheetClosing.create({ data: { employeeId: employee.id, year, month, ...data }, include: closingInclude });
+
+  // Registrar log de auditoria
+  const requestMeta = getRequestMetadata(req);
+  await logAudit({
+    action: 'timesheet_closed',
+    entityType: 'timesheet',
+    entityId: closing.id,
+    userId: req.user.id,
+    targetUserId: employee.id,
+    description: `Espelho de ponto de ${formatPeriod(closing)} fechado para ${employee.name}`,
+    metadata: {
+      year,
+      month,
+      contentHash: closing.contentHash,
+      reopened: Boolean(existing)
+    },
+    ...requestMeta
+  });
+
+  return { statusCode: existing ? 200 : 201, body: formatClosing(closing) };
+};
+
+// Helper: Buscar fechamento com verificação de acesso (funcionário do espelho ou gestor do departamento)
+const loadClosing = async (req, res) => {
+  const closing = await findClosingById(req.params.id);
+  if (!closing) {
+    res.status(404).json({ error: 'Fechamento não encontrado' });
+    return null;
+  }
+
+  if (closing.employeeId !== req.user.id && !canAccessDepartment(req.user, closing.employee?.departmentId)) {
+    res.status(403).json({ error: 'Acesso negado' });
+    return null;
+  }
+
+  return closing;
+};
+
+// GET /timesheet-closings - Listar fechamentos (funcionário vê os próprios; manager, os dos seus departamentos; admin, todos)
+router.get('/', protect, async (req, res) => {
+  try {
+    const { status, employeeId } = req.query;
+    const where = {};
+
+    if (status) {
+      if (!CLOSING_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `Status inválido. Use ${CLOSING_STATUSES.join(', ')}` });
+      }
+      where.status = status;
+    }
+    if (req.query.year) where.year = Number(req.query.year);
+    if (req.query.month) where.month = Number(req.query.month);
+
+    if (req.user.role === 'admin') {
+      if (employeeId) where.employeeId = employeeId;
+    } else if (req.user.role === 'manager') {
+      where.OR = [
+        { employeeId: req.user.id },
+        { employee: { departmentId: { in: getManagedDepartmentIds(req.user) } } }
+      ];
+      if (employeeId) where.employeeId = employeeId;
+    } else {
+      where.employeeId = req.user.id;
+    }
+
+    const closings = await prisma.timesheetClosing.findMany({
+      where,
+      include: closingInclude,
+      orderBy: [{ year: 'desc' }, { month: 'desc' }, { employee: { name: 'asc' } }]
+    });
+
+    res.json(closings.map(formatClosing));
+  } catch (error) {
+    logger.logError(error, { context: 'Buscar fechamentos de ponto', userId: req.user?.id });
+    res.status(500).json({ message: 'Erro ao buscar fechamentos', error: error.message });
+  }
+});
+
+// GET /timesheet-closings/:id - Fechamento com a conversa e a indicação de alteração do espelho desde o fechamento
+router.get('/:id', protect, async (req, res) => {
+  try {
+    const closing = await loadClosing(req, res);
+    if (!closing) return;
+
+    let currentHash = null;
+    if (closing.contentHash) {
+      const [employee] = await findTimesheetEmployees({ employeeId: closing.employeeId });
+      currentHash = hashTimesheet(await getEmployeeTimesheet(employee, closing.year, closing.month));
+    }
+    const comments = await findRecordComments('timesheet', closing.id);
+
+    res.json({
+      ...formatClosing(closing),
+      currentHash,
+      contentChanged: Boolean(closing.contentHash) && currentHash !== closing.contentHash,
+      comments: comments.map(formatRecordComment)
+    });
+  } catch (error) {
+    logger.logError(error, { context: 'Buscar fechamento de ponto', closingId: req.params.id, userId: req.user?.id });
+    res.status(500).json({ message: 'Erro ao buscar fechamento', error: error.message });
+  }
+});
+
+// POST /timesheet-closings - Fechar o mês de um funcionário (admin ou manager do departamento)
+router.post('/', protect, adminOrManager, async (req, res) => {
+  try {
+    const period = parsePeriod(req.body);
+    if (!period) {
+      return res.status(400).json({ error: 'Informe year e month (1 a 12)' });
+    }
+    if (!req.body.employeeId) {
+      return res.status(400).json({ error: 'Informe employeeId' });
+    }
+
+    const [employee] = await findTimesheetEmployees({ employeeId: req.body.employeeId });
+    if (!employee) {
+      return res.status(404).json({ error: 'Funcionário não encontrado' });
+    }
+
+    const { statusCode, body } = await closeEmployeeMonth(req, employee, period);
+    res.status(statusCode).json(body);
+  } catch (error) {
+    logger.logError(error, { context: 'Fechar espelho de ponto', userId: req.user?.id });
+    res.status(500).json({ message: 'Erro ao fechar espelho de ponto', error: error.message });
+  }
+});
+
+// POST /timesheet-closings/department - Fechar o mês de todos os funcionários de um departamento (resultado por funcionário)
+router.post('/department', protect, adminOrManager, async (req, res) => {
+  try {
+    const period = parsePeriod(req.body);
+    if (!period) {
+      return res.status(400).json({ error: 'Informe year e month (1 a 12)' });
+    }
+
+    const { departmentId, department } = req.body;
+    const targetDepartment = await resolveDepartment({ departmentId, department });
+    if (!targetDepartment) {
+      return res.status(404).json({ error: 'Departamento não encontrado' });
+    }
+    if (!canAccessDepartment(req.user, targetDepartment.id)) {
+      return res.status(403).json({ error: 'Você só pode fechar o ponto do seu departamento' });
+    }
+
+    const employees = await findTimesheetEmployees({ departmentId: targetDepartment.id });
+    if (employees.length > MAX_BULK_CLOSE) {
+      return res.status(400).json({ error: `Máximo de ${MAX_BULK_CLOSE} funcionários por fechamento` });
+    }
+
+    const results = [];
+    for (const employee of employees) {
+      // Espelhos já fechados são ignorados para permitir refazer o lote após correções
+      const existing = await findClosing(employee.id, period.year, period.month);
+      if (existing && existing.status !== 'open') {
+        results.push({ employeeId: employee.id, employeeName: employee.name, success: true, skipped: true, status: existing.status });
+        continue;
+      }
+
+      try {
+        const { statusCode, body } = await closeEmployeeMonth(req, employee, period);
+        results.push(statusCode < 300
+          ? { employeeId: employee.id, employeeName: employee.name, success: true, statusCode, closing: body }
+          : { employeeId: employee.id, employeeName: employee.name, success: false, statusCode, error: body.error });
+      } catch (error) {
+        logger.logError(error, { context: 'Fechar espelho de ponto do departamento', employeeId: employee.id, userId: req.user?.id });
+        results.push({ employeeId: employee.id, employeeName: employee.name, success: false, statusCode: 500, error: 'Erro ao fechar espelho de ponto' });
+      }
+    }
+
+    const succeeded = results.filter(result => result.success).length;
+    res.json({
+      department: targetDepartment.name,
+      year: period.year,
+      month: period.month,
+      total: results.length,
+      succeeded,
+      failed: results.length - succeeded,
+      results
+    });
+  } catch (error) {
+    logger.logError(error, { context: 'Fechar espelhos de ponto do departamento', userId: req.user?.id });
+    res.status(500).json({ message: 'Erro ao fechar espelhos de ponto', error: error.message });
+  }
+});
+
+// POST /timesheet-closings/:id/acknowledge - Funcionário dá ciência do espelho fechado
+// contentHash é o hash do espelho exibido ao funcionário (GET /timesheet-closings/:id)
+router.post('/:id/acknowledge', protect, async (req, res) => {
+  try {
+    const displayedHash = typeof req.body?.contentHash === 'string' ? req.body.contentHash.trim() : '';
+    if (!displayedHash) {
+      return res.status(400).json({ error: 'Informe o hash do espelho conferido (contentHash)' });
+    }
+
+    const closing = await loadClosing(req, res);
+    if (!closing) return;
+
+    if (closing.employeeId !== req.user.id) {
+      return res.status(403).json({ error: 'Apenas o próprio funcionário pode dar ciência do espelho de ponto' });
+    }
+    if (closing.status !== 'closed') {
+      return res.status(400).json({ error: 'Apenas espelhos fechados aguardando ciência podem ser confirmados' });
+    }
+
+    // O hash registra exatamente o conteúdo conferido pelo funcionário
+    const [employee] = await findTimesheetEmployees({ employeeId: closing.employeeId });
+    const acknowledgedHash = hashTimesheet(await getEmployeeTimesheet(employee, closing.year, closing.month));
+    if (closing.contentHash && acknowledgedHash !== closing.contentHash) {
+      return res.status(409).json({
+        error: 'O espelho de ponto foi alterado depois do fechamento. Peça ao gestor para reabri-lo e fechá-lo novamente.',
+        contentChanged: true
+      });
+    }
+    if (displayedHash !== acknowledgedHash) {
+      return res.status(409).json({ error: 'O espelho conferido não corresponde ao espelho fechado. Recarregue o espelho e confira novamente.' });
+    }
+    const requestMeta = getRequestMetadata(req);
+
+    const updated = await prisma.timesheetClosing.update({
+      where: { id: closing.id },
+      data: {
+        status: 'acknowledged',
+        acknowledgedAt: new Date(),
+        acknowledgedHash,
+        ipAddress: requestMeta.ipAddress,
+        userAgent: requestMeta.userAgent
+      },
+      include: closingInclude
+    });
+
+    await logAudit({
+      action: 'timesheet_acknowledged',
+      entityType: 'timesheet',
+      entityId: closing.id,
+      userId: req.user.id,
+      targetUserId: closing.employeeId,
+      description: `Ciência do espelho de ponto de ${formatPeriod(closing)} por ${closing.employee.name}`,
+      metadata: {
+        year: closing.year,
+        month: closing.month,
+        contentHash: closing.contentHash,
+        acknowledgedHash
+      },
+      ...requestMeta
+    });
+
+    res.json(formatClosing(updated));
+  } catch (error) {
+    logger.logError(error, { context: 'Dar ciência do espelho de ponto', closingId: req.params.id, userId: req.user?.id });
+    res.status(500).json({ message: 'Erro ao registrar ciência', error: error.message });
+  }
+});
+
+// POST /timesheet-closings/:id/dispute - Funcionário contesta o espelho fechado (abre a conversa com o gestor)
+router.post('/:id/dispute', protect, async (req, res) => {
+  try {
+    const reason = parseReason(req.body.reason);
+    if (!reason) {
+      return res.status(400).json({ error: 'Informe o motivo da contestação (reason)' });
+    }
+    if (reason.length > MAX_REASON_LENGTH) {
+      return res.status(400).json({ error: `Motivo deve ter no máximo ${MAX_REASON_LENGTH} caracteres` });
+    }
+
+    const closing = await loadClosing(req, res);
+    if (!closing) return;
+
+    if (closing.employeeId !== req.user.id) {
+      return res.status(403).json({ error: 'Apenas o próprio funcionário pode contestar o espelho de ponto' });
+    }
+    if (closing.status !== 'closed') {
+      return res.status(400).json({ error: 'Apenas espelhos fechados aguardando ciência podem ser contestados' });
+    }
+
+    const requestMeta = getRequestMetadata(req);
+    const updated = await prisma.timesheetClosing.update({
+      where: { id: closing.id },
+      data: {
+        status: 'disputed',
+        disputeReason: reason,
+        disputedAt: new Date(),
+        ipAddress: requestMeta.ipAddress,
+        userAgent: requestMeta.userAgent
+      },
+      include: closingInclude
+    });
+
+    // O motivo abre a conversa do espelho e notifica os gestores por email
+    await addRecordComment({ entityType: 'timesheet', record: closing, author: req.user, message: reason, type: 'dispute' });
+
+    await logAudit({
+      action: 'timesheet_disputed',
+      entityType: 'timesheet',
+      entityId: closing.id,
+      userId: req.user.id,
+      targetUserId: closing.employeeId,
+      description: `Espelho de ponto de ${formatPeriod(closing)} contestado por ${closing.employee.name}`,
+      metadata: {
+        year: closing.year,
+        month: closing.month,
+        reason
+      },
+      ...requestMeta
+    });
+
+    res.json(formatClosing(updated));
+  } catch (error) {
+    logger.logError(error, { context: 'Contestar espelho de ponto', closingId: req.params.id, userId: req.user?.id });
+    res.status(500).json({ message: 'Erro ao contestar espelho de ponto', error: error.message });
+  }
+});
+
+// POST /timesheet-closings/:id/reopen - Reabrir o mês para ajustes (manager do departamento; espelho com ciência só admin)
+router.post('/:id/reopen', protect, adminOrManager, async (req, res) => {
+  try {
+    const reason = parseReason(req.body.reason);
+    if (!reason) {
+      return res.status(400).json({ error: 'Informe o motivo da reabertura (reason)' });
+    }
+    if (reason.length > MAX_REASON_LENGTH) {
+      return res.status(400).json({ error: `Motivo deve ter no máximo ${MAX_REASON_LENGTH} caracteres` });
+    }
+
+    const closing = await loadClosing(req, res);
+    if (!closing) return;
+
+    if (!canAccessDepartment(req.user, closing.employee?.departmentId)) {
+      return res.status(403).json({ error: 'Você só pode reabrir o ponto de funcionários do seu departamento' });
+    }
+    if (closing.status === 'open') {
+      return res.status(400).json({ error: 'O espelho de ponto já está aberto' });
+    }
+    if (closing.status === 'acknowledged' && req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Apenas administradores podem reabrir um espelho com ciência do funcionário' });
+    }
+
+    const updated = await prisma.timesheetClosing.update({
+      where: { id: closing.id },
+      data: {
+        status: 'open',
+        reopenedBy: req.user.id,
+        reopenedAt: new Date(),
+        reopenReason: reason
+      },
+      include: closingInclude
+    });
+
+    await addRecordComment({ entityType: 'timesheet', record: closing, author: req.user, message: reason });
+
+    const requestMeta = getRequestMetadata(req);
+    await logAudit({
+      action: 'timesheet_reopened',
+      entityType: 'timesheet',
+      entityId: closing.id,
+      userId: req.user.id,
+      targetUserId: closing.employeeId,
+      description: `Espelho de ponto de ${formatPeriod(closing)} reaberto para ${closing.employee.name}`,
+      metadata: {
+        year: closing.year,
+        month: closing.month,
+        previousStatus: closing.status,
+        reason
+      },
+      ...requestMeta
+    });
+
+    res.json(formatClosing(updated));
+  } catch (error) {
+    logger.logError(error, { context: 'Reabrir espelho de ponto', closingId: req.params.id, userId: req.user?.id });
+    res.status(500).json({ message: 'Erro ao reabrir espelho de ponto', error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,242 @@
+import express from 'express';
+import { protect, adminOrManager } from '../middleware/auth.js';
+import prisma from '../config/database.js';
+import { canAccessDepartment, getManagedDepartmentIds } from '../middleware/departmentAccess.js';
+import { resolveDepartment } from '../models/department.model.js';
+import { getCompanyTimezone } from '../models/companySettings.model.js';
+import { leaveInclude, findOverlappingLeave, formatLeave } from '../models/leave.model.js';
+import { findLockingClosingInRange, getClosedPeriodMessage } from '../models/timesheetClosing.model.js';
+import { vacationEmployeeSelect, getEmployeeVacationBalance, validateVacationRequest } from '../services/vacationService.js';
+import { countLeaveDays, MAX_LEAVE_REASON_LENGTH } from '../utils/leaveUtils.js';
+import { DEFAULT_ALERT_DAYS } from '../utils/vacationUtils.js';
+import { getTodayInTimezone } from '../utils/timezoneUtils.js';
+import { logAudit, getRequestMetadata } from '../middleware/audit.js';
+import { formatDateForDisplay } from '../utils/dateFormatter.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+// Quantidade máxima de funcionários consultados de uma vez (departamento ou alertas)
+const MAX_EMPLOYEES = 200;
+
+// Períodos que entram nos alertas: saldo vencendo ou período concessivo já encerrado
+const ALERT_STATUSES = ['expiring', 'expired'];
+
+// Helper: Antecedência dos alertas (query alertDays ou days)
+const parseAlertDays = (value) => {
+  const days = Number(value);
+  return Number.isInteger(days) && days >= 0 && days <= 365 ? days : DEFAULT_ALERT_DAYS;
+};
+
+// Helper: Resumo de férias de um funcionário
+const buildEmployeeSummary = (employee, periods) => ({
+  employeeId: employee.id,
+  employeeName: employee.name,
+  department: employee.department,
+  admissionDate: employee.admissionDate || null,
+  balance: periods.filter(period => period.status !== 'acquiring').reduce((sum, period) => sum + period.balance, 0),
+  periods
+});
+
+// GET /vacations/employees/:employeeId - Períodos aquisitivos e saldo de férias de um funcionário
+router.get('/employees/:employeeId', protect, async (req, res) => {
+  try {
+    const employee = await prisma.user.findUnique({
+      where: { id: req.params.employeeId },
+      select: vacationEmployeeSelect
+    });
+    if (!employee) {
+      return res.status(404).json({ error: 'Funcionário não encontrado' });
+    }
+    if (employee.id !== req.user.id && !canAccessDepartment(req.user, employee.departmentId)) {
+      return res.status(403).json({ error: 'Acesso negado. Você só pode ver férias de funcionários do seu departamento.' });
+    }
+
+    const today = getTodayInTimezone(await getCompanyTimezone());
+    const periods = await getEmployeeVacationBalance(employee, today, { alertDays: parseAlertDays(req.query.alertDays) });
+
+    res.json(buildEmployeeSummary(employee, periods));
+  } catch (error) {
+    logger.logError(error, { context: 'Buscar férias do funcionário', employeeId: req.params.employeeId, userId: req.user?.id });
+    res.status(500).json({ message: 'Erro ao buscar férias', error: error.message });
+  }
+});
+
+// POST /vacations/employees/:employeeId/plan - Planejar as férias de um período aquisitivo (até 3 períodos e abono)
+// Cria afastamentos de férias pendentes, aprovados pelo gestor em /api/leaves
+router.post('/employees/:employeeId/plan', protect, async (req, res) => {
+  try {
+    const { acquisitionPeriodStart, periods } = req.body;
+    const soldDays = req.body.soldDays !== undefined ? Number(req.body.soldDays) : 0;
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+    if (reason.length > MAX_LEAVE_REASON_LENGTH) {
+      return res.status(400).json({ error: `Motivo deve ter no máximo ${MAX_LEAVE_REASON_LENGTH} caracteres` });
+    }
+
+    const employee = await prisma.user.findUnique({
+      where: { id: req.params.employeeId },
+      select: vacationEmployeeSelect
+    });
+    if (!employee) {
+      return res.status(404).json({ error: 'Funcionário não encontrado' });
+    }
+    if (employee.id !== req.user.id && !canAccessDepartment(req.user, employee.departmentId)) {
+      return res.status(403).json({ error: 'Você só pode planejar férias de funcionários do seu departamento' });
+    }
+
+    const today = getTodayInTimezone(await getCompanyTimezone());
+    const check = await validateVacationRequest(employee, { acquisitionPeriodStart, periods, soldDays }, today);
+    if (check.error) {
+      return res.status(check.statusCode).json({ error: check.error });
+    }
+
+    for (const item of periods) {
+      const overlapping = await findOverlappingLeave(employee.id, item.startDate, item.endDate);
+      if (overlapping) {
+        return res.status(400).json({
+          error: `Já existe um afastamento ${overlapping.status === 'pending' ? 'pendente' : 'aprovado'} de ${formatDateForDisplay(overlapping.startDate)} a ${formatDateForDisplay(overlapping.endDate)}`
+        });
+      }
+      const lockingClosing = await findLockingClosingInRange(employee.id, item.startDate, item.endDate);
+      if (lockingClosing) {
+        return res.status(409).json({ error: getClosedPeriodMessage(lockingClosing) });
+      }
+    }
+
+    // O abono pecuniário acompanha o primeiro período de férias
+    const sortedPeriods = [...periods].sort((a, b) => a.startDate.localeCompare(b.startDate));
+    const leaves = await prisma.$transaction(sortedPeriods.map((item, index) => prisma.leave.create({
+      data: {
+        employeeId: employee.id,
+        type: 'vacation',
+        startDate: item.startDate,
+        endDate: item.endDate,
+        days: countLeaveDays(item.startDate, item.endDate),
+        reason: reason || null,
+        acquisitionPeriodStart: check.period.startDate,
+        soldDays: index === 0 ? soldDays : 0,
+        createdBy: req.user.id
+      },
+      include: leaveInclude
+    })));
+
+    // Registrar log de auditoria
+    const requestMeta = getRequestMetadata(req);
+    for (const leave of leaves) {
+      await logAudit({
+        action: 'leave_requested',
+        entityType: 'leave',
+        entityId: leave.id,
+        userId: req.user.id,
+        targetUserId: employee.id,
+        description: `Férias planejadas para ${employee.name}: ${formatDateForDisplay(leave.startDate)} a ${formatDateForDisplay(leave.endDate)} (${leave.days} dias${leave.soldDays ? ` + ${leave.soldDays} de abono` : ''})`,
+        metadata: {
+          type: 'vacation',
+          startDate: leave.startDate,
+          endDate: leave.endDate,
+          days: leave.days,
+          acquisitionPeriodStart: leave.acquisitionPeriodStart,
+          soldDays: leave.soldDays
+        },
+        ...requestMeta
+      });
+    }
+
+    res.status(201).json({
+      acquisitionPeriodStart: check.period.startDate,
+      leaves: leaves.map(formatLeave)
+    });
+  } catch (error) {
+    logger.logError(error, { context: 'Planejar férias', employeeId: req.params.employeeId, userId: req.user?.id });
+    res.status(500).json({ message: 'Erro ao planejar férias', error: error.message });
+  }
+});
+
+// GET /vacations/department - Planejamento de férias de um departamento (admin/manager)
+router.get('/department', protect, adminOrManager, async (req, res) => {
+  try {
+    const { departmentId, department } = req.query;
+    // Sem filtro, o departamento do próprio usuário
+    const targetDepartment = await resolveDepartment(departmentId || department
+      ? { departmentId, department }
+      : { departmentId: req.user.departmentId });
+    if (!targetDepartment) {
+      return res.status(404).json({ error: 'Departamento não encontrado' });
+    }
+    if (!canAccessDepartment(req.user, targetDepartment.id)) {
+      return res.status(403).json({ error: 'Você só pode ver as férias do seu departamento' });
+    }
+
+    const employees = await prisma.user.findMany({
+      where: { departmentId: targetDepartment.id },
+      select: vacationEmployeeSelect,
+      orderBy: { name: 'asc' },
+      take: MAX_EMPLOYEES
+    });
+
+    const today = getTodayInTimezone(await getCompanyTimezone());
+    const alertDays = parseAlertDays(req.query.alertDays);
+    const summaries = [];
+    for (const employee of employees) {
+      const periods = await getEmployeeVacationBalance(employee, today, { alertDays });
+      // Períodos já concluídos ficam fora do planejamento
+      summaries.push(buildEmployeeSummary(employee, periods.filter(period => period.status !== 'completed')));
+    }
+
+    res.json({
+      departmentId: targetDepartment.id,
+      department: targetDepartment.name,
+      alertDays,
+      employees: summaries,
+      withoutAdmissionDate: summaries.filter(summary => !summary.admissionDate).length
+    });
+  } catch (error) {
+    logger.logError(error, { context: 'Buscar férias do departamento', userId: req.user?.id });
+    res.status(500).json({ message: 'Erro ao buscar férias do departamento', error: error.message });
+  }
+});
+
+// GET /vacations/alerts - Férias próximas do fim do período concessivo ou vencidas (admin/manager)
+router.get('/alerts', protect, adminOrManager, async (req, res) => {
+  try {
+    const alertDays = parseAlertDays(req.query.days);
+    const where = { admissionDate: { not: null } };
+    if (req.user.role !== 'admin') {
+      where.departmentId = { in: getManagedDepartmentIds(req.user) };
+    }
+
+    const employees = await prisma.user.findMany({
+      where,
+      select: vacationEmployeeSelect,
+      orderBy: { name: 'asc' },
+      take: MAX_EMPLOYEES
+    });
+
+    const today = getTodayInTimezone(await getCompanyTimezone());
+    const alerts = [];
+    for (const employee of employees) {
+      const periods = await getEmployeeVacationBalance(employee, today, { alertDays });
+      periods
+        .filter(period => ALERT_STATUSES.includes(period.status))
+        .forEach(period => alerts.push({
+          employeeId: employee.id,
+          employeeName: employee.name,
+          department: employee.department,
+          acquisitionPeriodStart: period.startDate,
+          acquisitionPeriodEnd: period.endDate,
+          concessionDeadline: period.concessionDeadline,
+          daysToDeadline: period.daysToDeadline,
+          balance: period.balance,
+          status: period.status
+        }));
+    }
+
+    alerts.sort((a, b) => a.concessionDeadline.localeCompare(b.concessionDeadline));
+    res.json({ alertDays, total: alerts.length, alerts });
+  } catch (error) {
+    logger.logError(error, { context: 'Buscar alertas de férias', userId: req.user?.id });
+    res.status(500).json({ message: 'Erro ao buscar alertas de férias', error: error.message });
+  }
+});
+
+export default router;
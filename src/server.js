@@ -10,11 +10,20 @@ import hourBankRoutes from './routes/hourBank.routes.js';
 import auditRoutes from './routes/audit.routes.js';
 import justificationRoutes from './routes/justification.routes.js';
 import timeclockRoutes from './routes/timeclock.routes.js';
+import holidayRoutes from './routes/holiday.routes.js';
+import shiftPatternRoutes from './routes/shiftPattern.routes.js';
+import departmentRoutes from './routes/department.routes.js';
+import delegationRoutes from './routes/delegation.routes.js';
+import approvalRoutes from './routes/approval.routes.js';
+import commentRoutes from './routes/comment.routes.js';
+import timesheetClosingRoutes from './routes/timesheetClosing.routes.js';
+import leaveRoutes from './routes/leave.routes.js';
+import vacationRoutes from './routes/vacation.routes.js';
+import attachmentRoutes from './routes/attachment.routes.js';
 import logger from './utils/logger.js';
 import { requestLogger } from './middleware/requestLogger.js';
 import { connectDB, disconnectDB } from './config/database.js';
-import cron from 'node-cron';
-import { createDailyTimeClockRecords } from './jobs/dailyTimeClockJob.js';
+import { scheduleDailyJobs } from './jobs/scheduler.js';
 
 dotenv.config();
 
@@ -99,23 +108,9 @@ connectDB().catch((error) => {
   process.exit(1);
 });
 
-// Configurar job diário para criar registros automáticos de ponto
-// Executa diariamente às 00:05 (início do dia seguinte para processar o dia anterior)
-// Isso garante que todas as jornadas do dia anterior já terminaram
-cron.schedule('5 0 * * *', async () => {
-  try {
-    logger.info('Executando job diário de criação de registros de ponto automáticos');
-    await createDailyTimeClockRecords();
-    logger.info('Job diário de criação de registros de ponto concluído com sucesso');
-  } catch (error) {
-    logger.logError(error, { context: 'Erro ao executar job diário de criação de registros de ponto' });
-  }
-}, {
-  scheduled: true,
-  timezone: 'America/Sao_Paulo'
-});
-
-logger.info('Job diário de criação de registros de ponto configurado para executar às 00:05 (horário de Brasília) - processa o dia anterior');
+// Jobs diários (registros automáticos de ponto, expiração do banco de horas e retenção de anexos)
+// executados no fuso da empresa; reagendados quando o fuso é alterado nas configurações
+scheduleDailyJobs();
 
 // Root route - Welcome message
 app.get('/', (req, res) => {
@@ -148,6 +143,16 @@ app.use('/api/hour-bank', hourBankRoutes);
 app.use('/api/audit', auditRoutes);
 app.use('/api/justifications', justificationRoutes);
 app.use('/api/timeclock', timeclockRoutes);
+app.use('/api/holidays', holidayRoutes);
+app.use('/api/shift-patterns', shiftPatternRoutes);
+app.use('/api/departments', departmentRoutes);
+app.use('/api/delegations', delegationRoutes);
+app.use('/api/approvals', approvalRoutes);
+app.use('/api/comments', commentRoutes);
+app.use('/api/timesheet-closings', timesheetClosingRoutes);
+app.use('/api/leaves', leaveRoutes);
+app.use('/api/vacations', vacationRoutes);
+app.use('/api/attachments', attachmentRoutes);
 
 const PORT = process.env.PORT || 5000;
 const HOST = process.env.HOST || '0.0.0.0';
@@ -0,0 +1,142 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } from '@aws-sdk/client-s3';
+import logger from '../utils/logger.js';
+
+/**
+ * Armazenamento do conteúdo dos anexos
+ *
+ * O driver é escolhido por ATTACHMENT_STORAGE:
+ * - database: bytes na própria tabela (como a logo da empresa)
+ * - disk: arquivos em ATTACHMENT_DISK_PATH
+ * - s3: bucket compatível com S3 (AWS, MinIO), configurado pelas variáveis S3_*
+ *
+ * Cada anexo guarda o driver usado no upload, então trocar o driver não afeta os anexos existentes.
+ */
+
+const STORAGE_DRIVERS = ['database', 'disk', 's3'];
+const DEFAULT_DISK_PATH = './uploads/attachments';
+
+// Cliente S3 (criado na primeira utilização)
+let s3Client = null;
+
+function getS3Client() {
+  if (s3Client) {
+    return s3Client;
+  }
+
+  const required = ['S3_BUCKET', 'S3_ACCESS_KEY_ID', 'S3_SECRET_ACCESS_KEY'];
+  const missing = required.filter(key => !process.env[key]);
+  if (missing.length > 0) {
+    throw new Error(`Armazenamento S3 não configurado. Variáveis ausentes: ${missing.join(', ')}`);
+  }
+
+  s3Client = new S3Client({
+    region: process.env.S3_REGION || 'us-east-1',
+    endpoint: process.env.S3_ENDPOINT || undefined,
+    // MinIO e outros serviços compatíveis usam o bucket no caminho da URL
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+    credentials: {
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+    }
+  });
+  return s3Client;
+}
+
+function getDiskPath(storageKey) {
+  const root = path.resolve(process.env.ATTACHMENT_DISK_PATH || DEFAULT_DISK_PATH);
+  const filePath = path.resolve(root, storageKey);
+  if (!filePath.startsWith(root + path.sep)) {
+    throw new Error('Caminho de anexo inválido');
+  }
+  return filePath;
+}
+
+/**
+ * Get the storage driver configured for new attachments
+ * @returns {string} 'database' | 'disk' | 's3'
+ */
+export function getAttachmentStorageDriver() {
+  const driver = (process.env.ATTACHMENT_STORAGE || 'database').toLowerCase();
+  if (!STORAGE_DRIVERS.includes(driver)) {
+    logger.warn('ATTACHMENT_STORAGE inválido, usando database', { driver });
+    return 'database';
+  }
+  return driver;
+}
+
+/**
+ * Store the content of a new attachment with the configured driver
+ * @param {Buffer} buffer - File content
+ * @param {Object} params
+ * @param {string} params.employeeId - Employee that owns the record (prefixo da chave)
+ * @param {string} params.contentType - Detected content type
+ * @returns {Promise<Object>} { storage, storageKey, data } to save in the attachment
+ */
+export async function storeAttachmentContent(buffer, { employeeId, contentType }) {
+  const storage = getAttachmentStorageDriver();
+  if (storage === 'database') {
+    return { storage, storageKey: null, data: buffer };
+  }
+
+  const storageKey = `${employeeId}/${crypto.randomUUID()}`;
+  if (storage === 'disk') {
+    const filePath = getDiskPath(storageKey);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer, { flag: 'wx' });
+  } else {
+    await getS3Client().send(new PutObjectCommand({
+      Bucket: process.env.S3_BUCKET,
+      Key: storageKey,
+      Body: buffer,
+      ContentType: contentType
+    }));
+  }
+
+  return { storage, storageKey, data: null };
+}
+
+/**
+ * Read the content of an attachment from the driver it was stored with
+ * @param {Object} attachment - Attachment (storage, storageKey, data)
+ * @returns {Promise<Buffer>} File content
+ */
+export async function readAttachmentContent(attachment) {
+  if (attachment.storage === 'database') {
+    return Buffer.isBuffer(attachment.data) ? attachment.data : Buffer.from(attachment.data);
+  }
+  if (attachment.storage === 'disk') {
+    return fs.readFile(getDiskPath(attachment.storageKey));
+  }
+
+  const response = await getS3Client().send(new GetObjectCommand({
+    Bucket: process.env.S3_BUCKET,
+    Key: attachment.storageKey
+  }));
+  return Buffer.from(await response.Body.transformToByteArray());
+}
+
+/**
+ * Remove the content of an attachment from disk or bucket (no database o conteúdo é limpo no próprio registro)
+ * Arquivo já inexistente não é tratado como erro.
+ * @param {Object} attachment - Attachment (storage, storageKey)
+ * @returns {Promise<void>}
+ */
+export async function removeAttachmentContent(attachment) {
+  if (attachment.storage === 'disk' && attachment.storageKey) {
+    try {
+      await fs.unlink(getDiskPath(attachment.storageKey));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  } else if (attachment.storage === 's3' && attachment.storageKey) {
+    await getS3Client().send(new DeleteObjectCommand({
+      Bucket: process.env.S3_BUCKET,
+      Key: attachment.storageKey
+    }));
+  }
+}
+
+export { STORAGE_DRIVERS };
@@ -1,6 +1,7 @@
 import nodemailer from 'nodemailer';
 import logger from '../utils/logger.js';
 import { getOrCreateSettings } from '../models/companySettings.model.js';
+import { resolveTimezone } from '../utils/timezoneUtils.js';
 
 // Validar variáveis de ambiente SMTP
 function validateSmtpConfig() {
@@ -98,10 +99,14 @@ export async function sendTimeClockEmail(employee, timeClockRecord, type) {
     const typeLabel = typeLabels[type] || 'Registro de Ponto';
     const now = new Date();
 
+    // Horários exibidos no fuso do funcionário (ou da empresa)
+    let timezone = resolveTimezone(employee, null);
+
     // Buscar logo da empresa
     let logoDataUri = null;
     try {
       const settings = await getOrCreateSettings();
+      timezone = resolveTimezone(employee, settings?.timezone);
       if (settings?.logo) {
         const logoBuffer = Buffer.isBuffer(settings.logo) 
           ? settings.logo 
@@ -121,25 +126,25 @@ export async function sendTimeClockEmail(employee, timeClockRecord, type) {
     switch (type) {
       case 'entry':
         timeInfo = timeClockRecord.entryTime 
-          ? new Date(timeClockRecord.entryTime).toLocaleTimeString('pt-BR', { hour: '2-digit', minute: '2-digit' })
+          ? new Date(timeClockRecord.entryTime).toLocaleTimeString('pt-BR', { hour: '2-digit', minute: '2-digit', timeZone: timezone })
           : '-';
         summary = `Você registrou sua entrada às ${timeInfo}.`;
         break;
       case 'lunch_exit':
         timeInfo = timeClockRecord.lunchExitTime
-          ? new Date(timeClockRecord.lunchExitTime).toLocaleTimeString('pt-BR', { hour: '2-digit', minute: '2-digit' })
+          ? new Date(timeClockRecord.lunchExitTime).toLocaleTimeString('pt-BR', { hour: '2-digit', minute: '2-digit', timeZone: timezone })
           : '-';
         summary = `Você registrou sua saída para almoço às ${timeInfo}.`;
         break;
       case 'lunch_return':
         timeInfo = timeClockRecord.lunchReturnTime
-          ? new Date(timeClockRecord.lunchReturnTime).toLocaleTimeString('pt-BR', { hour: '2-digit', minute: '2-digit' })
+          ? new Date(timeClockRecord.lunchReturnTime).toLocaleTimeString('pt-BR', { hour: '2-digit', minute: '2-digit', timeZone: timezone })
           : '-';
         summary = `Você registrou sua volta do almoço às ${timeInfo}.`;
         break;
       case 'exit':
         const exitTime = timeClockRecord.exitTime
-          ? new Date(timeClockRecord.exitTime).toLocaleTimeString('pt-BR', { hour: '2-digit', minute: '2-digit' })
+          ? new Date(timeClockRecord.exitTime).toLocaleTimeString('pt-BR', { hour: '2-digit', minute: '2-digit', timeZone: timezone })
           : '-';
         const workedHours = timeClockRecord.totalWorkedHours?.toFixed(2) || '0.00';
         const overtimeHours = timeClockRecord.overtimeHours?.toFixed(2) || '0.00';
@@ -192,7 +197,7 @@ export async function sendTimeClockEmail(employee, timeClockRecord, type) {
               <p>Este é um comprovante automático do seu registro de ponto.</p>
               
               <div class="info-box">
-                <p><strong>Data:</strong> ${now.toLocaleDateString('pt-BR')}</p>
+                <p><strong>Data:</strong> ${now.toLocaleDateString('pt-BR', { timeZone: timezone })}</p>
                 <p><strong>Tipo:</strong> ${typeLabel}</p>
                 <p><strong>Horário:</strong> ${timeInfo}</p>
               </div>
@@ -214,7 +219,7 @@ export async function sendTimeClockEmail(employee, timeClockRecord, type) {
     await transporter.sendMail({
       from: process.env.SMTP_FROM || process.env.SMTP_USER,
       to: employee.email,
-      subject: `Comprovante de Ponto - ${typeLabel} - ${now.toLocaleDateString('pt-BR')}`,
+      subject: `Comprovante de Ponto - ${typeLabel} - ${now.toLocaleDateString('pt-BR', { timeZone: timezone })}`,
       html: htmlContent,
     });
 
@@ -249,3 +254,208 @@ export async function sendTimeClockEmail(employee, timeClockRecord, type) {
   }
 }
 
+/**
+ * Send a notification about a new comment on a record (hora extra, banco de horas ou ponto)
+ * @param {Object} recipient - User to notify ({ id, name, email })
+ * @param {Object} comment - { authorName, recordLabel, recordSummary, message, type }
+ * @returns {Promise<void>}
+ */
+export async function sendRecordCommentEmail(recipient, comment) {
+  try {
+    if (!transporter) {
+      logger.warn('Transporte SMTP não configurado - email não será enviado', {
+        recipientId: recipient?.id
+      });
+      return;
+    }
+
+    if (!recipient?.email) {
+      logger.warn('Email do destinatário não encontrado', { recipientId: recipient?.id });
+      return;
+    }
+
+    const titles = {
+      rejection: `${comment.recordLabel} rejeitado(a)`,
+      approval: `${comment.recordLabel} aprovado(a)`,
+      dispute: `${comment.recordLabel} contestado(a)`,
+      comment: `Novo comentário em ${comment.recordLabel.toLowerCase()}`
+    };
+    const title = titles[comment.type] || titles.comment;
+    const messageLabels = { rejection: 'Motivo da rejeição', dispute: 'Motivo da contestação' };
+    const messageLabel = messageLabels[comment.type] || 'Mensagem';
+
+    // Escapar a mensagem do usuário antes de inserir no HTML
+    const escapeHtml = (text) => String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/\n/g, '<br>');
+
+    const htmlContent = `
+      <!DOCTYPE html>
+      <html>
+        <head>
+          <meta charset="utf-8">
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background-color: #3b82f6; color: white; padding: 20px; text-align: center; border-radius: 5px 5px 0 0; }
+            .content { background-color: #f9fafb; padding: 20px; border: 1px solid #e5e7eb; border-radius: 0 0 5px 5px; }
+            .info-box { background-color: white; padding: 15px; margin: 15px 0; border-left: 4px solid #3b82f6; }
+            .footer { text-align: center; margin-top: 20px; color: #6b7280; font-size: 12px; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>${escapeHtml(title)}</h1>
+            </div>
+            <div class="content">
+              <p>Olá, <strong>${escapeHtml(recipient.name)}</strong>,</p>
+              <p><strong>${escapeHtml(comment.authorName)}</strong> escreveu sobre o registro abaixo.</p>
+
+              <div class="info-box">
+                <p><strong>Registro:</strong> ${escapeHtml(comment.recordSummary)}</p>
+                <p><strong>${messageLabel}:</strong><br>${escapeHtml(comment.message)}</p>
+              </div>
+
+              <p>Acesse o sistema para responder.</p>
+
+              <div class="footer">
+                <p>Este é um email automático, por favor não responda.</p>
+                <p>Sistema PrimeTime</p>
+              </div>
+            </div>
+          </div>
+        </body>
+      </html>
+    `;
+
+    await transporter.sendMail({
+      from: process.env.SMTP_FROM || process.env.SMTP_USER,
+      to: recipient.email,
+      subject: `${title} - ${comment.recordSummary}`,
+      html: htmlContent,
+    });
+
+    logger.info('Email de comentário enviado', {
+      recipientId: recipient.id,
+      type: comment.type
+    });
+  } catch (error) {
+    logger.logError(error, {
+      context: 'Enviar email de comentário',
+      recipientId: recipient?.id
+    });
+    // Não lançar erro para não interromper o fluxo do comentário
+  }
+}
+
+/**
+ * Enviar email sobre a análise de uma justificativa de ponto
+ * 'submitted' avisa o gestor de uma justificativa aguardando análise; 'approved' e 'rejected' avisam o funcionário
+ * @param {Object} recipient - Destinatário ({ id, name, email })
+ * @param {Object} review - { type, employeeName, reviewerName?, recordSummary, justification, negativeHours?, comment? }
+ */
+export async function sendJustificationReviewEmail(recipient, review) {
+  try {
+    if (!transporter) {
+      logger.warn('Transporte SMTP não configurado - email não será enviado', {
+        recipientId: recipient?.id
+      });
+      return;
+    }
+
+    if (!recipient?.email) {
+      logger.warn('Email do destinatário não encontrado', { recipientId: recipient?.id });
+      return;
+    }
+
+    const titles = {
+      submitted: 'Justificativa aguardando análise',
+      approved: 'Justificativa aprovada',
+      rejected: 'Justificativa rejeitada'
+    };
+    const title = titles[review.type] || titles.submitted;
+    const colors = { submitted: '#3b82f6', approved: '#10b981', rejected: '#ef4444' };
+    const color = colors[review.type] || colors.submitted;
+
+    // Escapar textos do usuário antes de inserir no HTML
+    const escapeHtml = (text) => String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/\n/g, '<br>');
+
+    const intro = review.type === 'submitted'
+      ? `<strong>${escapeHtml(review.employeeName)}</strong> enviou uma justificativa que aguarda a sua análise.`
+      : `Sua justificativa foi ${review.type === 'approved' ? 'aprovada' : 'rejeitada'} por <strong>${escapeHtml(review.reviewerName || 'gestor')}</strong>.`;
+    const outcome = review.type === 'approved'
+      ? '<p>O efeito da justificativa foi aplicado às horas não trabalhadas do dia.</p>'
+      : review.type === 'rejected'
+        ? '<p>As horas não trabalhadas do dia permanecem como débito no banco de horas.</p>'
+        : '<p>Acesse o sistema para aprovar ou rejeitar.</p>';
+
+    const htmlContent = `
+      <!DOCTYPE html>
+      <html>
+        <head>
+          <meta charset="utf-8">
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background-color: ${color}; color: white; padding: 20px; text-align: center; border-radius: 5px 5px 0 0; }
+            .content { background-color: #f9fafb; padding: 20px; border: 1px solid #e5e7eb; border-radius: 0 0 5px 5px; }
+            .info-box { background-color: white; padding: 15px; margin: 15px 0; border-left: 4px solid ${color}; }
+            .footer { text-align: center; margin-top: 20px; color: #6b7280; font-size: 12px; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>${title}</h1>
+            </div>
+            <div class="content">
+              <p>Olá, <strong>${escapeHtml(recipient.name)}</strong>,</p>
+              <p>${intro}</p>
+
+              <div class="info-box">
+                <p><strong>Registro:</strong> ${escapeHtml(review.recordSummary)}</p>
+                <p><strong>Justificativa:</strong> ${escapeHtml(review.justification)}</p>
+                ${review.negativeHours ? `<p><strong>Horas não trabalhadas:</strong> ${Number(review.negativeHours).toFixed(2)}h</p>` : ''}
+                ${review.comment ? `<p><strong>${review.type === 'rejected' ? 'Motivo da rejeição' : 'Observação'}:</strong><br>${escapeHtml(review.comment)}</p>` : ''}
+              </div>
+
+              ${outcome}
+
+              <div class="footer">
+                <p>Este é um email automático, por favor não responda.</p>
+                <p>Sistema PrimeTime</p>
+              </div>
+            </div>
+          </div>
+        </body>
+      </html>
+    `;
+
+    await transporter.sendMail({
+      from: process.env.SMTP_FROM || process.env.SMTP_USER,
+      to: recipient.email,
+      subject: `${title} - ${review.recordSummary}`,
+      html: htmlContent,
+    });
+
+    logger.info('Email de análise de justificativa enviado', {
+      recipientId: recipient.id,
+      type: review.type
+    });
+  } catch (error) {
+    logger.logError(error, {
+      context: 'Enviar email de análise de justificativa',
+      recipientId: recipient?.id
+    });
+    // Não lançar erro para não interromper o fluxo da justificativa
+  }
+}
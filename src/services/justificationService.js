@@ -0,0 +1,359 @@
+import prisma from '../config/database.js';
+import { logAudit } from '../middleware/audit.js';
+import { getDepartmentSubtreeIds, findDepartmentManagers } from '../models/department.model.js';
+import { sendJustificationReviewEmail } from './emailService.js';
+import { resolveJustificationEffect } from '../utils/justificationUtils.js';
+import { getRecordBalanceImpact } from '../utils/hourBankUtils.js';
+import { formatDateForDisplay } from '../utils/dateFormatter.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Justificativas de ponto: disponibilidade por departamento e efeito sobre as horas não trabalhadas
+ * (abono total, abono parcial ou débito no banco de horas)
+ */
+
+/**
+ * Create an automatic hour bank debit for the negative hours of a time clock record
+ * Não lança erro, para não quebrar o fluxo de registro de ponto.
+ * @param {string} employeeId - Employee ID
+ * @param {string} date - Record date (YYYY-MM-DD)
+ * @param {number} negativeHours - Hours to debit
+ * @param {string} timeClockId - Time clock record ID
+ * @param {string} userId - User that triggered the debit
+ * @param {string|null} justification - Justification text (entra no motivo do débito)
+ * @returns {Promise<Object|null>} Debit or null on error
+ */
+export async function createAutomaticDebit(employeeId, date, negativeHours, timeClockId, userId, justification = null) {
+  try {
+    // Verificar se já existe débito para este registro de ponto
+    const existingDebit = await prisma.hourBankRecord.findFirst({
+      where: {
+        employeeId,
+        date,
+        type: 'debit',
+        reason: {
+          contains: `Registro de ponto ${date}`
+        }
+      }
+    });
+
+    if (existingDebit) {
+      logger.info('Débito já existe para este registro de ponto', { timeClockId, existingDebitId: existingDebit.id });
+      return existingDebit;
+    }
+
+    // Verificar saldo disponível (mas não bloquear se não houver saldo - o débito será criado mesmo assim)
+    const allRecords = await prisma.hourBankRecord.findMany({
+      where: { employeeId }
+    });
+
+    let totalBalance = 0;
+    allRecords.forEach(record => {
+      if (record.status === 'approved') {
+        totalBalance += getRecordBalanceImpact(record);
+      }
+    });
+
+    // Criar débito no banco de horas automaticamente
+    const reasonText = justification
+      ? `Horas não trabalhadas em ${formatDateForDisplay(date)} - ${justification}`
+      : `Horas não trabalhadas em ${formatDateForDisplay(date)} (via registro de ponto)`;
+
+    const hourBankDebit = await prisma.hourBankRecord.create({
+      data: {
+        employeeId,
+        date,
+        type: 'debit',
+        hours: negativeHours,
+        reason: reasonText,
+        status: 'pending', // Pendente para aprovação manual pelo admin/manager
+        createdBy: userId
+      }
+    });
+
+    // Atualizar o registro de ponto com o ID do débito
+    await prisma.timeClock.update({
+      where: { id: timeClockId },
+      data: { hourBankDebitId: hourBankDebit.id }
+    });
+
+    // Registrar log de auditoria
+    await logAudit({
+      action: 'hourbank_debit_created',
+      entityType: 'hourbank',
+      entityId: hourBankDebit.id,
+      userId: userId,
+      targetUserId: employeeId,
+      description: `Débito no banco de horas criado automaticamente via registro de ponto: ${negativeHours}h em ${formatDateForDisplay(date)}`,
+      metadata: {
+        hours: negativeHours,
+        date: date,
+        type: 'debit',
+        timeClockId: timeClockId,
+        autoCreated: true,
+        justification: justification
+      }
+    });
+
+    logger.info('Débito no banco de horas criado automaticamente', {
+      timeClockId,
+      employeeId,
+      negativeHours,
+      hourBankDebitId: hourBankDebit.id
+    });
+
+    return hourBankDebit;
+  } catch (error) {
+    logger.logError(error, {
+      context: 'Criar débito automático no banco de horas',
+      employeeId,
+      date,
+      negativeHours
+    });
+    // Não lançar erro - apenas logar, para não quebrar o fluxo de registro de ponto
+    return null;
+  }
+}
+
+/**
+ * Check whether a justification is available to an employee
+ * Justificativas sem departamentos valem para todos; as demais valem para os departamentos listados e seus subdepartamentos.
+ * @param {Object} justification - Justification (isActive, departmentIds)
+ * @param {Object} employee - Employee ({ departmentId })
+ * @param {Array<Object>} [allDepartments] - Departments ({ id, parentId }); loaded if not provided
+ * @returns {Promise<boolean>} True if active and available
+ */
+export async function isJustificationAvailable(justification, employee, allDepartments = null) {
+  if (!justification?.isActive) {
+    return false;
+  }
+
+  const departmentIds = Array.isArray(justification.departmentIds) ? justification.departmentIds : [];
+  if (departmentIds.length === 0) {
+    return true;
+  }
+  if (!employee?.departmentId) {
+    return false;
+  }
+
+  const subtreeIds = await getDepartmentSubtreeIds(departmentIds, allDepartments);
+  return subtreeIds.includes(employee.departmentId);
+}
+
+/**
+ * Find the active justifications available to an employee
+ * @param {Object} employee - Employee ({ departmentId })
+ * @returns {Promise<Array>} Justifications ordered by reason
+ */
+export async function findAvailableJustifications(employee) {
+  const justifications = await prisma.justification.findMany({
+    where: { isActive: true },
+    orderBy: { reason: 'asc' }
+  });
+
+  const departments = justifications.some(justification => Array.isArray(justification.departmentIds) && justification.departmentIds.length > 0)
+    ? await prisma.department.findMany({ select: { id: true, parentId: true } })
+    : [];
+
+  const available = [];
+  for (const justification of justifications) {
+    if (await isJustificationAvailable(justification, employee, departments)) {
+      available.push(justification);
+    }
+  }
+  return available;
+}
+
+/**
+ * Adjust an already approved debit by the hours waived (or no longer waived) by a justification
+ * Horas positivas geram um crédito de estorno; negativas, um débito complementar. Ambos são aprovados
+ * na hora (o débito original já foi aprovado) e o crédito não expira.
+ * @param {Object} record - Time clock record
+ * @param {Object} debit - Approved debit of the record
+ * @param {number} hours - Hours to give back (positive) or to charge again (negative)
+ * @param {string} userId - User that triggered the change
+ * @param {string|null} justificationText - Justification text (entra no motivo)
+ * @returns {Promise<Object>} Created hour bank record
+ */
+async function createApprovedDebitAdjustment(record, debit, hours, userId, justificationText) {
+  const type = hours > 0 ? 'credit' : 'debit';
+  const adjustment = await prisma.hourBankRecord.create({
+    data: {
+      employeeId: record.employeeId,
+      date: record.date,
+      type,
+      hours: Math.abs(hours),
+      reason: type === 'credit'
+        ? `Estorno do débito aprovado de ${formatDateForDisplay(record.date)}: horas abonadas pela justificativa (${justificationText})`
+        : `Ajuste do débito aprovado de ${formatDateForDisplay(record.date)}: abono desfeito (${justificationText})`,
+      status: 'approved',
+      createdBy: userId,
+      approvedBy: userId,
+      approvedAt: new Date()
+    }
+  });
+
+  await logAudit({
+    action: type === 'credit' ? 'hourbank_credit_created' : 'hourbank_debit_created',
+    entityType: 'hourbank',
+    entityId: adjustment.id,
+    userId,
+    targetUserId: record.employeeId,
+    description: type === 'credit'
+      ? `Crédito de estorno do débito aprovado criado: ${adjustment.hours}h em ${formatDateForDisplay(record.date)}`
+      : `Débito complementar ao débito aprovado criado: ${adjustment.hours}h em ${formatDateForDisplay(record.date)}`,
+    metadata: {
+      hours: adjustment.hours,
+      date: record.date,
+      type,
+      timeClockId: record.id,
+      debitId: debit.id,
+      autoCreated: true,
+      justification: justificationText
+    }
+  });
+
+  return adjustment;
+}
+
+/**
+ * Apply the effect of a justification to the unworked hours of a time clock record
+ * Recalcula o abono a partir das horas não trabalhadas (negativeHours + waivedHours), atualiza o registro e
+ * ajusta o débito automático: cria o débito das horas não abonadas, atualiza o débito pendente ou o rejeita
+ * quando todas as horas são abonadas. Débitos já aprovados não são alterados: a diferença entre as horas
+ * já cobradas (negativeHours) e as não abonadas é lançada como crédito de estorno ou débito complementar.
+ * A análise do gestor vem do próprio registro (justificationStatus): pendente não abona e rejeitada
+ * mantém todas as horas como débito.
+ * @param {Object} record - Time clock record
+ * @param {Object|null} justification - Justification (null = sem abono)
+ * @param {string} userId - User that triggered the change
+ * @returns {Promise<Object>} { record, waivedHours, debitHours, pending }
+ */
+export async function applyJustificationEffect(record, justification, userId) {
+  const unworkedHours = (record.negativeHours || 0) + (record.waivedHours || 0);
+  if (unworkedHours <= 0) {
+    return { record, waivedHours: 0, debitHours: 0, pending: null };
+  }
+
+  const reviewedJustification = record.justificationStatus === 'rejected' ? null : justification;
+  const hasAttachment = reviewedJustification?.requiresAttachment
+    ? (await prisma.attachment.count({ where: { timeClockId: record.id, purgedAt: null } })) > 0
+    : false;
+  const effect = resolveJustificationEffect(reviewedJustification, unworkedHours, {
+    hasAttachment,
+    approved: record.justificationStatus === 'approved',
+    reviewPending: record.justificationStatus === 'pending'
+  });
+  const justificationText = justification?.reason || record.justification || null;
+
+  const updatedRecord = await prisma.timeClock.update({
+    where: { id: record.id },
+    data: {
+      negativeHours: effect.debitHours > 0 ? effect.debitHours : null,
+      waivedHours: effect.waivedHours > 0 ? effect.waivedHours : null
+    }
+  });
+
+  const existingDebit = record.hourBankDebitId
+    ? await prisma.hourBankRecord.findUnique({ where: { id: record.hourBankDebitId } })
+    : null;
+
+  if (existingDebit?.status === 'approved') {
+    // Débito já aprovado não é alterado: a diferença para as horas já cobradas vira um lançamento aprovado
+    const adjustmentHours = Number(((record.negativeHours || 0) - effect.debitHours).toFixed(2));
+    if (adjustmentHours !== 0) {
+      await createApprovedDebitAdjustment(record, existingDebit, adjustmentHours, userId, justificationText);
+    }
+  } else if (existingDebit?.status === 'pending') {
+    if (effect.debitHours > 0 && existingDebit.hours !== effect.debitHours) {
+      await prisma.hourBankRecord.update({
+        where: { id: existingDebit.id },
+        data: { hours: effect.debitHours }
+      });
+    } else if (effect.debitHours === 0) {
+      await prisma.hourBankRecord.update({
+        where: { id: existingDebit.id },
+        data: {
+          status: 'rejected',
+          rejectedBy: userId,
+          rejectedAt: new Date(),
+          rejectionReason: `Horas abonadas pela justificativa: ${justificationText}`
+        }
+      });
+    }
+  } else if (effect.debitHours > 0) {
+    await createAutomaticDebit(record.employeeId, record.date, effect.debitHours, record.id, userId, justificationText);
+  }
+
+  if (effect.waivedHours > 0) {
+    await logAudit({
+      action: 'timeclock_hours_waived',
+      entityType: 'timeclock',
+      entityId: record.id,
+      userId,
+      targetUserId: record.employeeId,
+      description: `${effect.waivedHours}h abonadas em ${formatDateForDisplay(record.date)}: ${justificationText}`,
+      metadata: {
+        date: record.date,
+        justificationId: reviewedJustification?.id || null,
+        effect: reviewedJustification?.effect || null,
+        waivedHours: effect.waivedHours,
+        debitHours: effect.debitHours
+      }
+    });
+  }
+
+  return {
+    record: await prisma.timeClock.findUnique({ where: { id: updatedRecord.id } }),
+    ...effect
+  };
+}
+
+/**
+ * Notify the department managers that an employee submitted a justification for review
+ * O envio dos emails não bloqueia a resposta.
+ * @param {Object} record - Time clock record (date, negativeHours)
+ * @param {Object} employee - Employee ({ id, name, department, departmentId })
+ * @param {Object} justification - Justification (reason)
+ * @returns {Promise<void>}
+ */
+export async function notifyJustificationSubmitted(record, employee, justification) {
+  try {
+    const managers = await findDepartmentManagers(employee);
+    managers
+      .filter(manager => manager.id !== employee.id)
+      .forEach(manager => {
+        sendJustificationReviewEmail(manager, {
+          type: 'submitted',
+          employeeName: employee.name,
+          recordSummary: `Registro de ponto de ${formatDateForDisplay(record.date)}`,
+          justification: justification.reason,
+          negativeHours: record.negativeHours
+        }).catch(error => {
+          logger.logError(error, { context: 'Notificar justificativa enviada', timeClockId: record.id, recipientId: manager.id });
+        });
+      });
+  } catch (error) {
+    logger.logError(error, { context: 'Buscar gestores para notificar justificativa', timeClockId: record.id });
+  }
+}
+
+/**
+ * Notify the employee of the manager's decision on a justification
+ * O envio do email não bloqueia a resposta.
+ * @param {Object} record - Time clock record (date, negativeHours, justification)
+ * @param {Object} employee - Employee ({ id, name, email })
+ * @param {Object} review - { status: 'approved' | 'rejected', reviewerName, comment }
+ */
+export function notifyJustificationReviewed(record, employee, { status, reviewerName, comment }) {
+  sendJustificationReviewEmail(employee, {
+    type: status,
+    reviewerName,
+    recordSummary: `Registro de ponto de ${formatDateForDisplay(record.date)}`,
+    justification: record.justification,
+    negativeHours: status === 'rejected' ? record.negativeHours : null,
+    comment
+  }).catch(error => {
+    logger.logError(error, { context: 'Notificar análise de justificativa', timeClockId: record.id, recipientId: employee.id });
+  });
+}
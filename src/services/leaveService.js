@@ -0,0 +1,239 @@
+import { logAudit } from '../middleware/audit.js';
+import { findUserById } from '../models/user.model.js';
+import { getHolidayForEmployee } from '../models/holiday.model.js';
+import { getScheduledHoursForDay } from '../utils/timeClockUtils.js';
+import { getLeaveTypeLabel } from '../utils/leaveUtils.js';
+import { formatDateForDisplay } from '../utils/dateFormatter.js';
+
+/**
+ * Efeito dos afastamentos aprovados sobre os registros de ponto e o banco de horas
+ * As funções recebem o cliente da transação da rota, para que o afastamento e os registros
+ * do período sejam gravados juntos; os logs de auditoria são gravados depois da transação.
+ */
+
+// Motivo da rejeição dos débitos pendentes de dias cobertos pelo afastamento (identifica o que restaurar no cancelamento)
+const getLeaveDebitRejectionReason = (leave) => `Dia coberto por afastamento aprovado (${getLeaveTypeLabel(leave.type)})`;
+
+const roundHours = (hours) => Number(hours.toFixed(2));
+
+/**
+ * Justify the time clock records covered by an approved leave
+ * Faltas automáticas deixam de ter horas previstas e negativas; débitos automáticos pendentes desses dias
+ * são rejeitados e débitos já aprovados são estornados por um crédito aprovado vinculado ao afastamento.
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} leave - Approved leave
+ * @param {string} userId - User that approved the leave
+ * @returns {Promise<Object>} { justifiedRecords, rejectedDebits, offsetDebits, hourBankChanges }
+ */
+export async function justifyLeaveRecords(tx, leave, userId) {
+  const label = getLeaveTypeLabel(leave.type);
+  const records = await tx.timeClock.findMany({
+    where: {
+      employeeId: leave.employeeId,
+      date: { gte: leave.startDate, lte: leave.endDate }
+    },
+    include: { hourBankDebit: true }
+  });
+
+  let rejectedDebits = 0;
+  const hourBankChanges = [];
+  for (const record of records) {
+    const hasPunches = Boolean(record.entryTime || record.exitTime);
+    await tx.timeClock.update({
+      where: { id: record.id },
+      data: {
+        ...(hasPunches ? {} : { scheduledHours: 0 }),
+        negativeHours: null,
+        lateMinutes: null,
+        justification: record.justification || label
+      }
+    });
+
+    const debit = record.hourBankDebit;
+    if (debit?.status === 'pending') {
+      await tx.hourBankRecord.update({
+        where: { id: debit.id },
+        data: {
+          status: 'rejected',
+          rejectedBy: userId,
+          rejectedAt: new Date(),
+          rejectionReason: getLeaveDebitRejectionReason(leave)
+        }
+      });
+      rejectedDebits++;
+    } else if (debit?.status === 'approved' && debit.hours > 0) {
+      // Débito já aprovado não é alterado: o estorno é um crédito aprovado (sem expiração) do mesmo valor
+      const credit = await tx.hourBankRecord.create({
+        data: {
+          employeeId: leave.employeeId,
+          date: record.date,
+          type: 'credit',
+          hours: debit.hours,
+          reason: `Estorno do débito de ${formatDateForDisplay(record.date)}: dia coberto por afastamento aprovado (${label})`,
+          status: 'approved',
+          createdBy: userId,
+          approvedBy: userId,
+          approvedAt: new Date(),
+          leaveId: leave.id
+        }
+      });
+      hourBankChanges.push({
+        action: 'hourbank_credit_created',
+        record: credit,
+        description: `Crédito de estorno criado: ${credit.hours}h em ${formatDateForDisplay(record.date)} (${label})`,
+        metadata: { debitId: debit.id, timeClockId: record.id }
+      });
+    }
+  }
+
+  return {
+    justifiedRecords: records.length,
+    rejectedDebits,
+    offsetDebits: hourBankChanges.length,
+    hourBankChanges
+  };
+}
+
+/**
+ * Recalculate the time clock records of a cancelled leave
+ * Dias sem batida voltam a ter as horas previstas como negativas (como no job diário); dias com batida têm as
+ * horas negativas recalculadas pelas horas trabalhadas. Débitos rejeitados pela aprovação voltam a ficar
+ * pendentes (dias com batida sem débito ganham um débito pendente) e os créditos de estorno são rejeitados.
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} leave - Leave being cancelled (ainda com o status aprovado)
+ * @param {string} userId - User that cancelled the leave
+ * @returns {Promise<Object>} { recalculatedRecords, restoredDebits, createdDebits, reversedOffsets, hourBankChanges }
+ */
+export async function restoreLeaveRecords(tx, leave, userId) {
+  const label = getLeaveTypeLabel(leave.type);
+  const employee = await findUserById(leave.employeeId);
+  const records = await tx.timeClock.findMany({
+    where: {
+      employeeId: leave.employeeId,
+      date: { gte: leave.startDate, lte: leave.endDate }
+    },
+    include: { hourBankDebit: true }
+  });
+
+  let restoredDebits = 0;
+  const hourBankChanges = [];
+  for (const record of records) {
+    const hasPunches = Boolean(record.entryTime || record.exitTime);
+    // Afastamentos não se sobrepõem: sem este, o dia volta à jornada e aos feriados do funcionário
+    const holiday = await getHolidayForEmployee(employee, record.date);
+    const scheduledHours = getScheduledHoursForDay(employee, record.date, holiday, null);
+    let negativeHours = scheduledHours;
+    if (hasPunches) {
+      negativeHours = record.exitTime && scheduledHours > 0
+        ? Math.max(0, scheduledHours - (record.totalWorkedHours || 0))
+        : 0;
+    }
+
+    await tx.timeClock.update({
+      where: { id: record.id },
+      data: {
+        scheduledHours,
+        negativeHours: negativeHours > 0 ? negativeHours : null,
+        justification: record.justification === label ? null : record.justification
+      }
+    });
+
+    const debit = record.hourBankDebit;
+    if (negativeHours <= 0) {
+      continue;
+    }
+    if (debit?.status === 'rejected' && debit.rejectionReason === getLeaveDebitRejectionReason(leave)) {
+      await tx.hourBankRecord.update({
+        where: { id: debit.id },
+        data: {
+          status: 'pending',
+          hours: roundHours(negativeHours),
+          rejectedBy: null,
+          rejectedAt: null,
+          rejectionReason: null
+        }
+      });
+      restoredDebits++;
+    } else if (!debit && hasPunches) {
+      const newDebit = await tx.hourBankRecord.create({
+        data: {
+          employeeId: leave.employeeId,
+          date: record.date,
+          type: 'debit',
+          hours: roundHours(negativeHours),
+          reason: `Horas não trabalhadas em ${formatDateForDisplay(record.date)} (via registro de ponto)`,
+          status: 'pending', // Pendente para aprovação manual pelo admin/manager
+          createdBy: userId
+        }
+      });
+      await tx.timeClock.update({
+        where: { id: record.id },
+        data: { hourBankDebitId: newDebit.id }
+      });
+      hourBankChanges.push({
+        action: 'hourbank_debit_created',
+        record: newDebit,
+        description: `Débito no banco de horas criado pelo cancelamento do afastamento: ${newDebit.hours}h em ${formatDateForDisplay(record.date)}`,
+        metadata: { timeClockId: record.id }
+      });
+    }
+  }
+
+  const offsets = await tx.hourBankRecord.findMany({
+    where: { leaveId: leave.id, status: 'approved' }
+  });
+  for (const offset of offsets) {
+    const reversed = await tx.hourBankRecord.update({
+      where: { id: offset.id },
+      data: {
+        status: 'rejected',
+        rejectedBy: userId,
+        rejectedAt: new Date(),
+        rejectionReason: `Afastamento cancelado (${label})`
+      }
+    });
+    hourBankChanges.push({
+      action: 'hourbank_rejected',
+      record: reversed,
+      description: `Crédito de estorno rejeitado pelo cancelamento do afastamento: ${reversed.hours}h em ${formatDateForDisplay(reversed.date)}`,
+      metadata: {}
+    });
+  }
+
+  return {
+    recalculatedRecords: records.length,
+    restoredDebits,
+    createdDebits: hourBankChanges.filter(change => change.action === 'hourbank_debit_created').length,
+    reversedOffsets: offsets.length,
+    hourBankChanges
+  };
+}
+
+/**
+ * Log the hour bank records created or rejected by a leave decision
+ * @param {Array} hourBankChanges - Changes returned by justifyLeaveRecords/restoreLeaveRecords
+ * @param {Object} leave - Leave
+ * @param {string} userId - User that decided
+ * @param {Object} [requestMeta] - Request metadata (ipAddress, userAgent)
+ */
+export async function logLeaveHourBankChanges(hourBankChanges, leave, userId, requestMeta = {}) {
+  for (const change of hourBankChanges) {
+    await logAudit({
+      action: change.action,
+      entityType: 'hourbank',
+      entityId: change.record.id,
+      userId,
+      targetUserId: leave.employeeId,
+      description: change.description,
+      metadata: {
+        hours: change.record.hours,
+        date: change.record.date,
+        type: change.record.type,
+        leaveId: leave.id,
+        autoCreated: true,
+        ...change.metadata
+      },
+      ...requestMeta
+    });
+  }
+}
@@ -0,0 +1,402 @@
+import { readFileSync } from 'fs';
+import prisma from '../config/database.js';
+import { getOrCreateSettings } from '../models/companySettings.model.js';
+import { getWorkScheduleForDay, getScheduledHoursForDay } from '../utils/timeClockUtils.js';
+import { resolveTimezone } from '../utils/timezoneUtils.js';
+import { buildAfdFile, buildAfdPunchRecord, buildAejFile } from '../utils/portariaFileUtils.js';
+
+/**
+ * Geração dos arquivos fiscais da Portaria MTP 671/2021 (AFD e AEJ)
+ * Os dados saem do log imutável de batidas (time_clock_punches); o sistema atua como REP-P
+ * (registro) e como programa de tratamento de ponto (AEJ).
+ */
+
+const packageInfo = JSON.parse(readFileSync(new URL('../../package.json', import.meta.url), 'utf8'));
+
+// Batidas feitas pelo próprio funcionário com o horário do servidor (marcações do REP-P); as demais,
+// inclusive as antigas com justificativa (horário informado pelo cliente), são ajustes do tratamento
+const EMPLOYEE_PUNCH_SOURCES = ['clock', 'legacy'];
+
+// Tipo da marcação no AEJ (E = entrada, S = saída) e número do par entrada/saída do dia
+const AEJ_PUNCH_TYPES = {
+  entry: { type: 'E', sequence: 1 },
+  lunch_exit: { type: 'S', sequence: 1 },
+  lunch_return: { type: 'E', sequence: 2 },
+  exit: { type: 'S', sequence: 2 }
+};
+
+// Marcações do REP lidas por lote ao refazer o encadeamento do hash do AFD
+const AFD_CHAIN_BATCH_SIZE = 1000;
+
+// Tipos de ausência do registro 07 do AEJ
+const AEJ_ABSENCE_UNJUSTIFIED = '2';
+const AEJ_ABSENCE_HOUR_BANK = '3';
+
+// Tipo de movimento no banco de horas do registro 07 do AEJ
+const AEJ_HOUR_BANK_MOVEMENTS = {
+  credit: '1',
+  debit: '2'
+};
+
+const DEFAULT_ADJUSTMENT_REASON = 'Ajuste de marcação';
+
+const employeeExportSelect = {
+  id: true,
+  name: true,
+  cpf: true,
+  department: true,
+  timezone: true,
+  lunchBreakHours: true,
+  workSchedules: {
+    select: {
+      dayOfWeek: true,
+      startTime: true,
+      endTime: true,
+      isActive: true,
+      validFrom: true,
+      validTo: true
+    }
+  },
+  shiftPatternId: true,
+  shiftPatternAnchorDate: true,
+  shiftPattern: {
+    select: {
+      id: true,
+      name: true,
+      cycleDays: true,
+      days: true,
+      anchorDate: true,
+      isActive: true
+    }
+  },
+  shiftPatternAssignments: { // Vigência das escalas (resolvida pela data do registro)
+    select: {
+      anchorDate: true,
+      validFrom: true,
+      validTo: true,
+      shiftPattern: {
+        select: {
+          id: true,
+          name: true,
+          cycleDays: true,
+          days: true,
+          anchorDate: true,
+          isActive: true
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Load the employer data used in the file headers and list what is missing
+ * @returns {Promise<Object>} { company, program, timezone, missing: string[] }
+ */
+export async function getPortariaSettings() {
+  const settings = await getOrCreateSettings();
+
+  const required = {
+    employerDocument: 'CNPJ/CPF do empregador',
+    legalName: 'Razão social',
+    repInpiNumber: 'Número de registro do programa no INPI',
+    repDeveloperDocument: 'CNPJ/CPF do desenvolvedor do programa',
+    repDeveloperName: 'Nome do desenvolvedor do programa',
+    repDeveloperEmail: 'Email do desenvolvedor do programa'
+  };
+  const missing = Object.entries(required)
+    .filter(([field]) => !settings[field])
+    .map(([, label]) => label);
+
+  return {
+    company: {
+      document: settings.employerDocument,
+      legalName: settings.legalName,
+      repNumber: settings.repInpiNumber,
+      developerDocument: settings.repDeveloperDocument
+    },
+    program: {
+      name: packageInfo.name,
+      version: packageInfo.version,
+      developerDocument: settings.repDeveloperDocument,
+      developerName: settings.repDeveloperName,
+      developerEmail: settings.repDeveloperEmail
+    },
+    timezone: resolveTimezone(null, settings.timezone),
+    missing
+  };
+}
+
+/**
+ * Find the employees included in an export
+ * @param {Object} filter - { employeeIds?: string[], departments?: string[] } (sem filtro = todos)
+ * @returns {Promise<Array>} Employees with CPF, timezone and work schedules, ordered by name
+ */
+export async function findExportEmployees({ employeeIds = null, departments = null } = {}) {
+  const where = {};
+  if (employeeIds) {
+    where.id = { in: employeeIds };
+  }
+  if (departments) {
+    where.department = { in: departments };
+  }
+
+  return prisma.user.findMany({
+    where,
+    select: employeeExportSelect,
+    orderBy: { name: 'asc' }
+  });
+}
+
+/**
+ * Find the punch log of the employees in a period (ordem de gravação)
+ * @param {Array} employees - Employees
+ * @param {string} startDate - First date (YYYY-MM-DD)
+ * @param {string} endDate - Last date (YYYY-MM-DD)
+ * @returns {Promise<Array>} Punches
+ */
+async function findPeriodPunches(employees, startDate, endDate) {
+  return prisma.timeClockPunch.findMany({
+    where: {
+      employeeId: { in: employees.map(employee => employee.id) },
+      date: { gte: startDate, lte: endDate }
+    },
+    orderBy: { nsr: 'asc' }
+  });
+}
+
+/**
+ * Resolve the previous hash of each exported punch in the REP chain
+ * O encadeamento percorre todas as marcações do REP (todos os funcionários e períodos) em ordem de NSR,
+ * para que a mesma marcação tenha sempre o mesmo hash, qualquer que seja o filtro da exportação.
+ * @param {Set<number>} exportedNsrs - NSRs of the exported punches
+ * @param {string} timezone - Company timezone
+ * @returns {Promise<Map<number, string>>} NSR → hash of the previous punch record
+ */
+async function resolveAfdChain(exportedNsrs, timezone) {
+  const previousHashes = new Map();
+  if (exportedNsrs.size === 0) {
+    return previousHashes;
+  }
+
+  const lastNsr = Math.max(...exportedNsrs);
+  let previousHash = '';
+  let cursorNsr = 0;
+
+  for (;;) {
+    const batch = await prisma.timeClockPunch.findMany({
+      where: {
+        nsr: { gt: cursorNsr, lte: lastNsr },
+        source: { in: EMPLOYEE_PUNCH_SOURCES },
+        punchTime: { not: null }
+      },
+      select: {
+        nsr: true,
+        punchTime: true,
+        recordedAt: true,
+        employee: { select: { cpf: true, timezone: true } }
+      },
+      orderBy: { nsr: 'asc' },
+      take: AFD_CHAIN_BATCH_SIZE
+    });
+    if (batch.length === 0) {
+      break;
+    }
+
+    batch.forEach(punch => {
+      if (exportedNsrs.has(punch.nsr)) {
+        previousHashes.set(punch.nsr, previousHash);
+      }
+      previousHash = buildAfdPunchRecord({
+        nsr: punch.nsr,
+        punchTime: punch.punchTime,
+        recordedAt: punch.recordedAt,
+        cpf: punch.employee.cpf,
+        timezone: resolveTimezone(punch.employee, timezone)
+      }, previousHash, timezone).hash;
+    });
+    cursorNsr = batch[batch.length - 1].nsr;
+  }
+
+  return previousHashes;
+}
+
+/**
+ * Generate the AFD of a period
+ * Contém apenas as marcações feitas pelos funcionários, com o NSR permanente do log de batidas
+ * e o hash encadeado a partir da marcação anterior do REP.
+ * @param {Object} params - { startDate, endDate, employees, settings }
+ * @returns {Promise<Object>} { content, punchCount }
+ */
+export async function generateAfd({ startDate, endDate, employees, settings }) {
+  const employeesById = new Map(employees.map(employee => [employee.id, employee]));
+  const periodPunches = (await findPeriodPunches(employees, startDate, endDate))
+    .filter(punch => punch.punchTime && EMPLOYEE_PUNCH_SOURCES.includes(punch.source));
+  const previousHashes = await resolveAfdChain(new Set(periodPunches.map(punch => punch.nsr)), settings.timezone);
+
+  const punches = periodPunches.map(punch => {
+    const employee = employeesById.get(punch.employeeId);
+    return {
+      nsr: punch.nsr,
+      punchTime: punch.punchTime,
+      recordedAt: punch.recordedAt,
+      cpf: employee.cpf,
+      timezone: resolveTimezone(employee, settings.timezone),
+      previousHash: previousHashes.get(punch.nsr)
+    };
+  });
+
+  return {
+    content: buildAfdFile({
+      company: settings.company,
+      startDate,
+      endDate,
+      punches,
+      timezone: settings.timezone
+    }),
+    punchCount: punches.length
+  };
+}
+
+/**
+ * Generate the AEJ of a period
+ * Marcações vigentes do funcionário saem como originais (O); as incluídas por edição ou correção
+ * como pré-assinaladas/incluídas (I) com o motivo; marcações do funcionário substituídas por um
+ * ajuste saem como desconsideradas (D) com o motivo do ajuste.
+ * @param {Object} params - { startDate, endDate, employees, settings }
+ * @returns {Promise<Object>} { content, punchCount }
+ */
+export async function generateAej({ startDate, endDate, employees, settings }) {
+  const employeesById = new Map(employees.map(employee => [employee.id, employee]));
+  const punches = await findPeriodPunches(employees, startDate, endDate);
+
+  // Código do horário contratual de cada funcionário em cada dia (registro 04)
+  const schedules = new Map();
+  const getScheduleCode = (employee, date) => {
+    const schedule = getWorkScheduleForDay(employee, date);
+    if (!schedule) {
+      return null;
+    }
+    const durationMinutes = Math.round(getScheduledHoursForDay(employee, date) * 60);
+    const key = `${schedule.startTime}|${schedule.endTime}|${durationMinutes}`;
+    if (!schedules.has(key)) {
+      schedules.set(key, {
+        code: String(schedules.size + 1),
+        durationMinutes,
+        startTime: schedule.startTime,
+        endTime: schedule.endTime
+      });
+    }
+    return schedules.get(key).code;
+  };
+
+  const latestByType = new Map();
+  const adjustedBy = new Map();
+  punches.forEach(punch => {
+    latestByType.set(`${punch.timeClockId}|${punch.type}`, punch.id);
+    if (punch.adjustsId) {
+      adjustedBy.set(punch.adjustsId, punch);
+    }
+  });
+
+  const aejPunches = [];
+  punches.forEach(punch => {
+    if (!punch.punchTime) {
+      return;
+    }
+
+    const employee = employeesById.get(punch.employeeId);
+    const isCurrent = latestByType.get(`${punch.timeClockId}|${punch.type}`) === punch.id;
+    const isEmployeePunch = EMPLOYEE_PUNCH_SOURCES.includes(punch.source);
+    const base = {
+      employeeId: punch.employeeId,
+      punchTime: punch.punchTime,
+      sequence: AEJ_PUNCH_TYPES[punch.type].sequence,
+      scheduleCode: getScheduleCode(employee, punch.date),
+      timezone: resolveTimezone(employee, settings.timezone)
+    };
+
+    if (isCurrent) {
+      aejPunches.push({
+        ...base,
+        type: AEJ_PUNCH_TYPES[punch.type].type,
+        source: isEmployeePunch ? 'O' : 'I',
+        reason: isEmployeePunch ? null : (punch.reason || DEFAULT_ADJUSTMENT_REASON)
+      });
+    } else if (isEmployeePunch) {
+      // Ajustes intermediários (edições refeitas) nunca foram marcações e não entram no arquivo
+      aejPunches.push({
+        ...base,
+        type: 'D',
+        source: 'O',
+        reason: adjustedBy.get(punch.id)?.reason || DEFAULT_ADJUSTMENT_REASON
+      });
+    }
+  });
+
+  const bondOrder = new Map(employees.map((employee, index) => [employee.id, index]));
+  aejPunches.sort((a, b) => (bondOrder.get(a.employeeId) - bondOrder.get(b.employeeId)) ||
+    (new Date(a.punchTime) - new Date(b.punchTime)));
+
+  const absences = await findPeriodAbsences(employees, startDate, endDate);
+
+  return {
+    content: buildAejFile({
+      company: settings.company,
+      program: settings.program,
+      startDate,
+      endDate,
+      employees,
+      schedules: Array.from(schedules.values()),
+      punches: aejPunches,
+      absences,
+      timezone: settings.timezone
+    }),
+    punchCount: aejPunches.length
+  };
+}
+
+/**
+ * Find the absences and approved hour bank movements of the period (registro 07 do AEJ)
+ * @param {Array} employees - Employees
+ * @param {string} startDate - First date (YYYY-MM-DD)
+ * @param {string} endDate - Last date (YYYY-MM-DD)
+ * @returns {Promise<Array>} Absences ordered by employee and date
+ */
+async function findPeriodAbsences(employees, startDate, endDate) {
+  const employeeIds = employees.map(employee => employee.id);
+  const dateFilter = { gte: startDate, lte: endDate };
+
+  const [missedDays, hourBankRecords] = await Promise.all([
+    // Registros criados pelo job diário: dia agendado sem nenhuma batida
+    prisma.timeClock.findMany({
+      where: { employeeId: { in: employeeIds }, date: dateFilter, entryTime: null, negativeHours: { gt: 0 } },
+      select: { employeeId: true, date: true, negativeHours: true }
+    }),
+    // Pagamentos de horas (payout) são verbas da folha, não ausência nem compensação, e ficam fora do arquivo
+    prisma.hourBankRecord.findMany({
+      where: { employeeId: { in: employeeIds }, date: dateFilter, status: 'approved', type: { in: ['credit', 'debit'] } },
+      select: { employeeId: true, date: true, type: true, hours: true }
+    })
+  ]);
+
+  const absences = [
+    ...missedDays.map(record => ({
+      employeeId: record.employeeId,
+      type: AEJ_ABSENCE_UNJUSTIFIED,
+      date: record.date,
+      minutes: Math.round(record.negativeHours * 60),
+      hourBankMovement: null
+    })),
+    ...hourBankRecords.map(record => ({
+      employeeId: record.employeeId,
+      type: AEJ_ABSENCE_HOUR_BANK,
+      date: record.date,
+      minutes: Math.round(Math.abs(record.hours) * 60),
+      hourBankMovement: AEJ_HOUR_BANK_MOVEMENTS[record.type]
+    }))
+  ];
+
+  const bondOrder = new Map(employees.map((employee, index) => [employee.id, index]));
+  return absences.sort((a, b) => (bondOrder.get(a.employeeId) - bondOrder.get(b.employeeId)) ||
+    a.date.localeCompare(b.date));
+}
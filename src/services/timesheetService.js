@@ -0,0 +1,354 @@
+import PDFDocument from 'pdfkit';
+import archiver from 'archiver';
+import prisma from '../config/database.js';
+import { getOrCreateSettings } from '../models/companySettings.model.js';
+import { getHolidaysInRange } from '../models/holiday.model.js';
+import { findApprovedLeavesInRange } from '../models/leave.model.js';
+import { buildTimesheet, getMonthDateRange, formatHours } from '../utils/timesheetUtils.js';
+import { resolveTimezone } from '../utils/timezoneUtils.js';
+import { formatDateForDisplay } from '../utils/dateFormatter.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Espelho de ponto mensal: uma página por funcionário com as batidas do mês, totais,
+ * movimentação do banco de horas e campos de assinatura
+ */
+
+const MONTH_NAMES = ['Janeiro', 'Fevereiro', 'Março', 'Abril', 'Maio', 'Junho', 'Julho', 'Agosto', 'Setembro', 'Outubro', 'Novembro', 'Dezembro'];
+
+// PDFKit só incorpora imagens PNG e JPEG
+const SUPPORTED_LOGO_TYPES = ['image/png', 'image/jpeg', 'image/jpg'];
+
+// Colunas da grade diária (larguras somam a área útil de uma página A4 retrato com margem 40)
+const GRID_COLUMNS = [
+  { key: 'label', title: 'Dia', width: 40 },
+  { key: 'entryTime', title: 'Entrada', width: 38 },
+  { key: 'lunchExitTime', title: 'Saída Alm.', width: 42 },
+  { key: 'lunchReturnTime', title: 'Volta Alm.', width: 42 },
+  { key: 'exitTime', title: 'Saída', width: 38 },
+  { key: 'workedHours', title: 'Trab.', width: 36, hours: true },
+  { key: 'scheduledHours', title: 'Prev.', width: 36, hours: true },
+  { key: 'lateMinutes', title: 'Atraso', width: 36, minutes: true },
+  { key: 'overtimeHours', title: 'Extra', width: 36, hours: true },
+  { key: 'negativeHours', title: 'Neg.', width: 36, hours: true },
+  { key: 'note', title: 'Justificativa', width: 135 }
+];
+
+const ROW_HEIGHT = 13;
+
+const timesheetEmployeeSelect = {
+  id: true,
+  name: true,
+  email: true,
+  cpf: true,
+  department: true,
+  departmentId: true,
+  state: true,
+  city: true,
+  timezone: true,
+  lunchBreakHours: true,
+  workSchedules: {
+    select: {
+      dayOfWeek: true,
+      startTime: true,
+      endTime: true,
+      isActive: true,
+      validFrom: true,
+      validTo: true
+    }
+  },
+  shiftPatternId: true,
+  shiftPatternAnchorDate: true,
+  shiftPattern: {
+    select: {
+      id: true,
+      name: true,
+      cycleDays: true,
+      days: true,
+      anchorDate: true,
+      isActive: true
+    }
+  },
+  shiftPatternAssignments: { // Vigência das escalas (resolvida pela data do registro)
+    select: {
+      anchorDate: true,
+      validFrom: true,
+      validTo: true,
+      shiftPattern: {
+        select: {
+          id: true,
+          name: true,
+          cycleDays: true,
+          days: true,
+          anchorDate: true,
+          isActive: true
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Find the employees of a timesheet export
+ * @param {Object} filter - { employeeId?: string, departmentId?: string }
+ * @returns {Promise<Array>} Employees ordered by name
+ */
+export async function findTimesheetEmployees({ employeeId = null, departmentId = null }) {
+  const where = {};
+  if (employeeId) where.id = employeeId;
+  if (departmentId) where.departmentId = departmentId;
+
+  return prisma.user.findMany({
+    where,
+    select: timesheetEmployeeSelect,
+    orderBy: { name: 'asc' }
+  });
+}
+
+/**
+ * Load the timesheet of an employee for a month
+ * @param {Object} employee - Employee (timesheetEmployeeSelect)
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @param {Object} context - { holidays, companyTimezone } shared by all employees of the export
+ * @returns {Promise<Object>} Timesheet (see buildTimesheet) with employee
+ */
+async function loadEmployeeTimesheet(employee, year, month, { holidays, companyTimezone }) {
+  const { startDate, endDate } = getMonthDateRange(year, month);
+
+  const [records, hourBankRecords, leaves] = await Promise.all([
+    prisma.timeClock.findMany({
+      where: { employeeId: employee.id, date: { gte: startDate, lte: endDate } },
+      include: { justificationReason: { select: { reason: true } } },
+      orderBy: { date: 'asc' }
+    }),
+    prisma.hourBankRecord.findMany({
+      where: { employeeId: employee.id, status: 'approved', date: { lte: endDate } },
+      select: { date: true, type: true, hours: true, expiredHours: true, payoutSource: true }
+    }),
+    findApprovedLeavesInRange([employee.id], startDate, endDate)
+  ]);
+
+  return {
+    employee,
+    ...buildTimesheet({
+      employee,
+      year,
+      month,
+      records,
+      holidays,
+      hourBankRecords,
+      leaves,
+      timezone: resolveTimezone(employee, companyTimezone)
+    })
+  };
+}
+
+/**
+ * Load the timesheet of an employee for a month (fora de uma exportação)
+ * @param {Object} employee - Employee (findTimesheetEmployees)
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @returns {Promise<Object>} Timesheet with employee
+ */
+export async function getEmployeeTimesheet(employee, year, month) {
+  return loadEmployeeTimesheet(employee, year, month, await loadTimesheetContext(year, month));
+}
+
+/**
+ * Draw one timesheet page
+ * @param {PDFDocument} doc - PDF document
+ * @param {Object} timesheet - Employee timesheet
+ * @param {Object} settings - Company settings (logo, name, reportHeader, reportFooter)
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ */
+function drawTimesheetPage(doc, timesheet, settings, year, month) {
+  const left = doc.page.margins.left;
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  let y = doc.page.margins.top;
+
+  // Cabeçalho: logo, nome da empresa e texto configurado
+  if (settings.logo && SUPPORTED_LOGO_TYPES.includes(settings.logoContentType)) {
+    try {
+      doc.image(settings.logo, left, y, { fit: [90, 40] });
+    } catch (error) {
+      logger.warn('Logo da empresa não pôde ser incluída no espelho de ponto', { error: error.message });
+    }
+  }
+  doc.font('Helvetica-Bold').fontSize(12).text(settings.name || '', left + 100, y, { width: width - 100, align: 'right' });
+  if (settings.reportHeader) {
+    doc.font('Helvetica').fontSize(8).text(settings.reportHeader, left + 100, doc.y + 2, { width: width - 100, align: 'right' });
+  }
+  y = Math.max(doc.y, y + 40) + 10;
+
+  doc.font('Helvetica-Bold').fontSize(13).text(`Espelho de Ponto - ${MONTH_NAMES[month - 1]}/${year}`, left, y, { width, align: 'center' });
+  y = doc.y + 6;
+
+  const { employee } = timesheet;
+  doc.font('Helvetica').fontSize(9)
+    .text(`Funcionário: ${employee.name}`, left, y, { width: width / 2 })
+    .text(`Departamento: ${employee.department || '-'}`, left + width / 2, y, { width: width / 2 });
+  y = doc.y + 2;
+  doc.text(`CPF: ${employee.cpf || '-'}`, left, y, { width: width / 2 })
+    .text(`Período: ${formatDateForDisplay(timesheet.startDate)} a ${formatDateForDisplay(timesheet.endDate)}`, left + width / 2, y, { width: width / 2 });
+  y = doc.y + 8;
+
+  // Grade diária
+  const drawRow = (cells, rowY, { bold = false, fill = null } = {}) => {
+    if (fill) {
+      doc.rect(left, rowY, width, ROW_HEIGHT).fill(fill).fillColor('black');
+    }
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(7);
+    let x = left;
+    GRID_COLUMNS.forEach((column, index) => {
+      doc.text(cells[index], x + 2, rowY + 3, { width: column.width - 4, height: ROW_HEIGHT - 3, lineBreak: false, ellipsis: true });
+      x += column.width;
+    });
+    doc.moveTo(left, rowY + ROW_HEIGHT).lineTo(left + width, rowY + ROW_HEIGHT).lineWidth(0.3).strokeColor('#999999').stroke();
+  };
+
+  const cellValue = (day, column) => {
+    if (column.hours) return formatHours(day[column.key]);
+    if (column.minutes) return formatHours(day[column.key] / 60);
+    return day[column.key] || '';
+  };
+
+  drawRow(GRID_COLUMNS.map(column => column.title), y, { bold: true, fill: '#e6e6e6' });
+  y += ROW_HEIGHT;
+  timesheet.days.forEach(day => {
+    drawRow(GRID_COLUMNS.map(column => cellValue(day, column)), y);
+    y += ROW_HEIGHT;
+  });
+
+  const { totals, hourBank } = timesheet;
+  drawRow([
+    'Total', '', '', '', '',
+    formatHours(totals.workedHours),
+    formatHours(totals.scheduledHours),
+    formatHours(totals.lateMinutes / 60),
+    formatHours(totals.overtimeHours),
+    formatHours(totals.negativeHours),
+    `${totals.workedDays} dia(s) trabalhado(s), ${totals.absences} falta(s)`
+  ], y, { bold: true, fill: '#f2f2f2' });
+  y += ROW_HEIGHT + 12;
+
+  // Banco de horas
+  doc.font('Helvetica-Bold').fontSize(9).text('Banco de Horas', left, y);
+  y = doc.y + 2;
+  doc.font('Helvetica').fontSize(8).text(
+    `Saldo anterior: ${formatHours(hourBank.previousBalance) || '00:00'}   |   ` +
+    `Créditos: ${formatHours(hourBank.credits) || '00:00'}   |   ` +
+    `Débitos: ${formatHours(hourBank.debits) || '00:00'}   |   ` +
+    `Pagamentos: ${formatHours(hourBank.payouts) || '00:00'}   |   ` +
+    `Saldo final: ${formatHours(hourBank.finalBalance) || '00:00'}`,
+    left, y, { width }
+  );
+  y = doc.y + 40;
+
+  // Assinaturas
+  const signatureWidth = (width - 40) / 2;
+  doc.moveTo(left, y).lineTo(left + signatureWidth, y).lineWidth(0.5).strokeColor('black').stroke();
+  doc.moveTo(left + signatureWidth + 40, y).lineTo(left + width, y).stroke();
+  doc.fontSize(8)
+    .text(employee.name, left, y + 4, { width: signatureWidth, align: 'center' })
+    .text(settings.legalName || settings.name || 'Empregador', left + signatureWidth + 40, y + 4, { width: signatureWidth, align: 'center' });
+
+  if (settings.reportFooter) {
+    const footerY = doc.page.height - doc.page.margins.bottom - 12;
+    doc.fontSize(7).fillColor('#555555').text(settings.reportFooter, left, footerY, { width, align: 'center', lineBreak: false })
+      .fillColor('black');
+  }
+}
+
+/**
+ * Load the data shared by all timesheets of a month (configurações da empresa e feriados)
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @returns {Promise<Object>} { settings, holidays, companyTimezone }
+ */
+async function loadTimesheetContext(year, month) {
+  const settings = await getOrCreateSettings();
+  const { startDate, endDate } = getMonthDateRange(year, month);
+
+  return {
+    settings,
+    holidays: await getHolidaysInRange(startDate, endDate),
+    companyTimezone: settings.timezone
+  };
+}
+
+/**
+ * Create the timesheet PDF of a list of employees (uma página por funcionário)
+ * O documento é retornado sem finalizar; quem chama faz pipe e doc.end().
+ * @param {Array} employees - Employees (findTimesheetEmployees)
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @param {Object} [context] - Shared data (loadTimesheetContext); loaded when omitted
+ * @returns {Promise<PDFDocument>} PDF document
+ */
+export async function createTimesheetPdf(employees, year, month, context = null) {
+  const timesheetContext = context || await loadTimesheetContext(year, month);
+
+  const doc = new PDFDocument({ size: 'A4', margin: 40, autoFirstPage: false });
+  for (const employee of employees) {
+    const timesheet = await loadEmployeeTimesheet(employee, year, month, timesheetContext);
+    doc.addPage();
+    drawTimesheetPage(doc, timesheet, timesheetContext.settings, year, month);
+  }
+
+  return doc;
+}
+
+// Nome sem acentos ou espaços para uso em nomes de arquivo
+const toFileSlug = (value) => String(value)
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^a-zA-Z0-9]+/g, '-')
+  .replace(/^-|-$/g, '')
+  .toLowerCase();
+
+/**
+ * Build the file name of an employee's timesheet
+ * @param {Object} employee - Employee
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @returns {string} File name
+ */
+export function getTimesheetFileName(employee, year, month) {
+  return `espelho-ponto-${year}-${String(month).padStart(2, '0')}-${toFileSlug(employee.name || employee.id)}.pdf`;
+}
+
+/**
+ * Build the file name of a department's timesheet zip
+ * @param {string} department - Department name
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @returns {string} File name
+ */
+export function getTimesheetZipFileName(department, year, month) {
+  return `espelhos-ponto-${year}-${String(month).padStart(2, '0')}-${toFileSlug(department)}.zip`;
+}
+
+/**
+ * Stream a zip with one timesheet PDF per employee
+ * @param {Array} employees - Employees
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @param {Writable} output - Destination stream (ex: response)
+ * @returns {Promise<void>} Resolves when the zip is finalized
+ */
+export async function streamTimesheetZip(employees, year, month, output) {
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  archive.on('warning', (error) => logger.warn('Aviso ao gerar zip dos espelhos de ponto', { error: error.message }));
+  archive.pipe(output);
+
+  const context = await loadTimesheetContext(year, month);
+  for (const employee of employees) {
+    const doc = await createTimesheetPdf([employee], year, month, context);
+    archive.append(doc, { name: getTimesheetFileName(employee, year, month) });
+    doc.end();
+  }
+
+  await archive.finalize();
+}
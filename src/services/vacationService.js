@@ -0,0 +1,168 @@
+import prisma from '../config/database.js';
+import { ACTIVE_LEAVE_STATUSES } from '../utils/leaveUtils.js';
+import {
+  getAcquisitionPeriods,
+  getVacationEntitlement,
+  getMaxSoldDays,
+  getAcquisitionPeriodStatus,
+  validateVacationSplits,
+  DEFAULT_ALERT_DAYS
+} from '../utils/vacationUtils.js';
+
+/**
+ * Saldo de férias CLT: períodos aquisitivos a partir da admissão, faltas injustificadas de cada período
+ * e férias (pendentes ou aprovadas) e abono pecuniário já marcados
+ */
+
+export const vacationEmployeeSelect = {
+  id: true,
+  name: true,
+  email: true,
+  department: true,
+  departmentId: true,
+  admissionDate: true
+};
+
+/**
+ * Find the acquisition period a vacation leave belongs to
+ * Férias sem período informado (registradas antes do planejamento) entram no período cujo
+ * período concessivo contém o início das férias.
+ * @param {Array} periods - Acquisition periods (getAcquisitionPeriods)
+ * @param {Object} leave - Vacation leave
+ * @returns {Object|null} Acquisition period or null
+ */
+function findLeaveAcquisitionPeriod(periods, leave) {
+  if (leave.acquisitionPeriodStart) {
+    return periods.find(period => period.startDate === leave.acquisitionPeriodStart) || null;
+  }
+  return periods.find(period => leave.startDate > period.endDate && leave.startDate <= period.concessionDeadline) || null;
+}
+
+/**
+ * Get the vacation balance of each acquisition period of an employee
+ * @param {Object} employee - Employee with id and admissionDate
+ * @param {string} today - Reference date (YYYY-MM-DD)
+ * @param {Object} [options]
+ * @param {number} [options.alertDays] - Days before the concession deadline to flag the period as expiring
+ * @returns {Promise<Array>} Periods with unjustifiedAbsences, entitledDays, scheduledDays, takenDays, soldDays,
+ *   balance, maxSoldDays, status, daysToDeadline and leaves (vazio sem data de admissão)
+ */
+export async function getEmployeeVacationBalance(employee, today, { alertDays = DEFAULT_ALERT_DAYS } = {}) {
+  if (!employee?.admissionDate) {
+    return [];
+  }
+
+  const periods = getAcquisitionPeriods(employee.admissionDate, today);
+  if (periods.length === 0) {
+    return [];
+  }
+
+  const [absences, leaves] = await Promise.all([
+    // Faltas injustificadas: dias sem batida com horas negativas e sem justificativa (ou com justificativa rejeitada)
+    prisma.timeClock.findMany({
+      where: {
+        employeeId: employee.id,
+        date: { gte: employee.admissionDate, lte: periods[periods.length - 1].endDate },
+        entryTime: null,
+        negativeHours: { gt: 0 },
+        OR: [
+          { justification: null, justificationId: null },
+          { justificationStatus: 'rejected' }
+        ]
+      },
+      select: { date: true }
+    }),
+    prisma.leave.findMany({
+      where: { employeeId: employee.id, type: 'vacation', status: { in: ACTIVE_LEAVE_STATUSES } },
+      orderBy: { startDate: 'asc' }
+    })
+  ]);
+
+  return periods.map(period => {
+    const unjustifiedAbsences = absences.filter(record => record.date >= period.startDate && record.date <= period.endDate).length;
+    const entitledDays = getVacationEntitlement(unjustifiedAbsences);
+    const periodLeaves = leaves.filter(leave => findLeaveAcquisitionPeriod(periods, leave) === period);
+
+    const scheduledDays = periodLeaves.reduce((sum, leave) => sum + leave.days, 0);
+    const takenDays = periodLeaves
+      .filter(leave => leave.status === 'approved' && leave.endDate < today)
+      .reduce((sum, leave) => sum + leave.days, 0);
+    const soldDays = periodLeaves.reduce((sum, leave) => sum + (leave.soldDays || 0), 0);
+    const balance = Math.max(0, entitledDays - scheduledDays - soldDays);
+
+    const result = {
+      ...period,
+      unjustifiedAbsences,
+      entitledDays,
+      scheduledDays,
+      takenDays,
+      soldDays,
+      maxSoldDays: Math.max(0, getMaxSoldDays(entitledDays) - soldDays),
+      balance,
+      daysToDeadline: Math.round((new Date(`${period.concessionDeadline}T00:00:00Z`) - new Date(`${today}T00:00:00Z`)) / (24 * 60 * 60 * 1000)),
+      leaves: periodLeaves.map(leave => ({
+        id: leave.id,
+        startDate: leave.startDate,
+        endDate: leave.endDate,
+        days: leave.days,
+        soldDays: leave.soldDays || 0,
+        status: leave.status
+      }))
+    };
+    result.status = getAcquisitionPeriodStatus(result, today, alertDays);
+    return result;
+  });
+}
+
+/**
+ * Pick the acquisition period for a new vacation request (o mais antigo já adquirido e com saldo)
+ * @param {Array} balances - Periods from getEmployeeVacationBalance
+ * @param {string|null} acquisitionPeriodStart - Requested period start (YYYY-MM-DD), if informed
+ * @returns {Object|null} Acquisition period or null
+ */
+export function pickAcquisitionPeriod(balances, acquisitionPeriodStart = null) {
+  if (acquisitionPeriodStart) {
+    return balances.find(period => period.startDate === acquisitionPeriodStart) || null;
+  }
+  return balances.find(period => period.status !== 'acquiring' && period.balance > 0) || null;
+}
+
+/**
+ * Get the vacation leaves already scheduled in an acquisition period (for the split rules)
+ * @param {Object} period - Period from getEmployeeVacationBalance
+ * @returns {Array} [{ days, soldDays }]
+ */
+export function getScheduledVacations(period) {
+  return period.leaves.map(leave => ({ days: leave.days, soldDays: leave.soldDays }));
+}
+
+/**
+ * Validate new vacation periods of an employee against the balance and the CLT split rules
+ * @param {Object} employee - Employee with id and admissionDate
+ * @param {Object} request - { acquisitionPeriodStart?, periods: [{ startDate, endDate }], soldDays? }
+ * @param {string} today - Reference date (YYYY-MM-DD)
+ * @returns {Promise<Object>} { period } when valid or { statusCode, error }
+ */
+export async function validateVacationRequest(employee, { acquisitionPeriodStart = null, periods, soldDays = 0 }, today) {
+  if (!employee.admissionDate) {
+    return { statusCode: 400, error: 'Funcionário sem data de admissão cadastrada' };
+  }
+
+  const balances = await getEmployeeVacationBalance(employee, today);
+  const period = pickAcquisitionPeriod(balances, acquisitionPeriodStart);
+  if (!period) {
+    return {
+      statusCode: 400,
+      error: acquisitionPeriodStart
+        ? 'Período aquisitivo não encontrado para a data de admissão do funcionário'
+        : 'Nenhum período aquisitivo completo com saldo de férias'
+    };
+  }
+
+  const validation = validateVacationSplits({ period, existing: getScheduledVacations(period), periods, soldDays });
+  if (!validation.isValid) {
+    return { statusCode: 400, error: validation.errors.join('; ') };
+  }
+
+  return { period };
+}
@@ -0,0 +1,188 @@
+/**
+ * Utility functions for multi-level approval chains
+ */
+
+// Tipos de registro que passam por cadeia de aprovação
+const APPROVAL_ENTITY_TYPES = ['overtime', 'hourbank'];
+
+// Papéis que podem aprovar uma etapa (aprovadores específicos são informados em approverIds)
+const APPROVAL_STEP_ROLES = ['manager', 'admin'];
+
+const HOUR_BANK_RECORD_TYPES = ['credit', 'debit', 'payout'];
+
+const MAX_APPROVAL_STEPS = 5;
+
+// Máximo de registros por aprovação/rejeição em lote
+const MAX_BULK_DECISIONS = 200;
+
+// Etapa usada quando a cadeia não está configurada ou nenhuma etapa se aplica (aprovação única do gestor)
+const DEFAULT_APPROVAL_STEP = { name: 'Gestor', role: 'manager', approverIds: [] };
+
+/**
+ * Validate an approval chain
+ * @param {Array} steps - [{ name, role, approverIds?, minHours?, exceedsOvertimeLimit?, recordTypes? }]
+ * @param {string} entityType - 'overtime' | 'hourbank'
+ * @returns {Object} { isValid: boolean, errors: string[] }
+ */
+export function validateApprovalChain(steps, entityType) {
+  const errors = [];
+
+  if (!APPROVAL_ENTITY_TYPES.includes(entityType)) {
+    errors.push(`Tipo de registro inválido (${entityType}). Use ${APPROVAL_ENTITY_TYPES.join(', ')}`);
+    return { isValid: false, errors };
+  }
+
+  if (!Array.isArray(steps)) {
+    errors.push('Etapas de aprovação devem ser um array');
+    return { isValid: false, errors };
+  }
+
+  if (steps.length > MAX_APPROVAL_STEPS) {
+    errors.push(`A cadeia pode ter no máximo ${MAX_APPROVAL_STEPS} etapas`);
+  }
+
+  steps.forEach((step, index) => {
+    const label = `Etapa ${index + 1}`;
+
+    if (!step || typeof step !== 'object') {
+      errors.push(`${label}: deve ser um objeto`);
+      return;
+    }
+
+    if (!step.name || !String(step.name).trim()) {
+      errors.push(`${label}: nome é obrigatório`);
+    }
+
+    if (!APPROVAL_STEP_ROLES.includes(step.role)) {
+      errors.push(`${label}: papel inválido (${step.role}). Use ${APPROVAL_STEP_ROLES.join(', ')}`);
+    }
+
+    if (step.approverIds !== undefined && step.approverIds !== null) {
+      if (!Array.isArray(step.approverIds) || step.approverIds.some(id => typeof id !== 'string' || !id)) {
+        errors.push(`${label}: approverIds deve ser uma lista de IDs de usuário`);
+      }
+    }
+
+    if (step.minHours !== undefined && step.minHours !== null) {
+      const minHours = Number(step.minHours);
+      if (isNaN(minHours) || minHours <= 0) {
+        errors.push(`${label}: minHours deve ser um número maior que 0`);
+      }
+    }
+
+    if (step.exceedsOvertimeLimit !== undefined && step.exceedsOvertimeLimit !== null) {
+      if (typeof step.exceedsOvertimeLimit !== 'boolean') {
+        errors.push(`${label}: exceedsOvertimeLimit deve ser true ou false`);
+      } else if (step.exceedsOvertimeLimit && entityType !== 'overtime') {
+        errors.push(`${label}: exceedsOvertimeLimit só se aplica a horas extras`);
+      }
+    }
+
+    if (step.recordTypes !== undefined && step.recordTypes !== null) {
+      if (entityType !== 'hourbank') {
+        errors.push(`${label}: recordTypes só se aplica ao banco de horas`);
+      } else if (!Array.isArray(step.recordTypes) || step.recordTypes.length === 0 ||
+        step.recordTypes.some(type => !HOUR_BANK_RECORD_TYPES.includes(type))) {
+        errors.push(`${label}: recordTypes deve conter ${HOUR_BANK_RECORD_TYPES.join(', ')}`);
+      }
+    }
+  });
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Normalize an approval chain (tipos numéricos e condições opcionais)
+ * @param {Array} steps - Raw steps
+ * @returns {Array} Normalized steps
+ */
+export function normalizeApprovalChain(steps) {
+  return (steps || []).map(step => ({
+    name: String(step.name).trim(),
+    role: step.role,
+    approverIds: Array.isArray(step.approverIds) ? [...new Set(step.approverIds)] : [],
+    minHours: step.minHours !== undefined && step.minHours !== null ? Number(step.minHours) : null,
+    exceedsOvertimeLimit: step.exceedsOvertimeLimit === true,
+    recordTypes: Array.isArray(step.recordTypes) ? step.recordTypes : null
+  }));
+}
+
+/**
+ * Check whether a step applies to a record
+ * Etapa sem condições sempre se aplica; com condições, basta uma ser atendida (horas ou limite),
+ * e recordTypes restringe os tipos de lançamento do banco de horas.
+ * @param {Object} step - Normalized step
+ * @param {Object} context - { hours, recordType?, exceedsOvertimeLimit? }
+ * @returns {boolean} True if the step is required
+ */
+export function isApprovalStepRequired(step, context) {
+  if (step.recordTypes && !step.recordTypes.includes(context.recordType)) {
+    return false;
+  }
+
+  const hasMinHours = step.minHours !== null && step.minHours !== undefined;
+  const hasLimitCondition = step.exceedsOvertimeLimit === true;
+  if (!hasMinHours && !hasLimitCondition) {
+    return true;
+  }
+
+  return (hasMinHours && Number(context.hours) >= step.minHours) ||
+    (hasLimitCondition && context.exceedsOvertimeLimit === true);
+}
+
+/**
+ * Build the ordered approval steps of a record from a chain
+ * @param {Array} chain - Normalized steps
+ * @param {Object} context - { hours, recordType?, exceedsOvertimeLimit? }
+ * @returns {Array} [{ stepOrder, name, role, approverIds }] (ao menos a etapa do gestor)
+ */
+export function buildApprovalSteps(chain, context) {
+  const required = (chain || []).filter(step => isApprovalStepRequired(step, context));
+  const steps = required.length > 0 ? required : [DEFAULT_APPROVAL_STEP];
+
+  return steps.map((step, index) => ({
+    stepOrder: index + 1,
+    name: step.name,
+    role: step.role,
+    approverIds: step.approverIds || []
+  }));
+}
+
+/**
+ * Get the step awaiting a decision
+ * @param {Array} steps - Steps ordered by stepOrder
+ * @returns {Object|null} First pending step or null
+ */
+export function getCurrentApprovalStep(steps) {
+  return (steps || []).find(step => step.status === 'pending') || null;
+}
+
+/**
+ * Validate the record IDs of a bulk approve/reject request
+ * @param {Array} ids - Record IDs
+ * @returns {Object} { isValid: boolean, errors: string[] }
+ */
+export function validateBulkDecisionIds(ids) {
+  const errors = [];
+
+  if (!Array.isArray(ids) || ids.length === 0) {
+    errors.push('Informe a lista de registros (ids)');
+  } else {
+    if (ids.some(id => typeof id !== 'string' || !id)) {
+      errors.push('ids deve conter apenas IDs de registro');
+    }
+    if (ids.length > MAX_BULK_DECISIONS) {
+      errors.push(`Máximo de ${MAX_BULK_DECISIONS} registros por lote`);
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+export { APPROVAL_ENTITY_TYPES, APPROVAL_STEP_ROLES, MAX_APPROVAL_STEPS, MAX_BULK_DECISIONS };
@@ -0,0 +1,120 @@
+/**
+ * Utility functions for document attachments (atestados, declarações)
+ * Validação de tipo pelo conteúdo do arquivo, nomes seguros para download e prazo de retenção
+ */
+
+import crypto from 'crypto';
+
+// Registros que aceitam anexos
+const ATTACHMENT_ENTITY_TYPES = ['timeclock', 'leave', 'overtime'];
+
+// Tipos aceitos: PDF e imagens (foto do atestado)
+const ALLOWED_ATTACHMENT_TYPES = ['application/pdf', 'image/png', 'image/jpeg', 'image/webp'];
+
+const MAX_ATTACHMENT_SIZE = 10 * 1024 * 1024; // 10MB
+const MAX_ATTACHMENTS_PER_RECORD = 10;
+const MAX_FILE_NAME_LENGTH = 200;
+
+// Prazo máximo de guarda configurável (em meses)
+const MAX_ATTACHMENT_RETENTION_MONTHS = 240;
+
+/**
+ * Detect the content type of a file from its first bytes (não confia no mimetype enviado pelo cliente)
+ * @param {Buffer} buffer - File content
+ * @returns {string|null} Allowed content type or null
+ */
+export function detectAttachmentContentType(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 12) {
+    return null;
+  }
+  if (buffer.subarray(0, 5).toString('latin1') === '%PDF-') {
+    return 'application/pdf';
+  }
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return 'image/png';
+  }
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return 'image/jpeg';
+  }
+  if (buffer.subarray(0, 4).toString('latin1') === 'RIFF' && buffer.subarray(8, 12).toString('latin1') === 'WEBP') {
+    return 'image/webp';
+  }
+  return null;
+}
+
+/**
+ * Sanitize an uploaded file name for storage and Content-Disposition
+ * @param {string} fileName - Original file name
+ * @returns {string} File name without path or control characters
+ */
+export function sanitizeAttachmentFileName(fileName) {
+  // Multer entrega o nome em latin1; converte para UTF-8 para preservar acentos
+  const decoded = Buffer.from(String(fileName || ''), 'latin1').toString('utf8');
+  const baseName = decoded.split(/[\\/]/).pop()
+    .replace(/[\u0000-\u001f\u007f"]/g, '')
+    .trim();
+  return (baseName || 'documento').slice(0, MAX_FILE_NAME_LENGTH);
+}
+
+/**
+ * Build the Content-Disposition header of a download (nome ASCII e nome UTF-8)
+ * @param {string} fileName - Attachment file name
+ * @returns {string} Header value
+ */
+export function buildContentDisposition(fileName) {
+  const asciiName = fileName.normalize('NFD').replace(/[^\x20-\x7e]/g, '').replace(/[\\;]/g, '_') || 'documento';
+  return `attachment; filename="${asciiName}"; filename*=UTF-8''${encodeURIComponent(fileName)}`;
+}
+
+/**
+ * Hash the content of an attachment
+ * @param {Buffer} buffer - File content
+ * @returns {string} SHA-256 hex digest
+ */
+export function hashAttachmentContent(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * Get the cutoff date of the retention policy (anexos criados antes dela têm o conteúdo removido)
+ * @param {number} retentionMonths - Retention in months (0 = sem remoção)
+ * @param {Date} [now] - Reference date
+ * @returns {Date|null} Cutoff date or null when retention is disabled
+ */
+export function getAttachmentRetentionCutoff(retentionMonths, now = new Date()) {
+  if (!retentionMonths || retentionMonths <= 0) {
+    return null;
+  }
+  const cutoff = new Date(now);
+  cutoff.setUTCMonth(cutoff.getUTCMonth() - retentionMonths);
+  return cutoff;
+}
+
+/**
+ * Validate the attachment retention policy
+ * @param {*} retentionMonths - Retention in months
+ * @returns {Object} { isValid: boolean, errors: string[] }
+ */
+export function validateAttachmentRetention(retentionMonths) {
+  const errors = [];
+
+  if (retentionMonths !== undefined) {
+    const months = Number(retentionMonths);
+    if (!Number.isInteger(months) || months < 0 || months > MAX_ATTACHMENT_RETENTION_MONTHS) {
+      errors.push(`Prazo de retenção dos anexos inválido: deve ser um número inteiro de 0 a ${MAX_ATTACHMENT_RETENTION_MONTHS} meses (0 = sem remoção)`);
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+export {
+  ATTACHMENT_ENTITY_TYPES,
+  ALLOWED_ATTACHMENT_TYPES,
+  MAX_ATTACHMENT_SIZE,
+  MAX_ATTACHMENTS_PER_RECORD,
+  MAX_ATTACHMENT_RETENTION_MONTHS
+};
@@ -0,0 +1,65 @@
+/**
+ * Utility functions for approval delegations
+ */
+
+const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+
+// Duração máxima de uma delegação (ex: férias de 30 dias + margem)
+const MAX_DELEGATION_DAYS = 90;
+
+/**
+ * Validate approval delegation data
+ * @param {Object} delegation - { delegatorId, delegateId, startDate, endDate }
+ * @returns {Object} { isValid: boolean, errors: string[] }
+ */
+export function validateDelegation(delegation) {
+  const errors = [];
+  const { delegatorId, delegateId, startDate, endDate } = delegation || {};
+
+  if (!delegateId) {
+    errors.push('Substituto (delegateId) é obrigatório');
+  } else if (delegateId === delegatorId) {
+    errors.push('O substituto deve ser diferente do gestor que delega');
+  }
+
+  const validStart = startDate && dateRegex.test(startDate) && !isNaN(new Date(`${startDate}T00:00:00Z`).getTime());
+  const validEnd = endDate && dateRegex.test(endDate) && !isNaN(new Date(`${endDate}T00:00:00Z`).getTime());
+
+  if (!validStart) {
+    errors.push('Data de início inválida (deve ser YYYY-MM-DD)');
+  }
+  if (!validEnd) {
+    errors.push('Data de fim inválida (deve ser YYYY-MM-DD)');
+  }
+
+  if (validStart && validEnd) {
+    if (endDate < startDate) {
+      errors.push('Data de fim deve ser igual ou posterior à data de início');
+    } else {
+      const days = (new Date(`${endDate}T00:00:00Z`) - new Date(`${startDate}T00:00:00Z`)) / (24 * 60 * 60 * 1000) + 1;
+      if (days > MAX_DELEGATION_DAYS) {
+        errors.push(`A delegação pode durar no máximo ${MAX_DELEGATION_DAYS} dias`);
+      }
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Get the status of a delegation on a date
+ * @param {Object} delegation - { startDate, endDate, revokedAt }
+ * @param {string} today - Date (YYYY-MM-DD)
+ * @returns {string} 'revoked' | 'scheduled' | 'active' | 'expired'
+ */
+export function getDelegationStatus(delegation, today) {
+  if (delegation.revokedAt) return 'revoked';
+  if (delegation.startDate > today) return 'scheduled';
+  if (delegation.endDate < today) return 'expired';
+  return 'active';
+}
+
+export { MAX_DELEGATION_DAYS };
@@ -0,0 +1,146 @@
+/**
+ * Utility functions for holiday calendar operations
+ */
+
+const HOLIDAY_TYPES = ['national', 'state', 'city', 'company'];
+const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Normaliza UF/município para comparação (sem acentos, maiúsculo, sem espaços extras)
+ * @param {string|null} value - Valor a normalizar
+ * @returns {string} Valor normalizado ('' se vazio)
+ */
+function normalizeLocation(value) {
+  if (!value) return '';
+  return String(value)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .trim()
+    .toUpperCase();
+}
+
+/**
+ * Validate holiday data
+ * @param {Object} holiday - { name, date, type, state, city, isHalfDay, recurring }
+ * @returns {Object} { isValid: boolean, errors: string[] }
+ */
+export function validateHoliday(holiday) {
+  const errors = [];
+
+  if (!holiday || typeof holiday !== 'object') {
+    errors.push('Feriado deve ser um objeto');
+    return { isValid: false, errors };
+  }
+
+  if (!holiday.name || !String(holiday.name).trim()) {
+    errors.push('Nome do feriado é obrigatório');
+  }
+
+  if (!holiday.date || !dateRegex.test(holiday.date) || isNaN(new Date(`${holiday.date}T00:00:00`).getTime())) {
+    errors.push('Data inválida (deve ser YYYY-MM-DD)');
+  }
+
+  const type = holiday.type || 'national';
+  if (!HOLIDAY_TYPES.includes(type)) {
+    errors.push(`Tipo inválido: ${type}. Use ${HOLIDAY_TYPES.join(', ')}`);
+  }
+
+  if ((type === 'state' || type === 'city') && !normalizeLocation(holiday.state)) {
+    errors.push('UF é obrigatória para feriados estaduais e municipais');
+  }
+
+  if (type === 'city' && !normalizeLocation(holiday.city)) {
+    errors.push('Município é obrigatório para feriados municipais');
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Check whether a holiday falls on a given date
+ * @param {Object} holiday - Holiday record
+ * @param {string} dateString - Date in format YYYY-MM-DD
+ * @returns {boolean} True if the holiday occurs on the date
+ */
+export function holidayMatchesDate(holiday, dateString) {
+  if (!holiday?.date || !dateString) return false;
+
+  if (holiday.recurring) {
+    return holiday.date.slice(5) === dateString.slice(5);
+  }
+
+  return holiday.date === dateString;
+}
+
+/**
+ * Check whether a holiday applies to an employee based on its scope
+ * Feriados nacionais e da empresa valem para todos; estaduais e municipais
+ * dependem da UF/município de lotação do funcionário
+ * @param {Object} holiday - Holiday record
+ * @param {Object} employee - Employee with state and city
+ * @returns {boolean} True if the holiday applies
+ */
+export function isHolidayApplicableToEmployee(holiday, employee) {
+  if (!holiday) return false;
+
+  switch (holiday.type) {
+    case 'state':
+      return normalizeLocation(holiday.state) !== '' &&
+        normalizeLocation(holiday.state) === normalizeLocation(employee?.state);
+    case 'city':
+      return normalizeLocation(holiday.state) === normalizeLocation(employee?.state) &&
+        normalizeLocation(holiday.city) !== '' &&
+        normalizeLocation(holiday.city) === normalizeLocation(employee?.city);
+    case 'national':
+    case 'company':
+    default:
+      return true;
+  }
+}
+
+/**
+ * Find the holiday that applies to an employee on a given date
+ * Feriados de dia inteiro têm prioridade sobre meio período
+ * @param {Array} holidays - Holiday records (already filtered or not by date)
+ * @param {Object} employee - Employee with state and city
+ * @param {string} dateString - Date in format YYYY-MM-DD
+ * @returns {Object|null} Holiday record or null
+ */
+export function findHolidayForEmployee(holidays, employee, dateString) {
+  if (!Array.isArray(holidays) || holidays.length === 0) {
+    return null;
+  }
+
+  const applicable = holidays.filter(holiday =>
+    holidayMatchesDate(holiday, dateString) && isHolidayApplicableToEmployee(holiday, employee)
+  );
+
+  if (applicable.length === 0) {
+    return null;
+  }
+
+  return applicable.find(holiday => !holiday.isHalfDay) || applicable[0];
+}
+
+/**
+ * Apply holiday reduction to scheduled hours
+ * @param {number} scheduledHours - Scheduled hours for the day without holiday
+ * @param {Object|null} holiday - Holiday that applies on the day
+ * @returns {number} 0 for full-day holidays, half for half-day holidays, unchanged otherwise
+ */
+export function applyHolidayToScheduledHours(scheduledHours, holiday) {
+  if (!holiday) {
+    return scheduledHours;
+  }
+
+  if (holiday.isHalfDay) {
+    return Number((scheduledHours / 2).toFixed(2));
+  }
+
+  return 0;
+}
+
+export { HOLIDAY_TYPES };
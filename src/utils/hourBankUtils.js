@@ -0,0 +1,473 @@
+/**
+ * Utility functions for hour bank operations (expiração, consumo FIFO, pagamento e multiplicadores de créditos)
+ */
+
+import { timeToMinutes } from './workScheduleUtils.js';
+import { getDayOfWeekFromDateString } from './timezoneUtils.js';
+import { addDaysToDateString } from './timeClockUtils.js';
+
+const HOUR_BANK_EXPIRATION_ACTIONS = ['expire', 'payout'];
+// Adicional da hora extra paga (%): 50% em dias úteis, 100% em domingos e feriados
+const HOUR_BANK_PAYOUT_RATES = [50, 100];
+// Origem do pagamento: saldo do banco ou créditos vencidos marcados para pagamento
+const HOUR_BANK_PAYOUT_SOURCES = ['balance', 'expired'];
+// Tipos de dia das regras de multiplicador ('weekday' = segunda a sexta que não seja feriado)
+const HOUR_BANK_DAY_TYPES = ['weekday', 'saturday', 'sunday', 'holiday', 'any'];
+const MAX_HOUR_BANK_MULTIPLIER = 5;
+const multiplierTimeRegex = /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/;
+// Art. 59 CLT: acordo individual compensa em até 6 meses, acordo coletivo em até 12 meses
+const MAX_HOUR_BANK_EXPIRATION_MONTHS = 12;
+// Tolerância de 0.01 horas (36 segundos) para evitar problemas de precisão de ponto flutuante
+const HOURS_TOLERANCE = 0.01;
+
+/**
+ * Add months to a YYYY-MM-DD date string (clamping to the last day of the month)
+ * @param {string} dateString - Date in format YYYY-MM-DD
+ * @param {number} months - Months to add
+ * @returns {string} Resulting date in format YYYY-MM-DD
+ */
+export function addMonthsToDateString(dateString, months) {
+  const [year, month, day] = dateString.split('-').map(Number);
+  const target = new Date(Date.UTC(year, month - 1 + months, 1));
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  target.setUTCDate(Math.min(day, lastDay));
+  return target.toISOString().split('T')[0];
+}
+
+/**
+ * Calculate the expiration date of a credit according to the company policy
+ * O crédito pode ser compensado até a data de expiração (inclusive)
+ * @param {string} creditDate - Credit date (YYYY-MM-DD)
+ * @param {number} expirationMonths - Compensation period in months (0 = sem expiração)
+ * @returns {string|null} Expiration date (YYYY-MM-DD) or null if credits do not expire
+ */
+export function calculateCreditExpiresAt(creditDate, expirationMonths) {
+  if (!creditDate || !expirationMonths || expirationMonths <= 0) {
+    return null;
+  }
+  return addMonthsToDateString(creditDate, expirationMonths);
+}
+
+/**
+ * Check whether a credit is expired on a date
+ * @param {Object} credit - Credit with expiresAt
+ * @param {string} dateString - Date in format YYYY-MM-DD
+ * @returns {boolean} True if the date is after the expiration date
+ */
+export function isCreditExpiredOn(credit, dateString) {
+  return Boolean(credit?.expiresAt) && dateString > credit.expiresAt;
+}
+
+/**
+ * Get the impact of an approved record on the hour bank balance
+ * Pagamentos de créditos vencidos não afetam o saldo (as horas já saíram do banco na expiração)
+ * @param {Object} record - Hour bank record
+ * @returns {number} Hours to add to the balance (negative for debits and payouts)
+ */
+export function getRecordBalanceImpact(record) {
+  if (!record) return 0;
+
+  switch (record.type) {
+    case 'credit':
+      // Horas não compensadas no prazo (expiradas ou a pagar) saem do saldo
+      return record.hours - (record.expiredHours || 0);
+    case 'payout':
+      return record.payoutSource === 'expired' ? 0 : -record.hours;
+    case 'debit':
+    default:
+      return -record.hours;
+  }
+}
+
+/**
+ * Check whether a record consumes credits from the hour bank balance (débitos e pagamentos do saldo)
+ * @param {Object} record - Hour bank record
+ * @returns {boolean} True if the record consumes credits
+ */
+export function consumesHourBankBalance(record) {
+  return record?.type === 'debit' || (record?.type === 'payout' && record.payoutSource !== 'expired');
+}
+
+/**
+ * Validate hour bank payout data
+ * @param {Object} payout - { hours, rate, source }
+ * @returns {Object} { isValid: boolean, errors: string[] }
+ */
+export function validateHourBankPayout(payout) {
+  const errors = [];
+  const { hours, rate, source } = payout || {};
+
+  if (!(Number(hours) > 0)) {
+    errors.push('Horas do pagamento devem ser maiores que zero');
+  }
+
+  if (!HOUR_BANK_PAYOUT_RATES.includes(Number(rate))) {
+    errors.push(`Adicional inválido: ${rate}. Use ${HOUR_BANK_PAYOUT_RATES.join(' ou ')}`);
+  }
+
+  if (source !== undefined && !HOUR_BANK_PAYOUT_SOURCES.includes(source)) {
+    errors.push(`Origem inválida: ${source}. Use ${HOUR_BANK_PAYOUT_SOURCES.join(', ')}`);
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Validate hour bank multiplier rules
+ * @param {Array} rules - [{ dayType, startTime?, endTime?, multiplier }]
+ * @returns {Object} { isValid: boolean, errors: string[] }
+ */
+export function validateHourBankMultiplierRules(rules) {
+  const errors = [];
+
+  if (!Array.isArray(rules)) {
+    errors.push('Regras de multiplicador devem ser um array');
+    return { isValid: false, errors };
+  }
+
+  rules.forEach((rule, index) => {
+    const label = `Regra ${index + 1}`;
+
+    if (!rule || typeof rule !== 'object') {
+      errors.push(`${label}: deve ser um objeto`);
+      return;
+    }
+
+    if (!HOUR_BANK_DAY_TYPES.includes(rule.dayType)) {
+      errors.push(`${label}: tipo de dia inválido (${rule.dayType}). Use ${HOUR_BANK_DAY_TYPES.join(', ')}`);
+    }
+
+    const multiplier = Number(rule.multiplier);
+    if (!(multiplier > 0) || multiplier > MAX_HOUR_BANK_MULTIPLIER) {
+      errors.push(`${label}: multiplicador deve ser maior que 0 e no máximo ${MAX_HOUR_BANK_MULTIPLIER}`);
+    }
+
+    const hasStart = rule.startTime !== undefined && rule.startTime !== null;
+    const hasEnd = rule.endTime !== undefined && rule.endTime !== null;
+    if (hasStart !== hasEnd) {
+      errors.push(`${label}: informe startTime e endTime juntos (ou nenhum para o dia inteiro)`);
+    } else if (hasStart) {
+      if (!multiplierTimeRegex.test(rule.startTime) || !multiplierTimeRegex.test(rule.endTime)) {
+        errors.push(`${label}: horários devem estar no formato HH:mm`);
+      } else if (rule.startTime === rule.endTime) {
+        errors.push(`${label}: início e fim da faixa de horário não podem ser iguais`);
+      }
+    }
+  });
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Normalize hour bank multiplier rules (tipos numéricos e faixa de horário opcional)
+ * @param {Array} rules - Raw rules
+ * @returns {Array} Normalized rules
+ */
+export function normalizeHourBankMultiplierRules(rules) {
+  return (rules || []).map(rule => ({
+    dayType: rule.dayType,
+    startTime: rule.startTime || null,
+    endTime: rule.endTime || null,
+    multiplier: Number(rule.multiplier)
+  }));
+}
+
+/**
+ * Check whether a multiplier rule applies to a minute
+ * @param {Object} rule - Multiplier rule
+ * @param {Object} day - { dayOfWeek, isHoliday }
+ * @param {number} minuteOfDay - Minutes since midnight
+ * @returns {boolean} True if the rule applies
+ */
+function multiplierRuleMatches(rule, day, minuteOfDay) {
+  switch (rule.dayType) {
+    case 'holiday':
+      if (!day.isHoliday) return false;
+      break;
+    case 'sunday':
+      if (day.dayOfWeek !== 0) return false;
+      break;
+    case 'saturday':
+      if (day.dayOfWeek !== 6) return false;
+      break;
+    case 'weekday':
+      if (day.isHoliday || day.dayOfWeek === 0 || day.dayOfWeek === 6) return false;
+      break;
+    case 'any':
+    default:
+      break;
+  }
+
+  if (!rule.startTime || !rule.endTime) {
+    return true;
+  }
+
+  const start = timeToMinutes(rule.startTime);
+  const end = timeToMinutes(rule.endTime);
+  // Faixas que passam da meia-noite (ex: 22:00-05:00)
+  if (start > end) {
+    return minuteOfDay >= start || minuteOfDay < end;
+  }
+  return minuteOfDay >= start && minuteOfDay < end;
+}
+
+/**
+ * Apply hour bank multiplier rules to overtime hours
+ * Cada minuto recebe o multiplicador da primeira regra aplicável (ordem da lista);
+ * minutos sem regra aplicável são creditados 1:1.
+ * @param {Object} params
+ * @param {string} params.date - Local date where overtime starts (YYYY-MM-DD)
+ * @param {string} params.startTime - Local start time (HH:mm)
+ * @param {number} params.minutes - Overtime duration in clock minutes
+ * @param {Array<string>} [params.holidayDates] - Dates (YYYY-MM-DD) with full-day holidays
+ * @param {Array} [params.rules] - Multiplier rules
+ * @returns {Object} { rawHours, creditedHours, appliedMultipliers: [{ dayType, startTime, endTime, multiplier, rawHours, creditedHours }] }
+ */
+export function applyHourBankMultipliers({ date, startTime, minutes, holidayDates = [], rules = [] }) {
+  const totalMinutes = Math.max(0, Math.round(minutes || 0));
+  const start = timeToMinutes(startTime);
+  const holidays = new Set(holidayDates);
+  const normalizedRules = normalizeHourBankMultiplierRules(rules);
+  const days = new Map();
+  const applied = new Map();
+
+  let creditedMinutes = 0;
+
+  for (let i = 0; i < totalMinutes; i++) {
+    const absoluteMinute = start + i;
+    const dayOffset = Math.floor(absoluteMinute / (24 * 60));
+    const minuteOfDay = absoluteMinute % (24 * 60);
+
+    if (!days.has(dayOffset)) {
+      const currentDate = addDaysToDateString(date, dayOffset);
+      days.set(dayOffset, {
+        dayOfWeek: getDayOfWeekFromDateString(currentDate),
+        isHoliday: holidays.has(currentDate)
+      });
+    }
+
+    const ruleIndex = normalizedRules.findIndex(rule => multiplierRuleMatches(rule, days.get(dayOffset), minuteOfDay));
+    const multiplier = ruleIndex >= 0 ? normalizedRules[ruleIndex].multiplier : 1;
+    creditedMinutes += multiplier;
+
+    if (ruleIndex >= 0) {
+      const entry = applied.get(ruleIndex) || { ...normalizedRules[ruleIndex], rawMinutes: 0 };
+      entry.rawMinutes++;
+      applied.set(ruleIndex, entry);
+    }
+  }
+
+  const appliedMultipliers = Array.from(applied.values()).map(({ rawMinutes, ...rule }) => ({
+    ...rule,
+    rawHours: Number((rawMinutes / 60).toFixed(2)),
+    creditedHours: Number((rawMinutes * rule.multiplier / 60).toFixed(2))
+  }));
+
+  return {
+    rawHours: Number((totalMinutes / 60).toFixed(2)),
+    creditedHours: Number((creditedMinutes / 60).toFixed(2)),
+    appliedMultipliers
+  };
+}
+
+/**
+ * Validate hour bank expiration policy
+ * @param {Object} policy - { expirationMonths, expirationAction, expirationWarningDays }
+ * @returns {Object} { isValid: boolean, errors: string[] }
+ */
+export function validateHourBankExpirationPolicy(policy) {
+  const errors = [];
+  const { expirationMonths, expirationAction, expirationWarningDays } = policy || {};
+
+  if (expirationMonths !== undefined) {
+    const months = Number(expirationMonths);
+    if (!Number.isInteger(months) || months < 0 || months > MAX_HOUR_BANK_EXPIRATION_MONTHS) {
+      errors.push(`Prazo de compensação inválido: deve ser um número inteiro de 0 a ${MAX_HOUR_BANK_EXPIRATION_MONTHS} meses (0 = sem expiração)`);
+    }
+  }
+
+  if (expirationAction !== undefined && !HOUR_BANK_EXPIRATION_ACTIONS.includes(expirationAction)) {
+    errors.push(`Ação de expiração inválida: ${expirationAction}. Use ${HOUR_BANK_EXPIRATION_ACTIONS.join(', ')}`);
+  }
+
+  if (expirationWarningDays !== undefined) {
+    const days = Number(expirationWarningDays);
+    if (!Number.isInteger(days) || days < 0) {
+      errors.push('Antecedência do aviso de expiração deve ser um número inteiro de dias (>= 0)');
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Allocate approved debits and payouts to approved credits in FIFO order (créditos mais antigos são consumidos primeiro)
+ * Créditos expirados não podem mais ser consumidos por débitos posteriores à expiração.
+ * Débitos sem crédito disponível geram um déficit que é abatido pelos próximos créditos.
+ * @param {Array} records - Hour bank records (only approved ones are considered)
+ * @returns {Object} { credits: Array<{ id, date, expiresAt, hours, consumedHours, remainingHours, expirationStatus }>, deficit: number }
+ */
+export function allocateHourBankFifo(records) {
+  const approved = (records || []).filter(record => record.status === 'approved');
+
+  // Ordem cronológica; no mesmo dia, créditos antes de débitos
+  const events = approved
+    .filter(record => record.type === 'credit' || consumesHourBankBalance(record))
+    .sort((a, b) => {
+      if (a.date !== b.date) return a.date.localeCompare(b.date);
+      if ((a.type === 'credit') !== (b.type === 'credit')) return a.type === 'credit' ? -1 : 1;
+      return new Date(a.createdAt || 0) - new Date(b.createdAt || 0);
+    });
+
+  const credits = [];
+  let deficit = 0;
+
+  for (const record of events) {
+    if (record.type === 'credit') {
+      const credit = {
+        id: record.id,
+        date: record.date,
+        expiresAt: record.expiresAt || null,
+        hours: record.hours,
+        consumedHours: 0,
+        remainingHours: record.hours,
+        expirationStatus: record.expirationStatus || null
+      };
+
+      // Créditos novos primeiro quitam débitos anteriores sem saldo
+      if (deficit > 0) {
+        const used = Math.min(deficit, credit.remainingHours);
+        credit.consumedHours += used;
+        credit.remainingHours -= used;
+        deficit -= used;
+      }
+
+      credits.push(credit);
+      continue;
+    }
+
+    let toConsume = record.hours;
+    for (const credit of credits) {
+      if (toConsume <= 0) break;
+      if (credit.remainingHours <= 0 || isCreditExpiredOn(credit, record.date)) continue;
+
+      const used = Math.min(toConsume, credit.remainingHours);
+      credit.consumedHours += used;
+      credit.remainingHours -= used;
+      toConsume -= used;
+    }
+    deficit += toConsume;
+  }
+
+  credits.forEach(credit => {
+    credit.consumedHours = Number(credit.consumedHours.toFixed(2));
+    credit.remainingHours = credit.remainingHours < HOURS_TOLERANCE ? 0 : Number(credit.remainingHours.toFixed(2));
+  });
+
+  return {
+    credits,
+    deficit: Number(deficit.toFixed(2))
+  };
+}
+
+/**
+ * Validate an hour bank limit value (null = herdar do nível superior, 0 = sem limite)
+ * @param {*} value - Limit value
+ * @param {string} label - Field label for error messages
+ * @returns {Object} { isValid: boolean, errors: string[] }
+ */
+export function validateHourBankLimit(value, label) {
+  const errors = [];
+
+  if (value !== null && value !== undefined) {
+    const limit = Number(value);
+    if (!Number.isFinite(limit) || limit < 0) {
+      errors.push(`${label} inválido: deve ser um número maior ou igual a 0`);
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Find the hour bank monthly exception of an employee for a date
+ * @param {Array} exceptions - [{ month, year, additionalAccumulationHours, additionalUsageHours }]
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {Object|null} Exception or null
+ */
+export function findHourBankException(exceptions, date) {
+  if (!Array.isArray(exceptions) || !date) {
+    return null;
+  }
+
+  const [year, month] = date.split('-').map(Number);
+  return exceptions.find(e => e.month === month && e.year === year) || null;
+}
+
+/**
+ * Resolve the effective hour bank limits (funcionário → departamento → empresa)
+ * Cada limite é resolvido separadamente: o primeiro nível com valor definido (não nulo) vence.
+ * A exceção mensal do funcionário soma horas ao limite resolvido; limite 0 (sem limite) não é alterado.
+ * @param {Object} params
+ * @param {Object|null} params.settings - Company settings (defaultAccumulationLimit, defaultUsageLimit)
+ * @param {Object|null} params.departmentLimits - Department limits ({ accumulationLimit, usageLimit })
+ * @param {Object|null} params.employee - Employee ({ hourBankAccumulationLimit, hourBankUsageLimit, hourBankExceptions })
+ * @param {string} [params.date] - Date used to find the monthly exception (YYYY-MM-DD)
+ * @returns {Object} { accumulationLimit, usageLimit, accumulationSource, usageSource, exception }
+ */
+export function resolveHourBankLimits({ settings, departmentLimits, employee, date }) {
+  const resolve = (employeeValue, departmentValue, companyValue) => {
+    if (employeeValue !== null && employeeValue !== undefined) {
+      return { limit: employeeValue, source: 'employee' };
+    }
+    if (departmentValue !== null && departmentValue !== undefined) {
+      return { limit: departmentValue, source: 'department' };
+    }
+    return { limit: companyValue || 0, source: 'company' };
+  };
+
+  const accumulation = resolve(
+    employee?.hourBankAccumulationLimit,
+    departmentLimits?.accumulationLimit,
+    settings?.defaultAccumulationLimit
+  );
+  const usage = resolve(
+    employee?.hourBankUsageLimit,
+    departmentLimits?.usageLimit,
+    settings?.defaultUsageLimit
+  );
+
+  const exception = findHourBankException(employee?.hourBankExceptions, date);
+  const additionalAccumulation = exception?.additionalAccumulationHours || 0;
+  const additionalUsage = exception?.additionalUsageHours || 0;
+
+  return {
+    accumulationLimit: accumulation.limit > 0 ? accumulation.limit + additionalAccumulation : 0,
+    usageLimit: usage.limit > 0 ? usage.limit + additionalUsage : 0,
+    accumulationSource: accumulation.source,
+    usageSource: usage.source,
+    exception
+  };
+}
+
+export {
+  HOUR_BANK_DAY_TYPES,
+  MAX_HOUR_BANK_MULTIPLIER,
+  HOUR_BANK_EXPIRATION_ACTIONS,
+  HOUR_BANK_PAYOUT_RATES,
+  HOUR_BANK_PAYOUT_SOURCES,
+  MAX_HOUR_BANK_EXPIRATION_MONTHS,
+  HOURS_TOLERANCE
+};
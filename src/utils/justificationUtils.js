@@ -0,0 +1,129 @@
+/**
+ * Utility functions for time clock justifications (categorias e efeito sobre as horas não trabalhadas)
+ */
+
+const JUSTIFICATION_CATEGORIES = ['medical', 'legal', 'union', 'personal', 'other'];
+
+const JUSTIFICATION_CATEGORY_LABELS = {
+  medical: 'Consulta ou exame médico',
+  legal: 'Comparecimento em juízo, júri ou serviço eleitoral',
+  union: 'Atividade sindical',
+  personal: 'Motivos pessoais',
+  other: 'Outros'
+};
+
+const JUSTIFICATION_EFFECTS = ['waive', 'partial_waive', 'debit'];
+
+const JUSTIFICATION_EFFECT_LABELS = {
+  waive: 'Abona as horas',
+  partial_waive: 'Abona parcialmente',
+  debit: 'Mantém o débito no banco de horas'
+};
+
+// Limite de horas abonadas por dia no abono parcial
+const MAX_WAIVED_HOURS = 24;
+
+/**
+ * Validate the effect settings of a justification
+ * @param {Object} rules - { category, effect, maxWaivedHours, requiresApproval, requiresAttachment, departmentIds }
+ * @returns {Object} { isValid: boolean, errors: string[] }
+ */
+export function validateJustificationRules(rules) {
+  const errors = [];
+  const { category, effect, maxWaivedHours, requiresApproval, requiresAttachment, departmentIds } = rules || {};
+
+  if (category !== undefined && !JUSTIFICATION_CATEGORIES.includes(category)) {
+    errors.push(`Categoria inválida: ${category}. Use ${JUSTIFICATION_CATEGORIES.join(', ')}`);
+  }
+
+  if (effect !== undefined && !JUSTIFICATION_EFFECTS.includes(effect)) {
+    errors.push(`Efeito inválido: ${effect}. Use ${JUSTIFICATION_EFFECTS.join(', ')}`);
+  }
+
+  if (maxWaivedHours !== undefined && maxWaivedHours !== null) {
+    const hours = Number(maxWaivedHours);
+    if (isNaN(hours) || hours <= 0 || hours > MAX_WAIVED_HOURS) {
+      errors.push(`Horas abonadas por dia (maxWaivedHours) devem ser maiores que 0 e no máximo ${MAX_WAIVED_HOURS}`);
+    }
+  }
+  if (effect === 'partial_waive' && (maxWaivedHours === undefined || maxWaivedHours === null)) {
+    errors.push('Abono parcial exige as horas abonadas por dia (maxWaivedHours)');
+  }
+
+  if (requiresApproval !== undefined && typeof requiresApproval !== 'boolean') {
+    errors.push('requiresApproval deve ser true ou false');
+  }
+  if (requiresAttachment !== undefined && typeof requiresAttachment !== 'boolean') {
+    errors.push('requiresAttachment deve ser true ou false');
+  }
+
+  if (departmentIds !== undefined && (!Array.isArray(departmentIds) || departmentIds.some(id => typeof id !== 'string' || !id))) {
+    errors.push('departmentIds deve ser uma lista de IDs de departamento');
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Resolve how many of the unworked hours a justification waives
+ * Justificativas que exigem aprovação ou anexo só abonam depois da aprovação ou do envio do documento;
+ * as enviadas pelo funcionário só abonam depois da análise do gestor.
+ * @param {Object|null} justification - Justification (effect, maxWaivedHours, requiresApproval, requiresAttachment)
+ * @param {number} unworkedHours - Unworked hours of the day (horas negativas antes do abono)
+ * @param {Object} [context]
+ * @param {boolean} [context.hasAttachment] - Record has a document attached
+ * @param {boolean} [context.approved] - Justification approved by the manager
+ * @param {boolean} [context.reviewPending] - Justification submitted by the employee, awaiting the manager's review
+ * @returns {Object} { waivedHours, debitHours, pending: 'approval' | 'attachment' | null }
+ */
+export function resolveJustificationEffect(justification, unworkedHours, { hasAttachment = false, approved = false, reviewPending = false } = {}) {
+  const hours = Math.max(0, Number(unworkedHours) || 0);
+  const result = (waivedHours, pending = null) => ({
+    waivedHours: Number(waivedHours.toFixed(2)),
+    debitHours: Number((hours - waivedHours).toFixed(2)),
+    pending
+  });
+
+  if (!justification || justification.effect === 'debit' || hours === 0) {
+    return result(0);
+  }
+  if (justification.requiresAttachment && !hasAttachment) {
+    return result(0, 'attachment');
+  }
+  if ((justification.requiresApproval || reviewPending) && !approved) {
+    return result(0, 'approval');
+  }
+  if (justification.effect === 'partial_waive') {
+    return result(Math.min(hours, Number(justification.maxWaivedHours) || 0));
+  }
+  return result(hours);
+}
+
+/**
+ * Get the label of a justification category
+ * @param {string} category - Justification category
+ * @returns {string} Label
+ */
+export function getJustificationCategoryLabel(category) {
+  return JUSTIFICATION_CATEGORY_LABELS[category] || category;
+}
+
+/**
+ * Get the label of a justification effect
+ * @param {string} effect - Justification effect
+ * @returns {string} Label
+ */
+export function getJustificationEffectLabel(effect) {
+  return JUSTIFICATION_EFFECT_LABELS[effect] || effect;
+}
+
+export {
+  JUSTIFICATION_CATEGORIES,
+  JUSTIFICATION_CATEGORY_LABELS,
+  JUSTIFICATION_EFFECTS,
+  JUSTIFICATION_EFFECT_LABELS,
+  MAX_WAIVED_HOURS
+};
@@ -0,0 +1,102 @@
+/**
+ * Utility functions for leaves (férias, licenças e outros afastamentos)
+ */
+
+const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+
+const LEAVE_TYPES = ['vacation', 'medical', 'maternity', 'bereavement', 'unpaid'];
+
+const LEAVE_TYPE_LABELS = {
+  vacation: 'Férias',
+  medical: 'Licença médica',
+  maternity: 'Licença maternidade',
+  bereavement: 'Licença nojo',
+  unpaid: 'Licença não remunerada'
+};
+
+const LEAVE_STATUSES = ['pending', 'approved', 'rejected', 'cancelled'];
+
+// Pedidos pendentes e afastamentos aprovados ocupam o período (não podem se sobrepor)
+const ACTIVE_LEAVE_STATUSES = ['pending', 'approved'];
+
+// Duração máxima de um afastamento (licença maternidade estendida é de 180 dias)
+const MAX_LEAVE_DAYS = 366;
+
+const MAX_LEAVE_REASON_LENGTH = 1000;
+
+/**
+ * Count the calendar days of a period (inclusive)
+ * @param {string} startDate - Start date (YYYY-MM-DD)
+ * @param {string} endDate - End date (YYYY-MM-DD)
+ * @returns {number} Days
+ */
+export function countLeaveDays(startDate, endDate) {
+  return Math.round((new Date(`${endDate}T00:00:00Z`) - new Date(`${startDate}T00:00:00Z`)) / (24 * 60 * 60 * 1000)) + 1;
+}
+
+/**
+ * Validate leave request data
+ * @param {Object} leave - { type, startDate, endDate, reason }
+ * @returns {Object} { isValid: boolean, errors: string[] }
+ */
+export function validateLeave(leave) {
+  const errors = [];
+  const { type, startDate, endDate, reason } = leave || {};
+
+  if (!LEAVE_TYPES.includes(type)) {
+    errors.push(`Tipo de afastamento inválido. Use ${LEAVE_TYPES.join(', ')}`);
+  }
+
+  const validStart = startDate && dateRegex.test(startDate) && !isNaN(new Date(`${startDate}T00:00:00Z`).getTime());
+  const validEnd = endDate && dateRegex.test(endDate) && !isNaN(new Date(`${endDate}T00:00:00Z`).getTime());
+
+  if (!validStart) {
+    errors.push('Data de início inválida (deve ser YYYY-MM-DD)');
+  }
+  if (!validEnd) {
+    errors.push('Data de fim inválida (deve ser YYYY-MM-DD)');
+  }
+
+  if (validStart && validEnd) {
+    if (endDate < startDate) {
+      errors.push('Data de fim deve ser igual ou posterior à data de início');
+    } else if (countLeaveDays(startDate, endDate) > MAX_LEAVE_DAYS) {
+      errors.push(`O afastamento pode durar no máximo ${MAX_LEAVE_DAYS} dias`);
+    }
+  }
+
+  if (reason !== undefined && reason !== null && typeof reason !== 'string') {
+    errors.push('Motivo (reason) deve ser um texto');
+  } else if (reason && reason.trim().length > MAX_LEAVE_REASON_LENGTH) {
+    errors.push(`Motivo deve ter no máximo ${MAX_LEAVE_REASON_LENGTH} caracteres`);
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Find the leave that covers a date
+ * @param {Array} leaves - Approved leaves of the employee
+ * @param {string} dateString - Date (YYYY-MM-DD)
+ * @returns {Object|null} Leave or null
+ */
+export function findLeaveForDate(leaves, dateString) {
+  if (!Array.isArray(leaves)) {
+    return null;
+  }
+  return leaves.find(leave => leave.startDate <= dateString && leave.endDate >= dateString) || null;
+}
+
+/**
+ * Get the label of a leave type
+ * @param {string} type - Leave type
+ * @returns {string} Label (ex: 'Férias')
+ */
+export function getLeaveTypeLabel(type) {
+  return LEAVE_TYPE_LABELS[type] || type;
+}
+
+export { LEAVE_TYPES, LEAVE_TYPE_LABELS, LEAVE_STATUSES, ACTIVE_LEAVE_STATUSES, MAX_LEAVE_DAYS, MAX_LEAVE_REASON_LENGTH };
@@ -0,0 +1,185 @@
+/**
+ * Utility functions for overtime rate classes (adicional de 50%, 100% e adicional noturno)
+ */
+
+import { timeToMinutes } from './workScheduleUtils.js';
+import { getDayOfWeekFromDateString } from './timezoneUtils.js';
+import { addDaysToDateString } from './timeClockUtils.js';
+
+// Regras padrão (CLT): 50% em dias úteis, 100% em domingos e feriados,
+// adicional noturno de 20% das 22:00 às 05:00 com hora noturna reduzida de 52min30s
+const DEFAULT_OVERTIME_RATE_RULES = {
+  weekdayRate: 50,
+  sundayHolidayRate: 100,
+  nightRate: 20,
+  nightStart: '22:00',
+  nightEnd: '05:00',
+  reducedNightHour: true
+};
+
+// Hora noturna reduzida: 52min30s de relógio equivalem a 1 hora
+const REDUCED_NIGHT_HOUR_FACTOR = 60 / 52.5;
+const MINUTES_PER_DAY = 24 * 60;
+const timeRegex = /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+/**
+ * Build overtime rate rules from company settings (missing values use the CLT defaults)
+ * @param {Object|null} settings - Company settings
+ * @returns {Object} { weekdayRate, sundayHolidayRate, nightRate, nightStart, nightEnd, reducedNightHour }
+ */
+export function getOvertimeRateRules(settings) {
+  return {
+    weekdayRate: settings?.overtimeWeekdayRate ?? DEFAULT_OVERTIME_RATE_RULES.weekdayRate,
+    sundayHolidayRate: settings?.overtimeSundayHolidayRate ?? DEFAULT_OVERTIME_RATE_RULES.sundayHolidayRate,
+    nightRate: settings?.nightShiftRate ?? DEFAULT_OVERTIME_RATE_RULES.nightRate,
+    nightStart: settings?.nightShiftStart || DEFAULT_OVERTIME_RATE_RULES.nightStart,
+    nightEnd: settings?.nightShiftEnd || DEFAULT_OVERTIME_RATE_RULES.nightEnd,
+    reducedNightHour: settings?.reducedNightHour ?? DEFAULT_OVERTIME_RATE_RULES.reducedNightHour
+  };
+}
+
+/**
+ * Validate overtime rate rules
+ * @param {Object} rules - Partial rules ({ weekdayRate, sundayHolidayRate, nightRate, nightStart, nightEnd })
+ * @returns {Object} { isValid: boolean, errors: string[] }
+ */
+export function validateOvertimeRateRules(rules) {
+  const errors = [];
+  const { weekdayRate, sundayHolidayRate, nightRate, nightStart, nightEnd } = rules || {};
+
+  const rateFields = [
+    ['weekdayRate', weekdayRate, 'Adicional de dias úteis'],
+    ['sundayHolidayRate', sundayHolidayRate, 'Adicional de domingos e feriados'],
+    ['nightRate', nightRate, 'Adicional noturno']
+  ];
+
+  rateFields.forEach(([, value, label]) => {
+    if (value === undefined) return;
+    const rate = Number(value);
+    if (!Number.isInteger(rate) || rate < 0 || rate > 200) {
+      errors.push(`${label} inválido: deve ser um percentual inteiro de 0 a 200`);
+    }
+  });
+
+  if (nightStart !== undefined && !timeRegex.test(nightStart)) {
+    errors.push('Início do período noturno inválido (formato HH:mm)');
+  }
+
+  if (nightEnd !== undefined && !timeRegex.test(nightEnd)) {
+    errors.push('Fim do período noturno inválido (formato HH:mm)');
+  }
+
+  if (nightStart !== undefined && nightEnd !== undefined && nightStart === nightEnd) {
+    errors.push('Início e fim do período noturno não podem ser iguais');
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Check whether a minute of the day falls in the night period
+ * @param {number} minuteOfDay - Minutes since midnight (0-1439)
+ * @param {number} nightStart - Night start in minutes
+ * @param {number} nightEnd - Night end in minutes
+ * @returns {boolean} True if night time
+ */
+function isNightMinute(minuteOfDay, nightStart, nightEnd) {
+  if (nightStart > nightEnd) {
+    return minuteOfDay >= nightStart || minuteOfDay < nightEnd;
+  }
+  return minuteOfDay >= nightStart && minuteOfDay < nightEnd;
+}
+
+/**
+ * Split overtime into legal rate classes
+ * Cada minuto é classificado pelo dia em que ocorre (domingo/feriado = 100%, demais = 50%)
+ * e pelo horário (período noturno recebe adicional noturno). Com hora noturna reduzida,
+ * os minutos noturnos valem 60/52,5 minutos.
+ * @param {Object} params
+ * @param {string} params.date - Local date where overtime starts (YYYY-MM-DD)
+ * @param {string} params.startTime - Local start time (HH:mm)
+ * @param {number} params.minutes - Overtime duration in clock minutes
+ * @param {Array<string>} [params.holidayDates] - Dates (YYYY-MM-DD) with full-day holidays
+ * @param {Object} [params.rules] - Rules from getOvertimeRateRules
+ * @returns {Object} { weekday: { rate, hours }, sundayHoliday: { rate, hours }, night: { rate, hours, clockHours }, clockHours, totalHours }
+ */
+export function calculateOvertimeRateBreakdown({ date, startTime, minutes, holidayDates = [], rules = DEFAULT_OVERTIME_RATE_RULES }) {
+  const effectiveRules = { ...DEFAULT_OVERTIME_RATE_RULES, ...rules };
+  const nightStart = timeToMinutes(effectiveRules.nightStart);
+  const nightEnd = timeToMinutes(effectiveRules.nightEnd);
+  const nightFactor = effectiveRules.reducedNightHour ? REDUCED_NIGHT_HOUR_FACTOR : 1;
+  const holidays = new Set(holidayDates);
+
+  let weekdayMinutes = 0;
+  let sundayHolidayMinutes = 0;
+  let nightMinutes = 0;
+  let nightClockMinutes = 0;
+
+  const totalClockMinutes = Math.max(0, Math.round(minutes || 0));
+  const start = timeToMinutes(startTime);
+  const premiumByDate = new Map();
+
+  for (let i = 0; i < totalClockMinutes; i++) {
+    const absoluteMinute = start + i;
+    const minuteOfDay = absoluteMinute % MINUTES_PER_DAY;
+    const dayOffset = Math.floor(absoluteMinute / MINUTES_PER_DAY);
+
+    if (!premiumByDate.has(dayOffset)) {
+      const currentDate = addDaysToDateString(date, dayOffset);
+      premiumByDate.set(dayOffset, getDayOfWeekFromDateString(currentDate) === 0 || holidays.has(currentDate));
+    }
+
+    const isNight = isNightMinute(minuteOfDay, nightStart, nightEnd);
+    const value = isNight ? nightFactor : 1;
+
+    if (premiumByDate.get(dayOffset)) {
+      sundayHolidayMinutes += value;
+    } else {
+      weekdayMinutes += value;
+    }
+
+    if (isNight) {
+      nightMinutes += value;
+      nightClockMinutes++;
+    }
+  }
+
+  const toHours = (value) => Number((value / 60).toFixed(2));
+
+  return {
+    weekday: { rate: effectiveRules.weekdayRate, hours: toHours(weekdayMinutes) },
+    sundayHoliday: { rate: effectiveRules.sundayHolidayRate, hours: toHours(sundayHolidayMinutes) },
+    night: { rate: effectiveRules.nightRate, hours: toHours(nightMinutes), clockHours: toHours(nightClockMinutes) },
+    clockHours: toHours(totalClockMinutes),
+    totalHours: toHours(weekdayMinutes + sundayHolidayMinutes),
+    reducedNightHour: Boolean(effectiveRules.reducedNightHour)
+  };
+}
+
+/**
+ * Sum overtime rate breakdowns (para relatórios)
+ * @param {Array<Object>} breakdowns - Breakdowns from calculateOvertimeRateBreakdown (null ignored)
+ * @returns {Object} { weekdayHours, sundayHolidayHours, nightHours, totalHours }
+ */
+export function sumOvertimeRateBreakdowns(breakdowns) {
+  const totals = { weekdayHours: 0, sundayHolidayHours: 0, nightHours: 0, totalHours: 0 };
+
+  (breakdowns || []).forEach(breakdown => {
+    if (!breakdown) return;
+    totals.weekdayHours += breakdown.weekday?.hours || 0;
+    totals.sundayHolidayHours += breakdown.sundayHoliday?.hours || 0;
+    totals.nightHours += breakdown.night?.hours || 0;
+    totals.totalHours += breakdown.totalHours || 0;
+  });
+
+  Object.keys(totals).forEach(key => {
+    totals[key] = Number(totals[key].toFixed(2));
+  });
+
+  return totals;
+}
+
+export { DEFAULT_OVERTIME_RATE_RULES, REDUCED_NIGHT_HOUR_FACTOR };
@@ -0,0 +1,288 @@
+import crypto from 'crypto';
+import { getDateStringInTimezone, getTimezoneOffsetMinutes, DEFAULT_TIMEZONE } from './timezoneUtils.js';
+
+/**
+ * Utility functions for the AFD and AEJ files of Portaria MTP 671/2021
+ * AFD (Anexo V): registros de tamanho fixo gerados pelo REP-P (programa de registro de ponto).
+ * AEJ (Anexo VI): registros separados por "|" gerados pelo programa de tratamento de ponto.
+ */
+
+const AFD_LAYOUT_VERSION = '003';
+const AEJ_LAYOUT_VERSION = '001';
+
+// Identificador do coletor da marcação no registro tipo 7 do AFD (02 = navegador)
+const AFD_COLLECTOR_BROWSER = '02';
+
+// Tipo de REP no registro 02 do AEJ (3 = REP-P)
+const AEJ_REP_TYPE_PROGRAM = '3';
+
+// Linha final dos arquivos: a assinatura CAdES fica no arquivo .p7s que acompanha o arquivo
+const DIGITAL_SIGNATURE_LINE = 'ASSINATURA_DIGITAL_EM_ARQUIVO_P7S';
+
+const LINE_BREAK = '\r\n';
+
+/**
+ * Keep only the digits of a document number
+ * @param {string} value - CPF, CNPJ or PIS (com ou sem máscara)
+ * @returns {string} Digits
+ */
+export function onlyDigits(value) {
+  return String(value ?? '').replace(/\D/g, '');
+}
+
+const hasRepeatedDigits = (digits) => /^(\d)\1+$/.test(digits);
+
+/**
+ * Validate a CPF (dígitos verificadores)
+ * @param {string} value - CPF
+ * @returns {boolean} True if valid
+ */
+export function isValidCpf(value) {
+  const cpf = onlyDigits(value);
+  if (cpf.length !== 11 || hasRepeatedDigits(cpf)) {
+    return false;
+  }
+
+  const checkDigit = (length) => {
+    let sum = 0;
+    for (let i = 0; i < length; i++) {
+      sum += Number(cpf[i]) * (length + 1 - i);
+    }
+    const rest = (sum * 10) % 11;
+    return rest === 10 ? 0 : rest;
+  };
+
+  return checkDigit(9) === Number(cpf[9]) && checkDigit(10) === Number(cpf[10]);
+}
+
+/**
+ * Validate a CNPJ (dígitos verificadores)
+ * @param {string} value - CNPJ
+ * @returns {boolean} True if valid
+ */
+export function isValidCnpj(value) {
+  const cnpj = onlyDigits(value);
+  if (cnpj.length !== 14 || hasRepeatedDigits(cnpj)) {
+    return false;
+  }
+
+  const checkDigit = (length) => {
+    const weights = length === 12
+      ? [5, 4, 3, 2, 9, 8, 7, 6, 5, 4, 3, 2]
+      : [6, 5, 4, 3, 2, 9, 8, 7, 6, 5, 4, 3, 2];
+    const sum = weights.reduce((total, weight, i) => total + Number(cnpj[i]) * weight, 0);
+    const rest = sum % 11;
+    return rest < 2 ? 0 : 11 - rest;
+  };
+
+  return checkDigit(12) === Number(cnpj[12]) && checkDigit(13) === Number(cnpj[13]);
+}
+
+/**
+ * Validate a PIS/PASEP/NIT (dígito verificador)
+ * @param {string} value - PIS
+ * @returns {boolean} True if valid
+ */
+export function isValidPis(value) {
+  const pis = onlyDigits(value);
+  if (pis.length !== 11 || hasRepeatedDigits(pis)) {
+    return false;
+  }
+
+  const weights = [3, 2, 9, 8, 7, 6, 5, 4, 3, 2];
+  const sum = weights.reduce((total, weight, i) => total + Number(pis[i]) * weight, 0);
+  const rest = 11 - (sum % 11);
+  return (rest >= 10 ? 0 : rest) === Number(pis[10]);
+}
+
+/**
+ * Get the employer identifier type of a document
+ * @param {string} document - CNPJ (14 dígitos) ou CPF (11 dígitos)
+ * @returns {string} '1' (CNPJ) | '2' (CPF)
+ */
+export function getEmployerIdType(document) {
+  return onlyDigits(document).length === 14 ? '1' : '2';
+}
+
+/**
+ * Calculate the CRC-16/KERMIT of a text (polinômio 0x1021 refletido, valor inicial 0)
+ * @param {string} text - Record content
+ * @returns {string} CRC as 4 uppercase hex digits
+ */
+export function crc16Kermit(text) {
+  let crc = 0x0000;
+  for (const byte of Buffer.from(text, 'latin1')) {
+    crc ^= byte;
+    for (let bit = 0; bit < 8; bit++) {
+      crc = crc & 1 ? (crc >>> 1) ^ 0x8408 : crc >>> 1;
+    }
+  }
+  return crc.toString(16).toUpperCase().padStart(4, '0');
+}
+
+/**
+ * Calculate the SHA-256 of a text
+ * @param {string} text - Content
+ * @returns {string} Hash as 64 lowercase hex digits
+ */
+export function sha256(text) {
+  return crypto.createHash('sha256').update(Buffer.from(text, 'latin1')).digest('hex');
+}
+
+// Texto alinhado à esquerda com espaços, sem acentos fora do ISO-8859-1 e cortado no tamanho do campo
+const alpha = (value, length) => String(value ?? '')
+  .replace(/[\r\n|]/g, ' ')
+  .replace(/[^\x20-\xFF]/g, '')
+  .slice(0, length)
+  .padEnd(length, ' ');
+
+// Número alinhado à direita com zeros
+const numeric = (value, length) => onlyDigits(value).slice(-length).padStart(length, '0');
+
+/**
+ * Format an instant as AAAA-MM-DDThh:mm:ss-ZZZZ in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timezone - IANA timezone
+ * @param {boolean} [withSeconds] - Keep seconds (false = segundos zerados, como nas marcações)
+ * @returns {string} Date-time with offset (24 caracteres)
+ */
+export function formatPortariaDateTime(date, timezone = DEFAULT_TIMEZONE, withSeconds = true) {
+  const instant = new Date(date);
+  const offset = getTimezoneOffsetMinutes(instant, timezone);
+  const local = new Date(instant.getTime() + offset * 60 * 1000);
+  const pad = (number) => String(number).padStart(2, '0');
+
+  const sign = offset < 0 ? '-' : '+';
+  const absOffset = Math.abs(offset);
+  const seconds = withSeconds ? pad(local.getUTCSeconds()) : '00';
+
+  return `${getDateStringInTimezone(instant, timezone)}T${pad(local.getUTCHours())}:${pad(local.getUTCMinutes())}:${seconds}` +
+    `${sign}${pad(Math.floor(absOffset / 60))}${pad(absOffset % 60)}`;
+}
+
+/**
+ * Build the AFD record of a punch (tipo 7)
+ * O hash SHA-256 encadeia o conteúdo do registro com o hash do registro anterior do REP.
+ * @param {Object} punch - { nsr, punchTime, recordedAt, cpf, timezone }
+ * @param {string} previousHash - Hash of the previous punch record of the REP ('' no primeiro)
+ * @param {string} [timezone] - Company timezone
+ * @returns {Object} { line, hash }
+ */
+export function buildAfdPunchRecord(punch, previousHash, timezone = DEFAULT_TIMEZONE) {
+  const fields = [
+    numeric(punch.nsr, 9),
+    '7',
+    formatPortariaDateTime(punch.punchTime, punch.timezone || timezone, false),
+    numeric(punch.cpf, 12),
+    formatPortariaDateTime(punch.recordedAt, timezone),
+    AFD_COLLECTOR_BROWSER,
+    '0' // Marcação on-line
+  ].join('');
+  const hash = sha256(fields + previousHash);
+  return { line: fields + hash, hash };
+}
+
+/**
+ * Build the AFD (Arquivo Fonte de Dados) of the REP-P
+ * Cabeçalho (tipo 1), marcações (tipo 7, com o NSR gravado no log e hash SHA-256 encadeado) e trailer (tipo 9).
+ * @param {Object} data
+ * @param {Object} data.company - { document, legalName, repNumber, developerDocument }
+ * @param {string} data.startDate - First date (YYYY-MM-DD)
+ * @param {string} data.endDate - Last date (YYYY-MM-DD)
+ * @param {Array} data.punches - [{ nsr, punchTime, recordedAt, cpf, timezone, previousHash }] em ordem de NSR;
+ *   previousHash é o hash do registro anterior no REP (arquivos filtrados não contêm esse registro)
+ * @param {Date} [data.generatedAt] - Generation instant
+ * @param {string} [data.timezone] - Company timezone
+ * @returns {string} File content (linhas terminadas em CRLF)
+ */
+export function buildAfdFile({ company, startDate, endDate, punches, generatedAt = new Date(), timezone = DEFAULT_TIMEZONE }) {
+  const lines = [];
+
+  const header = [
+    '000000000',
+    '1',
+    getEmployerIdType(company.document),
+    numeric(company.document, 14),
+    alpha('', 14), // CNO ou CAEPF
+    alpha(company.legalName, 150),
+    alpha(company.repNumber, 17),
+    startDate,
+    endDate,
+    formatPortariaDateTime(generatedAt, timezone, false),
+    AFD_LAYOUT_VERSION,
+    getEmployerIdType(company.developerDocument),
+    numeric(company.developerDocument, 14),
+    alpha('', 30) // Modelo do REP (apenas REP-C)
+  ].join('');
+  lines.push(header + crc16Kermit(header));
+
+  let previousHash = '';
+  punches.forEach(punch => {
+    const { line, hash } = buildAfdPunchRecord(punch, punch.previousHash ?? previousHash, timezone);
+    previousHash = hash;
+    lines.push(line);
+  });
+
+  // Trailer: quantidade de registros dos tipos 2, 3, 4, 5, 6 e 7
+  lines.push(['999999999', numeric(0, 9), numeric(0, 9), numeric(0, 9), numeric(0, 9), numeric(0, 9), numeric(punches.length, 9), '9'].join(''));
+  lines.push(DIGITAL_SIGNATURE_LINE);
+
+  return lines.join(LINE_BREAK) + LINE_BREAK;
+}
+
+/**
+ * Build the AEJ (Arquivo Eletrônico de Jornada)
+ * @param {Object} data
+ * @param {Object} data.company - { document, legalName, repNumber }
+ * @param {Object} data.program - { name, version, developerDocument, developerName, developerEmail }
+ * @param {string} data.startDate - First date (YYYY-MM-DD)
+ * @param {string} data.endDate - Last date (YYYY-MM-DD)
+ * @param {Array} data.employees - [{ id, cpf, name }] (vínculos, na ordem do arquivo)
+ * @param {Array} data.schedules - [{ code, durationMinutes, startTime, endTime }] (horários contratuais)
+ * @param {Array} data.punches - [{ employeeId, punchTime, type: 'E'|'S'|'D', sequence, source: 'O'|'I', scheduleCode, reason, timezone }]
+ * @param {Array} data.absences - [{ employeeId, type, date, minutes, hourBankMovement }]
+ * @param {Date} [data.generatedAt] - Generation instant
+ * @param {string} [data.timezone] - Company timezone
+ * @returns {string} File content (linhas terminadas em CRLF)
+ */
+export function buildAejFile({ company, program, startDate, endDate, employees, schedules, punches, absences, generatedAt = new Date(), timezone = DEFAULT_TIMEZONE }) {
+  const clean = (value) => String(value ?? '').replace(/[\r\n|]/g, ' ').trim();
+  const record = (...fields) => fields.map(clean).join('|');
+  const bondIds = new Map(employees.map((employee, index) => [employee.id, String(index + 1)]));
+  const repId = '1';
+
+  const lines = [
+    record('01', getEmployerIdType(company.document), onlyDigits(company.document), '', '', company.legalName,
+      startDate, endDate, formatPortariaDateTime(generatedAt, timezone, false), AEJ_LAYOUT_VERSION),
+    record('02', repId, AEJ_REP_TYPE_PROGRAM, onlyDigits(company.repNumber).padStart(17, '0'))
+  ];
+
+  employees.forEach(employee => {
+    lines.push(record('03', bondIds.get(employee.id), onlyDigits(employee.cpf), employee.name));
+  });
+
+  schedules.forEach(schedule => {
+    lines.push(record('04', schedule.code, schedule.durationMinutes, schedule.startTime.replace(':', ''), schedule.endTime.replace(':', '')));
+  });
+
+  punches.forEach(punch => {
+    lines.push(record('05', bondIds.get(punch.employeeId), formatPortariaDateTime(punch.punchTime, punch.timezone || timezone, false),
+      repId, punch.type, punch.sequence, punch.source, punch.scheduleCode || '', punch.reason || ''));
+  });
+
+  absences.forEach(absence => {
+    lines.push(record('07', bondIds.get(absence.employeeId), absence.type, absence.date, absence.minutes, absence.hourBankMovement || ''));
+  });
+
+  lines.push(record('08', program.name, program.version, getEmployerIdType(program.developerDocument),
+    onlyDigits(program.developerDocument), program.developerName, program.developerEmail));
+
+  // Trailer: quantidade de registros de cada tipo (01 a 08)
+  const counts = { '01': 1, '02': 1, '03': employees.length, '04': schedules.length, '05': punches.length, '06': 0, '07': absences.length, '08': 1 };
+  lines.push(record('99', ...Object.values(counts)));
+  lines.push(DIGITAL_SIGNATURE_LINE);
+
+  return lines.join(LINE_BREAK) + LINE_BREAK;
+}
+
+export { AFD_LAYOUT_VERSION, AEJ_LAYOUT_VERSION };
@@ -0,0 +1,98 @@
+/**
+ * Utility functions for time clock correction requests
+ */
+
+// Batidas que podem ser corrigidas, na ordem do dia
+const CORRECTION_PUNCH_FIELDS = ['entryTime', 'lunchExitTime', 'lunchReturnTime', 'exitTime'];
+
+const PUNCH_LABELS = {
+  entryTime: 'Entrada',
+  lunchExitTime: 'Saída para almoço',
+  lunchReturnTime: 'Volta do almoço',
+  exitTime: 'Saída'
+};
+
+// Duração máxima de uma jornada corrigida (entrada até saída)
+const MAX_CORRECTED_SHIFT_HOURS = 24;
+
+const MAX_CORRECTION_REASON_LENGTH = 1000;
+
+/**
+ * Build the punches proposed by a correction request
+ * Campos não informados mantêm a batida atual do registro; null ou '' removem a batida.
+ * @param {Object} body - { entryTime?, lunchExitTime?, lunchReturnTime?, exitTime?, reason }
+ * @param {Object} record - Current time clock record
+ * @param {Date} [now] - Current instant (batidas no futuro não são aceitas)
+ * @returns {Object} { isValid: boolean, errors: string[], punches: Object, changedFields: string[], reason: string }
+ */
+export function buildCorrectionPunches(body, record, now = new Date()) {
+  const errors = [];
+  const punches = {};
+  const changedFields = [];
+
+  const reason = typeof body?.reason === 'string' ? body.reason.trim() : '';
+  if (!reason) {
+    errors.push('Motivo da correção (reason) é obrigatório');
+  } else if (reason.length > MAX_CORRECTION_REASON_LENGTH) {
+    errors.push(`Motivo deve ter no máximo ${MAX_CORRECTION_REASON_LENGTH} caracteres`);
+  }
+
+  CORRECTION_PUNCH_FIELDS.forEach(field => {
+    const current = record[field] ? new Date(record[field]) : null;
+    const value = body?.[field];
+
+    if (value === undefined) {
+      punches[field] = current;
+      return;
+    }
+
+    const proposed = value === null || value === '' ? null : new Date(value);
+    if (proposed && isNaN(proposed.getTime())) {
+      errors.push(`${PUNCH_LABELS[field]}: data/hora inválida`);
+      punches[field] = current;
+      return;
+    }
+    if (proposed && proposed > now) {
+      errors.push(`${PUNCH_LABELS[field]}: não é possível informar batida no futuro`);
+    }
+
+    punches[field] = proposed;
+    if ((proposed?.getTime() ?? null) !== (current?.getTime() ?? null)) {
+      changedFields.push(field);
+    }
+  });
+
+  if (errors.length === 0 && changedFields.length === 0) {
+    errors.push('Nenhuma batida foi alterada');
+  }
+
+  if (!punches.entryTime) {
+    errors.push('Entrada é obrigatória');
+  }
+  if (Boolean(punches.lunchExitTime) !== Boolean(punches.lunchReturnTime)) {
+    errors.push('Informe a saída e a volta do almoço juntas');
+  }
+
+  // Batidas informadas precisam estar em ordem cronológica
+  const ordered = CORRECTION_PUNCH_FIELDS.filter(field => punches[field]);
+  for (let i = 1; i < ordered.length; i++) {
+    if (punches[ordered[i]] <= punches[ordered[i - 1]]) {
+      errors.push(`${PUNCH_LABELS[ordered[i]]} deve ser posterior a ${PUNCH_LABELS[ordered[i - 1]].toLowerCase()}`);
+    }
+  }
+
+  if (punches.entryTime && punches.exitTime &&
+    punches.exitTime - punches.entryTime > MAX_CORRECTED_SHIFT_HOURS * 60 * 60 * 1000) {
+    errors.push(`A jornada corrigida não pode passar de ${MAX_CORRECTED_SHIFT_HOURS} horas`);
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    punches,
+    changedFields,
+    reason
+  };
+}
+
+export { CORRECTION_PUNCH_FIELDS, PUNCH_LABELS };
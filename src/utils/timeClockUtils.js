@@ -3,7 +3,9 @@
  */
 
 import logger from './logger.js';
-import { getScheduleForDate, getScheduledHoursForDate } from './workScheduleUtils.js';
+import { getScheduleForDate, getScheduledHoursForDate, getScheduleDurationMinutes, getShiftBounds, getEmployeeShiftPattern, toDateString, timeToMinutes } from './workScheduleUtils.js';
+import { applyHolidayToScheduledHours } from './holidayUtils.js';
+import { zonedTimeToDate, getDateStringInTimezone, getDayOfWeekFromDateString, getTimeStringInTimezone } from './timezoneUtils.js';
 
 /**
  * Calculate worked hours between two times (excluding lunch break)
@@ -24,14 +26,52 @@ export function calculateWorkedHours(entryTime, exitTime, lunchBreakHours = 0) {
   return Math.max(0, diffHours - lunchBreakHours);
 }
 
+/**
+ * Normalize a difference in minutes to the closest occurrence of a daily time
+ * Sem data de referência, um horário diário (ex: 22:00) pode estar no dia anterior ou seguinte
+ * à batida; considera-se a ocorrência mais próxima (janela de ±12h)
+ * @param {number} diffMinutes - Difference in minutes
+ * @returns {number} Normalized difference in minutes
+ */
+function normalizeDailyDiffMinutes(diffMinutes) {
+  const minutesInDay = 24 * 60;
+  if (diffMinutes > minutesInDay / 2) {
+    return diffMinutes - minutesInDay;
+  }
+  if (diffMinutes < -minutesInDay / 2) {
+    return diffMinutes + minutesInDay;
+  }
+  return diffMinutes;
+}
+
+/**
+ * Get a daily time (HH:mm) on the same local day of a reference instant
+ * @param {string} time - Time string in format "HH:mm"
+ * @param {Date} referenceTime - Reference instant
+ * @param {string|null} timezone - IANA timezone (default: server timezone)
+ * @returns {Date} Instant of the time on the reference local day
+ */
+function getTimeOnSameLocalDay(time, referenceTime, timezone = null) {
+  if (timezone) {
+    return zonedTimeToDate(getDateStringInTimezone(referenceTime, timezone), time, timezone);
+  }
+
+  const [hour, minute] = time.split(':').map(Number);
+  const date = new Date(referenceTime);
+  date.setHours(hour, minute, 0, 0);
+  return date;
+}
+
 /**
  * Calculate late minutes
  * @param {Date} entryTime - Actual entry time
  * @param {string} scheduledStartTime - Scheduled start time (format: "HH:mm")
  * @param {number} tolerance - Tolerance in minutes (default: 10)
+ * @param {string|Date|null} shiftDate - Shift start date (YYYY-MM-DD). Quando informado, o horário é ancorado nessa data
+ * @param {string|null} timezone - IANA timezone of the employee (default: server timezone)
  * @returns {number} Minutes of delay (0 if on time or within tolerance)
  */
-export function calculateLateMinutes(entryTime, scheduledStartTime, tolerance = 10) {
+export function calculateLateMinutes(entryTime, scheduledStartTime, tolerance = 10, shiftDate = null, timezone = null) {
   if (!entryTime || !scheduledStartTime) {
     logger.warn('calculateLateMinutes: Parâmetros inválidos', {
       entryTime: entryTime?.toISOString(),
@@ -40,12 +80,19 @@ export function calculateLateMinutes(entryTime, scheduledStartTime, tolerance =
     return 0;
   }
 
-  const [scheduledHour, scheduledMinute] = scheduledStartTime.split(':').map(Number);
-  const scheduledDate = new Date(entryTime);
-  scheduledDate.setHours(scheduledHour, scheduledMinute, 0, 0);
+  let scheduledDate;
+  let diffMinutes;
+
+  if (shiftDate) {
+    scheduledDate = getShiftBounds({ startTime: scheduledStartTime, endTime: scheduledStartTime }, shiftDate, timezone).start;
+    diffMinutes = (entryTime.getTime() - scheduledDate.getTime()) / (1000 * 60);
+  } else {
+    scheduledDate = getTimeOnSameLocalDay(scheduledStartTime, entryTime, timezone);
+    // Entrada após a meia-noite para turno que começou no dia anterior (e vice-versa)
+    diffMinutes = normalizeDailyDiffMinutes((entryTime.getTime() - scheduledDate.getTime()) / (1000 * 60));
+  }
 
-  const diffMs = entryTime.getTime() - scheduledDate.getTime();
-  const diffMinutes = diffMs / (1000 * 60);
+  const diffMs = diffMinutes * 60 * 1000;
 
   logger.debug('calculateLateMinutes: Cálculo detalhado', {
     entryTime: entryTime.toISOString(),
@@ -69,19 +116,29 @@ export function calculateLateMinutes(entryTime, scheduledStartTime, tolerance =
  * Calculate overtime hours
  * @param {Date} exitTime - Actual exit time
  * @param {string} scheduledEndTime - Scheduled end time (format: "HH:mm")
+ * @param {string|Date|null} shiftDate - Shift start date (YYYY-MM-DD). Quando informado junto com scheduledStartTime,
+ *   o término é ancorado no turno (dia seguinte para turnos noturnos)
+ * @param {string|null} scheduledStartTime - Scheduled start time (format: "HH:mm")
+ * @param {string|null} timezone - IANA timezone of the employee (default: server timezone)
  * @returns {number} Overtime hours (0 if not overtime)
  */
-export function calculateOvertimeHours(exitTime, scheduledEndTime) {
+export function calculateOvertimeHours(exitTime, scheduledEndTime, shiftDate = null, scheduledStartTime = null, timezone = null) {
   if (!exitTime || !scheduledEndTime) {
     return 0;
   }
 
-  const [scheduledHour, scheduledMinute] = scheduledEndTime.split(':').map(Number);
-  const scheduledDate = new Date(exitTime);
-  scheduledDate.setHours(scheduledHour, scheduledMinute, 0, 0);
+  let diffMinutes;
 
-  const diffMs = exitTime.getTime() - scheduledDate.getTime();
-  const diffHours = diffMs / (1000 * 60 * 60);
+  if (shiftDate && scheduledStartTime) {
+    const { end } = getShiftBounds({ startTime: scheduledStartTime, endTime: scheduledEndTime }, shiftDate, timezone);
+    diffMinutes = (exitTime.getTime() - end.getTime()) / (1000 * 60);
+  } else {
+    const scheduledDate = getTimeOnSameLocalDay(scheduledEndTime, exitTime, timezone);
+    // Saída antes da meia-noite para turno que termina no dia seguinte (e vice-versa)
+    diffMinutes = normalizeDailyDiffMinutes((exitTime.getTime() - scheduledDate.getTime()) / (1000 * 60));
+  }
+
+  const diffHours = diffMinutes / 60;
 
   // Only return positive overtime (if left early, return 0)
   return Math.max(0, diffHours);
@@ -90,12 +147,18 @@ export function calculateOvertimeHours(exitTime, scheduledEndTime) {
 /**
  * Get work schedule for a specific day
  * @param {Array|Object} workSchedulesOrUser - Array of WorkSchedule records OR User object with workSchedules relation
- * @param {Date} date - Date to get schedule for
+ * @param {string|Date} date - Date to get schedule for (YYYY-MM-DD preferred)
  * @returns {Object|null} Schedule object { startTime, endTime } or null
  */
 export function getWorkScheduleForDay(workSchedulesOrUser, date) {
   let workSchedules = null;
   
+  // Escala de revezamento atribuída ao funcionário na data tem prioridade sobre a jornada semanal
+  const shiftPattern = Array.isArray(workSchedulesOrUser) ? null : getEmployeeShiftPattern(workSchedulesOrUser, date);
+  if (shiftPattern) {
+    return getScheduleForDate(null, date, shiftPattern);
+  }
+  
   // Support both array of schedules or user object with workSchedules relation
   if (Array.isArray(workSchedulesOrUser)) {
     workSchedules = workSchedulesOrUser;
@@ -108,7 +171,7 @@ export function getWorkScheduleForDay(workSchedulesOrUser, date) {
     });
     // Try to use old format for backward compatibility
     const dayNames = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
-    const dayIndex = date.getDay();
+    const dayIndex = getDayOfWeekFromDateString(toDateString(date));
     const dayName = dayNames[dayIndex];
     const schedule = workSchedulesOrUser.workSchedule?.[dayName];
     
@@ -124,13 +187,26 @@ export function getWorkScheduleForDay(workSchedulesOrUser, date) {
 /**
  * Get scheduled hours for a specific day
  * @param {Array|Object} workSchedulesOrUser - Array of WorkSchedule records OR User object with workSchedules relation and lunchBreakHours
- * @param {Date} date - Date to calculate for
+ * @param {string|Date} date - Date to calculate for (YYYY-MM-DD preferred)
+ * @param {Object|null} holiday - Holiday that applies to the employee on the date (0h if full day, half if half-day)
+ * @param {Object|null} leave - Approved leave that covers the date (0h: dia justificado, sem batida obrigatória)
  * @returns {number} Scheduled hours for the day
  */
-export function getScheduledHoursForDay(workSchedulesOrUser, date) {
+export function getScheduledHoursForDay(workSchedulesOrUser, date, holiday = null, leave = null) {
   let workSchedules = null;
   let lunchBreakHours = 0;
   
+  if (leave) {
+    return 0;
+  }
+  
+  // Escala de revezamento atribuída ao funcionário na data tem prioridade sobre a jornada semanal
+  const shiftPattern = Array.isArray(workSchedulesOrUser) ? null : getEmployeeShiftPattern(workSchedulesOrUser, date);
+  if (shiftPattern) {
+    lunchBreakHours = workSchedulesOrUser.lunchBreakHours || 0;
+    return applyHolidayToScheduledHours(getScheduledHoursForDate(null, date, lunchBreakHours, shiftPattern), holiday);
+  }
+  
   // Support both array of schedules or user object
   if (Array.isArray(workSchedulesOrUser)) {
     workSchedules = workSchedulesOrUser;
@@ -148,34 +224,67 @@ export function getScheduledHoursForDay(workSchedulesOrUser, date) {
       return 0;
     }
     
-    const [startHour, startMinute] = schedule.startTime.split(':').map(Number);
-    const [endHour, endMinute] = schedule.endTime.split(':').map(Number);
-    
-    const startMinutes = startHour * 60 + startMinute;
-    const endMinutes = endHour * 60 + endMinute;
-    
-    const totalMinutes = endMinutes - startMinutes;
-    const totalHours = totalMinutes / 60;
+    const totalHours = getScheduleDurationMinutes(schedule) / 60;
     
     lunchBreakHours = workSchedulesOrUser.lunchBreakHours || 0;
-    return Math.max(0, totalHours - lunchBreakHours);
+    return applyHolidayToScheduledHours(Math.max(0, totalHours - lunchBreakHours), holiday);
   }
   
-  return getScheduledHoursForDate(workSchedules, date, lunchBreakHours);
+  return applyHolidayToScheduledHours(getScheduledHoursForDate(workSchedules, date, lunchBreakHours), holiday);
 }
 
 /**
  * Format date to YYYY-MM-DD string
  * @param {Date} date - Date to format
+ * @param {string|null} timezone - IANA timezone (default: server timezone)
  * @returns {string} Formatted date string
  */
-export function formatDateString(date) {
+export function formatDateString(date, timezone = null) {
+  if (timezone) {
+    return getDateStringInTimezone(date, timezone);
+  }
+  
   const year = date.getFullYear();
   const month = String(date.getMonth() + 1).padStart(2, '0');
   const day = String(date.getDate()).padStart(2, '0');
   return `${year}-${month}-${day}`;
 }
 
+/**
+ * Add days to a YYYY-MM-DD date string
+ * @param {string} dateString - Date in format YYYY-MM-DD
+ * @param {number} days - Days to add (negative to subtract)
+ * @returns {string} Resulting date in format YYYY-MM-DD
+ */
+export function addDaysToDateString(dateString, days) {
+  const date = new Date(`${dateString}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Get the local interval of a time clock record's overtime
+ * As horas extras são consideradas como o final da jornada (terminando na saída registrada)
+ * @param {Date} exitTime - Exit instant
+ * @param {number} overtimeHours - Overtime hours of the record
+ * @param {string} timezone - Employee timezone
+ * @returns {Object|null} { date, startTime, minutes } in local time, or null if there is no overtime
+ */
+export function getOvertimeIntervalFromExit(exitTime, overtimeHours, timezone) {
+  if (!exitTime || !(overtimeHours > 0)) {
+    return null;
+  }
+
+  const minutes = Math.round(overtimeHours * 60);
+  const start = new Date(new Date(exitTime).getTime() - minutes * 60 * 1000);
+
+  return {
+    date: getDateStringInTimezone(start, timezone),
+    startTime: getTimeStringInTimezone(start, timezone),
+    minutes
+  };
+}
+
 /**
  * Parse time string to Date (using current date as base)
  * @param {string} timeString - Time string in format "HH:mm"
@@ -202,9 +311,10 @@ export function parseTimeString(timeString, baseDate) {
  * @param {Date} entryTime - Horário de entrada
  * @param {string} scheduledStartTime - Horário de início agendado (format: "HH:mm")
  * @param {number} tolerance - Tolerância em minutos (default: 10)
+ * @param {string|null} timezone - Fuso horário (IANA) do funcionário (padrão: fuso do servidor)
  * @returns {Object} { valid: boolean, message: string, minAllowedTime: string }
  */
-export function validateEntryTime(entryTime, scheduledStartTime, tolerance = 10) {
+export function validateEntryTime(entryTime, scheduledStartTime, tolerance = 10, timezone = null) {
   if (!entryTime || !scheduledStartTime) {
     return {
       valid: true, // Se não tem horário agendado, permitir
@@ -213,16 +323,14 @@ export function validateEntryTime(entryTime, scheduledStartTime, tolerance = 10)
     };
   }
 
-  const [scheduledHour, scheduledMinute] = scheduledStartTime.split(':').map(Number);
-  const scheduledDate = new Date(entryTime);
-  scheduledDate.setHours(scheduledHour, scheduledMinute, 0, 0);
+  const scheduledDate = getTimeOnSameLocalDay(scheduledStartTime, entryTime, timezone);
 
   // Calcular horário mínimo permitido (horário agendado - tolerância)
-  const minAllowedDate = new Date(scheduledDate);
-  minAllowedDate.setMinutes(minAllowedDate.getMinutes() - tolerance);
+  const minAllowedDate = new Date(scheduledDate.getTime() - tolerance * 60 * 1000);
 
-  // Formatar horário mínimo para exibição
-  const minAllowedTime = `${String(minAllowedDate.getHours()).padStart(2, '0')}:${String(minAllowedDate.getMinutes()).padStart(2, '0')}`;
+  // Formatar horário mínimo para exibição (horário local do funcionário)
+  const minAllowedMinutes = (((timeToMinutes(scheduledStartTime) - tolerance) % 1440) + 1440) % 1440;
+  const minAllowedTime = `${String(Math.floor(minAllowedMinutes / 60)).padStart(2, '0')}:${String(minAllowedMinutes % 60).padStart(2, '0')}`;
 
   // Verificar se entrada é antes do horário mínimo
   if (entryTime < minAllowedDate) {
@@ -0,0 +1,140 @@
+import crypto from 'crypto';
+import { getScheduledHoursForDay, addDaysToDateString } from './timeClockUtils.js';
+import { findHolidayForEmployee } from './holidayUtils.js';
+import { findLeaveForDate, getLeaveTypeLabel } from './leaveUtils.js';
+import { getRecordBalanceImpact } from './hourBankUtils.js';
+import { getTimeStringInTimezone, getDayOfWeekFromDateString, DEFAULT_TIMEZONE } from './timezoneUtils.js';
+
+/**
+ * Utility functions for the monthly timesheet ("espelho de ponto")
+ */
+
+const WEEKDAY_LABELS = ['Dom', 'Seg', 'Ter', 'Qua', 'Qui', 'Sex', 'Sáb'];
+
+/**
+ * Get the first and last dates of a month
+ * @param {number} year - Year (ex: 2026)
+ * @param {number} month - Month (1-12)
+ * @returns {Object} { startDate, endDate } (YYYY-MM-DD)
+ */
+export function getMonthDateRange(year, month) {
+  const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  const prefix = `${year}-${String(month).padStart(2, '0')}`;
+  return { startDate: `${prefix}-01`, endDate: `${prefix}-${String(lastDay).padStart(2, '0')}` };
+}
+
+/**
+ * Format decimal hours as HH:MM
+ * @param {number|null} hours - Hours (ex: 1.5)
+ * @returns {string} Formatted hours (ex: 01:30); '' when empty or zero
+ */
+export function formatHours(hours) {
+  if (!hours) {
+    return '';
+  }
+  const totalMinutes = Math.round(Math.abs(hours) * 60);
+  const sign = hours < 0 ? '-' : '';
+  return `${sign}${String(Math.floor(totalMinutes / 60)).padStart(2, '0')}:${String(totalMinutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Build the per-day grid and monthly totals of an employee's timesheet
+ * Dias sem registro usam a jornada prevista (com feriados e afastamentos) para indicar folga, feriado ou afastamento.
+ * @param {Object} data
+ * @param {Object} data.employee - Employee with workSchedules, shiftPattern, lunchBreakHours, state and city
+ * @param {number} data.year - Year
+ * @param {number} data.month - Month (1-12)
+ * @param {Array} data.records - Time clock records of the month (com justificationReason)
+ * @param {Array} data.holidays - Holidays that may occur in the month
+ * @param {Array} data.hourBankRecords - Approved hour bank records up to the end of the month
+ * @param {Array} [data.leaves] - Approved leaves that intersect the month
+ * @param {string} [data.timezone] - Employee timezone
+ * @returns {Object} { startDate, endDate, days, totals, hourBank }
+ */
+export function buildTimesheet({ employee, year, month, records, holidays, hourBankRecords, leaves = [], timezone = DEFAULT_TIMEZONE }) {
+  const { startDate, endDate } = getMonthDateRange(year, month);
+  const recordsByDate = new Map(records.map(record => [record.date, record]));
+  const formatPunch = (punch) => (punch ? getTimeStringInTimezone(punch, timezone) : '');
+
+  const days = [];
+  const totals = { workedHours: 0, scheduledHours: 0, lateMinutes: 0, overtimeHours: 0, negativeHours: 0, workedDays: 0, absences: 0 };
+
+  for (let date = startDate; date <= endDate; date = addDaysToDateString(date, 1)) {
+    const record = recordsByDate.get(date);
+    const holiday = findHolidayForEmployee(holidays, employee, date);
+    const leave = findLeaveForDate(leaves, date);
+    const scheduledHours = record?.scheduledHours ?? getScheduledHoursForDay(employee, date, holiday, leave);
+    const lateMinutes = (record?.lateMinutes || 0) + (record?.lunchLateMinutes || 0);
+
+    let note = record?.justification || record?.justificationReason?.reason || '';
+    if (!note && leave) {
+      note = getLeaveTypeLabel(leave.type);
+    } else if (!note && holiday) {
+      note = `Feriado: ${holiday.name}`;
+    } else if (!note && !record && !scheduledHours) {
+      note = 'Folga';
+    } else if (!note && record && !record.entryTime && record.negativeHours) {
+      note = 'Falta';
+    }
+
+    days.push({
+      date,
+      label: `${date.slice(8)} ${WEEKDAY_LABELS[getDayOfWeekFromDateString(date)]}`,
+      entryTime: formatPunch(record?.entryTime),
+      lunchExitTime: formatPunch(record?.lunchExitTime),
+      lunchReturnTime: formatPunch(record?.lunchReturnTime),
+      exitTime: formatPunch(record?.exitTime),
+      workedHours: record?.totalWorkedHours || 0,
+      scheduledHours: scheduledHours || 0,
+      lateMinutes,
+      overtimeHours: record?.overtimeHours || 0,
+      negativeHours: record?.negativeHours || 0,
+      note
+    });
+
+    totals.workedHours += record?.totalWorkedHours || 0;
+    totals.scheduledHours += scheduledHours || 0;
+    totals.lateMinutes += lateMinutes;
+    totals.overtimeHours += record?.overtimeHours || 0;
+    totals.negativeHours += record?.negativeHours || 0;
+    if (record?.entryTime) totals.workedDays++;
+    if (record && !record.entryTime && record.negativeHours) totals.absences++;
+  }
+
+  // Movimentação do banco de horas: saldo anterior, lançamentos aprovados do mês e saldo final
+  const hourBank = { previousBalance: 0, credits: 0, debits: 0, payouts: 0, finalBalance: 0 };
+  hourBankRecords.forEach(record => {
+    const impact = getRecordBalanceImpact(record);
+    if (record.date < startDate) {
+      hourBank.previousBalance += impact;
+    } else if (record.date <= endDate) {
+      if (record.type === 'credit') hourBank.credits += record.hours;
+      else if (record.type === 'payout') hourBank.payouts += record.hours;
+      else hourBank.debits += record.hours;
+    }
+    if (record.date <= endDate) {
+      hourBank.finalBalance += impact;
+    }
+  });
+
+  return { startDate, endDate, days, totals, hourBank };
+}
+
+/**
+ * Calculate the SHA-256 of a timesheet's content (grade diária, totais e banco de horas)
+ * Usado para registrar exatamente o que foi fechado e conferido pelo funcionário.
+ * @param {Object} timesheet - Timesheet (see buildTimesheet)
+ * @returns {string} Hash as 64 lowercase hex digits
+ */
+export function hashTimesheet(timesheet) {
+  const content = JSON.stringify({
+    startDate: timesheet.startDate,
+    endDate: timesheet.endDate,
+    days: timesheet.days,
+    totals: timesheet.totals,
+    hourBank: timesheet.hourBank
+  });
+  return crypto.createHash('sha256').update(content, 'utf8').digest('hex');
+}
+
+export { WEEKDAY_LABELS };
@@ -0,0 +1,164 @@
+/**
+ * Utility functions for timezone-aware date handling
+ * Datas de registro (YYYY-MM-DD) são sempre derivadas do fuso da empresa ou do funcionário,
+ * nunca de UTC ou do fuso do servidor
+ */
+
+const DEFAULT_TIMEZONE = 'America/Sao_Paulo';
+
+const formatterCache = new Map();
+
+/**
+ * Get a cached Intl.DateTimeFormat for a timezone
+ * @param {string} timezone - IANA timezone
+ * @returns {Intl.DateTimeFormat} Formatter with numeric date/time parts
+ */
+function getFormatter(timezone) {
+  if (!formatterCache.has(timezone)) {
+    formatterCache.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatterCache.get(timezone);
+}
+
+/**
+ * Get the wall-clock parts of an instant in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timezone - IANA timezone
+ * @returns {Object} { year, month, day, hour, minute, second }
+ */
+function getZonedParts(date, timezone) {
+  const parts = {};
+  getFormatter(timezone).formatToParts(date).forEach(({ type, value }) => {
+    if (type !== 'literal') {
+      parts[type] = Number(value);
+    }
+  });
+  return parts;
+}
+
+/**
+ * Check whether a string is a valid IANA timezone
+ * @param {string} timezone - Timezone (ex: 'America/Sao_Paulo')
+ * @returns {boolean} True if valid
+ */
+export function isValidTimezone(timezone) {
+  if (!timezone || typeof timezone !== 'string') {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Resolve the timezone to use for an employee
+ * Fuso do funcionário (trabalho remoto) tem prioridade sobre o fuso da empresa
+ * @param {Object|null} employee - Employee with optional timezone
+ * @param {string|null} companyTimezone - Company timezone from settings
+ * @returns {string} IANA timezone
+ */
+export function resolveTimezone(employee, companyTimezone = null) {
+  if (isValidTimezone(employee?.timezone)) {
+    return employee.timezone;
+  }
+  if (isValidTimezone(companyTimezone)) {
+    return companyTimezone;
+  }
+  return DEFAULT_TIMEZONE;
+}
+
+/**
+ * Get the local date (YYYY-MM-DD) of an instant in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timezone - IANA timezone
+ * @returns {string} Local date in format YYYY-MM-DD
+ */
+export function getDateStringInTimezone(date, timezone = DEFAULT_TIMEZONE) {
+  const { year, month, day } = getZonedParts(new Date(date), timezone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Get today's local date (YYYY-MM-DD) in a timezone
+ * @param {string} timezone - IANA timezone
+ * @returns {string} Local date in format YYYY-MM-DD
+ */
+export function getTodayInTimezone(timezone = DEFAULT_TIMEZONE) {
+  return getDateStringInTimezone(new Date(), timezone);
+}
+
+/**
+ * Get the offset of a timezone at an instant, in minutes (ex: -180 for UTC-3)
+ * @param {Date} date - Instant
+ * @param {string} timezone - IANA timezone
+ * @returns {number} Offset in minutes
+ */
+export function getTimezoneOffsetMinutes(date, timezone = DEFAULT_TIMEZONE) {
+  const { year, month, day, hour, minute, second } = getZonedParts(date, timezone);
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+  const instant = Math.floor(date.getTime() / 1000) * 1000;
+  return Math.round((asUtc - instant) / (1000 * 60));
+}
+
+/**
+ * Convert a local date and time in a timezone to the corresponding instant
+ * @param {string} dateString - Local date (YYYY-MM-DD)
+ * @param {string} time - Local time (HH:mm)
+ * @param {string} timezone - IANA timezone
+ * @returns {Date} Instant
+ */
+export function zonedTimeToDate(dateString, time = '00:00', timezone = DEFAULT_TIMEZONE) {
+  const [year, month, day] = dateString.split('-').map(Number);
+  const [hour, minute] = time.split(':').map(Number);
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute, 0, 0);
+
+  // Ajustar pelo offset do fuso; segunda passada corrige transições de horário de verão
+  let result = new Date(asUtc - getTimezoneOffsetMinutes(new Date(asUtc), timezone) * 60 * 1000);
+  result = new Date(asUtc - getTimezoneOffsetMinutes(result, timezone) * 60 * 1000);
+
+  return result;
+}
+
+/**
+ * Get the day of week of a date string (independent of server timezone)
+ * @param {string} dateString - Date in format YYYY-MM-DD
+ * @returns {number} 0 = sunday, 1 = monday, ... 6 = saturday
+ */
+export function getDayOfWeekFromDateString(dateString) {
+  return new Date(`${dateString}T00:00:00Z`).getUTCDay();
+}
+
+/**
+ * Get the local time (HH:mm) of an instant in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timezone - IANA timezone
+ * @returns {string} Local time in format HH:mm
+ */
+export function getTimeStringInTimezone(date, timezone = DEFAULT_TIMEZONE) {
+  const { hour, minute } = getZonedParts(new Date(date), timezone);
+  return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+}
+
+/**
+ * Format the local time of an instant in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timezone - IANA timezone
+ * @returns {string} Time in format HH:mm:ss (pt-BR)
+ */
+export function formatTimeInTimezone(date, timezone = DEFAULT_TIMEZONE) {
+  return new Date(date).toLocaleTimeString('pt-BR', { timeZone: timezone });
+}
+
+export { DEFAULT_TIMEZONE };
@@ -0,0 +1,207 @@
+/**
+ * Utility functions for CLT vacation planning (férias)
+ * Períodos aquisitivos de 12 meses a partir da admissão, concessão nos 12 meses seguintes (art. 134),
+ * redução por faltas injustificadas (art. 130), fracionamento (art. 134 §1º) e abono pecuniário (art. 143)
+ */
+
+import { addDaysToDateString } from './timeClockUtils.js';
+import { countLeaveDays } from './leaveUtils.js';
+
+const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+
+// Férias fracionadas: até três períodos, um deles com no mínimo 14 dias corridos e os demais com no mínimo 5
+const MAX_VACATION_SPLITS = 3;
+const MIN_MAIN_SPLIT_DAYS = 14;
+const MIN_SPLIT_DAYS = 5;
+
+// Antecedência padrão dos alertas de férias próximas do fim do período concessivo
+const DEFAULT_ALERT_DAYS = 60;
+
+// Dias de férias por faltas injustificadas no período aquisitivo (art. 130)
+const ABSENCE_ENTITLEMENT_TABLE = [
+  { maxAbsences: 5, days: 30 },
+  { maxAbsences: 14, days: 24 },
+  { maxAbsences: 23, days: 18 },
+  { maxAbsences: 32, days: 12 }
+];
+
+/**
+ * Add years to a YYYY-MM-DD date string (29/02 passa para 01/03 em anos não bissextos)
+ * @param {string} dateString - Date (YYYY-MM-DD)
+ * @param {number} years - Years to add
+ * @returns {string} Resulting date (YYYY-MM-DD)
+ */
+export function addYearsToDateString(dateString, years) {
+  const [year, month, day] = dateString.split('-').map(Number);
+  return new Date(Date.UTC(year + years, month - 1, day)).toISOString().split('T')[0];
+}
+
+/**
+ * Validate an admission date
+ * @param {string} admissionDate - Date (YYYY-MM-DD)
+ * @returns {boolean} True if valid
+ */
+export function isValidAdmissionDate(admissionDate) {
+  return typeof admissionDate === 'string' && dateRegex.test(admissionDate) &&
+    !isNaN(new Date(`${admissionDate}T00:00:00Z`).getTime());
+}
+
+/**
+ * Get the acquisition periods started up to a date
+ * @param {string} admissionDate - Admission date (YYYY-MM-DD)
+ * @param {string} today - Reference date (YYYY-MM-DD)
+ * @returns {Array<Object>} [{ number, startDate, endDate, concessionDeadline }] from the oldest
+ */
+export function getAcquisitionPeriods(admissionDate, today) {
+  const periods = [];
+  for (let number = 1; ; number++) {
+    const startDate = addYearsToDateString(admissionDate, number - 1);
+    if (startDate > today) {
+      break;
+    }
+    const endDate = addDaysToDateString(addYearsToDateString(admissionDate, number), -1);
+    periods.push({
+      number,
+      startDate,
+      endDate,
+      // Período concessivo: 12 meses seguintes ao fim do período aquisitivo
+      concessionDeadline: addDaysToDateString(addYearsToDateString(admissionDate, number + 1), -1)
+    });
+  }
+  return periods;
+}
+
+/**
+ * Get the vacation days of an acquisition period by unjustified absences (art. 130)
+ * @param {number} unjustifiedAbsences - Unjustified absences in the acquisition period
+ * @returns {number} 30, 24, 18, 12 or 0 days
+ */
+export function getVacationEntitlement(unjustifiedAbsences) {
+  const row = ABSENCE_ENTITLEMENT_TABLE.find(item => unjustifiedAbsences <= item.maxAbsences);
+  return row ? row.days : 0;
+}
+
+/**
+ * Get the maximum abono pecuniário of an entitlement (um terço das férias, art. 143)
+ * @param {number} entitledDays - Vacation days of the acquisition period
+ * @returns {number} Days that can be sold
+ */
+export function getMaxSoldDays(entitledDays) {
+  return Math.floor(entitledDays / 3);
+}
+
+/**
+ * Validate the vacation periods of an acquisition period against the CLT split rules
+ * Valida o conjunto (períodos já marcados + novos): até 3 períodos, cada um com no mínimo 5 dias,
+ * um deles com no mínimo 14 (ou ainda saldo para marcá-lo), dias + abono dentro do direito e
+ * cada período novo entre o fim do período aquisitivo e o fim do período concessivo.
+ * @param {Object} params
+ * @param {Object} params.period - Acquisition period with entitledDays, endDate and concessionDeadline
+ * @param {Array} params.existing - Vacation leaves already scheduled in the period ({ days, soldDays })
+ * @param {Array} params.periods - New periods [{ startDate, endDate }]
+ * @param {number} [params.soldDays] - Abono pecuniário requested with the new periods
+ * @returns {Object} { isValid: boolean, errors: string[] }
+ */
+export function validateVacationSplits({ period, existing = [], periods, soldDays = 0 }) {
+  const errors = [];
+
+  if (!Array.isArray(periods) || periods.length === 0) {
+    return { isValid: false, errors: ['Informe ao menos um período de férias (periods)'] };
+  }
+
+  const newDays = [];
+  periods.forEach((item, index) => {
+    const { startDate, endDate } = item || {};
+    const withLabel = (message) => (periods.length > 1
+      ? `Período ${index + 1}: ${message}`
+      : message.charAt(0).toUpperCase() + message.slice(1));
+    if (!isValidAdmissionDate(startDate) || !isValidAdmissionDate(endDate) || endDate < startDate) {
+      errors.push(withLabel('datas inválidas (startDate e endDate no formato YYYY-MM-DD, fim igual ou posterior ao início)'));
+      return;
+    }
+    if (startDate <= period.endDate) {
+      errors.push(withLabel(`as férias só podem começar após o fim do período aquisitivo (${period.endDate})`));
+    }
+    if (period.concessionDeadline && endDate > period.concessionDeadline) {
+      errors.push(withLabel(`as férias devem terminar até o fim do período concessivo (${period.concessionDeadline})`));
+    }
+    newDays.push(countLeaveDays(startDate, endDate));
+  });
+
+  const sortedPeriods = periods
+    .filter(item => isValidAdmissionDate(item?.startDate) && isValidAdmissionDate(item?.endDate))
+    .sort((a, b) => a.startDate.localeCompare(b.startDate));
+  for (let i = 1; i < sortedPeriods.length; i++) {
+    if (sortedPeriods[i].startDate <= sortedPeriods[i - 1].endDate) {
+      errors.push('Os períodos de férias não podem se sobrepor');
+      break;
+    }
+  }
+
+  if (!Number.isInteger(soldDays) || soldDays < 0) {
+    errors.push('Abono pecuniário (soldDays) deve ser um número inteiro de dias');
+  }
+
+  if (errors.length > 0) {
+    return { isValid: false, errors };
+  }
+
+  const allDays = [...existing.map(leave => leave.days), ...newDays];
+  const usedDays = allDays.reduce((sum, days) => sum + days, 0);
+  const totalSold = existing.reduce((sum, leave) => sum + (leave.soldDays || 0), 0) + soldDays;
+  const maxSold = getMaxSoldDays(period.entitledDays);
+
+  if (period.entitledDays === 0) {
+    errors.push('O período aquisitivo não dá direito a férias (mais de 32 faltas injustificadas)');
+  }
+  if (totalSold > maxSold) {
+    errors.push(`O abono pecuniário é limitado a ${maxSold} dias (um terço das férias)`);
+  }
+  if (usedDays + totalSold > period.entitledDays) {
+    errors.push(`Os períodos somam ${usedDays} dias${totalSold ? ` + ${totalSold} de abono` : ''}, acima do direito de ${period.entitledDays} dias`);
+  }
+  if (allDays.length > MAX_VACATION_SPLITS) {
+    errors.push(`As férias podem ser divididas em no máximo ${MAX_VACATION_SPLITS} períodos`);
+  }
+  if (allDays.some(days => days < MIN_SPLIT_DAYS)) {
+    errors.push(`Cada período de férias deve ter no mínimo ${MIN_SPLIT_DAYS} dias corridos`);
+  }
+
+  // Um dos períodos precisa ter 14 dias: já marcado ou ainda possível com o saldo e os períodos restantes
+  const remainingDays = period.entitledDays - usedDays - totalSold;
+  const hasMainSplit = allDays.some(days => days >= MIN_MAIN_SPLIT_DAYS);
+  const canStillScheduleMain = remainingDays >= MIN_MAIN_SPLIT_DAYS && allDays.length < MAX_VACATION_SPLITS;
+  if (!hasMainSplit && !canStillScheduleMain) {
+    errors.push(`Um dos períodos de férias deve ter no mínimo ${MIN_MAIN_SPLIT_DAYS} dias corridos`);
+  }
+
+  // O saldo restante precisa caber nos períodos que ainda podem ser marcados
+  if (remainingDays > 0 && remainingDays < MIN_SPLIT_DAYS && errors.length === 0) {
+    errors.push(`O saldo restante (${remainingDays} dias) ficaria abaixo do mínimo de ${MIN_SPLIT_DAYS} dias de um período`);
+  }
+  if (remainingDays > 0 && allDays.length >= MAX_VACATION_SPLITS && errors.length === 0) {
+    errors.push(`Os ${MAX_VACATION_SPLITS} períodos devem somar todo o direito (saldo restante: ${remainingDays} dias)`);
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Get the status of an acquisition period
+ * @param {Object} balance - { endDate, concessionDeadline, balance }
+ * @param {string} today - Reference date (YYYY-MM-DD)
+ * @param {number} alertDays - Days before the concession deadline to start alerting
+ * @returns {string} 'acquiring' | 'completed' | 'expired' | 'expiring' | 'available'
+ */
+export function getAcquisitionPeriodStatus(balance, today, alertDays = DEFAULT_ALERT_DAYS) {
+  if (today <= balance.endDate) return 'acquiring';
+  if (balance.balance <= 0) return 'completed';
+  if (balance.concessionDeadline < today) return 'expired';
+  if (addDaysToDateString(today, alertDays) >= balance.concessionDeadline) return 'expiring';
+  return 'available';
+}
+
+export { MAX_VACATION_SPLITS, MIN_MAIN_SPLIT_DAYS, MIN_SPLIT_DAYS, DEFAULT_ALERT_DAYS };
@@ -1,4 +1,5 @@
 import logger from './logger.js';
+import { zonedTimeToDate, getDayOfWeekFromDateString } from './timezoneUtils.js';
 
 /**
  * Utility functions for work schedule operations
@@ -7,9 +8,11 @@ import logger from './logger.js';
 /**
  * Validate work schedule object
  * @param {Object} workSchedule - Work schedule object: { monday: { startTime, endTime }, ... }
+ * @param {Object} [options]
+ * @param {boolean} [options.allowNoWorkDays=false] - Aceita jornada sem dias de trabalho (nova versão de uma jornada existente)
  * @returns {Object} { isValid: boolean, errors: string[] }
  */
-export function validateWorkSchedule(workSchedule) {
+export function validateWorkSchedule(workSchedule, { allowNoWorkDays = false } = {}) {
   const errors = [];
   
   if (!workSchedule || typeof workSchedule !== 'object') {
@@ -51,30 +54,311 @@ export function validateWorkSchedule(workSchedule) {
       return;
     }
     
-    // Validar que endTime > startTime
-    const [startHour, startMin] = daySchedule.startTime.split(':').map(Number);
-    const [endHour, endMin] = daySchedule.endTime.split(':').map(Number);
-    const startMinutes = startHour * 60 + startMin;
-    const endMinutes = endHour * 60 + endMin;
-    
-    if (endMinutes <= startMinutes) {
-      errors.push(`${day}: horário de término deve ser maior que horário de início`);
+    // Validar que endTime != startTime
+    // endTime < startTime é permitido e indica turno noturno (ex: 22:00 - 06:00), atribuído ao dia de início
+    if (timeToMinutes(daySchedule.endTime) === timeToMinutes(daySchedule.startTime)) {
+      errors.push(`${day}: horário de término deve ser diferente do horário de início`);
       return;
     }
     
     hasAtLeastOneDay = true;
   });
   
-  if (!hasAtLeastOneDay) {
+  if (!hasAtLeastOneDay && !allowNoWorkDays) {
     errors.push('É necessário configurar pelo menos um dia da semana com horário de trabalho');
   }
   
   return {
-    isValid: errors.length === 0 && hasAtLeastOneDay,
+    isValid: errors.length === 0 && (hasAtLeastOneDay || allowNoWorkDays),
     errors
   };
 }
 
+/**
+ * Convert time string to minutes since midnight
+ * @param {string} time - Time string in format "HH:mm"
+ * @returns {number} Minutes since midnight
+ */
+export function timeToMinutes(time) {
+  const [hour, minute] = time.split(':').map(Number);
+  return hour * 60 + minute;
+}
+
+/**
+ * Check whether a schedule crosses midnight (ex: 22:00 - 06:00)
+ * @param {Object} schedule - Schedule object { startTime, endTime }
+ * @returns {boolean} True if endTime is before startTime
+ */
+export function isOvernightSchedule(schedule) {
+  if (!schedule?.startTime || !schedule?.endTime) {
+    return false;
+  }
+  return timeToMinutes(schedule.endTime) < timeToMinutes(schedule.startTime);
+}
+
+/**
+ * Get schedule duration in minutes, handling shifts that cross midnight
+ * @param {Object} schedule - Schedule object { startTime, endTime }
+ * @returns {number} Duration in minutes
+ */
+export function getScheduleDurationMinutes(schedule) {
+  let totalMinutes = timeToMinutes(schedule.endTime) - timeToMinutes(schedule.startTime);
+  if (totalMinutes < 0) {
+    totalMinutes += 24 * 60; // Turno noturno termina no dia seguinte
+  }
+  return totalMinutes;
+}
+
+/**
+ * Get the concrete start and end of a shift attributed to a date
+ * Turnos noturnos pertencem à data de início; o término cai no dia seguinte
+ * @param {Object} schedule - Schedule object { startTime, endTime }
+ * @param {string|Date} shiftDate - Shift start date (YYYY-MM-DD or Date)
+ * @param {string|null} timezone - IANA timezone of the employee (default: server timezone)
+ * @returns {Object} { start: Date, end: Date }
+ */
+export function getShiftBounds(schedule, shiftDate, timezone = null) {
+  let start;
+
+  if (timezone) {
+    start = zonedTimeToDate(toDateString(shiftDate), schedule.startTime, timezone);
+  } else {
+    const base = typeof shiftDate === 'string'
+      ? new Date(`${shiftDate}T00:00:00`)
+      : new Date(shiftDate);
+
+    const [startHour, startMinute] = schedule.startTime.split(':').map(Number);
+    start = new Date(base);
+    start.setHours(startHour, startMinute, 0, 0);
+  }
+
+  const end = new Date(start.getTime() + getScheduleDurationMinutes(schedule) * 60 * 1000);
+
+  return { start, end };
+}
+
+/**
+ * Predefined rotating shift patterns: work days followed by off days
+ */
+const SHIFT_PATTERN_PRESETS = {
+  '12x36': { workDays: 1, offDays: 1 },
+  '6x1': { workDays: 6, offDays: 1 },
+  '5x2': { workDays: 5, offDays: 2 }
+};
+
+const MAX_SHIFT_PATTERN_CYCLE_DAYS = 62;
+
+/**
+ * Build the days array of a preset shift pattern
+ * @param {string} preset - Preset name ('12x36', '6x1', '5x2')
+ * @param {string} startTime - Shift start time (HH:mm)
+ * @param {string} endTime - Shift end time (HH:mm)
+ * @returns {Array|null} Days array ({ startTime, endTime } or null for off days) or null if preset is unknown
+ */
+export function buildShiftPatternDays(preset, startTime, endTime) {
+  const definition = SHIFT_PATTERN_PRESETS[preset];
+  if (!definition) {
+    return null;
+  }
+
+  return [
+    ...Array.from({ length: definition.workDays }, () => ({ startTime, endTime })),
+    ...Array.from({ length: definition.offDays }, () => null)
+  ];
+}
+
+/**
+ * Validate shift pattern data
+ * @param {Object} shiftPattern - { name, days, anchorDate }
+ * @returns {Object} { isValid: boolean, errors: string[] }
+ */
+export function validateShiftPattern(shiftPattern) {
+  const errors = [];
+
+  if (!shiftPattern || typeof shiftPattern !== 'object') {
+    errors.push('Escala deve ser um objeto');
+    return { isValid: false, errors };
+  }
+
+  const timeRegex = /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/;
+  const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+
+  if (!shiftPattern.name || !String(shiftPattern.name).trim()) {
+    errors.push('Nome da escala é obrigatório');
+  }
+
+  if (!shiftPattern.anchorDate || !dateRegex.test(shiftPattern.anchorDate) || isNaN(new Date(`${shiftPattern.anchorDate}T00:00:00`).getTime())) {
+    errors.push('Data de início do ciclo inválida (deve ser YYYY-MM-DD)');
+  }
+
+  const { days } = shiftPattern;
+  if (!Array.isArray(days) || days.length === 0) {
+    errors.push('Ciclo da escala deve ter pelo menos um dia');
+    return { isValid: false, errors };
+  }
+
+  if (days.length > MAX_SHIFT_PATTERN_CYCLE_DAYS) {
+    errors.push(`Ciclo da escala deve ter no máximo ${MAX_SHIFT_PATTERN_CYCLE_DAYS} dias`);
+  }
+
+  let hasAtLeastOneWorkDay = false;
+
+  days.forEach((day, index) => {
+    const label = `Dia ${index + 1} do ciclo`;
+
+    // null ou undefined é válido (folga)
+    if (day === null || day === undefined) {
+      return;
+    }
+
+    if (typeof day !== 'object' || !day.startTime || !day.endTime) {
+      errors.push(`${label}: deve ter startTime e endTime ou ser null (folga)`);
+      return;
+    }
+
+    if (!timeRegex.test(day.startTime) || !timeRegex.test(day.endTime)) {
+      errors.push(`${label}: horário em formato inválido (deve ser HH:mm)`);
+      return;
+    }
+
+    // endTime < startTime é permitido (turno noturno)
+    if (timeToMinutes(day.endTime) === timeToMinutes(day.startTime)) {
+      errors.push(`${label}: horário de término deve ser diferente do horário de início`);
+      return;
+    }
+
+    hasAtLeastOneWorkDay = true;
+  });
+
+  if (!hasAtLeastOneWorkDay && errors.length === 0) {
+    errors.push('Ciclo da escala deve ter pelo menos um dia de trabalho');
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Get the shift pattern assigned to an employee on a date
+ * A escala vale apenas na vigência da atribuição (shiftPatternAssignments); fora dela o funcionário usa a
+ * jornada semanal. A data de início do ciclo do funcionário (se houver) sobrescreve a da escala,
+ * permitindo turmas alternadas na mesma escala (ex: turmas A e B da 12x36)
+ * @param {Object} user - User with shiftPatternAssignments (com a relação shiftPattern); sem elas, usa shiftPattern e shiftPatternAnchorDate
+ * @param {string|Date|null} date - Date to resolve the assignment for (default: atribuição atual)
+ * @returns {Object|null} Shift pattern with the effective anchorDate, or null
+ */
+export function getEmployeeShiftPattern(user, date = null) {
+  let shiftPattern = user?.shiftPattern;
+  let anchorDate = user?.shiftPatternAnchorDate;
+
+  if (Array.isArray(user?.shiftPatternAssignments)) {
+    const dateString = date ? toDateString(date) : null;
+    const assignment = user.shiftPatternAssignments.find(item => dateString
+      ? item.validFrom <= dateString && (!item.validTo || item.validTo >= dateString)
+      : !item.validTo);
+    shiftPattern = assignment?.shiftPattern;
+    anchorDate = assignment?.anchorDate;
+  }
+
+  if (!shiftPattern || !shiftPattern.isActive) {
+    return null;
+  }
+
+  return {
+    ...shiftPattern,
+    anchorDate: anchorDate || shiftPattern.anchorDate
+  };
+}
+
+/**
+ * Convert a date to YYYY-MM-DD (strings are returned as-is)
+ * Prefira passar a data já como string (derivada do fuso da empresa/funcionário);
+ * objetos Date usam os componentes locais do servidor
+ * @param {string|Date} date - Date
+ * @returns {string} Date string
+ */
+export function toDateString(date) {
+  if (typeof date === 'string') {
+    return date.split('T')[0];
+  }
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
+
+/**
+ * Filter work schedule rows to the version in force on a date
+ * Cada versão da jornada tem vigência validFrom/validTo; datas anteriores à primeira
+ * versão usam a versão mais antiga (jornada cadastrada após o início do funcionário)
+ * @param {Array} workSchedules - Array of WorkSchedule records (all versions)
+ * @param {string|Date} date - Date to filter for
+ * @returns {Array} WorkSchedule records of the version in force on the date
+ */
+export function getSchedulesEffectiveOn(workSchedules, date) {
+  if (!Array.isArray(workSchedules) || workSchedules.length === 0) {
+    return workSchedules;
+  }
+
+  // Registros sem vigência (formato anterior ao versionamento) valem para qualquer data
+  if (!workSchedules.some(schedule => schedule.validFrom)) {
+    return workSchedules;
+  }
+
+  const dateString = toDateString(date);
+  const inForce = workSchedules.filter(schedule =>
+    (!schedule.validFrom || schedule.validFrom <= dateString) &&
+    (!schedule.validTo || schedule.validTo >= dateString)
+  );
+
+  if (inForce.length > 0) {
+    return inForce;
+  }
+
+  const earliestValidFrom = workSchedules
+    .map(schedule => schedule.validFrom)
+    .filter(Boolean)
+    .sort()[0];
+
+  if (dateString < earliestValidFrom) {
+    return workSchedules.filter(schedule => schedule.validFrom === earliestValidFrom);
+  }
+
+  return [];
+}
+
+/**
+ * Get the shift of a rotating pattern for a specific date
+ * @param {Object} shiftPattern - Shift pattern { days, anchorDate }
+ * @param {string|Date} date - Date to get shift for
+ * @returns {Object|null} Schedule object { startTime, endTime } or null (off day)
+ */
+export function getShiftPatternScheduleForDate(shiftPattern, date) {
+  const days = Array.isArray(shiftPattern?.days) ? shiftPattern.days : [];
+  if (days.length === 0 || !shiftPattern.anchorDate) {
+    return null;
+  }
+
+  const target = new Date(`${toDateString(date)}T00:00:00Z`);
+  const anchor = new Date(`${shiftPattern.anchorDate}T00:00:00Z`);
+  const diffDays = Math.round((target.getTime() - anchor.getTime()) / (1000 * 60 * 60 * 24));
+
+  // Datas anteriores à âncora também seguem o ciclo (a vigência da atribuição limita as datas, ver getEmployeeShiftPattern)
+  const index = ((diffDays % days.length) + days.length) % days.length;
+  const day = days[index];
+
+  if (!day || !day.startTime || !day.endTime) {
+    return null;
+  }
+
+  return {
+    startTime: day.startTime,
+    endTime: day.endTime
+  };
+}
+
 /**
  * Convert day name from Portuguese to English
  * @param {string} dayName - Day name in Portuguese or English
@@ -105,10 +389,18 @@ export function convertDayNameToEnglish(dayName) {
 /**
  * Get work schedule for a specific date from array of schedules
  * @param {Array} workSchedules - Array of WorkSchedule records from database
- * @param {Date} date - Date to get schedule for
+ * @param {string|Date} date - Date to get schedule for (YYYY-MM-DD preferred)
+ * @param {Object|null} shiftPattern - Rotating shift pattern (takes precedence over weekly schedules)
  * @returns {Object|null} Schedule object { startTime, endTime } or null
  */
-export function getScheduleForDate(workSchedules, date) {
+export function getScheduleForDate(workSchedules, date, shiftPattern = null) {
+  if (shiftPattern) {
+    return getShiftPatternScheduleForDate(shiftPattern, date);
+  }
+  
+  // Considerar apenas a versão da jornada vigente na data
+  workSchedules = getSchedulesEffectiveOn(workSchedules, date);
+  
   if (!workSchedules || !Array.isArray(workSchedules) || workSchedules.length === 0) {
     logger.debug('getScheduleForDate - nenhum horário disponível', {
       workSchedulesLength: workSchedules?.length || 0
@@ -116,12 +408,14 @@ export function getScheduleForDate(workSchedules, date) {
     return null;
   }
   
+  // Dia da semana derivado da data local (não depende do fuso do servidor)
+  const dateString = toDateString(date);
   const dayNames = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
-  const dayIndex = date.getDay();
+  const dayIndex = getDayOfWeekFromDateString(dateString);
   const dayName = dayNames[dayIndex];
   
   logger.debug('getScheduleForDate - buscando horário para o dia', {
-    date: date.toISOString().split('T')[0],
+    date: dateString,
     dayIndex,
     dayName,
     workSchedulesCount: workSchedules.length
@@ -152,25 +446,19 @@ export function getScheduleForDate(workSchedules, date) {
 /**
  * Calculate scheduled hours for a specific day
  * @param {Array} workSchedules - Array of WorkSchedule records
- * @param {Date} date - Date to calculate for
+ * @param {string|Date} date - Date to calculate for (YYYY-MM-DD preferred)
  * @param {number} lunchBreakHours - Hours of lunch break
+ * @param {Object|null} shiftPattern - Rotating shift pattern (takes precedence over weekly schedules)
  * @returns {number} Scheduled hours for the day
  */
-export function getScheduledHoursForDate(workSchedules, date, lunchBreakHours = 0) {
-  const schedule = getScheduleForDate(workSchedules, date);
+export function getScheduledHoursForDate(workSchedules, date, lunchBreakHours = 0, shiftPattern = null) {
+  const schedule = getScheduleForDate(workSchedules, date, shiftPattern);
   
   if (!schedule) {
     return 0;
   }
   
-  const [startHour, startMinute] = schedule.startTime.split(':').map(Number);
-  const [endHour, endMinute] = schedule.endTime.split(':').map(Number);
-  
-  const startMinutes = startHour * 60 + startMinute;
-  const endMinutes = endHour * 60 + endMinute;
-  
-  const totalMinutes = endMinutes - startMinutes;
-  const totalHours = totalMinutes / 60;
+  const totalMinutes = getScheduleDurationMinutes(schedule);
   
   // Subtract lunch break hours
   const lunchMinutes = lunchBreakHours * 60;
@@ -179,3 +467,4 @@ export function getScheduledHoursForDate(workSchedules, date, lunchBreakHours =
   return Math.max(0, Number((scheduledMinutes / 60).toFixed(2)));
 }
 
+export { SHIFT_PATTERN_PRESETS };